@@ -59,7 +59,7 @@ if (-not $SkipTokenCheck) {
 
 # Step 2: Prepare environment variables
 Write-Host "Step 2: Preparing environment variables..." -ForegroundColor Yellow
-Write-Host "   (RHINO_*, optional CREWONE_* and SCHEDULE_SOURCES, IATSE_ALLOWED_PHONE, GEMINI_*, plus Google OAuth vars)" -ForegroundColor Gray
+Write-Host "   (RHINO_*, optional CREWONE_*, CALENDAR_FEED_URLS, EMAIL_IMAP_*/EMAIL_ALLOWED_SENDERS/EMAIL_LOOKBACK_DAYS and SCHEDULE_SOURCES, *_ALLOWED_PHONE, INGEST_*, GEMINI_*, plus Google OAuth vars)" -ForegroundColor Gray
 
 $credentialsJson = Join-Path $repoRoot "get-schedule\google-calendar\credentials.json"
 $tokenJsonPath = Join-Path $repoRoot "get-schedule\google-calendar\token.json"
@@ -82,6 +82,9 @@ if ($env:RHINO_PASSWORD) { $yamlContent += "RHINO_PASSWORD: `"$($env:RHINO_PASSW
 if ($env:CREWONE_EMAIL) { $yamlContent += "CREWONE_EMAIL: `"$($env:CREWONE_EMAIL -replace '"', '\"')`"" }
 if ($env:CREWONE_PASSWORD) { $yamlContent += "CREWONE_PASSWORD: `"$($env:CREWONE_PASSWORD -replace '"', '\"')`"" }
 if ($env:CREWONE_LOGIN_URL) { $yamlContent += "CREWONE_LOGIN_URL: `"$($env:CREWONE_LOGIN_URL -replace '"', '\"')`"" }
+if ($env:CALENDAR_FEED_URLS) { $yamlContent += "CALENDAR_FEED_URLS: `"$($env:CALENDAR_FEED_URLS -replace '"', '\"')`"" }
+# Email source (IMAP)
+Get-ChildItem Env: | Where-Object { $_.Name -match '^EMAIL_(IMAP_|ALLOWED_SENDERS$|LOOKBACK_DAYS$)' } | ForEach-Object { $yamlContent += "$($_.Name): `"$($_.Value -replace '"', '\"')`"" }
 if ($env:GOOGLE_CLIENT_ID) { $yamlContent += "GOOGLE_CLIENT_ID: `"$($env:GOOGLE_CLIENT_ID -replace '"', '\"')`"" }
 if ($env:GOOGLE_CLIENT_SECRET) { $yamlContent += "GOOGLE_CLIENT_SECRET: `"$($env:GOOGLE_CLIENT_SECRET -replace '"', '\"')`"" }
 if ($env:GOOGLE_REDIRECT_URI) { $yamlContent += "GOOGLE_REDIRECT_URI: `"$($env:GOOGLE_REDIRECT_URI -replace '"', '\"')`"" }
@@ -90,9 +93,23 @@ if ($env:GOOGLE_TOKEN) {
 	$tokenEscaped = $env:GOOGLE_TOKEN -replace '"', '\"' -replace '\$', '\$'
 	$yamlContent += "GOOGLE_TOKEN: `"$tokenEscaped`""
 }
-if ($env:IATSE_ALLOWED_PHONE) { $yamlContent += "IATSE_ALLOWED_PHONE: `"$($env:IATSE_ALLOWED_PHONE -replace '"', '\"')`"" }
+# Allowed phones of each SMS source (IATSE_ALLOWED_PHONE and other locals')
+Get-ChildItem Env: | Where-Object { $_.Name -match '_ALLOWED_PHONE$' } | ForEach-Object { $yamlContent += "$($_.Name): `"$($_.Value -replace '"', '\"')`"" }
+# Ingest request signing (INGEST_SIGNING_SECRET, INGEST_DEVICE_KEYS, INGEST_SIGNATURE_MAX_AGE_SECONDS)
+Get-ChildItem Env: | Where-Object { $_.Name -match '^INGEST_' } | ForEach-Object { $yamlContent += "$($_.Name): `"$($_.Value -replace '"', '\"')`"" }
 if ($env:GEMINI_API_KEY) { $yamlContent += "GEMINI_API_KEY: `"$($env:GEMINI_API_KEY -replace '"', '\"')`"" }
 if ($env:GEMINI_MODEL) { $yamlContent += "GEMINI_MODEL: `"$($env:GEMINI_MODEL -replace '"', '\"')`"" }
+# Per-source calendars and event colors (CALENDAR_ID_*, CALENDAR_COLOR_*)
+Get-ChildItem Env: | Where-Object { $_.Name -match '^CALENDAR_(ID|COLOR)_' } | ForEach-Object { $yamlContent += "$($_.Name): `"$($_.Value -replace '"', '\"')`"" }
+if ($env:ICS_FEED_TOKENS) { $yamlContent += "ICS_FEED_TOKENS: `"$($env:ICS_FEED_TOKENS -replace '"', '\"')`"" }
+if ($env:RHINO_CONFIRM_TOKEN) { $yamlContent += "RHINO_CONFIRM_TOKEN: `"$($env:RHINO_CONFIRM_TOKEN -replace '"', '\"')`"" }
+if ($env:SYNC_RUN_RETENTION_DAYS) { $yamlContent += "SYNC_RUN_RETENTION_DAYS: `"$($env:SYNC_RUN_RETENTION_DAYS)`"" }
+if ($env:CONFLICT_TRAVEL_BUFFER_MINUTES) { $yamlContent += "CONFLICT_TRAVEL_BUFFER_MINUTES: `"$($env:CONFLICT_TRAVEL_BUFFER_MINUTES)`"" }
+if ($env:SHIFT_WINDOW_RULES) { $yamlContent += "SHIFT_WINDOW_RULES: `"$($env:SHIFT_WINDOW_RULES -replace '"', '\"')`"" }
+if ($env:PORTAL_CAPTURE) { $yamlContent += "PORTAL_CAPTURE: `"$($env:PORTAL_CAPTURE)`"" }
+if ($env:PORTAL_CAPTURE_STORE) { $yamlContent += "PORTAL_CAPTURE_STORE: `"$($env:PORTAL_CAPTURE_STORE)`"" }
+# Change notifications (NOTIFY_*) and the SMTP account they send email from
+Get-ChildItem Env: | Where-Object { $_.Name -match '^(NOTIFY_|SMTP_|GMAIL_USER$|GMAIL_APP_PASSWORD$)' } | ForEach-Object { $yamlContent += "$($_.Name): `"$($_.Value -replace '"', '\"')`"" }
 
 # Write YAML file with proper format
 if ($yamlContent.Count -eq 0) {
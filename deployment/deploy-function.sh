@@ -35,45 +35,98 @@ if [ "$SKIP_TOKEN_CHECK" != "true" ]; then
 fi
 
 # Step 2: Build environment variables
+# They go through a YAML file (like deploy-function.ps1) rather than --set-env-vars,
+# which splits on commas: values such as SHIFT_WINDOW_RULES or GOOGLE_TOKEN are JSON.
 echo "Step 2: Preparing environment variables..."
-ENV_VARS="GOOGLE_CLOUD_PROJECT=${PROJECT_ID},RHINO_EMAIL=${RHINO_EMAIL},RHINO_PASSWORD=${RHINO_PASSWORD}"
+ENV_VARS_FILE=$(mktemp "${TMPDIR:-/tmp}/sync-schedule-env.XXXXXX")
+trap 'rm -f "$ENV_VARS_FILE"' EXIT
+# add_env_var NAME VALUE - one double-quoted YAML entry
+add_env_var() {
+  local value=${2//\\/\\\\}
+  value=${value//\"/\\\"}
+  printf '%s: "%s"\n' "$1" "$value" >> "$ENV_VARS_FILE"
+}
+add_env_var GOOGLE_CLOUD_PROJECT "$PROJECT_ID"
+add_env_var RHINO_EMAIL "$RHINO_EMAIL"
+add_env_var RHINO_PASSWORD "$RHINO_PASSWORD"
 if [ -n "$SCHEDULE_SOURCES" ]; then
-  ENV_VARS="${ENV_VARS},SCHEDULE_SOURCES=${SCHEDULE_SOURCES}"
+  add_env_var SCHEDULE_SOURCES "${SCHEDULE_SOURCES}"
 fi
 if [ -n "$CREWONE_EMAIL" ]; then
-  ENV_VARS="${ENV_VARS},CREWONE_EMAIL=${CREWONE_EMAIL}"
+  add_env_var CREWONE_EMAIL "${CREWONE_EMAIL}"
 fi
 if [ -n "$CREWONE_PASSWORD" ]; then
-  ENV_VARS="${ENV_VARS},CREWONE_PASSWORD=${CREWONE_PASSWORD}"
+  add_env_var CREWONE_PASSWORD "${CREWONE_PASSWORD}"
 fi
 if [ -n "$CREWONE_LOGIN_URL" ]; then
-  ENV_VARS="${ENV_VARS},CREWONE_LOGIN_URL=${CREWONE_LOGIN_URL}"
+  add_env_var CREWONE_LOGIN_URL "${CREWONE_LOGIN_URL}"
 fi
+if [ -n "$CALENDAR_FEED_URLS" ]; then
+  add_env_var CALENDAR_FEED_URLS "${CALENDAR_FEED_URLS}"
+fi
+# Email source (IMAP)
+for VAR in $(compgen -e | grep -E '^EMAIL_(IMAP_|ALLOWED_SENDERS$|LOOKBACK_DAYS$)'); do
+  add_env_var "$VAR" "${!VAR}"
+done
 
 # Add Google OAuth env vars if they exist
 if [ -n "$GOOGLE_CLIENT_ID" ]; then
-  ENV_VARS="${ENV_VARS},GOOGLE_CLIENT_ID=${GOOGLE_CLIENT_ID}"
+  add_env_var GOOGLE_CLIENT_ID "${GOOGLE_CLIENT_ID}"
 fi
 if [ -n "$GOOGLE_CLIENT_SECRET" ]; then
-  ENV_VARS="${ENV_VARS},GOOGLE_CLIENT_SECRET=${GOOGLE_CLIENT_SECRET}"
+  add_env_var GOOGLE_CLIENT_SECRET "${GOOGLE_CLIENT_SECRET}"
 fi
 if [ -n "$GOOGLE_REDIRECT_URI" ]; then
-  ENV_VARS="${ENV_VARS},GOOGLE_REDIRECT_URI=${GOOGLE_REDIRECT_URI}"
+  add_env_var GOOGLE_REDIRECT_URI "${GOOGLE_REDIRECT_URI}"
 fi
 if [ -n "$GOOGLE_TOKEN" ]; then
-  ENV_VARS="${ENV_VARS},GOOGLE_TOKEN=${GOOGLE_TOKEN}"
-fi
-if [ -n "$IATSE_ALLOWED_PHONE" ]; then
-  ENV_VARS="${ENV_VARS},IATSE_ALLOWED_PHONE=${IATSE_ALLOWED_PHONE}"
+  add_env_var GOOGLE_TOKEN "${GOOGLE_TOKEN}"
 fi
+# Allowed phones of each SMS source (IATSE_ALLOWED_PHONE and other locals')
+for VAR in $(compgen -e | grep -E '_ALLOWED_PHONE$'); do
+  add_env_var "$VAR" "${!VAR}"
+done
+# Ingest request signing (INGEST_SIGNING_SECRET, INGEST_DEVICE_KEYS, INGEST_SIGNATURE_MAX_AGE_SECONDS)
+for VAR in $(compgen -e | grep -E '^INGEST_'); do
+  add_env_var "$VAR" "${!VAR}"
+done
 if [ -n "$GEMINI_API_KEY" ]; then
-  ENV_VARS="${ENV_VARS},GEMINI_API_KEY=${GEMINI_API_KEY}"
+  add_env_var GEMINI_API_KEY "${GEMINI_API_KEY}"
 fi
 if [ -n "$GEMINI_MODEL" ]; then
-  ENV_VARS="${ENV_VARS},GEMINI_MODEL=${GEMINI_MODEL}"
+  add_env_var GEMINI_MODEL "${GEMINI_MODEL}"
+fi
+# Per-source calendars and event colors (CALENDAR_ID_*, CALENDAR_COLOR_*)
+for VAR in $(compgen -e | grep -E '^CALENDAR_(ID|COLOR)_'); do
+  add_env_var "$VAR" "${!VAR}"
+done
+if [ -n "$ICS_FEED_TOKENS" ]; then
+  add_env_var ICS_FEED_TOKENS "${ICS_FEED_TOKENS}"
+fi
+if [ -n "$RHINO_CONFIRM_TOKEN" ]; then
+  add_env_var RHINO_CONFIRM_TOKEN "${RHINO_CONFIRM_TOKEN}"
+fi
+if [ -n "$SYNC_RUN_RETENTION_DAYS" ]; then
+  add_env_var SYNC_RUN_RETENTION_DAYS "${SYNC_RUN_RETENTION_DAYS}"
+fi
+if [ -n "$CONFLICT_TRAVEL_BUFFER_MINUTES" ]; then
+  add_env_var CONFLICT_TRAVEL_BUFFER_MINUTES "${CONFLICT_TRAVEL_BUFFER_MINUTES}"
+fi
+if [ -n "$SHIFT_WINDOW_RULES" ]; then
+  add_env_var SHIFT_WINDOW_RULES "${SHIFT_WINDOW_RULES}"
+fi
+if [ -n "$PORTAL_CAPTURE" ]; then
+  add_env_var PORTAL_CAPTURE "${PORTAL_CAPTURE}"
+fi
+if [ -n "$PORTAL_CAPTURE_STORE" ]; then
+  add_env_var PORTAL_CAPTURE_STORE "${PORTAL_CAPTURE_STORE}"
 fi
+# Change notifications (NOTIFY_*) and the SMTP account they send email from
+for VAR in $(compgen -e | grep -E '^(NOTIFY_|SMTP_|GMAIL_USER$|GMAIL_APP_PASSWORD$)'); do
+  add_env_var "$VAR" "${!VAR}"
+done
 
-echo "   (RHINO_*, optional CREWONE_* and SCHEDULE_SOURCES, IATSE_ALLOWED_PHONE, GEMINI_*, plus Google OAuth vars)"
+echo "   (RHINO_*, optional CREWONE_*, CALENDAR_FEED_URLS, EMAIL_IMAP_*/EMAIL_ALLOWED_SENDERS/EMAIL_LOOKBACK_DAYS and SCHEDULE_SOURCES, *_ALLOWED_PHONE, INGEST_*, GEMINI_*, CALENDAR_*, ICS_FEED_TOKENS, RHINO_CONFIRM_TOKEN, SYNC_RUN_RETENTION_DAYS, CONFLICT_TRAVEL_BUFFER_MINUTES, SHIFT_WINDOW_RULES, PORTAL_CAPTURE*, NOTIFY_*/SMTP_*, plus Google OAuth vars)"
 
 # Step 3: Deploy the function
 echo ""
@@ -89,7 +142,7 @@ gcloud functions deploy $FUNCTION_NAME \
   --memory=1GB \
   --timeout=600s \
   --max-instances=1 \
-  --set-env-vars="$ENV_VARS"
+  --env-vars-file="$ENV_VARS_FILE"
 
 if [ $? -eq 0 ]; then
     echo ""
@@ -0,0 +1,23 @@
+/**
+ * CSV (RFC 4180) for ledger exports: a header row, then one line per record, CRLF
+ * line endings, and fields quoted only when they contain a comma, quote or newline.
+ */
+
+/** @param {unknown} value */
+export function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @template T
+ * @param {{ header: string; value: (record: T) => unknown }[]} columns
+ * @param {T[]} records
+ */
+export function formatCsv(columns, records) {
+  const lines = [columns.map((column) => csvField(column.header)).join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => csvField(column.value(record))).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
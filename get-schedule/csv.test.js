@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { csvField, formatCsv } from "./csv.js";
+
+describe("csv", () => {
+  it("quotes only fields with commas, quotes or newlines", () => {
+    expect(csvField("GWCC")).toBe("GWCC");
+    expect(csvField("TRADE SHOW, HALL B")).toBe('"TRADE SHOW, HALL B"');
+    expect(csvField('The "Big" Show')).toBe('"The ""Big"" Show"');
+    expect(csvField("line one\nline two")).toBe('"line one\nline two"');
+    expect(csvField(null)).toBe("");
+    expect(csvField(4.5)).toBe("4.5");
+  });
+
+  it("writes a header and one CRLF-terminated line per record", () => {
+    const csv = formatCsv(
+      [
+        { header: "Show", value: (r) => r.show },
+        { header: "Hours", value: (r) => r.hours }
+      ],
+      [
+        { show: "A, B", hours: 5 },
+        { show: "C", hours: null }
+      ]
+    );
+    expect(csv).toBe('Show,Hours\r\n"A, B",5\r\nC,\r\n');
+  });
+});
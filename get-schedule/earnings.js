@@ -0,0 +1,247 @@
+import { formatCsv } from "./csv.js";
+import { getOvertimeRules, getPayRateRules, resolveOvertime, resolvePayRate } from "./pay-rules.js";
+import { getShiftWindowRules, minutesUntilShiftEnd, resolveShiftWindow } from "./shift-window-rules.js";
+import { findSource } from "./sources/index.js";
+import { parseScheduleDateParts } from "./utils.js";
+
+/**
+ * Hours and pay for ledger shifts (shift-ledger-store.js), and totals per employer
+ * (the shift's source, or its client for a clientIsEmployer source) by week, month or year. Hours are what the source lists
+ * (Rhino's Hrs column), else from the listed end time, else the shift window rule's
+ * duration; pay comes from PAY_RATE_RULES and PAY_OVERTIME_RULES (pay-rules.js).
+ * Cancelled and removed shifts earn nothing and are left out.
+ */
+
+/**
+ * @typedef {import("./shift-ledger-store.js").LedgerShift} LedgerShift
+ * @typedef {"listed" | "end time" | "window"} HoursBasis
+ *
+ * @typedef {Object} PricedShiftFields
+ * @property {number} workedHours - from hoursBasis, before any minimum call
+ * @property {HoursBasis} hoursBasis
+ * @property {number} paidHours - workedHours raised to the rate's minimumHours
+ * @property {number} regularHours
+ * @property {number} overtimeHours
+ * @property {number | null} hourlyRate - null when no PAY_RATE_RULES rule sets one
+ * @property {number} overtimeMultiplier
+ * @property {number | null} pay - null when the shift has no rate
+ *
+ * @typedef {LedgerShift & PricedShiftFields} PricedShift
+ *
+ * @typedef {"week" | "month" | "ytd"} EarningsPeriod
+ *
+ * @typedef {Object} EarningsTotal
+ * @property {string} period - week: its Monday (YYYY-MM-DD); month: YYYY-MM; ytd: YYYY
+ * @property {string} employer - employerOf the shifts
+ * @property {number} shifts
+ * @property {number} hours - paid hours
+ * @property {number} regularHours
+ * @property {number} overtimeHours
+ * @property {number} pay - of the shifts that have a rate
+ * @property {number} unpriced - shifts without a rate (their pay isn't in the total)
+ */
+
+/** @type {EarningsPeriod[]} */
+export const EARNINGS_PERIODS = ["week", "month", "ytd"];
+
+/**
+ * @param {unknown} value
+ * @returns {value is EarningsPeriod}
+ */
+export function isEarningsPeriod(value) {
+  return EARNINGS_PERIODS.some((period) => period === value);
+}
+
+/** @param {number} value */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Monday (YYYY-MM-DD) of the week a date falls in.
+ * @param {string} isoDate
+ */
+export function weekStart(isoDate) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Key of the period a date falls in.
+ * @param {string} isoDate
+ * @param {EarningsPeriod} period
+ */
+export function periodKey(isoDate, period) {
+  if (period === "week") return weekStart(isoDate);
+  if (period === "month") return isoDate.slice(0, 7);
+  return isoDate.slice(0, 4);
+}
+
+/**
+ * First date of the period that today falls in, for a report "so far".
+ * @param {string} today - YYYY-MM-DD
+ * @param {EarningsPeriod} period
+ */
+export function periodStart(today, period) {
+  if (period === "week") return weekStart(today);
+  if (period === "month") return `${today.slice(0, 7)}-01`;
+  return `${today.slice(0, 4)}-01-01`;
+}
+
+/**
+ * Hours worked on a shift and where the number came from.
+ * @param {LedgerShift} shift
+ * @param {import("./shift-window-rules.js").ShiftWindowRule[]} [windowRules]
+ * @returns {{ hours: number; basis: HoursBasis }}
+ */
+export function shiftHours(shift, windowRules = getShiftWindowRules()) {
+  if (typeof shift.hours === "number") return { hours: shift.hours, basis: "listed" };
+  const window = resolveShiftWindow({ ...shift, location: "", endTime: shift.endTime || undefined }, shift.source, windowRules);
+  const { hours, minutes } = parseScheduleDateParts(shift.date, shift.callTime);
+  return {
+    hours: round2(minutesUntilShiftEnd(window, hours, minutes) / 60),
+    basis: window.endTime ? "end time" : "window"
+  };
+}
+
+/**
+ * Who a shift was worked for: its client when the source lists several employers
+ * (clientIsEmployer) and the shift names one, else its source id.
+ * @param {LedgerShift} shift
+ */
+export function employerOf(shift) {
+  return findSource(shift.source)?.clientIsEmployer && shift.client ? shift.client : shift.source;
+}
+
+/**
+ * Price shifts in call order. Overtime is counted per employer: first hours past the
+ * daily threshold within a day, then regular hours past the weekly threshold within
+ * a Monday-Sunday week. Pass every shift of a week for its overtime to be right.
+ * @param {LedgerShift[]} shifts
+ * @param {{
+ *   rateRules?: import("./pay-rules.js").PayRateRule[];
+ *   overtimeRules?: import("./pay-rules.js").OvertimeRule[];
+ *   windowRules?: import("./shift-window-rules.js").ShiftWindowRule[];
+ * }} [options] - each defaults to its env var
+ * @returns {PricedShift[]}
+ */
+export function priceShifts(shifts, options = {}) {
+  const rateRules = options.rateRules || getPayRateRules();
+  const overtimeRules = options.overtimeRules || getOvertimeRules();
+  const windowRules = options.windowRules || getShiftWindowRules();
+  /** @type {Map<string, number>} - paid hours per employer and day */
+  const dayHours = new Map();
+  /** @type {Map<string, number>} - regular hours per employer and week */
+  const weekRegularHours = new Map();
+
+  return shifts
+    .filter((shift) => !shift.cancelled && !shift.removed)
+    .sort((a, b) => a.isoDate.localeCompare(b.isoDate) || a.callTime.localeCompare(b.callTime))
+    .map((shift) => {
+      const { hours: workedHours, basis } = shiftHours(shift, windowRules);
+      const { hourlyRate, minimumHours } = resolvePayRate(shift, shift.isoDate, rateRules);
+      const overtime = resolveOvertime(shift.source, overtimeRules);
+      const paidHours = Math.max(workedHours, minimumHours);
+
+      const employer = employerOf(shift);
+      const dayKey = `${employer}|${shift.isoDate}`;
+      const weekKey = `${employer}|${weekStart(shift.isoDate)}`;
+      const before = dayHours.get(dayKey) || 0;
+      const dailyOvertime =
+        overtime.dailyHours == null ? 0 : Math.max(0, Math.min(paidHours, before + paidHours - overtime.dailyHours));
+      let regularHours = paidHours - dailyOvertime;
+      const weekBefore = weekRegularHours.get(weekKey) || 0;
+      const weeklyOvertime =
+        overtime.weeklyHours == null ? 0 : Math.max(0, Math.min(regularHours, weekBefore + regularHours - overtime.weeklyHours));
+      regularHours -= weeklyOvertime;
+      dayHours.set(dayKey, before + paidHours);
+      weekRegularHours.set(weekKey, weekBefore + regularHours);
+
+      const overtimeHours = dailyOvertime + weeklyOvertime;
+      return {
+        ...shift,
+        workedHours,
+        hoursBasis: basis,
+        paidHours,
+        regularHours: round2(regularHours),
+        overtimeHours: round2(overtimeHours),
+        hourlyRate,
+        overtimeMultiplier: overtime.multiplier,
+        pay:
+          hourlyRate == null
+            ? null
+            : round2(regularHours * hourlyRate + overtimeHours * hourlyRate * overtime.multiplier)
+      };
+    });
+}
+
+/**
+ * Totals per period and employer, in period then employer order.
+ * @param {PricedShift[]} shifts
+ * @param {EarningsPeriod} period
+ * @returns {EarningsTotal[]}
+ */
+export function summarizeEarnings(shifts, period) {
+  /** @type {Map<string, EarningsTotal>} */
+  const totals = new Map();
+  for (const shift of shifts) {
+    const key = periodKey(shift.isoDate, period);
+    const employer = employerOf(shift);
+    const id = `${key}|${employer}`;
+    let total = totals.get(id);
+    if (!total) {
+      total = { period: key, employer, shifts: 0, hours: 0, regularHours: 0, overtimeHours: 0, pay: 0, unpriced: 0 };
+      totals.set(id, total);
+    }
+    total.shifts += 1;
+    total.hours = round2(total.hours + shift.paidHours);
+    total.regularHours = round2(total.regularHours + shift.regularHours);
+    total.overtimeHours = round2(total.overtimeHours + shift.overtimeHours);
+    if (shift.pay == null) total.unpriced += 1;
+    else total.pay = round2(total.pay + shift.pay);
+  }
+  return [...totals.values()].sort((a, b) => a.period.localeCompare(b.period) || a.employer.localeCompare(b.employer));
+}
+
+/** @type {{ header: string; value: (total: EarningsTotal) => unknown }[]} */
+const TOTAL_CSV_COLUMNS = [
+  { header: "Period", value: (total) => total.period },
+  { header: "Employer", value: (total) => total.employer },
+  { header: "Shifts", value: (total) => total.shifts },
+  { header: "Hours", value: (total) => total.hours },
+  { header: "Regular Hours", value: (total) => total.regularHours },
+  { header: "Overtime Hours", value: (total) => total.overtimeHours },
+  { header: "Pay", value: (total) => total.pay.toFixed(2) },
+  { header: "Unpriced Shifts", value: (total) => total.unpriced }
+];
+
+/** @type {{ header: string; value: (shift: PricedShift) => unknown }[]} */
+const SHIFT_CSV_COLUMNS = [
+  { header: "Date", value: (shift) => shift.isoDate },
+  { header: "Call Time", value: (shift) => shift.callTime },
+  { header: "Employer", value: (shift) => employerOf(shift) },
+  { header: "Show", value: (shift) => shift.show },
+  { header: "Venue", value: (shift) => shift.venue },
+  { header: "Client", value: (shift) => shift.client },
+  { header: "Position", value: (shift) => shift.position },
+  { header: "Type", value: (shift) => shift.type },
+  { header: "Hours", value: (shift) => shift.paidHours },
+  { header: "Hours Basis", value: (shift) => shift.hoursBasis },
+  { header: "Regular Hours", value: (shift) => shift.regularHours },
+  { header: "Overtime Hours", value: (shift) => shift.overtimeHours },
+  { header: "Rate", value: (shift) => shift.hourlyRate?.toFixed(2) },
+  { header: "Pay", value: (shift) => shift.pay?.toFixed(2) },
+  { header: "Row Id", value: (shift) => shift.rowId }
+];
+
+/** @param {EarningsTotal[]} totals */
+export function formatEarningsCsv(totals) {
+  return formatCsv(TOTAL_CSV_COLUMNS, totals);
+}
+
+/** @param {PricedShift[]} shifts */
+export function formatPricedShiftsCsv(shifts) {
+  return formatCsv(SHIFT_CSV_COLUMNS, shifts);
+}
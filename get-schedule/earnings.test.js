@@ -0,0 +1,184 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatEarningsCsv,
+  formatPricedShiftsCsv,
+  isEarningsPeriod,
+  periodKey,
+  periodStart,
+  priceShifts,
+  shiftHours,
+  summarizeEarnings,
+  weekStart
+} from "./earnings.js";
+
+/**
+ * @param {Partial<import("./shift-ledger-store.js").LedgerShift>} fields
+ * @returns {import("./shift-ledger-store.js").LedgerShift}
+ */
+function ledgerShift(fields) {
+  const isoDate = fields.isoDate || "2025-11-10";
+  const [year, month, day] = isoDate.split("-");
+  const shift = {
+    source: "rhino",
+    isoDate,
+    date: `${month}/${day}/${year}`,
+    callTime: "08:00",
+    endTime: null,
+    show: "TRADE SHOW",
+    venue: "GWCC",
+    client: "FREEMAN",
+    position: "SH",
+    type: "IN",
+    status: "Confirmed",
+    hours: null,
+    cancelled: false,
+    removed: false,
+    ...fields
+  };
+  return { rowId: `${shift.source} ${shift.date} ${shift.callTime} ${shift.show}`, ...shift };
+}
+
+const rateRules = [
+  { source: "rhino", hourlyRate: 20 },
+  { source: "iatse927", hourlyRate: 30, minimumHours: 4 }
+];
+
+describe("earnings", () => {
+  it("starts weeks on Monday", () => {
+    expect(weekStart("2025-11-10")).toBe("2025-11-10");
+    expect(weekStart("2025-11-16")).toBe("2025-11-10");
+    expect(weekStart("2026-01-01")).toBe("2025-12-29");
+    expect(periodKey("2025-11-16", "week")).toBe("2025-11-10");
+    expect(periodKey("2025-11-16", "month")).toBe("2025-11");
+    expect(periodKey("2025-11-16", "ytd")).toBe("2025");
+    expect(periodStart("2026-10-18", "month")).toBe("2026-10-01");
+    expect(periodStart("2026-10-18", "ytd")).toBe("2026-01-01");
+    expect(isEarningsPeriod("month")).toBe(true);
+    expect(isEarningsPeriod("year")).toBe(false);
+  });
+
+  it("takes hours from the listed hours, then the end time, then the shift window", () => {
+    const windowRules = [{ source: "crewOne", type: "OUT", durationMinutes: 180 }];
+
+    expect(shiftHours(ledgerShift({ hours: 4.5, endTime: "23:00" }), windowRules)).toEqual({ hours: 4.5, basis: "listed" });
+    expect(shiftHours(ledgerShift({ callTime: "18:00", endTime: "23:30" }), windowRules)).toEqual({ hours: 5.5, basis: "end time" });
+    expect(shiftHours(ledgerShift({ callTime: "22:00", endTime: "02:00" }), windowRules)).toEqual({ hours: 4, basis: "end time" });
+    expect(shiftHours(ledgerShift({}), windowRules)).toEqual({ hours: 5, basis: "window" });
+    expect(shiftHours(ledgerShift({ source: "crewOne", type: "out" }), windowRules)).toEqual({ hours: 3, basis: "window" });
+  });
+
+  it("prices shifts with the minimum call and leaves unrated ones unpriced", () => {
+    const priced = priceShifts(
+      [
+        ledgerShift({ hours: 5 }),
+        ledgerShift({ source: "iatse927", hours: 2.5, callTime: "19:00" }),
+        ledgerShift({ source: "crewOne", hours: 6, isoDate: "2025-11-11" }),
+        ledgerShift({ hours: 8, isoDate: "2025-11-12", cancelled: true }),
+        ledgerShift({ hours: 8, isoDate: "2025-11-13", removed: true })
+      ],
+      { rateRules, overtimeRules: [], windowRules: [] }
+    );
+
+    expect(priced.map((shift) => [shift.source, shift.workedHours, shift.paidHours, shift.pay])).toEqual([
+      ["rhino", 5, 5, 100],
+      ["iatse927", 2.5, 4, 120],
+      ["crewOne", 6, 6, null]
+    ]);
+  });
+
+  it("counts daily overtime first, then weekly overtime on the regular hours, per employer", () => {
+    const overtimeRules = [{ source: "rhino", dailyHours: 8, weeklyHours: 40 }];
+    const shifts = [
+      ledgerShift({ hours: 6, isoDate: "2025-11-10" }),
+      ledgerShift({ hours: 5, isoDate: "2025-11-10", callTime: "18:00" }),
+      ...["2025-11-11", "2025-11-12", "2025-11-13", "2025-11-14"].map((isoDate) => ledgerShift({ hours: 9, isoDate })),
+      ledgerShift({ hours: 8, isoDate: "2025-11-17" }),
+      ledgerShift({ source: "crewOne", hours: 10, isoDate: "2025-11-14" })
+    ];
+
+    const priced = priceShifts(shifts, { rateRules, overtimeRules, windowRules: [] });
+
+    expect(priced.map((shift) => [shift.isoDate, shift.source, shift.regularHours, shift.overtimeHours])).toEqual([
+      ["2025-11-10", "rhino", 6, 0],
+      ["2025-11-10", "rhino", 2, 3],
+      ["2025-11-11", "rhino", 8, 1],
+      ["2025-11-12", "rhino", 8, 1],
+      ["2025-11-13", "rhino", 8, 1],
+      ["2025-11-14", "rhino", 8, 1],
+      ["2025-11-14", "crewOne", 10, 0],
+      ["2025-11-17", "rhino", 8, 0]
+    ]);
+    // 2 regular hours at 20 and 3 overtime hours at 20 x 1.5
+    expect(priced[1].pay).toBe(130);
+  });
+
+  it("moves regular hours past the weekly threshold to overtime", () => {
+    const shifts = ["2025-11-10", "2025-11-11", "2025-11-12", "2025-11-13", "2025-11-14"].map((isoDate) =>
+      ledgerShift({ hours: 9, isoDate })
+    );
+
+    const priced = priceShifts(shifts, { rateRules, overtimeRules: [{ weeklyHours: 40, multiplier: 2 }], windowRules: [] });
+
+    expect(priced.at(-1)).toMatchObject({ regularHours: 4, overtimeHours: 5, overtimeMultiplier: 2, pay: 280 });
+  });
+
+  it("totals per employer by week, month and year", () => {
+    const priced = priceShifts(
+      [
+        ledgerShift({ hours: 5, isoDate: "2025-10-31" }),
+        ledgerShift({ hours: 4, isoDate: "2025-11-02" }),
+        ledgerShift({ hours: 6, isoDate: "2025-11-03" }),
+        ledgerShift({ source: "crewOne", hours: 6, isoDate: "2025-11-03" })
+      ],
+      { rateRules, overtimeRules: [], windowRules: [] }
+    );
+
+    expect(summarizeEarnings(priced, "week").map((total) => [total.period, total.employer, total.hours, total.pay])).toEqual([
+      ["2025-10-27", "rhino", 9, 180],
+      ["2025-11-03", "crewOne", 6, 0],
+      ["2025-11-03", "rhino", 6, 120]
+    ]);
+    expect(summarizeEarnings(priced, "month").map((total) => [total.period, total.employer, total.shifts])).toEqual([
+      ["2025-10", "rhino", 1],
+      ["2025-11", "crewOne", 1],
+      ["2025-11", "rhino", 2]
+    ]);
+    expect(summarizeEarnings(priced, "ytd")).toEqual([
+      { period: "2025", employer: "crewOne", shifts: 1, hours: 6, regularHours: 6, overtimeHours: 0, pay: 0, unpriced: 1 },
+      { period: "2025", employer: "rhino", shifts: 3, hours: 15, regularHours: 15, overtimeHours: 0, pay: 300, unpriced: 0 }
+    ]);
+  });
+
+  it("totals a multi-employer source's shifts per client, and Rhino's under Rhino whatever the client", () => {
+    const priced = priceShifts(
+      [
+        ledgerShift({ source: "calendarFeed", client: "Peachtree Stagehands", hours: 5 }),
+        ledgerShift({ source: "calendarFeed", client: "Southern Rigging", hours: 4 }),
+        ledgerShift({ source: "email", client: "Southern Rigging", hours: 3 }),
+        ledgerShift({ source: "email", client: "", hours: 2 }),
+        ledgerShift({ hours: 5 }),
+        ledgerShift({ client: "ASM GLOBAL", hours: 6 })
+      ],
+      { rateRules, overtimeRules: [{ dailyHours: 8, multiplier: 1.5 }], windowRules: [] }
+    );
+
+    expect(summarizeEarnings(priced, "week").map((total) => [total.employer, total.hours, total.overtimeHours])).toEqual([
+      ["email", 2, 0],
+      ["Peachtree Stagehands", 5, 0],
+      ["rhino", 11, 3],
+      ["Southern Rigging", 7, 0]
+    ]);
+    expect(formatPricedShiftsCsv(priced).split("\r\n")[2].split(",")[2]).toBe("Southern Rigging");
+  });
+
+  it("exports totals and shifts as CSV", () => {
+    const priced = priceShifts([ledgerShift({ hours: 5, show: "SHOW, THE" })], { rateRules, overtimeRules: [], windowRules: [] });
+
+    expect(formatEarningsCsv(summarizeEarnings(priced, "week"))).toBe(
+      "Period,Employer,Shifts,Hours,Regular Hours,Overtime Hours,Pay,Unpriced Shifts\r\n2025-11-10,rhino,1,5,5,0,100.00,0\r\n"
+    );
+    expect(formatPricedShiftsCsv(priced).split("\r\n")[1]).toBe(
+      '2025-11-10,08:00,rhino,"SHOW, THE",GWCC,FREEMAN,SH,IN,5,listed,5,0,20.00,100.00,"rhino 11/10/2025 08:00 SHOW, THE"'
+    );
+  });
+});
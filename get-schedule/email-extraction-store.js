@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import { Firestore } from "@google-cloud/firestore";
+import { getFirestore } from "./firestore-client.js";
+
+/**
+ * The calls Gemini found in each stored email, one document per email keyed by a
+ * hash of its text, so an email is sent to Gemini once and later runs read its calls
+ * from here. An email without calls is recorded too, with none.
+ */
+
+const COLLECTION = "email_extractions";
+const BATCH_SIZE = 400;
+
+/**
+ * @param {string} text
+ */
+function extractionId(text) {
+  return crypto.createHash("sha256").update(text.trim()).digest("hex").slice(0, 32);
+}
+
+/**
+ * Cached calls of the emails that were extracted before, by email text.
+ * @param {string[]} texts
+ * @param {{ db?: import("@google-cloud/firestore").Firestore }} [options]
+ * @returns {Promise<Map<string, import("./sources/types.js").ScheduleEntry[]>>}
+ */
+export async function loadEmailExtractions(texts, options = {}) {
+  const db = options.db || getFirestore();
+  const collection = db.collection(COLLECTION);
+  const docs = await Promise.all(texts.map((text) => collection.doc(extractionId(text)).get()));
+  /** @type {Map<string, import("./sources/types.js").ScheduleEntry[]>} */
+  const extractions = new Map();
+  docs.forEach((doc, index) => {
+    if (doc.exists) extractions.set(texts[index], doc.data().entries || []);
+  });
+  return extractions;
+}
+
+/**
+ * Record the calls found in each email (an empty list for an email without any).
+ * @param {Map<string, import("./sources/types.js").ScheduleEntry[]>} extractions - by email text
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date }} [options]
+ */
+export async function saveEmailExtractions(extractions, options = {}) {
+  const db = options.db || getFirestore();
+  const collection = db.collection(COLLECTION);
+  const extractedAt = Firestore.Timestamp.fromDate(options.now || new Date());
+  const writes = [...extractions];
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [text, entries] of writes.slice(i, i + BATCH_SIZE)) {
+      // JSON-safe copy: Firestore rejects undefined values
+      batch.set(collection.doc(extractionId(text)), { entries: JSON.parse(JSON.stringify(entries)), extractedAt });
+    }
+    await batch.commit();
+  }
+}
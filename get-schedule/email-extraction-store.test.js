@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { loadEmailExtractions, saveEmailExtractions } from "./email-extraction-store.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+describe("email extraction store", () => {
+  const now = new Date("2026-11-05T12:00:00Z");
+  const callSheet = "From: Peachtree Stagehands <dispatch@peachtreestagehands.example>\nSubject: Call Sheet\n\n11/7 7:00AM Load In";
+  const newsletter = "From: Peachtree Stagehands <dispatch@peachtreestagehands.example>\nSubject: Newsletter\n\nNo calls";
+
+  it("returns the calls of emails extracted before, including ones without any", async () => {
+    const db = createFakeFirestore();
+    const loadIn = { source: "email", date: "11/7/2026", callTime: "07:00", show: "Hamilton", confidence: undefined };
+
+    await saveEmailExtractions(
+      new Map([
+        [callSheet, [loadIn]],
+        [newsletter, []]
+      ]),
+      { db, now }
+    );
+    const cached = await loadEmailExtractions([newsletter, `  ${callSheet}\n`, "Subject: New email"], { db });
+
+    expect([...cached.keys()]).toEqual([newsletter, `  ${callSheet}\n`]);
+    expect(cached.get(`  ${callSheet}\n`)).toEqual([{ source: "email", date: "11/7/2026", callTime: "07:00", show: "Hamilton" }]);
+    expect(cached.get(newsletter)).toEqual([]);
+    const [stored] = db.docsOf("email_extractions").values();
+    expect(stored.extractedAt.toDate().toISOString()).toBe("2026-11-05T12:00:00.000Z");
+  });
+
+  it("writes in batches Firestore accepts", async () => {
+    const db = createFakeFirestore();
+    const extractions = new Map(Array.from({ length: 450 }, (_, i) => [`Subject: Email ${i}`, []]));
+
+    await saveEmailExtractions(extractions, { db, now });
+
+    expect(db.docsOf("email_extractions").size).toBe(450);
+    expect(db.commits).toBe(2);
+  });
+});
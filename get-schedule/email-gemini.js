@@ -0,0 +1,106 @@
+import { DEFAULT_TIMEZONE } from "./sources/types.js";
+import { resolveScheduleEntriesWithValidation } from "./iatse927-gemini.js";
+import { emailSenderName } from "./email-message.js";
+
+/**
+ * The email source's Gemini extraction: the IATSE 927 pipeline (schema, verification,
+ * validation) with instructions and examples for dispatch emails and call sheets.
+ */
+
+const SOURCE_ID = "email";
+
+const SYSTEM_INSTRUCTION = `You extract confirmed crew calls from dispatch emails: call sheets, dispatch confirmations, schedule updates and cancellations sent by locals and production vendors.
+Each message starts with From, Subject and Date lines, then the body (quoted earlier replies are removed). The payload includes domainGuide (real examples) and may include knownCalls: the calls earlier emails listed, which are not sent again.
+
+Extraction rules:
+- Output one object per distinct crew call time (past and future). A call sheet listing several days or several call times is several entries.
+- type must be "Load In", "Load Out", or "Call" (shows, rehearsals and single-time work calls are "Call").
+- show is the show, event or production name; venue is the venue name; location is the street address when one is given, else empty.
+- position is the crew position when stated (e.g. "Rigger", "A2", "Spot Op").
+- details holds supplemental lines only: Parking, Contact, Notes (one labeled line each). Do not repeat Show, Call, Venue, or Address.
+- An update, reschedule or cancellation of a call in knownCalls returns that call, copied exactly from knownCalls, with status "cancelled"; a reschedule also returns the new time as a confirmed call. Do not return knownCalls the emails don't change.
+- An update or reschedule of a call in the same emails replaces it: return only the new time.
+- A call the sender cancels gets status "cancelled" (keep date, callTime and show as originally sent). Every other returned call has status "confirmed".
+- Ignore availability requests without a confirmation, newsletters, invoices, pay stubs and anything that isn't a call.
+- Use timezone ${DEFAULT_TIMEZONE} unless the email names another. Infer the year from the Date line.
+- Each entry needs evidenceIndices (0-based message indices) citing the emails it comes from.
+- confidence: high for an explicit confirmation or call sheet; medium when assigned without confirmation wording; low if uncertain.
+- Sort entries ascending by date, then callTime.
+
+Before returning, check every entry against the emails it cites and remove duplicates (a call sheet and its confirmation describe the same call).
+Put issues you notice in warnings (codes: WEAK_EVIDENCE, CONTRADICTION, DUPLICATE) but still return corrected entries.
+Return { entries, warnings }.`;
+
+export const EMAIL_DOMAIN_GUIDE = {
+  eventModel:
+    "Each calendar event is ONE crew call time. A call sheet with a 7AM load in and an 11PM load out is TWO events.",
+  callSheet: {
+    example:
+      "Subject: Call Sheet - Fox Theatre - Hamilton Load In / 11/7 7:00AM Load In (Carpenters), 11/8 11:00PM Load Out → TWO events: Load In 11/7 07:00, Load Out 11/8 23:00."
+  },
+  dispatchConfirmation: {
+    example:
+      "You are confirmed for Sat 11/14 8:00 AM Rigger call at State Farm Arena for Monster Jam → ONE Call event, position Rigger."
+  },
+  reschedule: {
+    example:
+      "UPDATE: Saturday's load in moves from 7AM to 9AM → ONE Load In event at 09:00, plus the 07:00 call copied from knownCalls with status cancelled (when it is there)."
+  },
+  cancellation: {
+    example:
+      "The 11/20 rehearsal call at the Tabernacle is cancelled → status cancelled for 11/20 with its original call time."
+  },
+  doNotSync: [
+    "Availability requests without a confirmation",
+    "Replies that only acknowledge a call already listed",
+    "Invoices, pay stubs, newsletters, payroll and onboarding emails"
+  ]
+};
+
+/**
+ * The sender of an email as stored (its "From:" line).
+ * @param {{ text: string }} message
+ */
+function storedMessageSender(message) {
+  const from = /^From: (.*)$/m.exec(message?.text || "")?.[1] || "";
+  return emailSenderName(from);
+}
+
+/** @type {import("./iatse927-gemini.js").GeminiExtractionProfile} */
+export const EMAIL_PROFILE = {
+  sourceId: SOURCE_ID,
+  systemInstruction: SYSTEM_INSTRUCTION,
+  domainGuide: EMAIL_DOMAIN_GUIDE,
+  prompt: "Extract all crew calls (confirmed and cancelled), double-check each against the emails, and return corrected entries plus any warnings:",
+  keepCancelled: true,
+  // Most of an inbox isn't dispatch, so a fetch can find no calls at all
+  allowNoEntries: true,
+  // The sender of the first cited email is the employer
+  postProcess: (entries, messages) =>
+    entries.map((entry) => {
+      const [first] = entry.evidenceIndices || [];
+      const client = first === undefined ? "" : storedMessageSender(messages[first]);
+      return client ? { ...entry, client } : entry;
+    })
+};
+
+/**
+ * Schedule entries in stored emails, with validation warnings.
+ * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
+ * @param {{ knownCalls?: import("./sources/types.js").ScheduleEntry[] }} [options] - calls
+ *   earlier emails listed, so an update or cancellation can name the call it changes
+ */
+export function resolveEmailScheduleEntries(messages, options = {}) {
+  const knownCalls = (options.knownCalls || []).map(({ date, callTime, show, venue, position, type }) => ({
+    date,
+    callTime,
+    show,
+    venue,
+    position,
+    type
+  }));
+  return resolveScheduleEntriesWithValidation(
+    messages,
+    knownCalls.length > 0 ? { ...EMAIL_PROFILE, context: { knownCalls } } : EMAIL_PROFILE
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * Internet message (RFC 5322 / MIME) reading for dispatch emails: header unfolding,
+ * encoded words (RFC 2047), multipart bodies, quoted-printable and base64 parts and
+ * their charsets. Only what the email source stores is read: Message-ID, From,
+ * Subject, Date and the text of the body (text/plain, else text/html as text).
+ */
+
+/**
+ * @typedef {Object} EmailMessage
+ * @property {string} messageId - Message-ID without angle brackets, "" when absent
+ * @property {string} from - decoded From header, e.g. "Crew Dispatch <dispatch@example.com>"
+ * @property {string} subject
+ * @property {Date | null} date - Date header, null when missing or unreadable
+ * @property {string} text - body text
+ */
+
+/**
+ * Split a message or MIME part (as a binary string) into its header block and body.
+ * @param {string} raw
+ */
+function splitHeaderAndBody(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  if (!match) return { header: raw, body: "" };
+  return { header: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+}
+
+/**
+ * Header fields by lower-cased name (first occurrence wins), folded lines joined.
+ * @param {string} header
+ * @returns {Map<string, string>}
+ */
+export function parseEmailHeaders(header) {
+  /** @type {Map<string, string>} */
+  const fields = new Map();
+  for (const line of String(header || "").replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!fields.has(name)) fields.set(name, line.slice(colon + 1).trim());
+  }
+  return fields;
+}
+
+/**
+ * Text of bytes in a charset, as UTF-8 when Node doesn't know the label.
+ * @param {Uint8Array} bytes
+ * @param {string | undefined} charset
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+/**
+ * Bytes of quoted-printable text (soft line breaks removed).
+ * @param {string} text - binary string
+ */
+function decodeQuotedPrintable(text) {
+  const binary = text
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(binary, "latin1");
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?UTF-8?Q?Caf=C3=A9?=", "=?utf-8?B?...?=");
+ * whitespace between two encoded words is dropped.
+ * @param {string} value
+ */
+export function decodeEncodedWords(value) {
+  return String(value || "")
+    .replace(/(\?=)\s+(=\?)/g, "$1$2")
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes =
+        encoding.toUpperCase() === "B"
+          ? Buffer.from(text, "base64")
+          : decodeQuotedPrintable(text.replace(/_/g, " "));
+      return decodeCharset(bytes, charset.split("*")[0]);
+    });
+}
+
+/**
+ * A header parameter such as charset or boundary.
+ * @param {string} value - e.g. 'multipart/alternative; boundary="b1"'
+ * @param {string} name
+ */
+function headerParam(value, name) {
+  const match = new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, "i").exec(value || "");
+  return match ? match[1] ?? match[2] : undefined;
+}
+
+/**
+ * Readable text of an HTML body: block ends become line breaks, tags are dropped and
+ * the common entities decoded.
+ * @param {string} html
+ */
+export function htmlToText(html) {
+  return String(html || "")
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * The plain and HTML text of a MIME part and its subparts (the first of each wins;
+ * attachments are skipped).
+ * @param {string} raw - binary string of the part
+ * @param {{ plain?: string; html?: string }} found
+ */
+function collectBodyText(raw, found) {
+  const { header, body } = splitHeaderAndBody(raw);
+  const fields = parseEmailHeaders(header);
+  const contentType = fields.get("content-type") || "text/plain";
+  const mediaType = contentType.split(";")[0].trim().toLowerCase();
+
+  if (mediaType.startsWith("multipart/")) {
+    const boundary = headerParam(contentType, "boundary");
+    if (!boundary) return;
+    const delimiter = `--${boundary}`;
+    const sections = body.split(delimiter).slice(1);
+    for (const section of sections) {
+      if (section.startsWith("--")) break;
+      collectBodyText(section.replace(/^[ \t]*\r?\n/, ""), found);
+    }
+    return;
+  }
+
+  if (/^attachment/i.test(fields.get("content-disposition") || "")) return;
+  if (mediaType !== "text/plain" && mediaType !== "text/html") return;
+
+  const encoding = (fields.get("content-transfer-encoding") || "").trim().toLowerCase();
+  const bytes =
+    encoding === "base64"
+      ? Buffer.from(body.replace(/\s+/g, ""), "base64")
+      : encoding === "quoted-printable"
+        ? decodeQuotedPrintable(body)
+        : Buffer.from(body, "latin1");
+  const text = decodeCharset(bytes, headerParam(contentType, "charset"));
+
+  if (mediaType === "text/plain" && found.plain === undefined) found.plain = text;
+  if (mediaType === "text/html" && found.html === undefined) found.html = text;
+}
+
+/**
+ * @param {Buffer | string} raw - the message as fetched (a string is read as UTF-8)
+ * @returns {EmailMessage}
+ */
+export function parseEmailMessage(raw) {
+  const binary = Buffer.isBuffer(raw) ? raw.toString("latin1") : Buffer.from(String(raw), "utf8").toString("latin1");
+  const { header } = splitHeaderAndBody(binary);
+  const fields = parseEmailHeaders(header);
+  /** @type {{ plain?: string; html?: string }} */
+  const found = {};
+  collectBodyText(binary, found);
+
+  const date = fields.has("date") ? new Date(fields.get("date")) : null;
+  return {
+    messageId: (fields.get("message-id") || "").replace(/^<|>$/g, "").trim(),
+    from: decodeEncodedWords(fields.get("from") || ""),
+    subject: decodeEncodedWords(fields.get("subject") || ""),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    text: (found.plain ?? htmlToText(found.html || "")).replace(/\r\n/g, "\n").trim()
+  };
+}
+
+/**
+ * Display name of a From header ("Crew Dispatch <d@x>" -> "Crew Dispatch"), else its address.
+ * @param {string} from
+ */
+export function emailSenderName(from) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(from || "");
+  if (match) return match[1].trim() || match[2].trim();
+  return String(from || "").trim();
+}
+
+/**
+ * Address of a From header, lower-cased ("Crew Dispatch <D@x.com>" -> "d@x.com"); ""
+ * when it has none.
+ * @param {string} from
+ */
+export function emailSenderAddress(from) {
+  const address = /<([^>]+)>/.exec(from || "")?.[1] ?? String(from || "");
+  return /^[^\s@<>]+@[^\s@<>]+$/.test(address.trim()) ? address.trim().toLowerCase() : "";
+}
+
+/**
+ * What is stored and sent to Gemini for one email: its From, Subject and Date lines,
+ * then the body without the quoted earlier messages of a reply.
+ * @param {EmailMessage} email
+ */
+export function emailMessageText(email) {
+  const lines = [];
+  let quoted = false;
+  for (const line of email.text.split("\n")) {
+    // "On Tue, Nov 3, 2026 at 9:12 AM Crew Dispatch <...> wrote:" starts the quote
+    if (/^On .+ wrote:\s*$/.test(line.trim()) || /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())) {
+      quoted = true;
+    }
+    if (quoted || line.startsWith(">")) continue;
+    lines.push(line);
+  }
+  return [
+    `From: ${email.from}`,
+    `Subject: ${email.subject}`,
+    ...(email.date ? [`Date: ${email.date.toISOString()}`] : []),
+    "",
+    lines.join("\n").trim()
+  ].join("\n");
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  decodeEncodedWords,
+  emailMessageText,
+  emailSenderAddress,
+  emailSenderName,
+  htmlToText,
+  parseEmailMessage
+} from "./email-message.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+/** @param {string} name */
+const readFixture = (name) => fs.readFile(path.join(FIXTURES_DIR, name));
+
+describe("parseEmailMessage", () => {
+  it("prefers the quoted-printable text part of a multipart email and decodes its headers", async () => {
+    const email = parseEmailMessage(await readFixture("email-call-sheet.eml"));
+
+    expect(email).toMatchObject({
+      messageId: "callsheet-1107@peachtreestagehands.example",
+      from: "Peachtree Stagehands <dispatch@peachtreestagehands.example>",
+      subject: "Call Sheet – Fox Theatre Hamilton"
+    });
+    expect(email.date?.toISOString()).toBe("2026-11-02T14:14:00.000Z");
+    expect(email.text).toContain("Sat 11/7 7:00 AM Load In (Carpenters)");
+    // Soft line break joined
+    expect(email.text).toContain("Please reply to confirm your calls.");
+  });
+
+  it("reads a base64 HTML body as text and skips attachments", async () => {
+    const email = parseEmailMessage(await readFixture("email-dispatch-confirmation.eml"));
+
+    expect(email.text).toContain("You are confirmed for Sat 11/14 8:00 AM Rigger call at State Farm Arena for Monster Jam.");
+    expect(email.text).toContain("Thanks & see you there,\nArena Crew Services");
+    expect(email.text).not.toMatch(/<|margin|JVBER/);
+  });
+
+  it("decodes a body in its declared charset", async () => {
+    const email = parseEmailMessage(await readFixture("email-cancellation.eml"));
+    expect(email.text).toContain("Merci, Renée");
+  });
+
+  it("leaves fields empty rather than failing on a bare message", () => {
+    expect(parseEmailMessage("Subject: hi\n\nCall at 9")).toEqual({
+      messageId: "",
+      from: "",
+      subject: "hi",
+      date: null,
+      text: "Call at 9"
+    });
+  });
+});
+
+describe("emailMessageText", () => {
+  it("leads with From, Subject and Date and drops the quoted earlier message", async () => {
+    const text = emailMessageText(parseEmailMessage(await readFixture("email-cancellation.eml")));
+
+    expect(text).toBe(
+      [
+        "From: Peachtree Stagehands <dispatch@peachtreestagehands.example>",
+        "Subject: Re: Rehearsal call 11/20",
+        "Date: 2026-11-04T16:02:00.000Z",
+        "",
+        "The 11/20 9:00 AM rehearsal call at the Tabernacle is cancelled. Merci, Renée"
+      ].join("\n")
+    );
+  });
+});
+
+describe("email header helpers", () => {
+  it("decodes B and Q encoded words", () => {
+    expect(decodeEncodedWords("=?utf-8?B?Q2Fmw6k=?= =?ISO-8859-1?Q?_Ren=E9e?= call")).toBe("Café Renée call");
+  });
+
+  it("names the sender by display name, else address", () => {
+    expect(emailSenderName('"Arena Crew Services" <jobs@arenacrew.example>')).toBe("Arena Crew Services");
+    expect(emailSenderName("<jobs@arenacrew.example>")).toBe("jobs@arenacrew.example");
+    expect(emailSenderName("jobs@arenacrew.example")).toBe("jobs@arenacrew.example");
+  });
+
+  it("reads the sender's address, lower-cased", () => {
+    expect(emailSenderAddress('"Arena Crew Services" <Jobs@ArenaCrew.example>')).toBe("jobs@arenacrew.example");
+    expect(emailSenderAddress(" jobs@arenacrew.example ")).toBe("jobs@arenacrew.example");
+    expect(emailSenderAddress("Arena Crew Services")).toBe("");
+  });
+
+  it("turns HTML blocks into lines", () => {
+    expect(htmlToText("<p>Load in&nbsp;7AM</p><p>Dock&nbsp;B &amp; C</p>")).toBe("Load in 7AM\nDock B & C");
+  });
+});
@@ -5,7 +5,7 @@ import {
   getFirestoreProjectId,
   firestoreStringValue,
   firestoreTimestampValue
-} from "./iatse927-firestore-auth.js";
+} from "./firestore-auth.js";
 
 describe("isFirestoreCredentialsError", () => {
   it("detects default credentials errors", () => {
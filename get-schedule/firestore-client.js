@@ -0,0 +1,26 @@
+import { Firestore } from "@google-cloud/firestore";
+import { getFirestoreProjectId } from "./firestore-auth.js";
+
+/**
+ * The Firestore SDK client every store shares (the project's default database).
+ */
+
+/** @type {import("@google-cloud/firestore").Firestore | null} */
+let db = null;
+
+/**
+ * Shared Firestore SDK client, created on first use.
+ * @returns {import("@google-cloud/firestore").Firestore}
+ */
+export function getFirestore() {
+  if (!db) {
+    const projectId = getFirestoreProjectId();
+    db = new Firestore({ projectId, databaseId: "(default)" });
+  }
+  return db;
+}
+
+/** Drop the client, e.g. after its credentials failed; the next getFirestore makes a new one. */
+export function resetFirestoreClient() {
+  db = null;
+}
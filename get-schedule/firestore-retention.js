@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import { Firestore } from "@google-cloud/firestore";
+
+/**
+ * Time-limited Firestore history (sync runs, portal captures): document ids that sort
+ * by start time, an expiresAt that is usable as a Firestore TTL field, and pruning of
+ * expired documents after each save for projects without a TTL policy.
+ */
+
+const PRUNE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Document id that sorts by start time (within a prefix), with a random suffix so
+ * two saves in the same millisecond don't collide.
+ * @param {Date} startedAt
+ * @param {string} [prefix] - e.g. a source id
+ */
+export function timeSortedDocId(startedAt, prefix = "") {
+  const id = `${startedAt.toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`;
+  return prefix ? `${prefix}-${id}` : id;
+}
+
+/**
+ * expiresAt for a document saved at now and kept for days.
+ * @param {Date} now
+ * @param {number} days
+ */
+export function expiresAtAfterDays(now, days) {
+  return Firestore.Timestamp.fromDate(new Date(now.getTime() + days * DAY_MS));
+}
+
+/**
+ * Delete documents of a collection whose expiresAt has passed (at most one batch).
+ * @param {import("@google-cloud/firestore").Firestore} db
+ * @param {string} collection
+ * @param {Date} now
+ * @returns {Promise<number>} documents deleted
+ */
+export async function pruneExpiredDocs(db, collection, now) {
+  const snap = await db
+    .collection(collection)
+    .where("expiresAt", "<", Firestore.Timestamp.fromDate(now))
+    .limit(PRUNE_BATCH_SIZE)
+    .get();
+  if (snap.empty) return 0;
+
+  const batch = db.batch();
+  for (const doc of snap.docs) batch.delete(doc.ref);
+  await batch.commit();
+  return snap.docs.length;
+}
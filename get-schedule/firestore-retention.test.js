@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { Firestore } from "@google-cloud/firestore";
+import { expiresAtAfterDays, pruneExpiredDocs, timeSortedDocId } from "./firestore-retention.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+describe("firestore retention", () => {
+  const now = new Date("2026-11-05T12:00:00Z");
+
+  it("builds ids that sort by start time, after an optional prefix", () => {
+    expect(timeSortedDocId(now)).toMatch(/^2026-11-05T12-00-00-000Z-[0-9a-f]{6}$/);
+    expect(timeSortedDocId(now, "crewOne")).toMatch(/^crewOne-2026-11-05T12-00-00-000Z-[0-9a-f]{6}$/);
+    expect(timeSortedDocId(now)).not.toBe(timeSortedDocId(now));
+  });
+
+  it("deletes only the documents whose expiresAt has passed", async () => {
+    const db = createFakeFirestore();
+    const docs = db.docsOf("sync_runs");
+    docs.set("expired", { expiresAt: Firestore.Timestamp.fromDate(new Date("2026-11-05T11:59:59Z")) });
+    docs.set("kept", { expiresAt: expiresAtAfterDays(now, 7) });
+    docs.set("other", { startedAt: "2026-11-01T00:00:00Z" });
+
+    expect(await pruneExpiredDocs(db, "sync_runs", now)).toBe(1);
+    expect([...docs.keys()]).toEqual(["kept", "other"]);
+    expect(docs.get("kept").expiresAt.toDate().toISOString()).toBe("2026-11-12T12:00:00.000Z");
+  });
+});
@@ -1,136 +1,370 @@
 import dotenv from "dotenv";
 
 import { authorize } from "./google-calendar/auth.js";
-import { addEvent, purgeCrewOneDeadlineReminderEvents, purgeOrphanedSourceEvents } from "./google-calendar/add-event.js";
+import { openSourceSync } from "./google-calendar/add-event.js";
 import { withAuthRetry } from "./auth-handler.js";
-import { trySyncIatse927FromStore } from "./ingest-iatse927.js";
-import { isFirestoreCredentialsError } from "./iatse927-firestore-auth.js";
+import { trySyncSmsSourceFromStore } from "./sms-source-sync.js";
+import { smsSources } from "./sms-sources.js";
+import { isFirestoreCredentialsError } from "./firestore-auth.js";
 import { getPuppeteer, getPortalBrowserLaunchOptions, configurePortalPage, gotoPortalPage } from "./puppeteer.js";
-import { getEnabledSourceIds, getSource } from "./sources/index.js";
-import { DEFAULT_TIMEZONE } from "./sources/types.js";
+import { getEnabledSourceIds, getSource, getSourceTimezone, sources } from "./sources/index.js";
+import { readSourceCredentials } from "./sources/credentials.js";
 import { isEventCancelled, logAndMapEvents, scheduleRowId } from "./utils.js";
-import { buildCrewOneDeadlineReminderEvent } from "./sources/crewOne.js";
+import {
+  addDeletionsToPlan,
+  addSyncResultToPlan,
+  createSourcePlan,
+  formatPlanLogLine
+} from "./sync-plan.js";
+import {
+  createSyncReport,
+  finishSyncReport,
+  markSourceSkipped,
+  recordSourceSync,
+  sourceReportFor
+} from "./sync-report.js";
+import { createSourceSnapshot, trySaveSyncRun } from "./sync-run-store.js";
+import { trySaveShiftLedger } from "./shift-ledger-store.js";
+import { collectShiftChanges, notifyShiftChanges } from "./notifications.js";
+import { findShiftConflicts, stripConflictMarker, withConflictMarkers } from "./shift-conflicts.js";
+import { loadFeedEvents } from "./ics-feed.js";
 
 dotenv.config();
 
+/**
+ * Sources whose fetch is a complete snapshot of all upcoming calls (their
+ * completeSnapshot flag, e.g. the CrewOne dashboard), so a call that's no longer
+ * listed has been taken off the schedule and should be removed.
+ * @returns {string[]}
+ */
+function completeSnapshotSourceIds() {
+  return Object.keys(sources).filter((sourceId) => sources[sourceId].completeSnapshot === true);
+}
+
+/**
+ * Shifts of the enabled and SMS sources a { sourceIds } run leaves out, as their last
+ * sync wrote them to the calendar, so the run's own shifts are still checked against
+ * them. Titles come without their conflict marker; those events are only rewritten
+ * when their own source syncs.
+ * @param {import("google-auth-library").OAuth2Client | import("./google-calendar/backends/types.js").CalendarBackend} auth
+ * @param {string[]} sourceIds - the sources the run syncs
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<import("./ics-feed.js").FeedEvent[]>}
+ */
+export async function loadUnsyncedSourceEvents(auth, sourceIds, options = {}) {
+  const otherIds = [...new Set([...getEnabledSourceIds(), ...Object.keys(smsSources)])].filter(
+    (sourceId) => !sourceIds.includes(sourceId)
+  );
+  if (otherIds.length === 0) return [];
+  const events = await loadFeedEvents(auth, { sourceIds: otherIds, now: options.now });
+  return events.map((event) => ({ ...event, summary: stripConflictMarker(event.summary) }));
+}
+
 /**
  * @param {import("./sources/types.js").ScheduleEntry[]} entries
  * @param {string} sourceId
  */
 function filterAndMapEvents(entries, sourceId) {
-  return logAndMapEvents(entries, sourceId, { futureOnly: true, timezone: DEFAULT_TIMEZONE });
+  return logAndMapEvents(entries, sourceId, { futureOnly: true, timezone: getSourceTimezone(sourceId) });
 }
 
 /**
- * @param {ReturnType<typeof buildCrewOneDeadlineReminderEvent>} event
+ * @param {import("./sources/types.js").DerivedEvent} event
  * @param {string} sourceId
+ * @param {string} label - the derived kind's label, e.g. "deadline reminder"
  */
-export function formatDeadlineReminderLogLine(event, sourceId) {
+export function formatDerivedEventLogLine(event, sourceId, label) {
   const summary = event?.summary || "Untitled reminder";
   const start = event?.start || "unknown time";
-  return `  🕒 [${sourceId}] deadline reminder ${summary} (${start})`;
+  return `  🕒 [${sourceId}] ${label} ${summary} (${start})`;
 }
 
 /**
+ * Enabled sources this run fetches itself: portal sources (fetchSchedule, in a browser)
+ * and feed sources (fetchEntries).
  * @param {string[]} enabledIds
+ * @param {import("./sync-report.js").SyncReport} [report] - sources without credentials are reported as skipped
  */
-function getRunnablePortalSourceIds(enabledIds) {
+function getRunnableFetchSourceIds(enabledIds, report) {
   /** @type {string[]} */
   const runnable = [];
   for (const sourceId of enabledIds) {
     const source = getSource(sourceId);
-    if (typeof source.fetchSchedule !== "function") continue;
-    if (!source.getCredentials?.()) continue;
+    if (typeof source.fetchSchedule !== "function" && typeof source.fetchEntries !== "function") continue;
+    if (source.credentials && !readSourceCredentials(source)) {
+      if (report) markSourceSkipped(sourceReportFor(report, sourceId), "credentials not configured");
+      continue;
+    }
     runnable.push(sourceId);
   }
   return runnable;
 }
 
+/**
+ * Events of one of a source's derivedEvents kinds, rebuilt from every fetch.
+ * @typedef {{ kind: import("./sources/types.js").DerivedEventKind; events: import("./sources/types.js").DerivedEvent[] }} DerivedEventPlan
+ */
+
+/**
+ * What a portal source fetched, ready to sync.
+ * @typedef {{ googleEvents: ReturnType<typeof filterAndMapEvents>; derivedEvents: DerivedEventPlan[]; activeRowIds: string[]; cancelledRowIds: string[] }} PortalSyncPlan
+ */
+
+/**
+ * Plan the sync of what a source fetched, recording its snapshot and counts.
+ * @param {string} sourceId
+ * @param {import("./sources/types.js").ScheduleEntry[]} entries
+ * @param {{
+ *   sourceReport: import("./sync-report.js").SourceReport;
+ *   snapshots: Record<string, import("./sync-run-store.js").SourceSnapshot>;
+ * }} options
+ * @returns {PortalSyncPlan}
+ */
+function planFetchedEntries(sourceId, entries, { sourceReport, snapshots }) {
+  snapshots[sourceId] = createSourceSnapshot(sourceId, entries);
+  const validEntries = entries.filter((entry) => !isEventCancelled(entry));
+  const cancelledEntries = entries.filter((entry) => isEventCancelled(entry));
+  const derivedEvents = (getSource(sourceId).derivedEvents || []).map((kind) => ({ kind, events: kind.build(entries) }));
+  sourceReport.fetched = entries.length;
+  sourceReport.cancelled = cancelledEntries.length;
+
+  return {
+    googleEvents: filterAndMapEvents(entries, sourceId),
+    derivedEvents,
+    activeRowIds: validEntries.map((entry) => scheduleRowId(entry)),
+    cancelledRowIds: cancelledEntries.map((entry) => scheduleRowId(entry))
+  };
+}
+
+/**
+ * The entries and offers of a fetch, whichever shape the source returned.
+ * @param {import("./sources/types.js").ScheduleEntry[] | import("./sources/types.js").SourceFetchResult} fetched
+ * @returns {Required<import("./sources/types.js").SourceFetchResult>}
+ */
+function readFetchResult(fetched) {
+  if (Array.isArray(fetched)) return { entries: fetched, offers: [] };
+  return { entries: fetched.entries, offers: fetched.offers || [] };
+}
+
+/**
+ * @param {string} sourceId
+ * @param {import("./sync-report.js").SourceReport} sourceReport
+ * @param {unknown} err
+ */
+function skipFailedFetch(sourceId, sourceReport, err) {
+  // Isolate per-source failures so one source (e.g. a timeout or a login
+  // interstitial) doesn't discard schedules already fetched from other sources.
+  const message = err instanceof Error ? err.message : String(err);
+  console.warn(`⚠️  [${sourceId}] skipped: ${message}`);
+  markSourceSkipped(sourceReport, message);
+}
+
+/**
+ * Fetch the feed sources (fetchEntries), which need no browser.
+ * @param {string[]} feedSourceIds
+ * @param {{
+ *   report: import("./sync-report.js").SyncReport;
+ *   snapshots: Record<string, import("./sync-run-store.js").SourceSnapshot>;
+ * }} options
+ * @param {Map<string, PortalSyncPlan>} syncPlanBySource - sources that fetched successfully are added
+ */
+async function fetchFeedSources(feedSourceIds, options, syncPlanBySource) {
+  const { report, snapshots } = options;
+  for (const sourceId of feedSourceIds) {
+    const sourceReport = sourceReportFor(report, sourceId);
+    const fetchStartedAt = Date.now();
+    console.log(`🌐 Fetching schedule from ${sourceId}...`);
+    try {
+      const { entries, offers } = readFetchResult(await getSource(sourceId).fetchEntries());
+      report.offers.push(...offers);
+      syncPlanBySource.set(sourceId, planFetchedEntries(sourceId, entries, { sourceReport, snapshots }));
+    } catch (err) {
+      skipFailedFetch(sourceId, sourceReport, err);
+    } finally {
+      sourceReport.durations.fetchMs = Date.now() - fetchStartedAt;
+    }
+  }
+}
+
 /**
  * @param {import("puppeteer").Browser} browser
  * @param {string[]} portalSourceIds
+ * @param {{
+ *   report: import("./sync-report.js").SyncReport;
+ *   snapshots: Record<string, import("./sync-run-store.js").SourceSnapshot>;
+ * }} options
+ * @returns {Promise<Map<string, PortalSyncPlan>>} sources that fetched successfully
  */
-async function syncPortalSources(browser, portalSourceIds) {
-  /** @type {Map<string, { googleEvents: ReturnType<typeof filterAndMapEvents>; reminderEvents: Array<ReturnType<typeof buildCrewOneDeadlineReminderEvent>>; activeRowIds: string[]; cancelledRowIds: string[] }>} */
+async function fetchPortalSources(browser, portalSourceIds, options) {
+  const { report, snapshots } = options;
+  /** @type {Map<string, PortalSyncPlan>} */
   const syncPlanBySource = new Map();
 
   for (const sourceId of portalSourceIds) {
     const source = getSource(sourceId);
+    const sourceReport = sourceReportFor(report, sourceId);
+    const fetchStartedAt = Date.now();
     console.log(`🌐 Fetching schedule from ${sourceId}...`);
     const page = await browser.newPage();
     await configurePortalPage(page);
     try {
-      const entries = await source.fetchSchedule(page);
-      const validEntries = entries.filter((entry) => !isEventCancelled(entry));
-      const cancelledEntries = entries.filter((entry) => isEventCancelled(entry));
-      const activeRowIds = validEntries.map((entry) => scheduleRowId(entry));
-      const cancelledRowIds = cancelledEntries.map((entry) => scheduleRowId(entry));
-      const reminderEvents =
-        sourceId === "crewOne"
-          ? entries
-              .map((entry) => buildCrewOneDeadlineReminderEvent(entry))
-              .filter(Boolean)
-          : [];
-
-      syncPlanBySource.set(sourceId, {
-        googleEvents: filterAndMapEvents(entries, sourceId),
-        reminderEvents,
-        activeRowIds,
-        cancelledRowIds
-      });
+      const { entries, offers } = readFetchResult(await source.fetchSchedule(page));
+      report.offers.push(...offers);
+      syncPlanBySource.set(sourceId, planFetchedEntries(sourceId, entries, { sourceReport, snapshots }));
     } catch (err) {
-      // Isolate per-source failures so one portal source (e.g. a timeout or a
-      // login interstitial) doesn't discard schedules already fetched from
-      // other sources.
-      const message = err instanceof Error ? err.message : String(err);
-      console.warn(`⚠️  [${sourceId}] skipped: ${message}`);
+      skipFailedFetch(sourceId, sourceReport, err);
     } finally {
+      sourceReport.durations.fetchMs = Date.now() - fetchStartedAt;
       await page.close();
     }
   }
+  return syncPlanBySource;
+}
+
+/**
+ * @param {Map<string, PortalSyncPlan>} syncPlanBySource
+ * @param {{
+ *   dryRun?: boolean;
+ *   report: import("./sync-report.js").SyncReport;
+ *   changes: import("./notifications.js").ShiftChange[];
+ * }} options - changes collects the shift changes written to the calendar
+ * @returns {Promise<Record<string, import("./sync-plan.js").SourcePlan>>} dry-run plans by source
+ */
+async function syncPortalSources(syncPlanBySource, options) {
+  const dryRun = options.dryRun === true;
+  const { report, changes } = options;
+  /** @type {Record<string, import("./sync-plan.js").SourcePlan>} */
+  const plans = {};
 
   if (syncPlanBySource.size === 0) {
-    if (portalSourceIds.length > 0) {
-      console.warn("⚠️  Portal sources ran but produced no events to sync.");
-    }
-    return;
+    console.warn("⚠️  Portal and feed sources ran but produced no events to sync.");
+    return plans;
   }
 
   let auth = await authorize();
 
-  for (const [sourceId, { googleEvents, reminderEvents, activeRowIds, cancelledRowIds }] of syncPlanBySource) {
-    // CrewOne's dashboard is a complete snapshot of all upcoming calls, so a call
-    // that's no longer listed has been taken off the schedule and should be removed.
-    const removeAbsent = sourceId === "crewOne";
-    auth = await withAuthRetry(auth, async (a) => {
-      if (sourceId === "crewOne") {
-        await purgeCrewOneDeadlineReminderEvents(a);
-      }
-      await purgeOrphanedSourceEvents(a, sourceId, activeRowIds, { cancelledRowIds, removeAbsent });
-      return a;
-    });
-
-    for (const event of googleEvents) {
+  const pendingSourceIds = [...syncPlanBySource.keys()];
+  for (const [sourceId, { googleEvents, derivedEvents, activeRowIds, cancelledRowIds }] of syncPlanBySource) {
+    const removeAbsent = getSource(sourceId).completeSnapshot === true;
+    const sourceReport = sourceReportFor(report, sourceId);
+    const syncStartedAt = Date.now();
+    pendingSourceIds.shift();
+    let plan = createSourcePlan(sourceId);
+    /** @type {Parameters<typeof recordSourceSync>[1]} */
+    let outcome = {};
+    // Each calendar is listed once per run and every write goes out in batches on
+    // flush. The whole source reruns on an auth retry; writes use deterministic
+    // ids, so a partly flushed run is picked up again as updates.
+    try {
       auth = await withAuthRetry(auth, async (a) => {
-        await addEvent(a, event);
+        plan = createSourcePlan(sourceId);
+        outcome = { deletions: [], syncResults: [], writes: dryRun ? null : [] };
+        const session = await openSourceSync(a, sourceId, { dryRun });
+        // One session per derived kind: each only sees events of its own kind
+        const derivedSessions = [];
+        for (const { kind } of derivedEvents) {
+          derivedSessions.push(await openSourceSync(a, sourceId, { dryRun, kind: kind.kind }));
+        }
+
+        for (const derivedSession of derivedSessions) outcome.deletions.push(...derivedSession.purgeDerived());
+        outcome.deletions.push(...session.purgeOrphaned(activeRowIds, { cancelledRowIds, removeAbsent }));
+        addDeletionsToPlan(plan, outcome.deletions);
+
+        for (const event of googleEvents) {
+          outcome.syncResults.push(await session.sync(event));
+        }
+        for (const [index, { kind, events }] of derivedEvents.entries()) {
+          for (const event of events) {
+            console.log(formatDerivedEventLogLine(event, sourceId, kind.label));
+            outcome.syncResults.push(await derivedSessions[index].sync(event));
+          }
+        }
+        for (const result of outcome.syncResults) addSyncResultToPlan(plan, result);
+
+        if (!dryRun) {
+          outcome.writes.push(...(await session.flush()));
+          for (const derivedSession of derivedSessions) outcome.writes.push(...(await derivedSession.flush()));
+        }
         return a;
       });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      sourceReport.status = "failed";
+      sourceReport.errors.push({ message });
+      for (const pendingId of pendingSourceIds) {
+        markSourceSkipped(sourceReportFor(report, pendingId), `not synced: ${sourceId} failed`);
+      }
+      throw err;
+    } finally {
+      sourceReport.durations.syncMs = Date.now() - syncStartedAt;
     }
+    recordSourceSync(sourceReport, outcome);
+    changes.push(...collectShiftChanges(sourceId, outcome));
 
-    for (const event of reminderEvents) {
-      console.log(formatDeadlineReminderLogLine(event, sourceId));
-      auth = await withAuthRetry(auth, async (a) => {
-        await addEvent(a, event);
-        return a;
-      });
+    if (dryRun) {
+      console.log(formatPlanLogLine(plan));
+      plans[sourceId] = plan;
     }
   }
+
+  return plans;
 }
 
-export default async function getSchedule() {
-  const enabledIds = getEnabledSourceIds();
-  const portalSourceIds = getRunnablePortalSourceIds(enabledIds);
-  let portalSourcesRan = 0;
+/**
+ * Run every configured source. With { dryRun: true } the calendar is read but never
+ * written, and the planned creates/updates/deletes are returned per source.
+ * Either way the run's per-source report is returned. { sourceIds } runs only those
+ * of the configured sources; their shifts are still checked for overlaps against the
+ * other sources' calendar events.
+ * @param {{ dryRun?: boolean; sourceIds?: string[] }} [options]
+ * @returns {Promise<{
+ *   dryRun: boolean;
+ *   report: import("./sync-report.js").SyncReport;
+ *   sources?: Record<string, import("./sync-plan.js").SourcePlan>;
+ * }>}
+ */
+export default async function getSchedule(options = {}) {
+  const dryRun = options.dryRun === true;
+  const report = createSyncReport({ dryRun });
+  /** @type {Record<string, import("./sync-run-store.js").SourceSnapshot>} */
+  const snapshots = {};
+  let runError = null;
+  try {
+    const plans = await syncAllSources({ dryRun, sourceIds: options.sourceIds, report, snapshots });
+    return dryRun ? { dryRun: true, report, sources: plans } : { dryRun: false, report };
+  } catch (err) {
+    runError = err;
+    throw err;
+  } finally {
+    finishSyncReport(report);
+    await trySaveSyncRun(report, snapshots, { error: runError });
+    if (!dryRun) await trySaveShiftLedger(snapshots, { removeAbsent: completeSnapshotSourceIds() });
+  }
+}
+
+/**
+ * @param {{
+ *   dryRun: boolean;
+ *   sourceIds?: string[];
+ *   report: import("./sync-report.js").SyncReport;
+ *   snapshots: Record<string, import("./sync-run-store.js").SourceSnapshot>;
+ * }} options - snapshots is filled with what each source returned
+ * @returns {Promise<Record<string, import("./sync-plan.js").SourcePlan>>} dry-run plans by source
+ */
+async function syncAllSources({ dryRun, sourceIds, report, snapshots }) {
+  /** @type {Record<string, import("./sync-plan.js").SourcePlan>} */
+  let plans = {};
+  /** @type {import("./notifications.js").ShiftChange[]} */
+  const changes = [];
+  /** @param {string} sourceId */
+  const isSelected = (sourceId) => !sourceIds || sourceIds.includes(sourceId);
+  const enabledIds = getEnabledSourceIds().filter(isSelected);
+  const runnableIds = getRunnableFetchSourceIds(enabledIds, report);
+  const portalSourceIds = runnableIds.filter((sourceId) => typeof getSource(sourceId).fetchSchedule === "function");
+  const feedSourceIds = runnableIds.filter((sourceId) => !portalSourceIds.includes(sourceId));
+  let fetchSourcesRan = 0;
+  /** @type {Map<string, PortalSyncPlan>} */
+  let portalPlans = new Map();
 
   if (portalSourceIds.length > 0) {
     try {
@@ -139,35 +373,113 @@ export default async function getSchedule() {
       // (some environments don't support the "new" headless mode string).
       const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
       try {
-        portalSourcesRan = portalSourceIds.length;
-        await syncPortalSources(browser, portalSourceIds);
+        fetchSourcesRan = portalSourceIds.length;
+        portalPlans = await fetchPortalSources(browser, portalSourceIds, { report, snapshots });
       } finally {
         await browser.close();
       }
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
       console.warn(`⚠️  Portal sync skipped: ${message}`);
+      for (const sourceId of portalSourceIds) {
+        if (!report.sources[sourceId]) markSourceSkipped(sourceReportFor(report, sourceId), message);
+      }
     }
   } else {
     console.log("ℹ️  No portal sources configured with credentials; skipping browser sync.");
   }
 
-  let iatseResult = null;
-  try {
-    iatseResult = await trySyncIatse927FromStore();
-  } catch (err) {
-    if (isFirestoreCredentialsError(err)) {
-      console.warn(
-        `⚠️  Skipping iatse927: Firestore credentials not available (${err instanceof Error ? err.message : err})`
-      );
-    } else {
-      throw err;
+  if (feedSourceIds.length > 0) {
+    fetchSourcesRan += feedSourceIds.length;
+    await fetchFeedSources(feedSourceIds, { report, snapshots }, portalPlans);
+  }
+
+  // Shifts from every source are checked for double bookings before any of them is
+  // written. SMS sources' shifts only exist once their messages are parsed, so the
+  // check runs from inside each SMS sync, or before the portal sync when none mapped any.
+  // Each check starts from the portal events as fetched and includes the SMS sources
+  // synced before it; those were written already, so a conflict with a later SMS source
+  // is marked on the later source's events and the portal events only.
+  // A run of only some sources also checks the other sources' shifts as the calendar
+  // has them, and reports the overlaps that involve its own.
+  let conflictsChecked = false;
+  /** @type {import("./ics-feed.js").FeedEvent[]} */
+  let unsyncedEvents = [];
+  if (sourceIds) {
+    try {
+      unsyncedEvents = await loadUnsyncedSourceEvents(await authorize(), sourceIds);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.warn(`⚠️  Overlaps with the sources this run doesn't sync not checked: ${message}`);
     }
   }
+  const unmarkedPortalEvents = new Map([...portalPlans].map(([sourceId, plan]) => [sourceId, plan.googleEvents]));
+  /** @type {ReturnType<typeof filterAndMapEvents>} */
+  const checkedMessageEvents = [];
+  /**
+   * @param {ReturnType<typeof filterAndMapEvents>} otherEvents
+   * @returns {ReturnType<typeof filterAndMapEvents>} otherEvents, flagged
+   */
+  const checkConflicts = (otherEvents) => {
+    conflictsChecked = true;
+    const portalEvents = [...unmarkedPortalEvents.values()].flat();
+    report.conflicts = findShiftConflicts([...portalEvents, ...checkedMessageEvents, ...unsyncedEvents, ...otherEvents])
+      .filter((conflict) => conflict.shifts.some((shift) => isSelected(shift.source)));
+    checkedMessageEvents.push(...otherEvents);
+    for (const conflict of report.conflicts) {
+      const [a, b] = conflict.shifts;
+      console.warn(`⚠️  Shift ${conflict.category}: [${a.source}] ${a.summary} overlaps [${b.source}] ${b.summary}`);
+    }
+    for (const [sourceId, plan] of portalPlans) {
+      plan.googleEvents = withConflictMarkers(unmarkedPortalEvents.get(sourceId), report.conflicts);
+    }
+    return withConflictMarkers(otherEvents, report.conflicts);
+  };
 
-  if (portalSourcesRan === 0 && !iatseResult) {
+  /** @type {import("./sms-source-sync.js").SmsSyncResult[]} */
+  const smsResults = [];
+  for (const sourceId of Object.keys(smsSources).filter(isSelected)) {
+    try {
+      const result = await trySyncSmsSourceFromStore(sourceId, {
+        dryRun,
+        onSkip: (reason) => markSourceSkipped(sourceReportFor(report, sourceId), reason),
+        beforeCalendarSync: checkConflicts
+      });
+      if (result) smsResults.push(result);
+    } catch (err) {
+      if (isFirestoreCredentialsError(err)) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.warn(`⚠️  Skipping ${sourceId}: Firestore credentials not available (${message})`);
+        markSourceSkipped(sourceReportFor(report, sourceId), `Firestore credentials not available (${message})`);
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  if (fetchSourcesRan > 0) {
+    if (!conflictsChecked) checkConflicts([]);
+    try {
+      plans = await syncPortalSources(portalPlans, { dryRun, report, changes });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.warn(`⚠️  Portal sync skipped: ${message}`);
+    }
+  }
+
+  if (fetchSourcesRan === 0 && smsResults.length === 0) {
     throw new Error(
-      "No schedule sources ran. Configure SCHEDULE_SOURCES credentials and/or IATSE (GEMINI_API_KEY + Firestore messages)."
+      "No schedule sources ran. Configure SCHEDULE_SOURCES credentials and/or SMS sources like IATSE (GEMINI_API_KEY + Firestore messages)."
     );
   }
+
+  for (const smsResult of smsResults) {
+    const { source } = smsResult.report;
+    report.sources[source] = smsResult.report;
+    if (smsResult.entries) snapshots[source] = createSourceSnapshot(source, smsResult.entries);
+    if (dryRun && smsResult.plan) plans[smsResult.plan.source] = smsResult.plan;
+  }
+
+  await notifyShiftChanges([...changes, ...smsResults.flatMap((smsResult) => smsResult.changes || [])], { dryRun });
+  return plans;
 }
@@ -1,14 +1,17 @@
-import { describe, it, expect } from "vitest";
-import { formatDeadlineReminderLogLine } from "./get-schedule.js";
+import { describe, it, expect, afterEach } from "vitest";
+import { formatDerivedEventLogLine, loadUnsyncedSourceEvents } from "./get-schedule.js";
+import { createMemoryCalendarBackend } from "./google-calendar/backends/index.js";
+import { findShiftConflicts, withConflictMarkers } from "./shift-conflicts.js";
 
-describe("formatDeadlineReminderLogLine", () => {
+describe("formatDerivedEventLogLine", () => {
   it("formats a crewOne deadline reminder log line", () => {
-    const line = formatDeadlineReminderLogLine(
+    const line = formatDerivedEventLogLine(
       {
         summary: "Offer deadline: A TEST SHOW",
         start: "2026-07-24T09:00:00"
       },
-      "crewOne"
+      "crewOne",
+      "deadline reminder"
     );
 
     expect(line).toContain("deadline reminder");
@@ -16,3 +19,66 @@ describe("formatDeadlineReminderLogLine", () => {
     expect(line).toContain("2026-07-24T09:00:00");
   });
 });
+
+describe("loadUnsyncedSourceEvents", () => {
+  const now = new Date("2099-11-20T12:00:00Z");
+  const rhinoRowId = "11/24/2099 | 18:30 | HOLIDAY GALA | STATE FARM ARENA | SPOT | SHOW";
+  const rhinoShift = {
+    source: "rhino",
+    rowId: rhinoRowId,
+    summary: "HOLIDAY GALA",
+    location: "STATE FARM ARENA",
+    description: "Position: SPOT",
+    start: "2099-11-24T17:30:00",
+    end: "2099-11-24T23:00:00",
+    timezone: "America/New_York",
+    status: "confirmed"
+  };
+
+  /** A synced event as the calendar lists it */
+  function calendarEvent(source, rowId, summary, start, end, status = "confirmed") {
+    return {
+      summary,
+      start: { dateTime: `${start}-05:00`, timeZone: "America/New_York" },
+      end: { dateTime: `${end}-05:00`, timeZone: "America/New_York" },
+      status,
+      extendedProperties: { private: { scheduleSource: source, scheduleRowId: rowId } }
+    };
+  }
+  const crewOneEvent = calendarEvent(
+    "crewOne",
+    "11/24/2099 | 17:00 | Holiday Market | Hand | Load In",
+    "POSSIBLE CONFLICT => Holiday Market",
+    "2099-11-24T17:00:00",
+    "2099-11-24T22:00:00"
+  );
+
+  afterEach(() => {
+    delete process.env.SCHEDULE_SOURCES;
+  });
+
+  it("lists the other sources' calendar shifts, so a Rhino-only run after a confirm still flags the overlap", async () => {
+    process.env.SCHEDULE_SOURCES = "rhino,crewOne";
+    const backend = createMemoryCalendarBackend({
+      events: [
+        crewOneEvent,
+        // Still tentative on the calendar; the confirm sync rewrites it
+        calendarEvent("rhino", rhinoRowId, "POSSIBLE CONFLICT => UNCONFIRMED => HOLIDAY GALA", rhinoShift.start, rhinoShift.end, "tentative")
+      ]
+    });
+
+    const unsynced = await loadUnsyncedSourceEvents(backend, ["rhino"], { now });
+
+    expect(unsynced.map((event) => [event.source, event.summary])).toEqual([["crewOne", "Holiday Market"]]);
+    const conflicts = findShiftConflicts([rhinoShift, ...unsynced], { travelBufferMinutes: 0 });
+    expect(conflicts.map((conflict) => conflict.category)).toEqual(["conflict"]);
+    expect(withConflictMarkers([rhinoShift], conflicts)[0].summary).toBe("CONFLICT => HOLIDAY GALA");
+  });
+
+  it("lists nothing when the run syncs every source", async () => {
+    process.env.SCHEDULE_SOURCES = "rhino";
+    const backend = createMemoryCalendarBackend({ events: [crewOneEvent] });
+
+    expect(await loadUnsyncedSourceEvents(backend, ["rhino", "iatse927"], { now })).toEqual([]);
+  });
+});
@@ -1,32 +1,27 @@
 ﻿// get-schedule/google-calendar/add-event.js
-import crypto from "crypto";
-import { google } from "googleapis";
-import { normalizeScheduleRowId, crewOneRowMatchKey, rhinoRowMatchKey } from "../utils.js";
+import { normalizeScheduleRowId, toZonedLocalDateTime, zonedLocalDateTimeToUtcMs } from "../schedule-helpers.js";
+import { findSource, sources } from "../sources/index.js";
+import { deterministicIdFor } from "./event-ids.js";
+import { resolveCalendarBackend, runCalendarOps, calendarOpEventId, isCalendarNotFoundError, isCalendarConflictError } from "./backends/index.js";
+import { calendarIdFor, eventColorIdFor } from "./calendar-config.js";
+import { createSourceEventIndex } from "./source-event-index.js";
+
+export { deterministicIdFor, legacyRhinoDeterministicIdFor } from "./event-ids.js";
+
+/** @typedef {import("./backends/types.js").CalendarBackend} CalendarBackend */
+/** @typedef {import("./backends/types.js").CalendarEvent} CalendarEvent */
 
 /** Configuration */
 const DEFAULT_TIMEZONE = "America/New_York";
-const ID_LENGTH = 40;
 const PURGE_LOOKBACK_YEARS = 2;
-const RECENT_PAST_EVENT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
-
-/** Build a stable, URL-safe id for a source row */
-export function deterministicIdFor(source, rowId) {
-	if (rowId == null) rowId = "";
-	const key = `${source}|${rowId}`;
-	return crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, ID_LENGTH);
-}
+/** How long a removeRecentlyStarted source's vanished event is purged after it starts */
+export const RECENT_PAST_EVENT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const MATCH_KEY_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
 
-/** Pre-multi-source id (hash of rowId only); used for legacy Rhino calendar events */
-export function legacyRhinoDeterministicIdFor(rowId) {
-	if (rowId == null) rowId = "";
-	return crypto.createHash("sha256").update(String(rowId)).digest("hex").slice(0, ID_LENGTH);
-}
-
-function eventIdsForDelete(source, rowId) {
+/** Ids a row's event may exist under: deterministic, then the source's legacy ids */
+function candidateEventIdsFor(source, rowId) {
 	const ids = [deterministicIdFor(source, rowId)];
-	if (source === "rhino") {
-		ids.push(legacyRhinoDeterministicIdFor(rowId));
-	}
+	ids.push(...(findSource(source)?.legacyEventIds?.(rowId) || []));
 	return [...new Set(ids)];
 }
 
@@ -35,7 +30,8 @@ export function eventMatchesSource(ev, source) {
 	const priv = ev.extendedProperties?.private;
 	if (!priv) return false;
 	if (priv.scheduleSource === source) return true;
-	if (source === "rhino" && priv.rhinoRowId) return true;
+	const legacyProperty = findSource(source)?.legacyRowIdProperty;
+	if (legacyProperty && priv[legacyProperty]) return true;
 	return false;
 }
 
@@ -44,20 +40,63 @@ export function rowIdFromEvent(ev, source) {
 	const priv = ev.extendedProperties?.private;
 	if (!priv) return null;
 	if (priv.scheduleRowId) return priv.scheduleRowId;
-	if (source === "rhino" && priv.rhinoRowId) return priv.rhinoRowId;
+	const legacyProperty = findSource(source)?.legacyRowIdProperty;
+	if (legacyProperty && priv[legacyProperty]) return priv[legacyProperty];
 	return null;
 }
 
-/** Normalize a source event into the shape Google expects */
+/**
+ * Derived event kind encoded in a row id ("<rowId>|<kind>", a kind some source lists
+ * in its derivedEvents, e.g. CrewOne deadline reminders), if any
+ */
+export function eventKindFromRowId(rowId) {
+	const suffix = String(rowId || "").split("|").pop();
+	const declared = Object.values(sources).some((plugin) =>
+		(plugin.derivedEvents || []).some((derived) => derived.kind === suffix)
+	);
+	return declared ? suffix : undefined;
+}
+
+/**
+ * Purge reason of a derived event cleared so the run can rebuild it ("<kind>Refresh")
+ * @param {string} kind
+ */
+export function derivedRefreshReason(kind) {
+	return `${kind}Refresh`;
+}
+
+/**
+ * Whether a purge reason is the refresh of a derived kind some source lists
+ * @param {string} reason
+ */
+export function isDerivedRefreshReason(reason) {
+	return Object.values(sources).some((plugin) =>
+		(plugin.derivedEvents || []).some((derived) => derivedRefreshReason(derived.kind) === reason)
+	);
+}
+
+/**
+ * Backend for the calendar a source (or derived kind) syncs into.
+ * @param {OAuth2Client | CalendarBackend} auth
+ * @param {string} source
+ * @param {string} [kind]
+ */
+function backendFor(auth, source, kind) {
+	return resolveCalendarBackend(auth, { calendarId: calendarIdFor(source, { kind }) });
+}
+
+/** Normalize a source event into the shape Google expects (times are wall-clock in event.timezone) */
 function normalizeEventBody(event) {
 	const source = event.source || "rhino";
+	const timeZone = event.timezone || DEFAULT_TIMEZONE;
 	const rowId = String(event.rowId || "");
 	const privateProps = {
 		scheduleSource: source,
 		scheduleRowId: rowId
 	};
-	if (source === "rhino") {
-		privateProps.rhinoRowId = rowId;
+	const legacyProperty = findSource(source)?.legacyRowIdProperty;
+	if (legacyProperty) {
+		privateProps[legacyProperty] = rowId;
 	}
 
 	const requestBody = {
@@ -66,11 +105,11 @@ function normalizeEventBody(event) {
 		description: event.description || "",
 		start: {
 			dateTime: event.start,
-			timeZone: DEFAULT_TIMEZONE
+			timeZone
 		},
 		end: {
 			dateTime: event.end,
-			timeZone: DEFAULT_TIMEZONE
+			timeZone
 		},
 		status: event.status || "confirmed",
 		extendedProperties: {
@@ -82,78 +121,185 @@ function normalizeEventBody(event) {
 		requestBody.reminders = event.reminders;
 	}
 
+	const colorId = eventColorIdFor(source, { kind: event.kind });
+	if (colorId) {
+		requestBody.colorId = colorId;
+	}
+
 	return requestBody;
 }
 
+/** Fields a sync writes, compared to decide whether an existing event needs an update. */
+const DIFF_FIELDS = ["summary", "location", "description", "start", "end", "status", "colorId", "reminders", "extendedProperties"];
+
+/** JSON with object keys sorted, so equal values always serialize the same */
+function stableJson(value) {
+	if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(",")}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+/**
+ * Comparable value of an event field. start/end compare wall-clock time in the sync
+ * timezone (Google returns dateTimes with an offset; a dateTime without one is in the
+ * event's own timeZone); an update replaces reminders, so a missing value compares
+ * as the calendar default.
+ */
+function comparableEventField(ev, field, timezone) {
+	if (field === "start" || field === "end") {
+		const value = ev?.[field]?.dateTime || ev?.[field]?.date || "";
+		if (/(?:Z|[+-]\d{2}:\d{2})$/i.test(value)) return toZonedLocalDateTime(value, timezone) || value;
+		const zone = ev?.[field]?.timeZone;
+		if (zone && zone !== timezone && ev?.[field]?.dateTime) {
+			return toZonedLocalDateTime(zonedLocalDateTimeToUtcMs(value, zone), timezone) || value;
+		}
+		return String(value).slice(0, 19);
+	}
+	if (field === "status") return ev?.status || "confirmed";
+	if (field === "reminders") {
+		const reminders = ev?.reminders;
+		if (!reminders || reminders.useDefault) return stableJson({ useDefault: true });
+		const overrides = [...(reminders.overrides || [])].sort(
+			(a, b) => String(a.method).localeCompare(String(b.method)) || a.minutes - b.minutes
+		);
+		return stableJson({ useDefault: false, overrides });
+	}
+	if (field === "extendedProperties") return stableJson(ev?.extendedProperties?.private || {});
+	return ev?.[field] || "";
+}
+
+/**
+ * Field-level differences between an existing calendar event and the request body
+ * a sync would write over it. Empty means the write would change nothing.
+ * @param {import("googleapis").calendar_v3.Schema$Event} existing
+ * @param {ReturnType<typeof normalizeEventBody>} requestBody
+ * @returns {{ field: string; before: string; after: string }[]}
+ */
+export function diffEventFields(existing, requestBody) {
+	const timezone = requestBody.start?.timeZone || DEFAULT_TIMEZONE;
+	return DIFF_FIELDS.flatMap((field) => {
+		const before = comparableEventField(existing, field, timezone);
+		const after = comparableEventField(requestBody, field, timezone);
+		return before === after ? [] : [{ field, before, after }];
+	});
+}
+
+/**
+ * Existing events a source row should update, best match first: events tagged with
+ * its row id (plus the one under its deterministic id), or, for a source with a
+ * rowMatchKey, the event whose match key is the same when detail drift changed the row id.
+ * @param {string} source
+ * @param {string} rowId
+ * @param {CalendarEvent | null} existingById
+ * @param {{ findByRowId: (normalizedRowId: string) => CalendarEvent[] | Promise<CalendarEvent[]>; findByMatchKey: (matchKey: string, keyOf: (rowId: string) => string) => CalendarEvent | null | Promise<CalendarEvent | null> }} lookup
+ * @param {(ev: CalendarEvent | null) => boolean} isCandidate
+ * @returns {Promise<CalendarEvent[]>}
+ */
+async function matchExistingEvents(source, rowId, existingById, lookup, isCandidate) {
+	const matches = (await lookup.findByRowId(normalizeScheduleRowId(rowId))).filter(isCandidate);
+	if (existingById?.id && !matches.some((event) => event.id === existingById.id)) {
+		matches.unshift(existingById);
+	}
+	const rowMatchKey = findSource(source)?.rowMatchKey;
+	if (matches.length > 0 || !rowMatchKey) return matches;
+
+	const existing = await lookup.findByMatchKey(rowMatchKey(rowId), rowMatchKey);
+	return isCandidate(existing) ? [existing] : [];
+}
+
+/**
+ * Dry-run syncEvent result: the create, or the update (with its field diff and the
+ * duplicates it would collapse) a sync would make; "unchanged" when the diff is empty.
+ * @param {Object} event
+ * @param {string} source
+ * @param {ReturnType<typeof normalizeEventBody>} requestBody
+ * @param {string} newEventId
+ * @param {CalendarEvent[]} matches
+ */
+function plannedSyncResult(event, source, requestBody, newEventId, matches) {
+	const planned = {
+		dryRun: true,
+		rowId: event.rowId,
+		source,
+		summary: requestBody.summary,
+		start: requestBody.start.dateTime
+	};
+	if (matches.length === 0) {
+		return { action: "created", eventId: newEventId, ...planned };
+	}
+	const [existing, ...duplicates] = matches;
+	const diff = diffEventFields(existing, requestBody);
+	return {
+		action: diff.length > 0 ? "updated" : "unchanged",
+		eventId: existing.id,
+		...planned,
+		diff,
+		duplicateIds: duplicates.map((d) => d.id).filter((id) => id && id !== existing.id)
+	};
+}
+
 /**
  * Sync a single event: update if exists by deterministic id, otherwise insert with that id.
- * @param {OAuth2Client} auth
+ * An existing event that already matches is left alone ("unchanged").
+ * Every call reads the calendar; a sync run with many events should use openSourceSync.
+ * @param {OAuth2Client | CalendarBackend} auth - Google OAuth client, or any calendar backend
  * @param {Object} event - { summary, location, description, start, end, status, rowId, source }
+ * @param {{ dryRun?: boolean; ignoreEventIds?: Set<string> }} [options]
+ *   dryRun: read the calendar but return the planned action instead of writing.
+ *   ignoreEventIds: events a planned purge already removes, so they can't be matched.
  */
-export async function syncEvent(auth, event) {
-	const calendar = google.calendar({ version: "v3", auth });
+export async function syncEvent(auth, event, options = {}) {
+	const dryRun = options.dryRun === true;
+	const ignoreEventIds = options.ignoreEventIds || new Set();
 	const source = event.source || "rhino";
+	const backend = backendFor(auth, source, event.kind);
 	const newEventId = deterministicIdFor(source, event.rowId);
 	const requestBody = normalizeEventBody(event);
-	const normalizedRowId = normalizeScheduleRowId(event.rowId);
+	const isCandidate = (ev) => Boolean(ev?.id) && !ignoreEventIds.has(ev.id);
 
-	const reconcileMatches = async (matches) => {
-		if (matches.length === 0) return null;
-		const [existing, ...duplicates] = matches;
-		const res = await calendar.events.update({
-			calendarId: "primary",
-			eventId: existing.id,
-			requestBody
-		});
-		for (const duplicate of duplicates) {
-			if (duplicate.id && duplicate.id !== existing.id) {
-				await calendar.events.delete({ calendarId: "primary", eventId: duplicate.id });
-			}
-		}
-		return { action: "updated", event: res.data };
-	};
 	let existingById = null;
-
-	const candidateIds = [newEventId];
-	if (source === "rhino") {
-		candidateIds.push(legacyRhinoDeterministicIdFor(event.rowId));
-	}
-
-	for (const eventId of candidateIds) {
+	for (const eventId of candidateEventIdsFor(source, event.rowId)) {
+		if (ignoreEventIds.has(eventId)) continue;
 		try {
-			existingById = (await calendar.events.get({ calendarId: "primary", eventId })).data;
-			break;
+			existingById = await backend.get(eventId);
+			if (existingById) break;
 		} catch (err) {
-			const notFound = err?.code === 404 || err?.response?.status === 404;
-			if (!notFound) {
-				console.error("syncEvent: error during get:", err);
-				return { action: "error", error: err };
-			}
+			console.error("syncEvent: error during get:", err);
+			return { action: "error", error: err };
 		}
 	}
 
-	const matchingEvents = await findSourceEventsByRowId(calendar, source, normalizedRowId);
-	if (existingById?.id && !matchingEvents.some((event) => event.id === existingById.id)) {
-		matchingEvents.unshift(existingById);
+	const matches = await matchExistingEvents(
+		source,
+		event.rowId,
+		existingById,
+		{
+			findByRowId: (normalizedRowId) => findSourceEventsByRowId(backend, source, normalizedRowId),
+			findByMatchKey: (matchKey, keyOf) => findSourceEventByMatchKey(backend, source, matchKey, keyOf)
+		},
+		isCandidate
+	);
+	if (dryRun) {
+		return plannedSyncResult(event, source, requestBody, newEventId, matches);
 	}
-	const reconciled = await reconcileMatches(matchingEvents);
-	if (reconciled) return reconciled;
-
-	if (source === "crewOne") {
-		const matchKey = crewOneRowMatchKey(event.rowId);
-		const existing = await findCrewOneEventByMatchKey(calendar, source, matchKey);
-		if (existing?.id) {
-			return reconcileMatches([existing]);
+
+	if (matches.length > 0) {
+		const [existing, ...duplicates] = matches;
+		const changed = diffEventFields(existing, requestBody).length > 0;
+		const updated = changed ? await backend.update(existing.id, requestBody) : existing;
+		for (const duplicate of duplicates) {
+			if (duplicate.id && duplicate.id !== existing.id) {
+				await backend.delete(duplicate.id);
+			}
 		}
+		return { action: changed ? "updated" : "unchanged", event: updated };
 	}
 
 	try {
-		const insertBody = { ...requestBody, id: newEventId };
-		const res = await calendar.events.insert({
-			calendarId: "primary",
-			requestBody: insertBody
-		});
-		return { action: "created", event: res.data };
+		const inserted = await backend.insert({ ...requestBody, id: newEventId });
+		return { action: "created", event: inserted };
 	} catch (insertErr) {
 		console.error("syncEvent: insert error:", insertErr);
 		if (insertErr.response?.data?.error) {
@@ -163,117 +309,142 @@ export async function syncEvent(auth, event) {
 	}
 }
 
-async function findSourceEventsByRowId(calendar, source, normalizedRowId) {
+async function findSourceEventsByRowId(backend, source, normalizedRowId) {
 	const timeMin = new Date(Date.now() - RECENT_PAST_EVENT_LOOKBACK_MS).toISOString();
-	const sourceEvents = await listSourceEvents(calendar, source, timeMin);
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
 	return sourceEvents.filter((ev) => {
 		const rowId = rowIdFromEvent(ev, source);
 		return rowId && normalizeScheduleRowId(rowId) === normalizedRowId;
 	});
 }
 
-export async function addEvent(auth, event) {
-	return syncEvent(auth, event);
+export async function addEvent(auth, event, options = {}) {
+	return syncEvent(auth, event, options);
+}
+
+/**
+ * A calendar event a purge deleted (or, in a dry run, would delete) and why.
+ * @typedef {{ eventId: string; rowId: string; summary: string; start: string | null; reason: string }} SourceEventDeletion
+ */
+
+/**
+ * @param {import("googleapis").calendar_v3.Schema$Event} ev
+ * @param {string} rowId
+ * @param {string} reason
+ * @returns {SourceEventDeletion}
+ */
+function deletionFor(ev, rowId, reason) {
+	return {
+		eventId: ev.id,
+		rowId,
+		summary: ev.summary || "",
+		start: ev.start?.dateTime || ev.start?.date || null,
+		reason
+	};
 }
 
-export async function purgeCrewOneDeadlineReminderEvents(auth) {
-	const calendar = google.calendar({ version: "v3", auth });
+/**
+ * A source's derived events (its derivedEvents) are rebuilt from the latest fetch on
+ * every run, so existing ones of the kind are cleared first.
+ * @param {OAuth2Client | CalendarBackend} auth
+ * @param {string} source
+ * @param {string} kind
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<SourceEventDeletion[]>}
+ */
+export async function purgeDerivedSourceEvents(auth, source, kind, options = {}) {
+	const backend = backendFor(auth, source, kind);
 	const timeMin = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-	const sourceEvents = await listSourceEvents(calendar, "crewOne", timeMin);
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
+	/** @type {SourceEventDeletion[]} */
+	const deletions = [];
 
 	for (const ev of sourceEvents) {
-		const rowId = rowIdFromEvent(ev, "crewOne") || "";
-		if (!rowId.includes("|deadlineReminder")) continue;
-		await deleteSourceEventByRowId(calendar, "crewOne", rowId, ev.id);
+		const rowId = rowIdFromEvent(ev, source) || "";
+		if (eventKindFromRowId(rowId) !== kind) continue;
+		if (!options.dryRun) {
+			await deleteSourceEventByRowId(backend, source, rowId, ev.id);
+		}
+		deletions.push(deletionFor(ev, rowId, derivedRefreshReason(kind)));
 	}
+
+	return deletions;
 }
 
 /**
- * @param {import("googleapis").calendar_v3.Calendar} calendar
+ * @param {CalendarBackend} backend
  * @param {string} source
  * @param {string} timeMin
  * @returns {Promise<import("googleapis").calendar_v3.Schema$Event[]>}
  */
-async function listSourceEvents(calendar, source, timeMin) {
-	/** @type {import("googleapis").calendar_v3.Schema$Event[]} */
-	const sourceEvents = [];
-	let pageToken;
-
-	do {
-		const res = await calendar.events.list({
-			calendarId: "primary",
-			timeMin,
-			singleEvents: true,
-			orderBy: "startTime",
-			maxResults: 2500,
-			pageToken
-		});
-		const items = res.data.items || [];
-		sourceEvents.push(...items.filter((e) => eventMatchesSource(e, source)));
-		pageToken = res.data.nextPageToken;
-	} while (pageToken);
-
-	return sourceEvents;
+async function listSourceEvents(backend, source, timeMin) {
+	const events = await backend.list({ timeMin });
+	return events.filter((e) => eventMatchesSource(e, source));
 }
 
 /**
- * @param {import("googleapis").calendar_v3.Calendar} calendar
+ * @param {CalendarBackend} backend
  * @param {string} source
  * @param {string} matchKey
+ * @param {(rowId: string) => string} keyOf - the source's rowMatchKey
  */
-async function findCrewOneEventByMatchKey(calendar, source, matchKey) {
-	const timeMin = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-	const sourceEvents = await listSourceEvents(calendar, source, timeMin);
+async function findSourceEventByMatchKey(backend, source, matchKey, keyOf) {
+	const timeMin = new Date(Date.now() - MATCH_KEY_LOOKBACK_MS).toISOString();
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
 	return (
 		sourceEvents.find((ev) => {
 			const rowId = rowIdFromEvent(ev, source);
-			return rowId && crewOneRowMatchKey(rowId) === matchKey;
+			return rowId && keyOf(rowId) === matchKey;
 		}) || null
 	);
 }
 
+/**
+ * Relaxed match keys of a set of rows under one of the source's key functions.
+ * @typedef {{ keyOf: (rowId: string) => string; keys: Set<string> }} RelaxedKeys
+ * @param {string[]} rowIds
+ * @param {((rowId: string) => string) | undefined} keyOf
+ * @returns {RelaxedKeys | null}
+ */
+function relaxedKeysFor(rowIds, keyOf) {
+	return keyOf ? { keyOf, keys: new Set(rowIds.map(keyOf)) } : null;
+}
+
 /**
  * True when a calendar event's stored rowId matches a row in the given set.
  * Mirrors how rows are matched for both the "still active" and "cancelled" checks,
- * including the relaxed source-specific fallbacks: CrewOne ignores detail-page
- * position/type drift, Rhino ignores call-time drift.
- * @param {string} source
+ * including the source's relaxed fallback (e.g. CrewOne ignores detail-page
+ * position/type drift, Rhino ignores call-time drift on cancelled rows).
  * @param {string} rowId
  * @param {Set<string>} normalizedSet
- * @param {Set<string> | null} relaxedKeys
+ * @param {RelaxedKeys | null} relaxed
  */
-function rowIdInSet(source, rowId, normalizedSet, relaxedKeys) {
+function rowIdInSet(rowId, normalizedSet, relaxed) {
 	const normalized = normalizeScheduleRowId(rowId);
 	if (normalizedSet.has(normalized)) return true;
-	if (relaxedKeys) {
-		if (source === "crewOne" && relaxedKeys.has(crewOneRowMatchKey(rowId))) return true;
-		if (source === "rhino" && relaxedKeys.has(rhinoRowMatchKey(rowId))) return true;
-	}
-	return false;
+	return Boolean(relaxed && relaxed.keys.has(relaxed.keyOf(rowId)));
 }
 
 /**
- * @param {import("googleapis").calendar_v3.Calendar} calendar
+ * @param {CalendarBackend} backend
  * @param {string} source
  * @param {string} rowId
  * @param {string} [listedEventId]
  */
-async function deleteSourceEventByRowId(calendar, source, rowId, listedEventId) {
-	const idsToTry = [...eventIdsForDelete(source, rowId)];
+async function deleteSourceEventByRowId(backend, source, rowId, listedEventId) {
+	const idsToTry = [...candidateEventIdsFor(source, rowId)];
 	if (listedEventId) idsToTry.push(listedEventId);
 
 	let deleted = false;
 	for (const eventId of [...new Set(idsToTry)]) {
 		try {
-			await calendar.events.delete({ calendarId: "primary", eventId });
-			deleted = true;
-			break;
-		} catch (err) {
-			const notFound = err?.code === 404 || err?.response?.status === 404;
-			if (!notFound) {
-				console.error(`deleteSourceEventByRowId(${source}): delete failed for ${eventId}`, err);
-				throw err;
+			if (await backend.delete(eventId)) {
+				deleted = true;
+				break;
 			}
+		} catch (err) {
+			console.error(`deleteSourceEventByRowId(${source}): delete failed for ${eventId}`, err);
+			throw err;
 		}
 	}
 	if (!deleted) {
@@ -283,39 +454,36 @@ async function deleteSourceEventByRowId(calendar, source, rowId, listedEventId)
 
 /**
  * Delete events tagged for a schedule source.
- * @param {OAuth2Client} auth
+ * @param {OAuth2Client | CalendarBackend} auth
  * @param {string} source
  * @param {{ futureOnly?: boolean }} [options] - futureOnly true (default) preserves past events
  */
 export async function purgeSourceEvents(auth, source, options = {}) {
 	const futureOnly = options.futureOnly !== false;
-	const calendar = google.calendar({ version: "v3", auth });
+	const backend = backendFor(auth, source);
 	const timeMin = futureOnly
 		? new Date().toISOString()
 		: new Date(
 				Date.now() - PURGE_LOOKBACK_YEARS * 365.25 * 24 * 60 * 60 * 1000
 			).toISOString();
 
-	const sourceEvents = await listSourceEvents(calendar, source, timeMin);
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
 
 	for (const ev of sourceEvents) {
 		const rowId = rowIdFromEvent(ev, source);
 		if (!rowId) continue;
-		await deleteSourceEventByRowId(calendar, source, rowId, ev.id);
+		await deleteSourceEventByRowId(backend, source, rowId, ev.id);
 	}
 }
 
 /**
- * Keep one event per tagged source row when a schedule fetch has no usable
- * future rows to update. This is a recovery path for duplicate cleanup only;
- * it never deletes the sole event for a row.
- * @param {OAuth2Client} auth
+ * @param {CalendarBackend} backend
  * @param {string} source
+ * @returns {Promise<SourceEventDeletion[]>} every tagged event after the first for its row
  */
-export async function consolidateDuplicateSourceEvents(auth, source) {
-	const calendar = google.calendar({ version: "v3", auth });
+async function findDuplicateSourceEvents(backend, source) {
 	const timeMin = new Date().toISOString();
-	const sourceEvents = await listSourceEvents(calendar, source, timeMin);
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
 	const eventsByRowId = new Map();
 
 	for (const event of sourceEvents) {
@@ -323,17 +491,40 @@ export async function consolidateDuplicateSourceEvents(auth, source) {
 		if (!rowId) continue;
 		const normalizedRowId = normalizeScheduleRowId(rowId);
 		const matches = eventsByRowId.get(normalizedRowId) || [];
-		matches.push(event);
+		matches.push(deletionFor(event, rowId, "duplicate"));
 		eventsByRowId.set(normalizedRowId, matches);
 	}
 
+	return [...eventsByRowId.values()].flatMap((matches) =>
+		matches.slice(1).filter((duplicate) => duplicate.eventId)
+	);
+}
+
+/**
+ * Duplicates consolidateDuplicateSourceEvents would remove, without deleting anything.
+ * @param {OAuth2Client | CalendarBackend} auth
+ * @param {string} source
+ * @returns {Promise<SourceEventDeletion[]>}
+ */
+export async function listDuplicateSourceEvents(auth, source) {
+	return findDuplicateSourceEvents(backendFor(auth, source), source);
+}
+
+/**
+ * Keep one event per tagged source row when a schedule fetch has no usable
+ * future rows to update. This is a recovery path for duplicate cleanup only;
+ * it never deletes the sole event for a row.
+ * @param {OAuth2Client | CalendarBackend} auth
+ * @param {string} source
+ */
+export async function consolidateDuplicateSourceEvents(auth, source) {
+	const backend = backendFor(auth, source);
+	const duplicates = await findDuplicateSourceEvents(backend, source);
+
 	let removed = 0;
-	for (const matches of eventsByRowId.values()) {
-		for (const duplicate of matches.slice(1)) {
-			if (!duplicate.id) continue;
-			await calendar.events.delete({ calendarId: "primary", eventId: duplicate.id });
-			removed += 1;
-		}
+	for (const duplicate of duplicates) {
+		await backend.delete(duplicate.eventId);
+		removed += 1;
 	}
 
 	return removed;
@@ -356,34 +547,79 @@ export async function consolidateDuplicateSourceEvents(auth, source) {
  * an event that is no longer in the active set has genuinely been taken off the
  * schedule and should be removed. The empty-snapshot hard guard still applies.
  *
- * @param {OAuth2Client} auth
+ * Each deletion records the rule that triggered it: "cancelled" (the fetch cancelled
+ * the row), "removeAbsent" (absent from a complete snapshot) or "recentPastRhino"
+ * (an event of a removeRecentlyStarted source, i.e. Rhino, that just started and
+ * vanished from the portal: a reschedule).
+ *
+ * @param {OAuth2Client | CalendarBackend} auth
  * @param {string} source
  * @param {string[]} activeRowIds - row ids present (and not cancelled) in the latest fetch
- * @param {{ futureOnly?: boolean; cancelledRowIds?: string[]; removeAbsent?: boolean }} [options]
+ * @param {{ futureOnly?: boolean; cancelledRowIds?: string[]; removeAbsent?: boolean; dryRun?: boolean }} [options]
  *   cancelledRowIds: row ids that appeared in the latest fetch but were explicitly
  *   cancelled. These are eligible for deletion.
  *   removeAbsent: when true, also delete events missing from the active set (the
  *   fetch is treated as an authoritative complete snapshot).
+ *   dryRun: report what would be deleted without deleting it.
+ * @returns {Promise<SourceEventDeletion[]>}
  */
 export async function purgeOrphanedSourceEvents(auth, source, activeRowIds, options = {}) {
 	const futureOnly = options.futureOnly !== false;
+	const deletionReasonFor = orphanRuleFor(source, activeRowIds, options);
+	if (!deletionReasonFor) return [];
+
+	const backend = backendFor(auth, source);
+	const timeMin = futureOnly
+		? new Date(Date.now() - RECENT_PAST_EVENT_LOOKBACK_MS).toISOString()
+		: new Date(
+			Date.now() - PURGE_LOOKBACK_YEARS * 365.25 * 24 * 60 * 60 * 1000
+		).toISOString();
+
+	const sourceEvents = await listSourceEvents(backend, source, timeMin);
+
+	/** @type {SourceEventDeletion[]} */
+	const deletions = [];
+	for (const ev of sourceEvents) {
+		const rowId = rowIdFromEvent(ev, source);
+		if (!rowId) continue;
+		const reason = deletionReasonFor(ev, rowId);
+		if (!reason) continue;
+		if (!options.dryRun) {
+			await deleteSourceEventByRowId(backend, source, rowId, ev.id);
+		}
+		deletions.push(deletionFor(ev, rowId, reason));
+	}
+
+	return deletions;
+}
+
+/**
+ * The purgeOrphanedSourceEvents rules for one schedule snapshot: a function giving
+ * the deletion reason for a tagged event (null keeps it), or null when the snapshot
+ * is empty and nothing may be deleted.
+ * @param {string} source
+ * @param {string[]} activeRowIds
+ * @param {{ cancelledRowIds?: string[]; removeAbsent?: boolean }} options
+ * @returns {((ev: CalendarEvent, rowId: string) => string | null) | null}
+ */
+function orphanRuleFor(source, activeRowIds, options) {
 	const cancelledRowIds = options.cancelledRowIds || [];
 	const removeAbsent = options.removeAbsent === true;
 
+	const plugin = findSource(source);
+
 	const activeSet = new Set(activeRowIds.map(normalizeScheduleRowId));
 	const cancelledSet = new Set(cancelledRowIds.map(normalizeScheduleRowId));
 	// Relaxed match keys used to keep events still on the schedule and to match
 	// cancelled rows whose identity drifted (CrewOne detail position/type, Rhino call
-	// time). Active matching uses the relaxed key only for CrewOne; Rhino relaxes the
-	// cancelled match only, which is safe because active rows are matched exactly first.
-	const activeRelaxedKeys =
-		source === "crewOne" ? new Set(activeRowIds.map(crewOneRowMatchKey)) : null;
-	const cancelledRelaxedKeys =
-		source === "crewOne"
-			? new Set(cancelledRowIds.map(crewOneRowMatchKey))
-			: source === "rhino"
-				? new Set(cancelledRowIds.map(rhinoRowMatchKey))
-				: null;
+	// time). Active matching uses the source's rowMatchKey; cancelledRowMatchKey
+	// relaxes the cancelled match only, which is safe because active rows are matched
+	// exactly first.
+	const activeRelaxedKeys = relaxedKeysFor(activeRowIds, plugin?.rowMatchKey);
+	const cancelledRelaxedKeys = relaxedKeysFor(
+		cancelledRowIds,
+		plugin?.cancelledRowMatchKey || plugin?.rowMatchKey
+	);
 
 	// Hard guard: an empty schedule snapshot almost always means a failed or partial
 	// fetch (login issue, portal outage, empty table). Never delete anything in that
@@ -394,48 +630,316 @@ export async function purgeOrphanedSourceEvents(auth, source, activeRowIds, opti
 	// every call was taken off the schedule and the stale events should be removed.
 	if (activeSet.size === 0 && cancelledSet.size === 0) {
 		console.warn("No currently scheduled events.");
-		if (!removeAbsent) return;
+		if (!removeAbsent) return null;
 	}
 
-	const calendar = google.calendar({ version: "v3", auth });
-	const timeMin = futureOnly
-		? new Date(Date.now() - RECENT_PAST_EVENT_LOOKBACK_MS).toISOString()
-		: new Date(
-			Date.now() - PURGE_LOOKBACK_YEARS * 365.25 * 24 * 60 * 60 * 1000
-		).toISOString();
-
-	const sourceEvents = await listSourceEvents(calendar, source, timeMin);
-
-	let deletedCount = 0;
-	for (const ev of sourceEvents) {
-		const rowId = rowIdFromEvent(ev, source);
-		if (!rowId) continue;
-
+	return (ev, rowId) => {
 		// Still on the schedule -> always keep.
-		if (rowIdInSet(source, rowId, activeSet, activeRelaxedKeys)) continue;
+		if (rowIdInSet(rowId, activeSet, activeRelaxedKeys)) return null;
 
 		// An event no longer in the active set is deleted when EITHER the latest fetch
 		// positively cancelled it, OR the source is an authoritative snapshot
 		// (removeAbsent) where absence means it was taken off the schedule. Otherwise
 		// absent events are kept so real shifts survive scrape gaps / reschedules / drift.
-		// Rhino is the exception: a recently created/updated event that has disappeared
-		// from the portal within the recent lookback window is likely a reschedule and
-		// should be cleaned up so the calendar doesn't retain stale entries.
-		// Crew One should preserve past events regardless of dashboard removal, since
-		// historical calls are still valuable to keep on the calendar.
-		const cancelled = rowIdInSet(source, rowId, cancelledSet, cancelledRelaxedKeys);
+		// removeRecentlyStarted sources (Rhino) are the exception: a recently
+		// created/updated event that has disappeared from the portal within the recent
+		// lookback window is likely a reschedule and should be cleaned up so the
+		// calendar doesn't retain stale entries.
+		// keepPastEvents sources (Crew One) preserve past events regardless of dashboard
+		// removal, since historical calls are still valuable to keep on the calendar.
+		const cancelled = rowIdInSet(rowId, cancelledSet, cancelledRelaxedKeys);
 		const eventStartedAt = ev.start?.dateTime ? new Date(ev.start.dateTime).getTime() : null;
 		const isPastEvent = eventStartedAt != null && eventStartedAt < Date.now();
-		const isRecentPastRhinoEvent =
-			source === "rhino" &&
-			eventStartedAt != null &&
+		const isRecentlyStartedEvent =
+			plugin?.removeRecentlyStarted === true &&
+			isPastEvent &&
 			Date.now() - eventStartedAt <= RECENT_PAST_EVENT_LOOKBACK_MS;
-		if (source === "crewOne" && isPastEvent) continue;
-		if (!cancelled && !removeAbsent && !isRecentPastRhinoEvent) continue;
+		if (plugin?.keepPastEvents && isPastEvent) return null;
+		if (!cancelled && !removeAbsent && !isRecentlyStartedEvent) return null;
+
+		// "recentPastRhino" is the reason name stored sync runs and notifications use
+		return cancelled ? "cancelled" : removeAbsent ? "removeAbsent" : "recentPastRhino";
+	};
+}
+
+/**
+ * Outcome of one calendar write a sync session flushed.
+ * reason is the SourceEventDeletion reason of a delete.
+ * @typedef {{ action: "created" | "updated" | "deleted" | "error"; eventId: string; rowId: string; reason?: string; event?: CalendarEvent; error?: Error }} SourceSyncWrite
+ */
+
+/**
+ * One source's calendar for a single sync run. Tagged events are listed once and
+ * indexed by id, row id and the source's rowMatchKey; purges and syncs are matched against
+ * that index with the same rules as purgeOrphanedSourceEvents/syncEvent, and their
+ * writes are queued until flush() sends them (through the backend's batch endpoint
+ * when it has one). A dry-run session plans the same way and never writes.
+ *
+ * A session only sees events of its own kind, so a source's shifts and each of its
+ * derivedEvents kinds (CrewOne deadline reminders) need one session each even when
+ * they share a calendar.
+ *
+ * @param {OAuth2Client | CalendarBackend} auth
+ * @param {string} source
+ * @param {{ kind?: string; dryRun?: boolean }} [options]
+ *   kind: a derivedEvents kind, e.g. "deadlineReminder" opens the CrewOne deadline reminders.
+ */
+export async function openSourceSync(auth, source, options = {}) {
+	const dryRun = options.dryRun === true;
+	const kind = options.kind;
+	const backend = backendFor(auth, source, kind);
+	const now = Date.now();
+	const recentSince = now - RECENT_PAST_EVENT_LOOKBACK_MS;
+	const rowIdOf = (ev) => rowIdFromEvent(ev, source);
+
+	const listed = await listSourceEvents(backend, source, new Date(now - MATCH_KEY_LOOKBACK_MS).toISOString());
+	const index = createSourceEventIndex(
+		source,
+		listed.filter((ev) => rowIdOf(ev) && eventKindFromRowId(rowIdOf(ev)) === kind),
+		rowIdOf
+	);
+
+	/** @type {{ op: import("./backends/batch.js").CalendarOp; rowId: string; action: "created" | "updated" | "deleted"; reason?: string }[]} */
+	const queue = [];
+	/** Events this run queued for deletion, in case a sync brings the same id back */
+	/** @type {Map<string, CalendarEvent>} */
+	const removedById = new Map();
+	const enqueue = (op, rowId, action, reason) => {
+		if (!dryRun) queue.push({ op, rowId, action, ...(reason ? { reason } : {}) });
+	};
+	const removeEvent = (ev, rowId, reason) => {
+		index.remove(ev.id);
+		removedById.set(ev.id, ev);
+		enqueue({ method: "delete", eventId: ev.id }, rowId, "deleted", reason);
+	};
+
+	/**
+	 * @param {(typeof queue)[number]} queued
+	 * @param {import("./backends/batch.js").CalendarOpResult | undefined} result
+	 * @returns {SourceSyncWrite}
+	 */
+	const writeResultFor = (queued, result) => {
+		const eventId = calendarOpEventId(queued.op);
+		const reason = queued.reason ? { reason: queued.reason } : {};
+		if (result?.ok) {
+			return { action: queued.action, eventId, rowId: queued.rowId, ...reason, ...(result.event ? { event: result.event } : {}) };
+		}
+		// Already gone (deleted by hand, or by an earlier run) is what a delete wanted
+		if (queued.op.method === "delete" && isCalendarNotFoundError(result?.error)) {
+			return { action: "deleted", eventId, rowId: queued.rowId, ...reason };
+		}
+		const error = result?.error || new Error(`No result for ${queued.op.method} ${eventId}`);
+		console.error(`  ❌ [${source}] ${queued.op.method} ${eventId} (${queued.rowId}) failed: ${error.message}`);
+		return { action: "error", eventId, rowId: queued.rowId, error };
+	};
+
+	return {
+		source,
+		kind,
+		calendarId: backend.calendarId,
+
+		/**
+		 * Queue the deletes purgeOrphanedSourceEvents would make (futureOnly window).
+		 * @param {string[]} activeRowIds
+		 * @param {{ cancelledRowIds?: string[]; removeAbsent?: boolean }} [purgeOptions]
+		 * @returns {SourceEventDeletion[]}
+		 */
+		purgeOrphaned(activeRowIds, purgeOptions = {}) {
+			const deletionReasonFor = orphanRuleFor(source, activeRowIds, purgeOptions);
+			if (!deletionReasonFor) return [];
+			/** @type {SourceEventDeletion[]} */
+			const deletions = [];
+			for (const ev of index.events(recentSince)) {
+				const rowId = rowIdOf(ev);
+				const reason = deletionReasonFor(ev, rowId);
+				if (!reason) continue;
+				deletions.push(deletionFor(ev, rowId, reason));
+				removeEvent(ev, rowId, reason);
+			}
+			return deletions;
+		},
+
+		/**
+		 * Queue deletes for every current event of the session's derived kind (derived
+		 * sessions only), as the run rebuilds them all.
+		 * @returns {SourceEventDeletion[]}
+		 */
+		purgeDerived() {
+			if (!kind) return [];
+			const reason = derivedRefreshReason(kind);
+			return index.events(recentSince).map((ev) => {
+				const rowId = rowIdOf(ev);
+				removeEvent(ev, rowId, reason);
+				return deletionFor(ev, rowId, reason);
+			});
+		},
+
+		/**
+		 * Match one event and queue its create or update; nothing is queued for an
+		 * existing event that already matches ("unchanged"). Dry runs return the
+		 * planned syncEvent result; live runs return the queued action, with the
+		 * field diff of an update.
+		 * @param {Object} event - as for syncEvent
+		 */
+		async sync(event) {
+			const requestBody = normalizeEventBody(event);
+			const queuedResult = (action, eventId, diff) => ({
+				action,
+				queued: action !== "unchanged",
+				eventId,
+				rowId: event.rowId,
+				source,
+				summary: requestBody.summary,
+				start: requestBody.start.dateTime,
+				...(diff ? { diff } : {})
+			});
+			const newEventId = deterministicIdFor(source, event.rowId);
+			const existingById =
+				candidateEventIdsFor(source, event.rowId).map((id) => index.get(id)).find(Boolean) || null;
+			const matches = await matchExistingEvents(
+				source,
+				event.rowId,
+				existingById,
+				{
+					findByRowId: (normalizedRowId) => index.findByRowId(normalizedRowId, recentSince),
+					findByMatchKey: (matchKey, keyOf) => index.findByMatchKey(matchKey, keyOf)
+				},
+				(ev) => Boolean(ev?.id)
+			);
+			const planned = dryRun ? plannedSyncResult(event, source, requestBody, newEventId, matches) : null;
+
+			if (matches.length > 0) {
+				const [existing, ...duplicates] = matches;
+				const diff = diffEventFields(existing, requestBody);
+				const changed = diff.length > 0;
+				if (changed) {
+					index.add({ ...requestBody, id: existing.id });
+					enqueue({ method: "update", eventId: existing.id, event: requestBody }, event.rowId, "updated");
+				}
+				for (const duplicate of duplicates) {
+					if (duplicate.id !== existing.id) removeEvent(duplicate, event.rowId, "duplicate");
+				}
+				return planned || queuedResult(changed ? "updated" : "unchanged", existing.id, changed ? diff : undefined);
+			}
+
+			index.add({ ...requestBody, id: newEventId });
+			// Re-creating an event this run is about to delete (deadline reminders are
+			// cleared and rebuilt every run) keeps it: unchanged, or updated in place.
+			// Dry runs queue nothing, so the planned delete is dropped via restoresEventId.
+			const removed = removedById.get(newEventId);
+			if (removed) {
+				removedById.delete(newEventId);
+				const pendingDelete = queue.findIndex((q) => q.op.method === "delete" && q.op.eventId === newEventId);
+				if (pendingDelete !== -1) queue.splice(pendingDelete, 1);
+				if (dryRun) {
+					return { ...plannedSyncResult(event, source, requestBody, newEventId, [removed]), restoresEventId: newEventId };
+				}
+				const diff = diffEventFields(removed, requestBody);
+				if (diff.length === 0) return queuedResult("unchanged", newEventId);
+				enqueue({ method: "update", eventId: newEventId, event: requestBody }, event.rowId, "updated");
+				return queuedResult("updated", newEventId, diff);
+			}
+			enqueue({ method: "insert", event: { ...requestBody, id: newEventId } }, event.rowId, "created");
+			return planned || queuedResult("created", newEventId);
+		},
+
+		/**
+		 * Send every queued write, in order. Failures come back per write.
+		 * @returns {Promise<SourceSyncWrite[]>}
+		 */
+		async flush() {
+			if (queue.length === 0) return [];
+			const pending = queue.splice(0);
+			const results = await runCalendarOps(backend, pending.map((queued) => queued.op));
+
+			// Google keeps a deleted event's id reserved, so inserting a row deleted
+			// before this run (outside the listed window) is a 409; update it back instead.
+			const conflicts = pending.flatMap((queued, i) =>
+				queued.op.method === "insert" && results[i]?.status === 409 ? [i] : []
+			);
+			if (conflicts.length > 0) {
+				const retried = await runCalendarOps(
+					backend,
+					conflicts.map((i) => ({ method: "update", eventId: pending[i].op.event.id, event: pending[i].op.event }))
+				);
+				conflicts.forEach((i, j) => {
+					results[i] = retried[j];
+				});
+			}
+
+			return pending.map((queued, i) => writeResultFor(queued, results[i]));
+		}
+	};
+}
+
+/** Event fields carried over when an event moves to another calendar */
+const MIGRATED_FIELDS = ["summary", "location", "description", "start", "end", "status", "reminders", "colorId"];
+
+/**
+ * Move a source's tagged events off one calendar (normally "primary") onto the
+ * calendar configured for it (see calendar-config.js).
+ *
+ * Each event is inserted on the target under its deterministic id and only then
+ * deleted from the old calendar. An event whose row already exists on the target
+ * (a previous, interrupted migration or a sync that already ran against the new
+ * calendar) is just removed from the old one, so re-running never duplicates.
+ *
+ * @param {OAuth2Client | CalendarBackend} from - calendar to move off
+ * @param {OAuth2Client | CalendarBackend} to - calendar to move onto
+ * @param {string} source
+ * @param {{ kind?: string; fromCalendarId?: string; dryRun?: boolean }} [options]
+ *   kind: a derivedEvents kind, e.g. "deadlineReminder" migrates CrewOne deadline reminders instead of shifts.
+ * @returns {Promise<{ from: string; to: string; moved: string[]; removedDuplicates: string[] }>}
+ */
+export async function migrateSourceEvents(from, to, source, options = {}) {
+	const fromBackend = resolveCalendarBackend(from, { calendarId: options.fromCalendarId || "primary" });
+	const toBackend = backendFor(to, source, options.kind);
+	const result = { from: fromBackend.calendarId, to: toBackend.calendarId, moved: [], removedDuplicates: [] };
+	if (fromBackend === toBackend || (fromBackend.kind === toBackend.kind && fromBackend.calendarId === toBackend.calendarId)) {
+		return result;
+	}
 
-		await deleteSourceEventByRowId(calendar, source, rowId, ev.id);
-		deletedCount += 1;
+	const timeMin = new Date(
+		Date.now() - PURGE_LOOKBACK_YEARS * 365.25 * 24 * 60 * 60 * 1000
+	).toISOString();
+	const isKind = (rowId) => eventKindFromRowId(rowId) === options.kind;
+	const targetRowIds = new Set(
+		(await listSourceEvents(toBackend, source, timeMin))
+			.map((ev) => rowIdFromEvent(ev, source))
+			.filter(Boolean)
+			.map(normalizeScheduleRowId)
+	);
+
+	for (const ev of await listSourceEvents(fromBackend, source, timeMin)) {
+		const rowId = rowIdFromEvent(ev, source);
+		if (!rowId || !isKind(rowId)) continue;
+		const normalizedRowId = normalizeScheduleRowId(rowId);
+
+		if (targetRowIds.has(normalizedRowId)) {
+			if (!options.dryRun) await fromBackend.delete(ev.id);
+			result.removedDuplicates.push(ev.id);
+			continue;
+		}
+
+		if (!options.dryRun) {
+			const body = Object.fromEntries(MIGRATED_FIELDS.filter((f) => ev[f] != null).map((f) => [f, ev[f]]));
+			const privateProps = { ...ev.extendedProperties?.private, scheduleSource: source, scheduleRowId: rowId };
+			const moved = { ...body, id: deterministicIdFor(source, rowId), extendedProperties: { private: privateProps } };
+			try {
+				await toBackend.insert(moved);
+			} catch (err) {
+				// The id belongs to an event deleted from the target earlier (Google keeps
+				// deleted ids reserved); updating it restores the event with this body.
+				if (!isCalendarConflictError(err)) throw err;
+				await toBackend.update(moved.id, moved);
+			}
+			await fromBackend.delete(ev.id);
+		}
+		targetRowIds.add(normalizedRowId);
+		result.moved.push(ev.id);
 	}
+
+	return result;
 }
 
 /** @deprecated Use purgeSourceEvents(auth, "rhino") */
@@ -3,7 +3,9 @@ import {
   deterministicIdFor,
   legacyRhinoDeterministicIdFor,
   syncEvent,
+  diffEventFields,
   consolidateDuplicateSourceEvents,
+  listDuplicateSourceEvents,
   eventMatchesSource,
   rowIdFromEvent,
   purgeSourceEvents,
@@ -151,6 +153,183 @@ describe("syncEvent", () => {
   });
 });
 
+describe("diffEventFields", () => {
+  it("compares start/end by local wall-clock time and reports changed fields", () => {
+    const existing = {
+      summary: "8am Show",
+      location: "Arena",
+      description: "",
+      start: { dateTime: "2026-08-22T07:30:00-04:00" },
+      end: { dateTime: "2026-08-22T13:00:00-04:00" },
+      status: "confirmed"
+    };
+    const requestBody = {
+      summary: "8am Show",
+      location: "Other Arena",
+      description: "",
+      start: { dateTime: "2026-08-22T07:30:00", timeZone: "America/New_York" },
+      end: { dateTime: "2026-08-22T14:00:00", timeZone: "America/New_York" },
+      status: "confirmed"
+    };
+
+    expect(diffEventFields(existing, requestBody)).toEqual([
+      { field: "location", before: "Arena", after: "Other Arena" },
+      { field: "end", before: "2026-08-22T13:00:00", after: "2026-08-22T14:00:00" }
+    ]);
+  });
+});
+
+describe("diffEventFields beyond the visible fields", () => {
+  const body = {
+    summary: "8am Show",
+    start: { dateTime: "2026-08-22T07:30:00", timeZone: "America/New_York" },
+    end: { dateTime: "2026-08-22T13:00:00", timeZone: "America/New_York" },
+    status: "confirmed",
+    extendedProperties: { private: { scheduleSource: "rhino", scheduleRowId: "row" } }
+  };
+
+  it("is empty for an event Google returns with another offset and default reminders", () => {
+    const existing = {
+      ...body,
+      start: { dateTime: "2026-08-22T04:30:00-07:00", timeZone: "America/Los_Angeles" },
+      end: { dateTime: "2026-08-22T17:00:00Z" },
+      reminders: { useDefault: true },
+      extendedProperties: { private: { scheduleRowId: "row", scheduleSource: "rhino" } }
+    };
+
+    expect(diffEventFields(existing, body)).toEqual([]);
+  });
+
+  it("reads a dateTime without an offset in the event's own timezone", () => {
+    const sameInstant = { ...body, start: { dateTime: "2026-08-22T06:30:00", timeZone: "America/Chicago" } };
+    const moved = { ...body, start: { dateTime: "2026-08-22T07:30:00", timeZone: "America/Chicago" } };
+
+    expect(diffEventFields(sameInstant, body)).toEqual([]);
+    expect(diffEventFields(moved, body)).toEqual([{ field: "start", before: "2026-08-22T08:30:00", after: "2026-08-22T07:30:00" }]);
+  });
+
+  it("reports reminder, color and private-property changes", () => {
+    const existing = { ...body, extendedProperties: { private: { scheduleSource: "rhino", scheduleRowId: "old" } } };
+    const requestBody = {
+      ...body,
+      colorId: "6",
+      reminders: { useDefault: false, overrides: [{ method: "popup", minutes: 60 }] }
+    };
+
+    expect(diffEventFields(existing, requestBody).map((d) => d.field)).toEqual([
+      "colorId",
+      "reminders",
+      "extendedProperties"
+    ]);
+  });
+});
+
+describe("syncEvent unchanged", () => {
+  beforeEach(() => {
+    mockList.mockReset().mockResolvedValue({ data: { items: [] } });
+    mockDelete.mockReset();
+    mockUpdate.mockReset();
+    mockInsert.mockReset();
+  });
+
+  it("skips the update when the existing event already matches", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | | Load In";
+    const existing = {
+      id: deterministicIdFor("iatse927", rowId),
+      summary: "8am Show",
+      location: "",
+      description: "",
+      start: { dateTime: "2026-08-22T07:30:00-04:00", timeZone: "America/New_York" },
+      end: { dateTime: "2026-08-22T13:00:00-04:00", timeZone: "America/New_York" },
+      status: "confirmed",
+      extendedProperties: { private: { scheduleSource: "iatse927", scheduleRowId: rowId } }
+    };
+    mockGet.mockReset().mockResolvedValue({ data: existing });
+
+    const result = await syncEvent({}, {
+      source: "iatse927",
+      rowId,
+      summary: "8am Show",
+      start: "2026-08-22T07:30:00",
+      end: "2026-08-22T13:00:00"
+    });
+
+    expect(result).toEqual({ action: "unchanged", event: existing });
+    expect(mockUpdate).not.toHaveBeenCalled();
+    expect(mockInsert).not.toHaveBeenCalled();
+  });
+});
+
+describe("syncEvent dry run", () => {
+  beforeEach(() => {
+    mockList.mockReset().mockResolvedValue({ data: { items: [] } });
+    mockDelete.mockReset();
+    mockGet.mockReset().mockRejectedValue({ code: 404 });
+    mockUpdate.mockReset();
+    mockInsert.mockReset();
+  });
+
+  it("plans a create without inserting", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | | Load In";
+    const result = await syncEvent(
+      {},
+      { source: "iatse927", rowId, summary: "8am Show", start: "2026-08-22T07:30:00", end: "2026-08-22T13:00:00" },
+      { dryRun: true }
+    );
+
+    expect(result).toMatchObject({
+      action: "created",
+      dryRun: true,
+      eventId: deterministicIdFor("iatse927", rowId),
+      start: "2026-08-22T07:30:00"
+    });
+    expect(mockInsert).not.toHaveBeenCalled();
+  });
+
+  it("plans an update with a field diff and lists duplicates without writing", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | | Load In";
+    const tagged = { scheduleSource: "iatse927", scheduleRowId: rowId };
+    mockList.mockResolvedValueOnce({
+      data: {
+        items: [
+          { id: "copy-1", summary: "8am Old Show", extendedProperties: { private: tagged } },
+          { id: "copy-2", summary: "8am Old Show", extendedProperties: { private: tagged } }
+        ]
+      }
+    });
+
+    const result = await syncEvent(
+      {},
+      { source: "iatse927", rowId, summary: "8am Show", start: "2026-08-22T07:30:00", end: "2026-08-22T13:00:00" },
+      { dryRun: true }
+    );
+
+    expect(result.action).toBe("updated");
+    expect(result.eventId).toBe("copy-1");
+    expect(result.duplicateIds).toEqual(["copy-2"]);
+    expect(result.diff).toContainEqual({ field: "summary", before: "8am Old Show", after: "8am Show" });
+    expect(mockUpdate).not.toHaveBeenCalled();
+    expect(mockDelete).not.toHaveBeenCalled();
+  });
+
+  it("does not match events a planned purge already deletes", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | | Load In";
+    mockList.mockResolvedValueOnce({
+      data: {
+        items: [{ id: "purged", extendedProperties: { private: { scheduleSource: "iatse927", scheduleRowId: rowId } } }]
+      }
+    });
+
+    const result = await syncEvent(
+      {},
+      { source: "iatse927", rowId, summary: "8am Show", start: "2026-08-22T07:30:00", end: "2026-08-22T13:00:00" },
+      { dryRun: true, ignoreEventIds: new Set(["purged"]) }
+    );
+
+    expect(result.action).toBe("created");
+  });
+});
+
 describe("purgeSourceEvents", () => {
   beforeEach(() => {
     mockList.mockReset();
@@ -214,6 +393,23 @@ describe("consolidateDuplicateSourceEvents", () => {
     expect(mockDelete).toHaveBeenCalledWith({ calendarId: "primary", eventId: "copy-2" });
     expect(mockDelete).toHaveBeenCalledWith({ calendarId: "primary", eventId: "copy-3" });
   });
+
+  it("lists the duplicates it would remove without deleting them", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Lakewood Amphitheater | | Load In";
+    mockList.mockResolvedValueOnce({
+      data: {
+        items: [
+          { id: "copy-1", extendedProperties: { private: { scheduleSource: "iatse927", scheduleRowId: rowId } } },
+          { id: "copy-2", extendedProperties: { private: { scheduleSource: "iatse927", scheduleRowId: rowId } } }
+        ]
+      }
+    });
+
+    const duplicates = await listDuplicateSourceEvents({}, "iatse927");
+
+    expect(duplicates).toEqual([expect.objectContaining({ eventId: "copy-2", rowId, reason: "duplicate" })]);
+    expect(mockDelete).not.toHaveBeenCalled();
+  });
 });
 
 describe("purgeOrphanedSourceEvents", () => {
@@ -535,6 +731,47 @@ describe("purgeOrphanedSourceEvents", () => {
     expect(mockDelete).toHaveBeenCalledTimes(1);
   });
 
+  it("dry run reports each delete with the rule that triggered it and deletes nothing", async () => {
+    const tag = (scheduleRowId) => ({ private: { scheduleSource: "rhino", scheduleRowId } });
+    const cancelled = { id: "evt-cancelled", extendedProperties: tag("cancelled-row") };
+    const rescheduled = {
+      id: "evt-rescheduled",
+      start: { dateTime: new Date(Date.now() - 30 * 60 * 1000).toISOString() },
+      extendedProperties: tag("rescheduled-row")
+    };
+    const kept = { id: "evt-kept", extendedProperties: tag("still-on-portal") };
+    mockList.mockResolvedValueOnce({ data: { items: [cancelled, rescheduled, kept] } });
+
+    const deletions = await purgeOrphanedSourceEvents({}, "rhino", ["still-on-portal"], {
+      cancelledRowIds: ["cancelled-row"],
+      dryRun: true
+    });
+
+    expect(mockDelete).not.toHaveBeenCalled();
+    expect(deletions.map(({ eventId, reason }) => ({ eventId, reason }))).toEqual([
+      { eventId: "evt-cancelled", reason: "cancelled" },
+      { eventId: "evt-rescheduled", reason: "recentPastRhino" }
+    ]);
+  });
+
+  it("dry run attributes complete-snapshot deletes to removeAbsent", async () => {
+    const absent = {
+      id: "evt-crewone-removed",
+      extendedProperties: {
+        private: { scheduleSource: "crewOne", scheduleRowId: "6/12/2026 | 08:00 | CONCERT | State Farm Arena" }
+      }
+    };
+    mockList.mockResolvedValueOnce({ data: { items: [absent] } });
+
+    const deletions = await purgeOrphanedSourceEvents({}, "crewOne", ["6/13/2026 | 08:00 | OTHER | Other Venue"], {
+      removeAbsent: true,
+      dryRun: true
+    });
+
+    expect(mockDelete).not.toHaveBeenCalled();
+    expect(deletions).toEqual([expect.objectContaining({ eventId: "evt-crewone-removed", reason: "removeAbsent" })]);
+  });
+
   it("without removeAbsent, an absent event is kept (default safety contract)", async () => {
     const absent = {
       id: "evt-absent",
@@ -0,0 +1,92 @@
+import { calendarBackendError } from "./types.js";
+
+/**
+ * One queued calendar write.
+ * @typedef {{ method: "insert"; event: import("./types.js").CalendarEvent }
+ *   | { method: "update"; eventId: string; event: import("./types.js").CalendarEvent }
+ *   | { method: "delete"; eventId: string }} CalendarOp
+ *
+ * Outcome of one op, in op order. Failures are per op and never throw; a delete of
+ * a missing event is { ok: false, status: 404 } (410 on Google once deleted).
+ * @typedef {{ ok: true; status: number; event?: import("./types.js").CalendarEvent }
+ *   | { ok: false; status: number; error: Error }} CalendarOpResult
+ */
+
+/** @param {CalendarOp} op */
+export function calendarOpEventId(op) {
+  return op.method === "insert" ? op.event.id : op.eventId;
+}
+
+/**
+ * Split ops into batches of at most maxSize, keeping op order. A batch's ops may
+ * run in any order on the server, so an op touching an event id already in the
+ * current batch starts a new one.
+ * @param {CalendarOp[]} ops
+ * @param {number} maxSize
+ * @returns {CalendarOp[][]}
+ */
+export function planBatches(ops, maxSize) {
+  /** @type {CalendarOp[][]} */
+  const batches = [];
+  let current = [];
+  let ids = new Set();
+  for (const op of ops) {
+    const eventId = calendarOpEventId(op);
+    if (current.length >= maxSize || (eventId && ids.has(eventId))) {
+      batches.push(current);
+      current = [];
+      ids = new Set();
+    }
+    current.push(op);
+    if (eventId) ids.add(eventId);
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * @param {unknown} err
+ * @returns {number}
+ */
+function statusOf(err) {
+  return Number(err?.code) || Number(err?.response?.status) || 500;
+}
+
+/**
+ * Apply ops one call at a time (backends without a batch endpoint).
+ * @param {import("./types.js").CalendarBackend} backend
+ * @param {CalendarOp[]} ops
+ * @returns {Promise<CalendarOpResult[]>}
+ */
+export async function applyCalendarOpsSequentially(backend, ops) {
+  /** @type {CalendarOpResult[]} */
+  const results = [];
+  for (const op of ops) {
+    try {
+      if (op.method === "insert") {
+        results.push({ ok: true, status: 200, event: await backend.insert(op.event) });
+      } else if (op.method === "update") {
+        results.push({ ok: true, status: 200, event: await backend.update(op.eventId, op.event) });
+      } else if (await backend.delete(op.eventId)) {
+        results.push({ ok: true, status: 204 });
+      } else {
+        results.push({ ok: false, status: 404, error: calendarBackendError(404, `Not Found: ${op.eventId}`) });
+      }
+    } catch (err) {
+      results.push({ ok: false, status: statusOf(err), error: err instanceof Error ? err : new Error(String(err)) });
+    }
+  }
+  return results;
+}
+
+/**
+ * Run ops through the backend's batch endpoint when it has one.
+ * @param {import("./types.js").CalendarBackend} backend
+ * @param {CalendarOp[]} ops
+ * @returns {Promise<CalendarOpResult[]>}
+ */
+export async function runCalendarOps(backend, ops) {
+  if (ops.length === 0) return [];
+  if (typeof backend.batch === "function") return backend.batch(ops);
+  return applyCalendarOpsSequentially(backend, ops);
+}
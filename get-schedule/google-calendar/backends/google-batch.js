@@ -0,0 +1,110 @@
+import { calendarBackendError } from "./types.js";
+
+/**
+ * Google Calendar batch requests: up to 50 calls in one multipart/mixed POST.
+ * https://developers.google.com/calendar/api/guides/batch
+ */
+
+export const GOOGLE_BATCH_URL = "https://www.googleapis.com/batch/calendar/v3";
+export const GOOGLE_BATCH_MAX_SIZE = 50;
+
+/**
+ * @param {string} calendarId
+ * @param {import("./batch.js").CalendarOp} op
+ */
+function requestLineFor(calendarId, op) {
+  const events = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+  if (op.method === "insert") return `POST ${events}`;
+  const path = `${events}/${encodeURIComponent(op.eventId)}`;
+  return op.method === "update" ? `PUT ${path}` : `DELETE ${path}`;
+}
+
+/**
+ * multipart/mixed body for one batch; part i carries Content-ID <item-i>.
+ * @param {string} calendarId
+ * @param {import("./batch.js").CalendarOp[]} ops
+ * @param {string} boundary
+ * @returns {string}
+ */
+export function buildBatchRequestBody(calendarId, ops, boundary) {
+  const parts = ops.map((op, index) => {
+    const lines = [
+      `--${boundary}`,
+      "Content-Type: application/http",
+      `Content-ID: <item-${index}>`,
+      "",
+      `${requestLineFor(calendarId, op)} HTTP/1.1`
+    ];
+    if (op.method === "delete") {
+      lines.push("", "");
+    } else {
+      lines.push("Content-Type: application/json; charset=UTF-8", "", JSON.stringify(op.event));
+    }
+    return lines.join("\r\n");
+  });
+  return `${parts.join("\r\n")}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * @param {string} contentType
+ * @returns {string | null}
+ */
+export function boundaryFromContentType(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * @param {string} text
+ * @returns {[string, string]} headers block and the rest
+ */
+function splitHeaders(text) {
+  const index = text.indexOf("\n\n");
+  return index === -1 ? [text, ""] : [text.slice(0, index), text.slice(index + 2)];
+}
+
+/**
+ * Per-op results from a batch response, in the order of the request's ops.
+ * @param {string} body
+ * @param {string} contentType - response Content-Type (carries the boundary)
+ * @param {number} opCount
+ * @returns {import("./batch.js").CalendarOpResult[]}
+ */
+export function parseBatchResponse(body, contentType, opCount) {
+  const boundary = boundaryFromContentType(contentType);
+  if (!boundary) {
+    throw new Error(`Batch response has no multipart boundary (Content-Type: ${contentType || "none"})`);
+  }
+
+  /** @type {(import("./batch.js").CalendarOpResult | undefined)[]} */
+  const results = new Array(opCount).fill(undefined);
+  const parts = String(body || "").replace(/\r\n/g, "\n").split(`--${boundary}`);
+
+  for (const part of parts) {
+    if (!part.trim() || part.startsWith("--")) continue;
+    const [outerHeaders, response] = splitHeaders(part.replace(/^\n/, ""));
+    const idMatch = /content-id:\s*<response-item-(\d+)>/i.exec(outerHeaders);
+    const index = idMatch ? Number(idMatch[1]) : results.indexOf(undefined);
+    if (!(index >= 0 && index < opCount)) continue;
+
+    const [statusBlock, payload] = splitHeaders(response);
+    const status = Number(/HTTP\/[\d.]+\s+(\d{3})/.exec(statusBlock)?.[1]) || 500;
+    let json = null;
+    if (payload.trim()) {
+      try {
+        json = JSON.parse(payload.trim());
+      } catch {
+        json = null;
+      }
+    }
+
+    results[index] =
+      status < 300
+        ? { ok: true, status, ...(json ? { event: json } : {}) }
+        : { ok: false, status, error: calendarBackendError(status, json?.error?.message || `Batch item failed with HTTP ${status}`) };
+  }
+
+  return results.map(
+    (result) => result || { ok: false, status: 500, error: calendarBackendError(500, "Batch response is missing this item") }
+  );
+}
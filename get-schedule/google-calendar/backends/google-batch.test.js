@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from "vitest";
+import { buildBatchRequestBody, parseBatchResponse, boundaryFromContentType, GOOGLE_BATCH_URL } from "./google-batch.js";
+import { planBatches } from "./batch.js";
+import { createGoogleCalendarBackend } from "./google.js";
+
+/** A multipart/mixed batch response like Google's */
+function batchResponse(boundary, items) {
+  const parts = items.map(
+    ({ index, status, body }) =>
+      [
+        `--${boundary}`,
+        "Content-Type: application/http",
+        `Content-ID: <response-item-${index}>`,
+        "",
+        `HTTP/1.1 ${status} STATUS`,
+        "Content-Type: application/json; charset=UTF-8",
+        "",
+        body ? JSON.stringify(body) : ""
+      ].join("\r\n")
+  );
+  return `${parts.join("\r\n")}\r\n--${boundary}--\r\n`;
+}
+
+describe("planBatches", () => {
+  it("chunks by size and splits ops that touch the same event", () => {
+    const ops = [
+      { method: "delete", eventId: "a" },
+      { method: "insert", event: { id: "b" } },
+      { method: "update", eventId: "a", event: {} },
+      { method: "delete", eventId: "c" }
+    ];
+
+    expect(planBatches(ops, 50).map((batch) => batch.length)).toEqual([2, 2]);
+    expect(planBatches(ops, 1).map((batch) => batch.length)).toEqual([1, 1, 1, 1]);
+  });
+});
+
+describe("buildBatchRequestBody", () => {
+  it("writes one application/http part per op", () => {
+    const body = buildBatchRequestBody(
+      "team@group.calendar.google.com",
+      [
+        { method: "insert", event: { id: "new1", summary: "Show" } },
+        { method: "update", eventId: "old1", event: { summary: "Moved" } },
+        { method: "delete", eventId: "gone1" }
+      ],
+      "b123"
+    );
+
+    expect(body).toContain("Content-ID: <item-0>");
+    expect(body).toContain("POST /calendar/v3/calendars/team%40group.calendar.google.com/events HTTP/1.1");
+    expect(body).toContain('{"id":"new1","summary":"Show"}');
+    expect(body).toContain("PUT /calendar/v3/calendars/team%40group.calendar.google.com/events/old1 HTTP/1.1");
+    expect(body).toContain("DELETE /calendar/v3/calendars/team%40group.calendar.google.com/events/gone1 HTTP/1.1");
+    expect(body.endsWith("--b123--\r\n")).toBe(true);
+    expect(body.split("--b123\r\n")).toHaveLength(4);
+  });
+});
+
+describe("parseBatchResponse", () => {
+  it("maps parts back to op order by Content-ID", () => {
+    const text = batchResponse("batch_xyz", [
+      { index: 1, status: 204 },
+      { index: 0, status: 200, body: { id: "new1" } },
+      { index: 2, status: 410, body: { error: { code: 410, message: "Resource has been deleted" } } }
+    ]);
+
+    const results = parseBatchResponse(text, "multipart/mixed; boundary=batch_xyz", 4);
+
+    expect(results[0]).toEqual({ ok: true, status: 200, event: { id: "new1" } });
+    expect(results[1]).toEqual({ ok: true, status: 204 });
+    expect(results[2]).toMatchObject({ ok: false, status: 410 });
+    expect(results[2].error.message).toBe("Resource has been deleted");
+    expect(results[3]).toMatchObject({ ok: false, status: 500 });
+  });
+
+  it("reads quoted boundaries and rejects responses without one", () => {
+    expect(boundaryFromContentType('multipart/mixed; boundary="abc"')).toBe("abc");
+    expect(() => parseBatchResponse("", "application/json", 1)).toThrow(/boundary/);
+  });
+});
+
+describe("Google backend batch", () => {
+  it("posts each chunk to the batch endpoint with the calendar's auth", async () => {
+    const auth = {
+      request: vi.fn(async ({ data }) => {
+        const count = data.split("Content-ID: <item-").length - 1;
+        const items = Array.from({ length: count }, (_, index) => ({ index, status: 200, body: { id: `e${index}` } }));
+        return {
+          data: batchResponse("resp", items),
+          headers: new Headers({ "content-type": "multipart/mixed; boundary=resp" })
+        };
+      })
+    };
+    const backend = createGoogleCalendarBackend(auth, { calendarId: "cal" });
+    const ops = Array.from({ length: 51 }, (_, i) => ({ method: "insert", event: { id: `id${i}` } }));
+
+    const results = await backend.batch(ops);
+
+    expect(auth.request).toHaveBeenCalledTimes(2);
+    expect(auth.request.mock.calls[0][0]).toMatchObject({ url: GOOGLE_BATCH_URL, method: "POST" });
+    expect(results).toHaveLength(51);
+    expect(results.every((result) => result.ok)).toBe(true);
+  });
+});
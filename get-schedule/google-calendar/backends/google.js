@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import { google } from "googleapis";
+import { DEFAULT_CALENDAR_ID, isCalendarNotFoundError } from "./types.js";
+import { planBatches } from "./batch.js";
+import {
+  GOOGLE_BATCH_MAX_SIZE,
+  GOOGLE_BATCH_URL,
+  buildBatchRequestBody,
+  parseBatchResponse
+} from "./google-batch.js";
+
+/**
+ * @param {Headers | Record<string, string> | undefined} headers
+ * @param {string} name
+ */
+function headerValue(headers, name) {
+  if (!headers) return "";
+  if (typeof headers.get === "function") return headers.get(name) || "";
+  return headers[name] || headers[name.toLowerCase()] || "";
+}
+
+/**
+ * Google Calendar API backend.
+ * @param {import("google-auth-library").OAuth2Client} auth
+ * @param {{ calendarId?: string }} [options]
+ * @returns {import("./types.js").CalendarBackend}
+ */
+export function createGoogleCalendarBackend(auth, options = {}) {
+  const calendar = google.calendar({ version: "v3", auth });
+  const calendarId = options.calendarId || DEFAULT_CALENDAR_ID;
+
+  return {
+    kind: "google",
+    calendarId,
+
+    async list({ timeMin, showDeleted = false } = {}) {
+      /** @type {import("./types.js").CalendarEvent[]} */
+      const events = [];
+      let pageToken;
+
+      do {
+        const res = await calendar.events.list({
+          calendarId,
+          timeMin,
+          singleEvents: true,
+          orderBy: "startTime",
+          maxResults: 2500,
+          ...(showDeleted ? { showDeleted: true } : {}),
+          pageToken
+        });
+        events.push(...(res.data.items || []));
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+
+      return events;
+    },
+
+    async get(eventId) {
+      try {
+        return (await calendar.events.get({ calendarId, eventId })).data;
+      } catch (err) {
+        if (isCalendarNotFoundError(err)) return null;
+        throw err;
+      }
+    },
+
+    async insert(event) {
+      return (await calendar.events.insert({ calendarId, requestBody: event })).data;
+    },
+
+    async update(eventId, event) {
+      return (await calendar.events.update({ calendarId, eventId, requestBody: event })).data;
+    },
+
+    async delete(eventId) {
+      try {
+        await calendar.events.delete({ calendarId, eventId });
+        return true;
+      } catch (err) {
+        if (isCalendarNotFoundError(err)) return false;
+        throw err;
+      }
+    },
+
+    async batch(ops) {
+      /** @type {import("./batch.js").CalendarOpResult[]} */
+      const results = [];
+      for (const chunk of planBatches(ops, GOOGLE_BATCH_MAX_SIZE)) {
+        const boundary = `batch_${crypto.randomUUID().replace(/-/g, "")}`;
+        const res = await auth.request({
+          url: GOOGLE_BATCH_URL,
+          method: "POST",
+          headers: { "Content-Type": `multipart/mixed; boundary=${boundary}` },
+          data: buildBatchRequestBody(calendarId, chunk, boundary),
+          responseType: "text"
+        });
+        results.push(...parseBatchResponse(res.data, headerValue(res.headers, "content-type"), chunk.length));
+      }
+      return results;
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { createGoogleCalendarBackend } from "./google.js";
+import { isCalendarBackend } from "./types.js";
+
+export { createGoogleCalendarBackend } from "./google.js";
+export { createMemoryCalendarBackend } from "./memory.js";
+export { isCalendarBackend, isCalendarNotFoundError, isCalendarConflictError, DEFAULT_CALENDAR_ID } from "./types.js";
+export { runCalendarOps, calendarOpEventId } from "./batch.js";
+
+/**
+ * Sync functions accept either a ready backend or a Google OAuth client, which is
+ * wrapped in the Google Calendar backend.
+ * @param {import("google-auth-library").OAuth2Client | import("./types.js").CalendarBackend} authOrBackend
+ * @param {{ calendarId?: string }} [options]
+ * @returns {import("./types.js").CalendarBackend}
+ */
+export function resolveCalendarBackend(authOrBackend, options = {}) {
+  if (isCalendarBackend(authOrBackend)) return authOrBackend;
+  return createGoogleCalendarBackend(authOrBackend, options);
+}
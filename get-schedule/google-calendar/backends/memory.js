@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import { DEFAULT_CALENDAR_ID, calendarBackendError } from "./types.js";
+import { applyCalendarOpsSequentially } from "./batch.js";
+
+/** @param {import("./types.js").CalendarEvent} event */
+function clone(event) {
+  return structuredClone(event);
+}
+
+/** @param {{ dateTime?: string | null; date?: string | null } | undefined} when */
+function timeOf(when) {
+  const value = when?.dateTime || when?.date;
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * In-process calendar for tests and offline runs. Follows the Google semantics the
+ * sync relies on: ids are unique (insert of an existing id is a 409), list filters
+ * by end time after timeMin, and missing events are 404s on update. A deleted event
+ * keeps its id: get returns it as cancelled, listing with showDeleted includes it,
+ * inserting the id again is a 409 and updating it restores the event.
+ * @param {{ calendarId?: string; events?: import("./types.js").CalendarEvent[] }} [options]
+ * @returns {import("./types.js").CalendarBackend & { snapshot: () => import("./types.js").CalendarEvent[] }}
+ */
+export function createMemoryCalendarBackend(options = {}) {
+  /** @type {Map<string, import("./types.js").CalendarEvent>} */
+  const events = new Map();
+  for (const event of options.events || []) {
+    const id = event.id || crypto.randomUUID().replace(/-/g, "");
+    events.set(id, { ...clone(event), id });
+  }
+  /** @type {Map<string, import("./types.js").CalendarEvent>} */
+  const deleted = new Map();
+
+  const ordered = (includeDeleted = false) =>
+    [...events.values(), ...(includeDeleted ? deleted.values() : [])].sort((a, b) => (timeOf(a.start) ?? 0) - (timeOf(b.start) ?? 0));
+
+  return {
+    kind: "memory",
+    calendarId: options.calendarId || DEFAULT_CALENDAR_ID,
+
+    async list({ timeMin, showDeleted = false } = {}) {
+      const min = timeMin ? new Date(timeMin).getTime() : null;
+      return ordered(showDeleted)
+        .filter((event) => {
+          if (min == null) return true;
+          const end = timeOf(event.end) ?? timeOf(event.start);
+          return end == null || end > min;
+        })
+        .map(clone);
+    },
+
+    async get(eventId) {
+      const event = events.get(eventId) || deleted.get(eventId);
+      return event ? clone(event) : null;
+    },
+
+    async insert(event) {
+      const id = event.id || crypto.randomUUID().replace(/-/g, "");
+      if (events.has(id) || deleted.has(id)) {
+        throw calendarBackendError(409, `The requested identifier already exists: ${id}`);
+      }
+      events.set(id, { ...clone(event), id });
+      return clone(events.get(id));
+    },
+
+    async update(eventId, event) {
+      if (!events.has(eventId) && !deleted.has(eventId)) {
+        throw calendarBackendError(404, `Not Found: ${eventId}`);
+      }
+      deleted.delete(eventId);
+      events.set(eventId, { ...clone(event), id: eventId });
+      return clone(events.get(eventId));
+    },
+
+    async delete(eventId) {
+      const event = events.get(eventId);
+      if (!event) return false;
+      events.delete(eventId);
+      deleted.set(eventId, { ...event, status: "cancelled" });
+      return true;
+    },
+
+    async batch(ops) {
+      return applyCalendarOpsSequentially(this, ops);
+    },
+
+    /** Every stored event, ordered by start (for assertions). */
+    snapshot() {
+      return ordered().map(clone);
+    }
+  };
+}
@@ -0,0 +1,427 @@
+import { afterEach, describe, it, expect } from "vitest";
+import { createMemoryCalendarBackend, isCalendarBackend, resolveCalendarBackend } from "./index.js";
+import {
+  deterministicIdFor,
+  legacyRhinoDeterministicIdFor,
+  syncEvent,
+  purgeOrphanedSourceEvents,
+  consolidateDuplicateSourceEvents,
+  migrateSourceEvents,
+  openSourceSync
+} from "../add-event.js";
+import { sources } from "../../sources/index.js";
+import { addDeletionsToPlan, addSyncResultToPlan, createSourcePlan } from "../../sync-plan.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Tests register their own sources in the shared registry; put it back after each
+const registeredSources = { ...sources };
+afterEach(() => {
+  for (const id of Object.keys(sources)) {
+    if (!(id in registeredSources)) delete sources[id];
+  }
+  Object.assign(sources, registeredSources);
+});
+
+/** Local wall-clock "YYYY-MM-DDTHH:mm:ss" the way toGoogleEvent formats start/end. */
+function wallClock(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:00`;
+}
+
+function taggedEvent(id, source, scheduleRowId, startMs = Date.now() + 24 * HOUR) {
+  return {
+    id,
+    summary: id,
+    start: { dateTime: new Date(startMs).toISOString() },
+    end: { dateTime: new Date(startMs + 5 * HOUR).toISOString() },
+    extendedProperties: { private: { scheduleSource: source, scheduleRowId } }
+  };
+}
+
+describe("createMemoryCalendarBackend", () => {
+  it("satisfies the backend interface and is passed through unchanged", () => {
+    const backend = createMemoryCalendarBackend();
+    expect(isCalendarBackend(backend)).toBe(true);
+    expect(resolveCalendarBackend(backend)).toBe(backend);
+  });
+
+  it("rejects duplicate ids, 404s updates of missing events and reports deletes", async () => {
+    const backend = createMemoryCalendarBackend();
+    await backend.insert({ id: "evt1", summary: "one" });
+
+    await expect(backend.insert({ id: "evt1" })).rejects.toMatchObject({ code: 409 });
+    await expect(backend.update("missing", {})).rejects.toMatchObject({ code: 404 });
+    expect(await backend.get("missing")).toBeNull();
+    expect(await backend.delete("evt1")).toBe(true);
+    expect(await backend.delete("evt1")).toBe(false);
+  });
+
+  it("keeps private-property tags and filters list by end time", async () => {
+    const past = taggedEvent("past", "rhino", "old", Date.now() - 48 * HOUR);
+    const future = taggedEvent("future", "rhino", "new");
+    const backend = createMemoryCalendarBackend({ events: [future, past] });
+
+    const listed = await backend.list({ timeMin: new Date().toISOString() });
+
+    expect(listed.map((e) => e.id)).toEqual(["future"]);
+    expect(listed[0].extendedProperties.private).toEqual({ scheduleSource: "rhino", scheduleRowId: "new" });
+  });
+
+  it("keeps deleted ids reserved like Google: 409 on insert, update restores", async () => {
+    const backend = createMemoryCalendarBackend({ events: [taggedEvent("evt1", "rhino", "row")] });
+    await backend.delete("evt1");
+
+    expect(await backend.get("evt1")).toMatchObject({ status: "cancelled" });
+    expect((await backend.list({ showDeleted: true })).map((e) => e.id)).toEqual(["evt1"]);
+    await expect(backend.insert({ id: "evt1" })).rejects.toMatchObject({ code: 409 });
+
+    await backend.update("evt1", { summary: "back" });
+    expect(backend.snapshot()).toEqual([{ id: "evt1", summary: "back" }]);
+  });
+});
+
+describe("sync rules against the memory backend", () => {
+  const start = Date.now() + 24 * HOUR;
+  const event = (rowId, summary = "8am Show") => ({
+    source: "rhino",
+    rowId,
+    summary,
+    start: wallClock(start),
+    end: wallClock(start + 5 * HOUR)
+  });
+
+  it("creates once under the deterministic id, then updates in place", async () => {
+    const backend = createMemoryCalendarBackend();
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | SH | IN";
+
+    expect((await syncEvent(backend, event(rowId))).action).toBe("created");
+    expect((await syncEvent(backend, event(rowId, "9am Show"))).action).toBe("updated");
+
+    const stored = backend.snapshot();
+    expect(stored).toHaveLength(1);
+    expect(stored[0].id).toBe(deterministicIdFor("rhino", rowId));
+    expect(stored[0].summary).toBe("9am Show");
+    expect(stored[0].extendedProperties.private).toMatchObject({ scheduleSource: "rhino", scheduleRowId: rowId });
+  });
+
+  it("leaves an event that already matches untouched", async () => {
+    const backend = createMemoryCalendarBackend();
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | SH | IN";
+    await syncEvent(backend, event(rowId));
+    backend.update = () => {
+      throw new Error("no-op sync must not update");
+    };
+
+    expect((await syncEvent(backend, event(rowId))).action).toBe("unchanged");
+  });
+
+  it("updates a legacy Rhino event instead of creating a second copy", async () => {
+    const rowId = "8/22/2026 | 08:00 | Show | Arena | SH | IN";
+    const legacyId = legacyRhinoDeterministicIdFor(rowId);
+    const backend = createMemoryCalendarBackend({
+      events: [{ ...taggedEvent(legacyId, "rhino", rowId), extendedProperties: { private: { rhinoRowId: rowId } } }]
+    });
+
+    expect((await syncEvent(backend, event(rowId))).action).toBe("updated");
+    expect(backend.snapshot().map((e) => e.id)).toEqual([legacyId]);
+  });
+
+  // Future events absent from the fetch are kept even for Rhino, whose recent-past
+  // rule only applies to events that already started.
+  it("purges cancelled rows only and keeps events merely absent from the fetch", async () => {
+    const backend = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("active", "rhino", "active-row"),
+        taggedEvent("absent", "rhino", "absent-row"),
+        taggedEvent("cancelled", "rhino", "cancelled-row")
+      ]
+    });
+
+    await purgeOrphanedSourceEvents(backend, "rhino", ["active-row"], { cancelledRowIds: ["cancelled-row"] });
+
+    expect(backend.snapshot().map((e) => e.id).sort()).toEqual(["absent", "active"]);
+  });
+
+  it("purges a Rhino event that vanished from the fetch only once it has started", async () => {
+    const backend = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("started", "rhino", "started-row", Date.now() - 2 * HOUR),
+        taggedEvent("upcoming", "rhino", "upcoming-row", Date.now() + 2 * HOUR)
+      ]
+    });
+
+    const deletions = await purgeOrphanedSourceEvents(backend, "rhino", ["other-row"]);
+
+    expect(deletions.map((d) => [d.eventId, d.reason])).toEqual([["started", "recentPastRhino"]]);
+    expect(backend.snapshot().map((e) => e.id)).toEqual(["upcoming"]);
+  });
+
+  it("never deletes anything on an empty snapshot unless the source is complete", async () => {
+    const backend = createMemoryCalendarBackend({ events: [taggedEvent("future", "crewOne", "row")] });
+
+    await purgeOrphanedSourceEvents(backend, "crewOne", []);
+    expect(backend.snapshot()).toHaveLength(1);
+
+    await purgeOrphanedSourceEvents(backend, "crewOne", [], { removeAbsent: true });
+    expect(backend.snapshot()).toHaveLength(0);
+  });
+
+  it("leaves other sources' events alone", async () => {
+    const untagged = { ...taggedEvent("untagged", "rhino", "x"), extendedProperties: undefined };
+    const backend = createMemoryCalendarBackend({ events: [taggedEvent("crew", "crewOne", "row"), untagged] });
+
+    await purgeOrphanedSourceEvents(backend, "rhino", ["other"], { removeAbsent: true });
+
+    expect(backend.snapshot()).toHaveLength(2);
+  });
+
+  it("consolidates duplicates down to one event per row", async () => {
+    const backend = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("copy-1", "iatse927", "row"),
+        taggedEvent("copy-2", "iatse927", "row"),
+        taggedEvent("other", "iatse927", "other-row")
+      ]
+    });
+
+    expect(await consolidateDuplicateSourceEvents(backend, "iatse927")).toBe(1);
+    expect(backend.snapshot()).toHaveLength(2);
+  });
+});
+
+describe("openSourceSync against the memory backend", () => {
+  const start = Date.now() + 24 * HOUR;
+  const event = (rowId, summary = "8am Show", source = "rhino") => ({
+    source,
+    rowId,
+    summary,
+    start: wallClock(start),
+    end: wallClock(start + 5 * HOUR)
+  });
+
+  /** Memory backend that counts list and batch calls */
+  function countingBackend(events) {
+    const backend = createMemoryCalendarBackend({ events });
+    const calls = { list: 0, batch: 0, ops: 0 };
+    const { list, batch } = backend;
+    backend.list = (...args) => {
+      calls.list += 1;
+      return list.apply(backend, args);
+    };
+    backend.batch = (ops) => {
+      calls.batch += 1;
+      calls.ops += ops.length;
+      return batch.call(backend, ops);
+    };
+    return { backend, calls };
+  }
+
+  it("lists the calendar once and sends every write in one flush", async () => {
+    const { backend, calls } = countingBackend([
+      taggedEvent(deterministicIdFor("rhino", "keep"), "rhino", "keep"),
+      taggedEvent("dupe", "rhino", "keep"),
+      taggedEvent("gone", "rhino", "cancelled-row")
+    ]);
+
+    const session = await openSourceSync(backend, "rhino");
+    const deletions = session.purgeOrphaned(["keep", "new"], { cancelledRowIds: ["cancelled-row"] });
+    const synced = [await session.sync(event("keep", "9am Show")), await session.sync(event("new"))];
+    expect(calls.ops).toBe(0);
+    const writes = await session.flush();
+
+    expect(calls).toEqual({ list: 1, batch: 1, ops: 4 });
+    expect(deletions.map((d) => [d.eventId, d.reason])).toEqual([["gone", "cancelled"]]);
+    expect(synced.map((r) => r.action)).toEqual(["updated", "created"]);
+    expect(writes.map((w) => w.action).sort()).toEqual(["created", "deleted", "deleted", "updated"]);
+    expect(backend.snapshot().map((e) => [e.id, e.summary]).sort()).toEqual(
+      [
+        [deterministicIdFor("rhino", "keep"), "9am Show"],
+        [deterministicIdFor("rhino", "new"), "8am Show"]
+      ].sort()
+    );
+  });
+
+  it("matches a row synced twice in one run to the event it queued", async () => {
+    const backend = createMemoryCalendarBackend();
+    const session = await openSourceSync(backend, "rhino");
+
+    await session.sync(event("row"));
+    expect((await session.sync(event("row", "later"))).action).toBe("updated");
+    await session.flush();
+
+    expect(backend.snapshot().map((e) => e.summary)).toEqual(["later"]);
+  });
+
+  it("rebuilds deadline reminders as updates and leaves shifts to the shift session", async () => {
+    const reminderRowId = "crewOne | offer-1|deadlineReminder";
+    const reminderId = deterministicIdFor("crewOne", reminderRowId);
+    const backend = createMemoryCalendarBackend({
+      events: [taggedEvent(reminderId, "crewOne", reminderRowId), taggedEvent("shift", "crewOne", "shift-row")]
+    });
+
+    const reminders = await openSourceSync(backend, "crewOne", { kind: "deadlineReminder" });
+    const shifts = await openSourceSync(backend, "crewOne");
+    expect(reminders.purgeDerived().map((d) => d.eventId)).toEqual([reminderId]);
+    expect(shifts.purgeOrphaned(["shift-row"], { removeAbsent: true })).toEqual([]);
+    await reminders.sync({ ...event(reminderRowId, "Offer deadline", "crewOne"), kind: "deadlineReminder" });
+
+    expect(await reminders.flush()).toEqual([expect.objectContaining({ action: "updated", eventId: reminderId })]);
+    expect(await shifts.flush()).toEqual([]);
+    expect(backend.snapshot().map((e) => e.id).sort()).toEqual([reminderId, "shift"].sort());
+  });
+
+  it("follows the plugin of a source registered in the source index", async () => {
+    sources.venueFeed = {
+      sourceId: "venueFeed",
+      keepPastEvents: true,
+      rowMatchKey: (rowId) => rowId.split(" | ")[0],
+      derivedEvents: [{ kind: "digest", label: "digest", build: () => [] }]
+    };
+    const backend = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("started", "venueFeed", "old | v1", Date.now() - 2 * HOUR),
+        taggedEvent("drifted", "venueFeed", "a | v1"),
+        taggedEvent("gone", "venueFeed", "b | v1"),
+        taggedEvent("digest", "venueFeed", "week|digest")
+      ]
+    });
+
+    const session = await openSourceSync(backend, "venueFeed");
+    const digests = await openSourceSync(backend, "venueFeed", { kind: "digest" });
+
+    expect(session.purgeOrphaned(["a | v2"], { removeAbsent: true }).map((d) => [d.eventId, d.reason])).toEqual([
+      ["gone", "removeAbsent"]
+    ]);
+    expect((await session.sync(event("a | v2", "8am Show", "venueFeed"))).eventId).toBe("drifted");
+    expect(digests.purgeDerived().map((d) => [d.eventId, d.reason])).toEqual([["digest", "digestRefresh"]]);
+  });
+
+  it("queues nothing for rows that already match, including rebuilt deadline reminders", async () => {
+    const reminderRowId = "crewOne | offer-1|deadlineReminder";
+    const reminder = { ...event(reminderRowId, "Offer deadline", "crewOne"), kind: "deadlineReminder" };
+    const backend = createMemoryCalendarBackend();
+    await syncEvent(backend, event("row"));
+    await syncEvent(backend, reminder);
+
+    const { backend: counted, calls } = countingBackend(backend.snapshot());
+    const shifts = await openSourceSync(counted, "rhino");
+    const reminders = await openSourceSync(counted, "crewOne", { kind: "deadlineReminder" });
+    reminders.purgeDerived();
+
+    expect((await shifts.sync(event("row"))).action).toBe("unchanged");
+    expect((await reminders.sync(reminder)).action).toBe("unchanged");
+    expect([...(await shifts.flush()), ...(await reminders.flush())]).toEqual([]);
+    expect(calls.batch).toBe(0);
+  });
+
+  it("restores an event deleted before the run instead of failing the insert", async () => {
+    const id = deterministicIdFor("rhino", "row");
+    const backend = createMemoryCalendarBackend({ events: [taggedEvent(id, "rhino", "row")] });
+    await backend.delete(id);
+
+    const session = await openSourceSync(backend, "rhino");
+    await session.sync(event("row"));
+
+    expect(await session.flush()).toEqual([expect.objectContaining({ action: "created", eventId: id })]);
+    expect(backend.snapshot().map((e) => e.id)).toEqual([id]);
+  });
+
+  it("dry run plans like syncEvent and never writes", async () => {
+    const { backend, calls } = countingBackend([taggedEvent("gone", "rhino", "row")]);
+
+    const session = await openSourceSync(backend, "rhino", { dryRun: true });
+    expect(session.purgeOrphaned(["other"], { cancelledRowIds: ["row"] })).toHaveLength(1);
+    // The purged event can't be matched, so re-adding the row plans a create
+    expect(await session.sync(event("row"))).toMatchObject({ action: "created", dryRun: true });
+    expect(await session.flush()).toEqual([]);
+
+    expect(calls.batch).toBe(0);
+    expect(backend.snapshot().map((e) => e.id)).toEqual(["gone"]);
+  });
+
+  it("dry run plans a deadline reminder rebuilt as before as unchanged, not deleted and created", async () => {
+    const reminderRowId = "crewOne | offer-1|deadlineReminder";
+    const reminder = { ...event(reminderRowId, "Offer deadline", "crewOne"), kind: "deadlineReminder" };
+    const backend = createMemoryCalendarBackend();
+    await syncEvent(backend, reminder);
+
+    const plan = createSourcePlan("crewOne");
+    const reminders = await openSourceSync(backend, "crewOne", { dryRun: true, kind: "deadlineReminder" });
+    addDeletionsToPlan(plan, reminders.purgeDerived());
+    addSyncResultToPlan(plan, await reminders.sync(reminder));
+    addSyncResultToPlan(plan, await reminders.sync({ ...reminder, rowId: "crewOne | offer-2|deadlineReminder" }));
+
+    expect(plan.unchanged.map((u) => u.rowId)).toEqual([reminderRowId]);
+    expect(plan.creates.map((c) => c.rowId)).toEqual(["crewOne | offer-2|deadlineReminder"]);
+    expect(plan.deletes).toEqual([]);
+  });
+});
+
+describe("migrateSourceEvents", () => {
+  it("moves a source's tagged events to its calendar under deterministic ids", async () => {
+    const primary = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("legacy-id", "rhino", "rhino-row"),
+        taggedEvent("crew", "crewOne", "crew-row"),
+        { id: "personal", summary: "Dentist", start: { dateTime: new Date().toISOString() } }
+      ]
+    });
+    const rhinoCalendar = createMemoryCalendarBackend({ calendarId: "rhino@group.calendar.google.com" });
+
+    const result = await migrateSourceEvents(primary, rhinoCalendar, "rhino");
+
+    expect(result.moved).toEqual(["legacy-id"]);
+    expect(primary.snapshot().map((e) => e.id).sort()).toEqual(["crew", "personal"]);
+    const [moved] = rhinoCalendar.snapshot();
+    expect(moved.id).toBe(deterministicIdFor("rhino", "rhino-row"));
+    expect(moved.extendedProperties.private).toMatchObject({ scheduleSource: "rhino", scheduleRowId: "rhino-row" });
+  });
+
+  it("removes the old copy instead of duplicating a row already on the target", async () => {
+    const primary = createMemoryCalendarBackend({ events: [taggedEvent("old", "rhino", "rhino-row")] });
+    const rhinoCalendar = createMemoryCalendarBackend({
+      calendarId: "rhino@group.calendar.google.com",
+      events: [taggedEvent("already-there", "rhino", "rhino-row")]
+    });
+
+    const result = await migrateSourceEvents(primary, rhinoCalendar, "rhino");
+
+    expect(result).toMatchObject({ moved: [], removedDuplicates: ["old"] });
+    expect(primary.snapshot()).toHaveLength(0);
+    expect(rhinoCalendar.snapshot().map((e) => e.id)).toEqual(["already-there"]);
+  });
+
+  it("restores a deterministic id the target calendar deleted earlier instead of aborting", async () => {
+    const primary = createMemoryCalendarBackend({ events: [taggedEvent("legacy-id", "rhino", "rhino-row")] });
+    const rhinoCalendar = createMemoryCalendarBackend({ calendarId: "rhino@group.calendar.google.com" });
+    const id = deterministicIdFor("rhino", "rhino-row");
+    await rhinoCalendar.insert({ id, summary: "stale" });
+    await rhinoCalendar.delete(id);
+
+    const result = await migrateSourceEvents(primary, rhinoCalendar, "rhino");
+
+    expect(result.moved).toEqual(["legacy-id"]);
+    expect(primary.snapshot()).toHaveLength(0);
+    expect(rhinoCalendar.snapshot()).toMatchObject([{ id, summary: "legacy-id" }]);
+  });
+
+  it("migrates CrewOne deadline reminders separately from shifts, and dry runs change nothing", async () => {
+    const primary = createMemoryCalendarBackend({
+      events: [
+        taggedEvent("shift", "crewOne", "crew-row"),
+        taggedEvent("reminder", "crewOne", "crew-row|deadlineReminder")
+      ]
+    });
+    const reminders = createMemoryCalendarBackend({ calendarId: "deadlines@group.calendar.google.com" });
+
+    const planned = await migrateSourceEvents(primary, reminders, "crewOne", { kind: "deadlineReminder", dryRun: true });
+    expect(planned.moved).toEqual(["reminder"]);
+    expect(reminders.snapshot()).toHaveLength(0);
+
+    await migrateSourceEvents(primary, reminders, "crewOne", { kind: "deadlineReminder" });
+    expect(primary.snapshot().map((e) => e.id)).toEqual(["shift"]);
+    expect(reminders.snapshot()).toHaveLength(1);
+  });
+});
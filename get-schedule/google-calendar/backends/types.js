@@ -0,0 +1,61 @@
+/**
+ * Calendar storage that add-event.js syncs into. Events keep the Google Calendar
+ * event shape; sync tags every event it owns with extendedProperties.private
+ * (scheduleSource / scheduleRowId), and a backend must store and return those
+ * private properties unchanged.
+ * @typedef {import("googleapis").calendar_v3.Schema$Event} CalendarEvent
+ * @typedef {Object} CalendarBackend
+ * @property {string} kind - Backend name (e.g. "google", "memory")
+ * @property {string} calendarId
+ * @property {(options?: { timeMin?: string; showDeleted?: boolean }) => Promise<CalendarEvent[]>} list - Every event ending after timeMin, ordered by start; showDeleted adds deleted events with status "cancelled"
+ * @property {(eventId: string) => Promise<CalendarEvent | null>} get - null when the event does not exist
+ * @property {(event: CalendarEvent) => Promise<CalendarEvent>} insert - Uses event.id when given
+ * @property {(eventId: string, event: CalendarEvent) => Promise<CalendarEvent>} update - Replaces the event body
+ * @property {(eventId: string) => Promise<boolean>} delete - false when the event does not exist
+ * @property {(ops: import("./batch.js").CalendarOp[]) => Promise<import("./batch.js").CalendarOpResult[]>} [batch]
+ *   Optional bulk writes, one result per op in op order (see batch.js)
+ */
+
+export const DEFAULT_CALENDAR_ID = "primary";
+
+/**
+ * @param {unknown} value
+ * @returns {value is CalendarBackend}
+ */
+export function isCalendarBackend(value) {
+  return (
+    value != null &&
+    typeof value === "object" &&
+    ["list", "get", "insert", "update", "delete"].every((method) => typeof value[method] === "function")
+  );
+}
+
+/**
+ * Missing event: 404, or 410 for an event Google has already deleted.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isCalendarNotFoundError(err) {
+  const status = err?.code ?? err?.response?.status;
+  return status === 404 || status === 410;
+}
+
+/**
+ * Insert of an id that is taken: by a live event, or by a deleted one Google keeps
+ * reserved (updating that id restores it).
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isCalendarConflictError(err) {
+  const status = err?.code ?? err?.response?.status;
+  return status === 409;
+}
+
+/**
+ * Error shaped like a googleapis failure so callers can treat every backend alike.
+ * @param {number} code
+ * @param {string} message
+ */
+export function calendarBackendError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
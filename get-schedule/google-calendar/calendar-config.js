@@ -0,0 +1,57 @@
+import { DEFAULT_CALENDAR_ID } from "./backends/index.js";
+
+/**
+ * Per-source calendar routing. Each source (and CrewOne's deadline reminders) can
+ * sync into its own calendar and carry its own event color:
+ *   CALENDAR_ID_RHINO, CALENDAR_ID_CREWONE, CALENDAR_ID_IATSE927, CALENDAR_ID_CALENDARFEED, CALENDAR_ID_EMAIL,
+ *   CALENDAR_ID_CREWONE_REMINDERS (falls back to CALENDAR_ID_CREWONE)
+ *   CALENDAR_COLOR_<same suffix> - Google event colorId ("1"-"11")
+ * Anything unset stays on "primary" with the calendar's default color.
+ */
+
+/** Event kinds with their own calendar setting, keyed to the env suffix. */
+const KIND_ENV_SUFFIX = {
+  deadlineReminder: "REMINDERS"
+};
+
+/**
+ * @param {string} source
+ * @param {{ kind?: string }} [options]
+ * @returns {string[]} env suffixes to try, most specific first
+ */
+export function calendarEnvSuffixes(source, options = {}) {
+  const base = String(source || "").replace(/[^a-z0-9]/gi, "_").toUpperCase();
+  const kindSuffix = options.kind ? KIND_ENV_SUFFIX[options.kind] : null;
+  return kindSuffix ? [`${base}_${kindSuffix}`, base] : [base];
+}
+
+/**
+ * @param {string} prefix
+ * @param {string} source
+ * @param {{ kind?: string }} [options]
+ */
+function envSetting(prefix, source, options) {
+  for (const suffix of calendarEnvSuffixes(source, options)) {
+    const value = process.env[`${prefix}_${suffix}`]?.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Calendar a source's events (or a derived kind such as deadline reminders) sync into.
+ * @param {string} source
+ * @param {{ kind?: string }} [options]
+ */
+export function calendarIdFor(source, options = {}) {
+  return envSetting("CALENDAR_ID", source, options) || DEFAULT_CALENDAR_ID;
+}
+
+/**
+ * @param {string} source
+ * @param {{ kind?: string }} [options]
+ * @returns {string | null}
+ */
+export function eventColorIdFor(source, options = {}) {
+  return envSetting("CALENDAR_COLOR", source, options);
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { calendarIdFor, eventColorIdFor, calendarEnvSuffixes } from "./calendar-config.js";
+
+describe("calendar config", () => {
+  const keys = [
+    "CALENDAR_ID_RHINO",
+    "CALENDAR_ID_CREWONE",
+    "CALENDAR_ID_CREWONE_REMINDERS",
+    "CALENDAR_COLOR_RHINO",
+    "CALENDAR_COLOR_CREWONE"
+  ];
+  const saved = {};
+
+  beforeEach(() => {
+    for (const key of keys) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    for (const key of keys) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it("defaults every source to primary with no color", () => {
+    expect(calendarIdFor("rhino")).toBe("primary");
+    expect(calendarIdFor("crewOne", { kind: "deadlineReminder" })).toBe("primary");
+    expect(eventColorIdFor("rhino")).toBeNull();
+  });
+
+  it("reads per-source calendar ids and colors", () => {
+    process.env.CALENDAR_ID_RHINO = "rhino@group.calendar.google.com";
+    process.env.CALENDAR_COLOR_RHINO = "6";
+    expect(calendarIdFor("rhino")).toBe("rhino@group.calendar.google.com");
+    expect(eventColorIdFor("rhino")).toBe("6");
+  });
+
+  it("routes deadline reminders to their own calendar, falling back to the source's", () => {
+    process.env.CALENDAR_ID_CREWONE = "crew@group.calendar.google.com";
+    process.env.CALENDAR_COLOR_CREWONE = "9";
+    expect(calendarIdFor("crewOne", { kind: "deadlineReminder" })).toBe("crew@group.calendar.google.com");
+    expect(eventColorIdFor("crewOne", { kind: "deadlineReminder" })).toBe("9");
+
+    process.env.CALENDAR_ID_CREWONE_REMINDERS = "deadlines@group.calendar.google.com";
+    expect(calendarIdFor("crewOne", { kind: "deadlineReminder" })).toBe("deadlines@group.calendar.google.com");
+    expect(calendarIdFor("crewOne")).toBe("crew@group.calendar.google.com");
+  });
+
+  it("builds env suffixes from the source id", () => {
+    expect(calendarEnvSuffixes("iatse927")).toEqual(["IATSE927"]);
+    expect(calendarEnvSuffixes("crewOne", { kind: "deadlineReminder" })).toEqual(["CREWONE_REMINDERS", "CREWONE"]);
+  });
+});
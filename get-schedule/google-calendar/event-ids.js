@@ -0,0 +1,21 @@
+import crypto from "crypto";
+
+/**
+ * Calendar event ids of source rows. Kept apart from add-event.js so source plugins
+ * can name their legacy ids without importing the sync (which imports the registry).
+ */
+
+const ID_LENGTH = 40;
+
+/** Build a stable, URL-safe id for a source row */
+export function deterministicIdFor(source, rowId) {
+	if (rowId == null) rowId = "";
+	const key = `${source}|${rowId}`;
+	return crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, ID_LENGTH);
+}
+
+/** Pre-multi-source id (hash of rowId only); used for legacy Rhino calendar events */
+export function legacyRhinoDeterministicIdFor(rowId) {
+	if (rowId == null) rowId = "";
+	return crypto.createHash("sha256").update(String(rowId)).digest("hex").slice(0, ID_LENGTH);
+}
@@ -0,0 +1,91 @@
+import { normalizeScheduleRowId } from "../schedule-helpers.js";
+
+/**
+ * In-memory view of one source's tagged calendar events for a single sync run:
+ * listed once, then looked up by id, normalized row id and the source's rowMatchKey.
+ * Writes the run queues are mirrored with add/remove so later lookups see them.
+ */
+
+/** @typedef {import("./backends/types.js").CalendarEvent} CalendarEvent */
+
+/**
+ * End time (or start, for events without one) in ms, like the list timeMin filter.
+ * @param {CalendarEvent} ev
+ * @returns {number | null}
+ */
+function eventEndMs(ev) {
+  const value = ev.end?.dateTime || ev.end?.date || ev.start?.dateTime || ev.start?.date;
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * @param {string} source
+ * @param {CalendarEvent[]} events
+ * @param {(ev: CalendarEvent) => string | null} rowIdOf - stored row id of a tagged event
+ */
+export function createSourceEventIndex(source, events, rowIdOf) {
+  /** @type {Map<string, CalendarEvent>} */
+  const byId = new Map();
+  for (const ev of events) {
+    if (ev?.id) byId.set(ev.id, ev);
+  }
+
+  /**
+   * Events ending after sinceMs, in listing order.
+   * @param {number} [sinceMs]
+   */
+  const eventsSince = (sinceMs) =>
+    [...byId.values()].filter((ev) => {
+      if (sinceMs == null) return true;
+      const end = eventEndMs(ev);
+      return end == null || end > sinceMs;
+    });
+
+  return {
+    source,
+
+    /** @param {string} eventId */
+    get(eventId) {
+      return byId.get(eventId) || null;
+    },
+
+    /** @param {CalendarEvent} ev */
+    add(ev) {
+      byId.set(ev.id, ev);
+    },
+
+    /** @param {string} eventId */
+    remove(eventId) {
+      byId.delete(eventId);
+    },
+
+    events: eventsSince,
+
+    /**
+     * @param {string} normalizedRowId
+     * @param {number} [sinceMs]
+     */
+    findByRowId(normalizedRowId, sinceMs) {
+      return eventsSince(sinceMs).filter((ev) => {
+        const rowId = rowIdOf(ev);
+        return rowId && normalizeScheduleRowId(rowId) === normalizedRowId;
+      });
+    },
+
+    /**
+     * @param {string} matchKey
+     * @param {(rowId: string) => string} keyOf - the source's rowMatchKey
+     * @param {number} [sinceMs]
+     */
+    findByMatchKey(matchKey, keyOf, sinceMs) {
+      return (
+        eventsSince(sinceMs).find((ev) => {
+          const rowId = rowIdOf(ev);
+          return rowId && keyOf(rowId) === matchKey;
+        }) || null
+      );
+    }
+  };
+}
@@ -16,13 +16,13 @@ import {
 
 import { expandDualTimeCallEntries } from "./iatse927-call-expander.js";
 
-import { buildGeminiContextPayload } from "./iatse927-message-context.js";
+import { buildGeminiContextPayload, DOMAIN_GUIDE } from "./iatse927-message-context.js";
 
 import {
   normalizeScheduleCallTime,
   normalizeScheduleDate,
   sortScheduleEntriesChronologically
-} from "./utils.js";
+} from "./schedule-helpers.js";
 
 import { enrichIatse927Entries } from "./iatse927-entry-enrichment.js";
 
@@ -220,6 +220,78 @@ Return { entries, warnings }.`;
 
 
 
+/**
+
+ * What a message source's extraction is told and does with the result. IATSE 927's
+
+ * SMS are the default; other message sources (email) pass their own.
+
+ * @typedef {Object} GeminiExtractionProfile
+
+ * @property {string} sourceId - source of the extracted entries
+
+ * @property {string} systemInstruction
+
+ * @property {Record<string, unknown>} domainGuide - real examples sent with the messages
+
+ * @property {Record<string, unknown>} [context] - further payload fields sent with the
+
+ *   messages (e.g. the calls earlier messages listed)
+
+ * @property {string} [prompt] - request sent ahead of the payload
+
+ * @property {boolean} [keepCancelled] - keep entries the model marks "cancelled",
+
+ *   flagged isCallCancelled so their event is removed (default: dropped)
+
+ * @property {boolean} [allowNoEntries] - messages without a single call are an empty
+
+ *   schedule rather than a failed extraction (default: throws)
+
+ * @property {(entries: import("./sources/types.js").ScheduleEntry[], messages: { text: string; receivedAt?: Date | null; messageId?: string }[]) => import("./sources/types.js").ScheduleEntry[]} [postProcess]
+
+ *   - source-specific fixes applied before the entries are sorted
+
+ */
+
+
+
+/** @type {GeminiExtractionProfile} */
+
+const IATSE927_PROFILE = {
+
+  sourceId,
+
+  systemInstruction: SYSTEM_INSTRUCTION,
+
+  domainGuide: DOMAIN_GUIDE,
+
+  postProcess: (entries, messages) => enrichIatse927Entries(expandDualTimeCallEntries(entries, messages), messages)
+
+};
+
+
+
+/**
+
+ * Extraction for an SMS source (sms-sources.js): IATSE 927's, with the source's
+
+ * id and domain guide.
+
+ * @param {import("./sms-sources.js").SmsSource} smsSource
+
+ * @returns {GeminiExtractionProfile}
+
+ */
+
+export function smsExtractionProfile(smsSource) {
+
+  return { ...IATSE927_PROFILE, sourceId: smsSource.sourceId, domainGuide: smsSource.domainGuide };
+
+}
+
+
+
 /**
 
  * @param {unknown} value
@@ -250,11 +322,13 @@ function normalizeShiftType(value) {
 
  * @param {unknown} raw
 
+ * @param {GeminiExtractionProfile} profile
+
  * @returns {import("./sources/types.js").ScheduleEntry[]}
 
  */
 
-function normalizeGeminiEntries(raw) {
+function normalizeGeminiEntries(raw, profile) {
 
   if (!Array.isArray(raw)) return [];
 
@@ -274,6 +348,10 @@ function normalizeGeminiEntries(raw) {
 
     if (status === "declined" || status === "superseded") continue;
 
+    const cancelled = status === "cancelled" || status === "canceled";
+
+    if (cancelled && !profile.keepCancelled) continue;
+
 
 
     const date = typeof row.date === "string" ? normalizeScheduleDate(row.date.trim()) : "";
@@ -314,7 +392,7 @@ function normalizeGeminiEntries(raw) {
 
     entries.push({
 
-      source: sourceId,
+      source: profile.sourceId,
 
       date,
 
@@ -330,7 +408,9 @@ function normalizeGeminiEntries(raw) {
 
       type: shiftType,
 
-      status: "confirmed",
+      status: cancelled ? "cancelled" : "confirmed",
+
+      ...(cancelled ? { isCallCancelled: true } : {}),
 
       details: typeof row.details === "string" ? row.details : undefined,
 
@@ -408,9 +488,17 @@ function getModel(systemInstruction, responseSchema) {
 
 
 
-function buildPayload(messages) {
+/**
+
+ * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
+
+ * @param {GeminiExtractionProfile} profile
 
-  return buildGeminiContextPayload(messages);
+ */
+
+function buildPayload(messages, profile) {
+
+  return { ...buildGeminiContextPayload(messages, { domainGuide: profile.domainGuide }), ...profile.context };
 
 }
 
@@ -464,9 +552,11 @@ function isGeminiRetryableError(err) {
 
  * @param {string} prompt
 
+ * @param {string} [logSourceId]
+
  */
 
-async function generateContentWithRetry(model, prompt) {
+async function generateContentWithRetry(model, prompt, logSourceId = sourceId) {
 
   const retryDelaysMs = [0, 3000, 8000];
 
@@ -482,7 +572,7 @@ async function generateContentWithRetry(model, prompt) {
 
       console.warn(
 
-        `⚠️  [${sourceId}] Gemini retry ${attempt}/${retryDelaysMs.length - 1} after ${retryDelaysMs[attempt] / 1000}s`
+        `⚠️  [${logSourceId}] Gemini retry ${attempt}/${retryDelaysMs.length - 1} after ${retryDelaysMs[attempt] / 1000}s`
 
       );
 
@@ -522,15 +612,17 @@ async function generateContentWithRetry(model, prompt) {
 
  * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
 
+ * @param {GeminiExtractionProfile} [profile]
+
  * @returns {Promise<{ entries: import("./sources/types.js").ScheduleEntry[]; geminiWarnings: import("./iatse927-validation.js").ValidationWarning[] }>}
 
  */
 
-async function extractAndVerifyWithGemini(messages) {
+async function extractAndVerifyWithGemini(messages, profile = IATSE927_PROFILE) {
 
-  const model = getModel(SYSTEM_INSTRUCTION, RESPONSE_SCHEMA);
+  const model = getModel(profile.systemInstruction, RESPONSE_SCHEMA);
 
-  const payload = buildPayload(messages);
+  const payload = buildPayload(messages, profile);
 
 
 
@@ -538,7 +630,9 @@ async function extractAndVerifyWithGemini(messages) {
 
     model,
 
-    `Extract all confirmed shifts, double-check each against the thread, and return corrected entries plus any warnings:\n${JSON.stringify(payload)}`
+    `${profile.prompt || "Extract all confirmed shifts, double-check each against the thread, and return corrected entries plus any warnings:"}\n${JSON.stringify(payload)}`,
+
+    profile.sourceId
 
   );
 
@@ -546,17 +640,15 @@ async function extractAndVerifyWithGemini(messages) {
 
   const parsed = JSON.parse(result.response.text());
 
-  let entries = normalizeGeminiEntries(parsed.entries ?? parsed);
-
-  entries = expandDualTimeCallEntries(entries, messages);
+  let entries = normalizeGeminiEntries(parsed.entries ?? parsed, profile);
 
-  entries = enrichIatse927Entries(entries, messages);
+  if (profile.postProcess) entries = profile.postProcess(entries, messages);
 
   entries = sortScheduleEntriesChronologically(entries);
 
 
 
-  if (entries.length === 0 && messages.length > 0) {
+  if (entries.length === 0 && messages.length > 0 && !profile.allowNoEntries) {
 
     throw new Error("Gemini returned no valid schedule entries");
 
@@ -598,13 +690,15 @@ export async function extractScheduleEntriesWithGemini(messages) {
 
  * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
 
+ * @param {GeminiExtractionProfile} [profile] - another message source's extraction (IATSE 927's SMS)
+
  * @returns {Promise<{ entries: import("./sources/types.js").ScheduleEntry[]; warnings: import("./iatse927-validation.js").ValidationWarning[] }>}
 
  */
 
-export async function resolveScheduleEntriesWithValidation(messages) {
+export async function resolveScheduleEntriesWithValidation(messages, profile = IATSE927_PROFILE) {
 
-  const { entries, geminiWarnings } = await extractAndVerifyWithGemini(messages);
+  const { entries, geminiWarnings } = await extractAndVerifyWithGemini(messages, profile);
 
 
 
@@ -618,11 +712,11 @@ export async function resolveScheduleEntriesWithValidation(messages) {
 
   for (const w of warnings) {
 
-    console.warn(`⚠️  [${sourceId}] ${w.code}: ${w.message}`);
+    console.warn(`⚠️  [${profile.sourceId}] ${w.code}: ${w.message}`);
 
   }
 
-  formatValidationReport(warnings);
+  formatValidationReport(warnings, profile.sourceId);
 
 
 
@@ -301,11 +301,12 @@ export function enrichMessagesForGemini(messages) {
 
 /**
  * @param {{ text: string; receivedAt?: Date | null; sourceThread?: string }[]} messages
+ * @param {{ domainGuide?: Record<string, unknown> }} [options] - another message source's guide (IATSE 927's)
  */
-export function buildGeminiContextPayload(messages) {
+export function buildGeminiContextPayload(messages, options = {}) {
   return {
     timezone: DEFAULT_TIMEZONE,
-    domainGuide: DOMAIN_GUIDE,
+    domainGuide: options.domainGuide || DOMAIN_GUIDE,
     messages: enrichMessagesForGemini(messages)
   };
 }
@@ -83,11 +83,12 @@ export function validateEvidence(entries, messages) {
 
 /**
  * @param {ValidationWarning[]} warnings
+ * @param {string} [sourceId]
  */
-export function formatValidationReport(warnings) {
+export function formatValidationReport(warnings, sourceId = "iatse927") {
   if (warnings.length === 0) return;
   console.warn(
-    `⚠️  [iatse927] Validation report (${warnings.length} warning(s)):\n` +
+    `⚠️  [${sourceId}] Validation report (${warnings.length} warning(s)):\n` +
       warnings.map((w) => `  - [${w.code}] ${w.message}`).join("\n")
   );
 }
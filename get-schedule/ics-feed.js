@@ -0,0 +1,290 @@
+/**
+ * iCalendar (RFC 5545) feed of every synced shift, served by syncSchedule at
+ * GET /calendar.ics for calendar apps that subscribe by URL.
+ */
+
+import { deterministicIdFor, eventMatchesSource, rowIdFromEvent, eventKindFromRowId } from "./google-calendar/add-event.js";
+import { resolveCalendarBackend } from "./google-calendar/backends/index.js";
+import { calendarIdFor } from "./google-calendar/calendar-config.js";
+import { sources } from "./sources/index.js";
+import { toZonedLocalDateTime, zonedLocalDateTimeToUtcMs } from "./utils.js";
+import { DEFAULT_TIMEZONE } from "./sources/types.js";
+
+const PRODID = "-//schedule-sync//Shift Feed//EN";
+const UID_DOMAIN = "schedule-sync";
+const FEED_LOOKBACK_DAYS = 365;
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * One feed entry, in the shape toGoogleEvent produces (local wall-clock times).
+ * @typedef {Object} FeedEvent
+ * @property {string} source
+ * @property {string} rowId
+ * @property {string} summary
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {string} start - "YYYY-MM-DDTHH:mm:ss" in the event's timezone
+ * @property {string} end
+ * @property {string} [timezone] - IANA zone of start/end (default: the feed's)
+ * @property {string} [status] - confirmed | tentative | cancelled
+ * @property {string} [updated] - ISO timestamp of the last calendar change
+ */
+
+/**
+ * Standard/daylight offsets for the zones the feed can declare (US rules since 2007;
+ * zones without daylight saving have no daylight entry). Events in other zones are
+ * written in UTC.
+ * @type {Record<string, { standard: [string, string]; daylight?: [string, string] }>}
+ */
+const VTIMEZONE_RULES = {
+  "America/New_York": { standard: ["-0500", "EST"], daylight: ["-0400", "EDT"] },
+  "America/Detroit": { standard: ["-0500", "EST"], daylight: ["-0400", "EDT"] },
+  "America/Chicago": { standard: ["-0600", "CST"], daylight: ["-0500", "CDT"] },
+  "America/Denver": { standard: ["-0700", "MST"], daylight: ["-0600", "MDT"] },
+  "America/Phoenix": { standard: ["-0700", "MST"] },
+  "America/Los_Angeles": { standard: ["-0800", "PST"], daylight: ["-0700", "PDT"] },
+  "America/Anchorage": { standard: ["-0900", "AKST"], daylight: ["-0800", "AKDT"] },
+  "Pacific/Honolulu": { standard: ["-1000", "HST"] }
+};
+
+/**
+ * Escape a TEXT property value.
+ * @param {string} value
+ */
+export function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets per line (continuations start with a space),
+ * without splitting multi-byte characters.
+ * @param {string} line
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * "2026-08-22T07:30:00" -> "20260822T073000"
+ * @param {string} localDateTime
+ */
+export function formatIcsLocalDateTime(localDateTime) {
+  return String(localDateTime).slice(0, 19).replace(/[-:]/g, "");
+}
+
+/** @param {Date} date */
+function formatIcsUtcDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z").replace(/[-:]/g, "");
+}
+
+/**
+ * @param {string} tzid - a zone with VTIMEZONE_RULES
+ * @returns {string[]}
+ */
+function vtimezoneLines(tzid) {
+  const rules = VTIMEZONE_RULES[tzid];
+  const [standardOffset, standardName] = rules.standard;
+  if (!rules.daylight) {
+    return [
+      "BEGIN:VTIMEZONE",
+      `TZID:${tzid}`,
+      "BEGIN:STANDARD",
+      `TZOFFSETFROM:${standardOffset}`,
+      `TZOFFSETTO:${standardOffset}`,
+      `TZNAME:${standardName}`,
+      "DTSTART:19700101T000000",
+      "END:STANDARD",
+      "END:VTIMEZONE"
+    ];
+  }
+  const [daylightOffset, daylightName] = rules.daylight;
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${tzid}`,
+    "BEGIN:DAYLIGHT",
+    `TZOFFSETFROM:${standardOffset}`,
+    `TZOFFSETTO:${daylightOffset}`,
+    `TZNAME:${daylightName}`,
+    "DTSTART:19700308T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    `TZOFFSETFROM:${daylightOffset}`,
+    `TZOFFSETTO:${standardOffset}`,
+    `TZNAME:${standardName}`,
+    "DTSTART:19701101T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE"
+  ];
+}
+
+/**
+ * DTSTART/DTEND value of a wall-clock time: local with its TZID when the feed
+ * declares the zone, otherwise converted to UTC.
+ * @param {string} localDateTime
+ * @param {string} zone
+ */
+function icsDateTimeValue(localDateTime, zone) {
+  if (VTIMEZONE_RULES[zone]) return `;TZID=${zone}:${formatIcsLocalDateTime(localDateTime)}`;
+  // zonedLocalDateTimeToUtcMs lands anywhere in the minute; offsets are whole minutes
+  const utcMs = Math.floor(zonedLocalDateTimeToUtcMs(localDateTime, zone) / 60_000) * 60_000;
+  return `:${formatIcsUtcDateTime(new Date(utcMs))}`;
+}
+
+/** @param {string | undefined} status */
+function icsStatus(status) {
+  if (status === "cancelled") return "CANCELLED";
+  if (status === "tentative") return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+/**
+ * Stable across syncs: the same source row always gets the same UID, so
+ * subscribers update the existing entry instead of adding a new one.
+ * @param {FeedEvent} event
+ */
+export function icsUidFor(event) {
+  return `${deterministicIdFor(event.source, event.rowId)}@${UID_DOMAIN}`;
+}
+
+/**
+ * Render events as a VCALENDAR document (CRLF line endings). Each event keeps its
+ * own timezone; the feed's is the calendar default and covers events without one.
+ * @param {FeedEvent[]} events
+ * @param {{ name?: string; timezone?: string; now?: Date }} [options]
+ * @returns {string}
+ */
+export function renderIcsCalendar(events, options = {}) {
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+  const dtstamp = formatIcsUtcDateTime(options.now || new Date());
+  const zoneOf = (event) => event.timezone || timezone;
+  const zones = [...new Set([timezone, ...events.map(zoneOf)])].filter((zone) => VTIMEZONE_RULES[zone]);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(options.name || "Work Schedule")}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    ...zones.flatMap(vtimezoneLines)
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsUidFor(event)}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART${icsDateTimeValue(event.start, zoneOf(event))}`,
+      `DTEND${icsDateTimeValue(event.end, zoneOf(event))}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push(`STATUS:${icsStatus(event.status)}`);
+    if (event.updated) {
+      const updated = new Date(event.updated);
+      if (!Number.isNaN(updated.getTime())) lines.push(`LAST-MODIFIED:${formatIcsUtcDateTime(updated)}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Feed entry for a synced calendar event, or null for events sync doesn't own
+ * and for derived reminders (CrewOne offer deadlines), which aren't shifts.
+ * The event keeps the zone it was synced in when the feed can declare it,
+ * otherwise its times are converted to the feed timezone.
+ * @param {import("googleapis").calendar_v3.Schema$Event} ev
+ * @param {string} source
+ * @param {string} [timezone] - the feed's
+ * @returns {FeedEvent | null}
+ */
+export function feedEventFromCalendarEvent(ev, source, timezone = DEFAULT_TIMEZONE) {
+  if (!eventMatchesSource(ev, source)) return null;
+  const rowId = rowIdFromEvent(ev, source);
+  if (!rowId || eventKindFromRowId(rowId)) return null;
+
+  const eventTimezone = VTIMEZONE_RULES[ev.start?.timeZone] ? ev.start.timeZone : timezone;
+  const start = ev.start?.dateTime ? toZonedLocalDateTime(ev.start.dateTime, eventTimezone) : null;
+  const end = ev.end?.dateTime ? toZonedLocalDateTime(ev.end.dateTime, eventTimezone) : null;
+  if (!start || !end) return null;
+
+  return {
+    source,
+    rowId,
+    summary: ev.summary || "",
+    location: ev.location || "",
+    description: ev.description || "",
+    start,
+    end,
+    timezone: eventTimezone,
+    status: ev.status || "confirmed",
+    updated: ev.updated || undefined
+  };
+}
+
+/**
+ * Every synced shift from each source's calendar, including ones sync has since
+ * cancelled or deleted so subscribers drop them. Sources sharing a calendar are
+ * listed once.
+ * @param {import("google-auth-library").OAuth2Client | import("./google-calendar/backends/types.js").CalendarBackend} auth
+ * @param {{ sourceIds?: string[]; now?: Date; timezone?: string }} [options]
+ * @returns {Promise<FeedEvent[]>}
+ */
+export async function loadFeedEvents(auth, options = {}) {
+  const sourceIds = options.sourceIds || Object.keys(sources);
+  const now = options.now || new Date();
+  const timeMin = new Date(now.getTime() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  /** @type {Map<string, string[]>} */
+  const sourcesByCalendar = new Map();
+  for (const source of sourceIds) {
+    const calendarId = calendarIdFor(source);
+    sourcesByCalendar.set(calendarId, [...(sourcesByCalendar.get(calendarId) || []), source]);
+  }
+
+  /** @type {Map<string, FeedEvent>} */
+  const byUid = new Map();
+  for (const [calendarId, calendarSources] of sourcesByCalendar) {
+    const backend = resolveCalendarBackend(auth, { calendarId });
+    const events = await backend.list({ timeMin, showDeleted: true });
+    for (const ev of events) {
+      for (const source of calendarSources) {
+        const feedEvent = feedEventFromCalendarEvent(ev, source, options.timezone);
+        if (!feedEvent) continue;
+        const uid = icsUidFor(feedEvent);
+        // A live copy wins over a deleted duplicate of the same row
+        const existing = byUid.get(uid);
+        if (!existing || existing.status === "cancelled") byUid.set(uid, feedEvent);
+      }
+    }
+  }
+
+  const startMs = (event) => zonedLocalDateTimeToUtcMs(event.start, event.timezone || options.timezone);
+  return [...byUid.values()].sort((a, b) => startMs(a) - startMs(b));
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsLocalDateTime,
+  renderIcsCalendar,
+  feedEventFromCalendarEvent,
+  loadFeedEvents,
+  icsUidFor
+} from "./ics-feed.js";
+import { createMemoryCalendarBackend } from "./google-calendar/backends/index.js";
+import { addEvent, deterministicIdFor } from "./google-calendar/add-event.js";
+
+const NOW = new Date("2026-08-20T12:00:00Z");
+
+function shift(overrides = {}) {
+  return {
+    source: "rhino",
+    rowId: "8/22/2026|7:30 AM|Main Stage|Load In",
+    summary: "Rhino: Load In",
+    location: "Main Stage",
+    description: "Position: Hand",
+    start: "2026-08-22T07:00:00",
+    end: "2026-08-22T12:30:00",
+    status: "confirmed",
+    ...overrides
+  };
+}
+
+/** Unfold and split into content lines */
+function contentLines(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+describe("escapeIcsText", () => {
+  it("escapes backslashes, separators and newlines", () => {
+    expect(escapeIcsText("a\\b; c, d\ne")).toBe("a\\\\b\\; c\\, d\\ne");
+  });
+});
+
+describe("foldIcsLine", () => {
+  it("leaves short lines alone", () => {
+    expect(foldIcsLine("SUMMARY:short")).toBe("SUMMARY:short");
+  });
+
+  it("folds at 75 octets without splitting multi-byte characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(80)}`;
+    const folded = foldIcsLine(line);
+    const parts = folded.split("\r\n");
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(Buffer.byteLength(part, "utf8")).toBeLessThanOrEqual(75);
+    }
+    expect(parts.slice(1).every((part) => part.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(line);
+  });
+});
+
+describe("formatIcsLocalDateTime", () => {
+  it("drops separators", () => {
+    expect(formatIcsLocalDateTime("2026-08-22T07:30:00")).toBe("20260822T073000");
+  });
+});
+
+describe("renderIcsCalendar", () => {
+  it("renders a VCALENDAR with timezone, stable UIDs and statuses", () => {
+    const ics = renderIcsCalendar([shift(), shift({ rowId: "other", status: "cancelled" })], { now: NOW });
+    const lines = contentLines(ics);
+
+    expect(ics.endsWith("\r\n")).toBe(true);
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("TZID:America/New_York");
+    expect(lines).toContain(`UID:${deterministicIdFor("rhino", shift().rowId)}@schedule-sync`);
+    expect(lines).toContain("DTSTAMP:20260820T120000Z");
+    expect(lines).toContain("DTSTART;TZID=America/New_York:20260822T070000");
+    expect(lines).toContain("DTEND;TZID=America/New_York:20260822T123000");
+    expect(lines).toContain("LOCATION:Main Stage");
+    expect(lines.filter((line) => line === "STATUS:CONFIRMED")).toHaveLength(1);
+    expect(lines.filter((line) => line === "STATUS:CANCELLED")).toHaveLength(1);
+    expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(2);
+  });
+
+  it("keeps the same UID when the shift details change", () => {
+    expect(icsUidFor(shift())).toBe(icsUidFor(shift({ summary: "Rhino: Show", start: "2026-08-22T08:00:00" })));
+  });
+
+  it("declares and uses each event's own timezone", () => {
+    const lines = contentLines(
+      renderIcsCalendar([shift(), shift({ rowId: "west", timezone: "America/Los_Angeles" }), shift({ rowId: "az", timezone: "America/Phoenix" })], {
+        now: NOW
+      })
+    );
+
+    expect(lines.filter((line) => line.startsWith("TZID:"))).toEqual([
+      "TZID:America/New_York",
+      "TZID:America/Los_Angeles",
+      "TZID:America/Phoenix"
+    ]);
+    expect(lines).toContain("DTSTART;TZID=America/Los_Angeles:20260822T070000");
+    expect(lines).toContain("DTSTART;TZID=America/Phoenix:20260822T070000");
+    expect(lines.filter((line) => line === "TZNAME:MST")).toHaveLength(1);
+  });
+
+  it("writes events in a zone it has no rules for in UTC", () => {
+    const lines = contentLines(renderIcsCalendar([shift({ timezone: "Europe/London" })], { now: NOW }));
+
+    expect(lines.filter((line) => line.startsWith("TZID:"))).toEqual(["TZID:America/New_York"]);
+    expect(lines).toContain("DTSTART:20260822T060000Z");
+    expect(lines).toContain("DTEND:20260822T113000Z");
+  });
+});
+
+describe("feedEventFromCalendarEvent", () => {
+  it("converts dateTimes to feed-timezone wall clock", () => {
+    const ev = {
+      summary: "Rhino: Load In",
+      start: { dateTime: "2026-08-22T04:00:00-07:00" },
+      end: { dateTime: "2026-08-22T09:30:00-07:00" },
+      extendedProperties: { private: { scheduleSource: "rhino", scheduleRowId: "r1" } }
+    };
+    expect(feedEventFromCalendarEvent(ev, "rhino")).toMatchObject({
+      rowId: "r1",
+      start: "2026-08-22T07:00:00",
+      end: "2026-08-22T12:30:00",
+      status: "confirmed"
+    });
+  });
+
+  it("keeps the zone an event was synced in when the feed can declare it", () => {
+    const ev = {
+      start: { dateTime: "2026-08-22T09:00:00-04:00", timeZone: "America/Chicago" },
+      end: { dateTime: "2026-08-22T14:30:00-04:00", timeZone: "America/Chicago" },
+      extendedProperties: { private: { scheduleSource: "rhino", scheduleRowId: "r1" } }
+    };
+
+    expect(feedEventFromCalendarEvent(ev, "rhino")).toMatchObject({ start: "2026-08-22T08:00:00", timezone: "America/Chicago" });
+    const unknownZone = { ...ev, start: { ...ev.start, timeZone: "Europe/Lisbon" } };
+    expect(feedEventFromCalendarEvent(unknownZone, "rhino")).toMatchObject({ start: "2026-08-22T09:00:00", timezone: "America/New_York" });
+  });
+
+  it("skips untagged events and CrewOne deadline reminders", () => {
+    const base = { start: { dateTime: "2026-08-22T07:00:00-04:00" }, end: { dateTime: "2026-08-22T08:00:00-04:00" } };
+    expect(feedEventFromCalendarEvent(base, "rhino")).toBeNull();
+    expect(
+      feedEventFromCalendarEvent(
+        { ...base, extendedProperties: { private: { scheduleSource: "crewOne", scheduleRowId: "x|deadlineReminder" } } },
+        "crewOne"
+      )
+    ).toBeNull();
+  });
+});
+
+describe("loadFeedEvents", () => {
+  afterEach(() => {
+    delete process.env.CALENDAR_ID_CREWONE;
+  });
+
+  it("lists synced shifts from every source, including deleted ones as cancelled", async () => {
+    const backend = createMemoryCalendarBackend({
+      events: [{ id: "personal", summary: "Dentist", start: { dateTime: "2026-08-21T10:00:00-04:00" }, end: { dateTime: "2026-08-21T11:00:00-04:00" } }]
+    });
+    await addEvent(backend, shift());
+    await addEvent(backend, shift({ source: "crewOne", rowId: "c1", summary: "CrewOne: Show", start: "2026-08-21T18:00:00", end: "2026-08-21T23:00:00" }));
+    await addEvent(backend, shift({ rowId: "gone", start: "2026-08-23T07:00:00", end: "2026-08-23T12:00:00" }));
+    await backend.delete(deterministicIdFor("rhino", "gone"));
+
+    const events = await loadFeedEvents(backend, { sourceIds: ["rhino", "crewOne"], now: NOW });
+
+    expect(events.map((event) => [event.source, event.rowId, event.status])).toEqual([
+      ["crewOne", "c1", "confirmed"],
+      ["rhino", shift().rowId, "confirmed"],
+      ["rhino", "gone", "cancelled"]
+    ]);
+  });
+});
@@ -0,0 +1,526 @@
+/**
+ * iCalendar (RFC 5545) reading for calendar exports and subscriptions: line
+ * unfolding, property parameters (TZID, VALUE), TEXT unescaping and DATE /
+ * DATE-TIME values. The writing side is ics-feed.js. parseIcs returns each VEVENT
+ * as written; expandIcsRecurrences turns recurring ones (RRULE, EXDATE and
+ * RECURRENCE-ID overrides) into one event per occurrence.
+ */
+
+import { toZonedLocalDateTime, zonedLocalDateTimeToUtcMs } from "./schedule-helpers.js";
+
+/**
+ * Windows zone names Outlook/Exchange exports put in TZID.
+ * @type {Record<string, string>}
+ */
+const WINDOWS_TIMEZONES = {
+  "eastern standard time": "America/New_York",
+  "central standard time": "America/Chicago",
+  "mountain standard time": "America/Denver",
+  "us mountain standard time": "America/Phoenix",
+  "pacific standard time": "America/Los_Angeles",
+  "alaskan standard time": "America/Anchorage",
+  "hawaiian standard time": "Pacific/Honolulu",
+  utc: "UTC"
+};
+
+/**
+ * @typedef {Object} IcsDate
+ * @property {boolean} allDay - VALUE=DATE (no time of day)
+ * @property {string} date - YYYY-MM-DD
+ * @property {string | null} time - HH:mm:ss, null for all-day values
+ * @property {string | null} timezone - "UTC", the IANA zone from TZID, or null for floating times
+ *
+ * @typedef {Object} IcsEvent
+ * @property {string} uid
+ * @property {string} summary
+ * @property {string} location
+ * @property {string} description
+ * @property {string} status - STATUS upper-cased, "" when absent
+ * @property {IcsDate | null} start
+ * @property {IcsDate | null} end
+ * @property {string} [rrule] - RRULE value, on the event that starts a series
+ * @property {IcsDate[]} [exdates] - EXDATE values: occurrences the series skips
+ * @property {IcsDate} [recurrenceId] - RECURRENCE-ID: the original start of the
+ *   occurrence this event is (an override, or an occurrence expandIcsRecurrences made)
+ */
+
+/**
+ * Join folded lines: a line break followed by one space or tab continues the line.
+ * @param {string} icsText
+ */
+export function unfoldIcs(icsText) {
+  return String(icsText || "").replace(/\r?\n[ \t]/g, "");
+}
+
+const PARAM_VALUES = '(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*';
+const PARAM = new RegExp(`;([A-Za-z0-9-]+)=(${PARAM_VALUES})`, "g");
+const CONTENT_LINE = new RegExp(`^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=${PARAM_VALUES})*):(.*)$`);
+
+/**
+ * Split a content line into name, parameters and raw value. Quoted parameter values
+ * may contain ":" and ";".
+ * @param {string} line
+ * @returns {{ name: string; params: Record<string, string>; value: string } | null}
+ */
+export function parseIcsContentLine(line) {
+  const match = CONTENT_LINE.exec(line);
+  if (!match) return null;
+  /** @type {Record<string, string>} */
+  const params = {};
+  for (const [, key, raw] of match[2].matchAll(PARAM)) {
+    params[key.toUpperCase()] = raw.replace(/"/g, "");
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+/**
+ * Undo TEXT escaping: \n (or \N) is a newline; \, \; and \\ are literal.
+ * @param {string} value
+ */
+export function unescapeIcsText(value) {
+  return String(value ?? "").replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+/** @param {string} zone */
+function isKnownTimezone(zone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * IANA zone for a TZID: as-is when Intl knows it, else a Windows name or the tail
+ * of a "/mozilla.org/.../America/New_York" style id. Null when unrecognized (the
+ * time is then read as floating).
+ * @param {string | undefined} tzid
+ * @returns {string | null}
+ */
+export function resolveIcsTimezone(tzid) {
+  const zone = String(tzid || "").trim();
+  if (!zone) return null;
+  if (WINDOWS_TIMEZONES[zone.toLowerCase()]) return WINDOWS_TIMEZONES[zone.toLowerCase()];
+  if (isKnownTimezone(zone)) return zone;
+  const tail = zone.split("/").filter(Boolean).slice(-2).join("/");
+  return tail && isKnownTimezone(tail) ? tail : null;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value ("20260612", "20260612T080000",
+ * "20260612T120000Z"; ISO-style dashes and colons are tolerated).
+ * @param {string} value
+ * @param {Record<string, string>} [params] - TZID and VALUE from the property
+ * @returns {IcsDate | null}
+ */
+export function parseIcsDate(value, params = {}) {
+  const text = String(value || "").trim().replace(/[-:]/g, "");
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(text);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4] || String(params.VALUE).toUpperCase() === "DATE") {
+    return { allDay: true, date, time: null, timezone: null };
+  }
+  return {
+    allDay: false,
+    date,
+    time: `${m[4]}:${m[5]}:${m[6] || "00"}`,
+    timezone: m[7] ? "UTC" : resolveIcsTimezone(params.TZID)
+  };
+}
+
+/**
+ * Wall clock "YYYY-MM-DDTHH:mm:ss" of an ICS date in a timezone. Floating times and
+ * all-day dates are taken as already local.
+ * @param {IcsDate} icsDate
+ * @param {string} timezone
+ */
+export function icsDateTimeIn(icsDate, timezone) {
+  const local = `${icsDate.date}T${icsDate.time || "00:00:00"}`;
+  if (icsDate.allDay || !icsDate.timezone || icsDate.timezone === timezone) return local;
+  const utcMs = icsDate.timezone === "UTC" ? Date.parse(`${local}Z`) : zonedLocalDateTimeToUtcMs(local, icsDate.timezone);
+  return toZonedLocalDateTime(utcMs, timezone) || local;
+}
+
+/**
+ * Schedule entry for a VEVENT of a source's calendar export or feed. Times are read in
+ * the event's TZID, kept as the entry's timezone when it isn't the source's; UTC and
+ * floating times are read in the source's zone. "Venue, street, city" locations are
+ * split into the venue and its address. A cancelled event is flagged, and an
+ * occurrence of a recurring event (one with a recurrenceId) gets its original start
+ * appended to the UID, so moving it doesn't change its identity. Null for events that
+ * can't be a call (no start, all-day, untitled).
+ * @param {IcsEvent} ev
+ * @param {{ source: string; timezone: string; client: string }} options - client: who the
+ *   calls are for, "" when the source doesn't say
+ * @returns {import("./sources/types.js").ScheduleEntry | null}
+ */
+export function icsEventToScheduleEntry(ev, { source, timezone, client }) {
+  if (!ev?.start || ev.start.allDay || !ev.summary) return null;
+
+  const zone = ev.start.timezone && ev.start.timezone !== "UTC" ? ev.start.timezone : timezone;
+  const start = icsDateTimeIn(ev.start, zone);
+  const end = ev.end && !ev.end.allDay ? icsDateTimeIn(ev.end, zone) : null;
+  const [year, month, day] = start.slice(0, 10).split("-").map(Number);
+  const [venue, ...address] = ev.location.split(",").map((part) => part.trim());
+  const cancelled = ev.status === "CANCELLED";
+  let uid = ev.uid;
+  if (uid && ev.recurrenceId) {
+    const original = icsDateTimeIn(ev.recurrenceId, zone);
+    const [originalYear, originalMonth, originalDay] = original.slice(0, 10).split("-").map(Number);
+    uid = `${uid}@${originalMonth}/${originalDay}/${originalYear} ${original.slice(11, 16)}`;
+  }
+
+  return {
+    source,
+    date: `${month}/${day}/${year}`,
+    callTime: start.slice(11, 16),
+    ...(end && end > start ? { endTime: end.slice(11, 16) } : {}),
+    ...(zone !== timezone ? { timezone: zone } : {}),
+    show: ev.summary,
+    venue: venue || "",
+    location: address.join(", "),
+    client,
+    type: "",
+    position: "",
+    details: ev.description,
+    status: cancelled ? "cancelled" : ev.status === "TENTATIVE" ? "tentative" : "confirmed",
+    notes: "",
+    isCallCancelled: cancelled,
+    uid
+  };
+}
+
+/**
+ * Display name of a calendar (X-WR-CALNAME, as Google and Outlook subscriptions set
+ * it), "" when it has none.
+ * @param {string} icsText
+ */
+export function parseIcsCalendarName(icsText) {
+  for (const line of unfoldIcs(icsText).split(/\r?\n/)) {
+    const prop = parseIcsContentLine(line);
+    if (prop?.name === "BEGIN" && prop.value.trim().toUpperCase() === "VEVENT") break;
+    if (prop?.name === "X-WR-CALNAME") return unescapeIcsText(prop.value).trim();
+  }
+  return "";
+}
+
+/**
+ * VEVENTs in a calendar. Properties of nested components (VALARM) and of other
+ * components (VTIMEZONE, VTODO) are ignored.
+ * @param {string} icsText
+ * @returns {IcsEvent[]}
+ */
+export function parseIcs(icsText) {
+  const events = [];
+  /** @type {string[]} */
+  const stack = [];
+  /** @type {IcsEvent | null} */
+  let event = null;
+
+  for (const line of unfoldIcs(icsText).split(/\r?\n/)) {
+    const prop = parseIcsContentLine(line);
+    if (!prop) continue;
+    const component = prop.value.trim().toUpperCase();
+
+    if (prop.name === "BEGIN") {
+      stack.push(component);
+      if (component === "VEVENT" && stack.length <= 2) {
+        event = { uid: "", summary: "", location: "", description: "", status: "", start: null, end: null };
+      }
+      continue;
+    }
+    if (prop.name === "END") {
+      const closed = stack.pop();
+      if (closed === "VEVENT" && event) {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (!event || stack[stack.length - 1] !== "VEVENT") continue;
+
+    switch (prop.name) {
+      case "UID":
+        event.uid = unescapeIcsText(prop.value).trim();
+        break;
+      case "SUMMARY":
+        event.summary = unescapeIcsText(prop.value).trim();
+        break;
+      case "LOCATION":
+        event.location = unescapeIcsText(prop.value).trim();
+        break;
+      case "DESCRIPTION":
+        event.description = unescapeIcsText(prop.value).trim();
+        break;
+      case "STATUS":
+        event.status = prop.value.trim().toUpperCase();
+        break;
+      case "DTSTART":
+        event.start = parseIcsDate(prop.value, prop.params);
+        break;
+      case "DTEND":
+        event.end = parseIcsDate(prop.value, prop.params);
+        break;
+      case "RRULE":
+        event.rrule = prop.value.trim();
+        break;
+      case "EXDATE":
+        event.exdates = [
+          ...(event.exdates || []),
+          ...prop.value.split(",").map((value) => parseIcsDate(value, prop.params)).filter(Boolean)
+        ];
+        break;
+      case "RECURRENCE-ID": {
+        const recurrenceId = parseIcsDate(prop.value, prop.params);
+        if (recurrenceId) event.recurrenceId = recurrenceId;
+        break;
+      }
+    }
+  }
+
+  return events;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+/** Periods a series is walked through before giving up on reaching the window's end */
+const MAX_RECURRENCE_PERIODS = 20000;
+
+/**
+ * Absolute time of an ICS date; floating times and all-day dates are read in timezone.
+ * @param {IcsDate} icsDate
+ * @param {string} timezone
+ * @returns {number} ms since epoch
+ */
+export function icsDateUtcMs(icsDate, timezone) {
+  const local = `${icsDate.date}T${icsDate.time || "00:00:00"}`;
+  if (icsDate.timezone === "UTC") return Date.parse(`${local}Z`);
+  // zonedLocalDateTimeToUtcMs finds the minute; add the seconds back so times compare exactly
+  const minuteMs = zonedLocalDateTimeToUtcMs(local, icsDate.timezone || timezone);
+  return Math.floor(minuteMs / 60_000) * 60_000 + Number(local.slice(17, 19)) * 1000;
+}
+
+/** @param {string} date - YYYY-MM-DD @param {number} days */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** @param {string} date - YYYY-MM-DD, 0 = Sunday */
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/** @param {string} from - YYYY-MM-DD @param {string} to */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/** @param {number} year @param {number} month - 1-12 @param {number} day */
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * @typedef {Object} IcsRecurrenceRule
+ * @property {"DAILY" | "WEEKLY" | "MONTHLY" | "YEARLY"} freq
+ * @property {number} interval
+ * @property {number | null} count
+ * @property {IcsDate | null} until
+ * @property {{ ordinal: number; weekday: number }[]} byDay - ordinal 0 means every such weekday
+ * @property {number[]} byMonthDay
+ */
+
+/**
+ * Read an RRULE value. Null for rules this reader can't expand: a FREQ finer than
+ * daily, or BY* parts other than BYDAY (weekly, monthly, daily) and BYMONTHDAY
+ * (monthly).
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=6"
+ * @returns {IcsRecurrenceRule | null}
+ */
+export function parseIcsRecurrenceRule(value) {
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const part of String(value || "").split(";")) {
+    const [key, ...rest] = part.split("=");
+    if (key.trim()) parts[key.trim().toUpperCase()] = rest.join("=").trim().toUpperCase();
+  }
+  const freq = parts.FREQ;
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) return null;
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(",") : []).map((day) => {
+    const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day.trim());
+    return m ? { ordinal: Number(m[1] || 0), weekday: WEEKDAYS.indexOf(m[2]) } : null;
+  });
+  const byMonthDay = (parts.BYMONTHDAY ? parts.BYMONTHDAY.split(",") : []).map(Number);
+  const allowed = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "WKST", "BYDAY", "BYMONTHDAY"];
+  if (Object.keys(parts).some((key) => !allowed.includes(key))) return null;
+  if (byDay.some((day) => !day) || byMonthDay.some((day) => !Number.isInteger(day) || day === 0)) return null;
+  if (byDay.some((day) => day.ordinal !== 0) && freq !== "MONTHLY") return null;
+  if (byDay.length > 0 && freq === "YEARLY") return null;
+  if (byMonthDay.length > 0 && freq !== "MONTHLY") return null;
+
+  const interval = Number(parts.INTERVAL || 1);
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  return {
+    freq: /** @type {IcsRecurrenceRule["freq"]} */ (freq),
+    interval: Number.isInteger(interval) && interval > 0 ? interval : 1,
+    count: count != null && Number.isInteger(count) && count > 0 ? count : null,
+    until: parts.UNTIL ? parseIcsDate(parts.UNTIL) : null,
+    byDay: /** @type {{ ordinal: number; weekday: number }[]} */ (byDay),
+    byMonthDay
+  };
+}
+
+/**
+ * Dates (YYYY-MM-DD, in order) the rule picks in the period-th period after the one
+ * holding start.
+ * @param {IcsRecurrenceRule} rule
+ * @param {string} start - YYYY-MM-DD of DTSTART
+ * @param {number} period
+ * @returns {string[]}
+ */
+function recurrencePeriodDates(rule, start, period) {
+  const step = period * rule.interval;
+  const [year, month, day] = start.split("-").map(Number);
+  const weekdays = rule.byDay.map((byDay) => byDay.weekday);
+
+  if (rule.freq === "DAILY") {
+    const date = addDays(start, step);
+    return weekdays.length === 0 || weekdays.includes(weekdayOf(date)) ? [date] : [];
+  }
+  if (rule.freq === "WEEKLY") {
+    const monday = addDays(start, -((weekdayOf(start) + 6) % 7) + 7 * step);
+    const days = weekdays.length > 0 ? weekdays : [weekdayOf(start)];
+    return days.map((weekday) => addDays(monday, (weekday + 6) % 7)).sort();
+  }
+  if (rule.freq === "YEARLY") {
+    const date = isoDate(year + step, month, day);
+    return date.slice(5) === start.slice(5) ? [date] : [];
+  }
+
+  const monthIndex = month - 1 + step;
+  const y = year + Math.floor(monthIndex / 12);
+  const m = (monthIndex % 12) + 1;
+  const length = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  /** @type {number[]} */
+  let days = [];
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map((d) => (d > 0 ? d : length + 1 + d));
+  } else if (rule.byDay.length > 0) {
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= length; d++) if (weekdayOf(isoDate(y, m, d)) === weekday) matching.push(d);
+      if (ordinal === 0) days.push(...matching);
+      else days.push(matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]);
+    }
+  } else {
+    days = [day];
+  }
+  return [...new Set(days.filter((d) => d >= 1 && d <= length))].sort((a, b) => a - b).map((d) => isoDate(y, m, d));
+}
+
+/**
+ * Occurrence starts of a recurring event within [from, to], in order, before
+ * EXDATE. DTSTART is always the first occurrence and COUNT counts the ones before
+ * the window too. Null when the rule can't be expanded.
+ * @param {IcsEvent & { start: IcsDate }} event
+ * @param {{ from: number; to: number; timezone: string }} window
+ * @returns {IcsDate[] | null}
+ */
+function recurrenceStarts(event, { from, to, timezone }) {
+  const rule = parseIcsRecurrenceRule(event.rrule || "");
+  if (!rule) return null;
+  const untilMs = rule.until && !rule.until.allDay ? icsDateUtcMs(rule.until, timezone) : null;
+
+  /** @type {IcsDate[]} */
+  const starts = [];
+  let seen = 0;
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    let dates = recurrencePeriodDates(rule, event.start.date, period).filter((date) => date >= event.start.date);
+    if (period === 0 && dates[0] !== event.start.date) dates = [event.start.date, ...dates];
+    for (const date of dates) {
+      const start = { ...event.start, date };
+      const ms = icsDateUtcMs(start, timezone);
+      if (rule.count != null && seen >= rule.count) return starts;
+      if (rule.until && (untilMs == null ? date > rule.until.date : ms > untilMs)) return starts;
+      if (ms > to) return starts;
+      seen++;
+      if (ms >= from) starts.push(start);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Recurring events as one event per occurrence that starts within [from, to]:
+ * RRULE occurrences minus EXDATEs, each replaced by its RECURRENCE-ID override
+ * (matched on UID and original start) when the feed has one. Occurrences after the
+ * first carry their original start as recurrenceId, so an override that moves its
+ * occurrence keeps the occurrence's identity. An override whose occurrence falls
+ * outside the window is kept only when it was moved into it (without recurrenceId
+ * when it overrides the first occurrence, as in the window). Other events,
+ * overrides of a series the feed doesn't have and series whose rule can't be
+ * expanded (their first occurrence only) are returned as they are.
+ * @param {IcsEvent[]} events - from parseIcs
+ * @param {{ from: number; to: number; timezone: string }} window - ms since epoch;
+ *   timezone reads floating times
+ * @returns {IcsEvent[]}
+ */
+export function expandIcsRecurrences(events, window) {
+  const { timezone } = window;
+  /** @param {string} uid @param {IcsDate} start */
+  const occurrenceKey = (uid, start) => `${uid}|${icsDateUtcMs(start, timezone)}`;
+  /** @type {Map<string, IcsEvent>} */
+  const overrides = new Map();
+  for (const event of events) {
+    if (event.recurrenceId && event.uid) overrides.set(occurrenceKey(event.uid, event.recurrenceId), event);
+  }
+
+  /** @type {Set<IcsEvent>} */
+  const placed = new Set();
+  /** @type {Map<string, number>} - first start of each series expanded, by UID */
+  const seriesStarts = new Map();
+  const expanded = events.map((event) => {
+    if (!event.rrule || event.recurrenceId || !event.start) return null;
+    const starts = recurrenceStarts(/** @type {IcsEvent & { start: IcsDate }} */ (event), window);
+    if (!starts) return null;
+    if (event.uid) seriesStarts.set(event.uid, icsDateUtcMs(event.start, timezone));
+
+    const skipped = (event.exdates || []).map((exdate) =>
+      exdate.allDay ? exdate.date : icsDateUtcMs(exdate, timezone)
+    );
+    const { rrule: _rrule, exdates: _exdates, ...series } = event;
+    /** @type {IcsEvent[]} */
+    const occurrences = [];
+    for (const start of starts) {
+      if (skipped.includes(start.date) || skipped.includes(icsDateUtcMs(start, timezone))) continue;
+      const first = start.date === event.start.date;
+      const override = event.uid ? overrides.get(occurrenceKey(event.uid, start)) : undefined;
+      if (override) {
+        placed.add(override);
+        const { recurrenceId, ...moved } = override;
+        occurrences.push(first ? moved : { ...moved, recurrenceId });
+        continue;
+      }
+      const shift = daysBetween(event.start.date, start.date);
+      const end = event.end ? { ...event.end, date: addDays(event.end.date, shift) } : null;
+      occurrences.push(first ? { ...series, start, end } : { ...series, start, end, recurrenceId: start });
+    }
+    return occurrences;
+  });
+
+  return events.flatMap((event, index) => {
+    if (expanded[index]) return expanded[index];
+    if (placed.has(event)) return [];
+    const seriesStart = event.uid ? seriesStarts.get(event.uid) : undefined;
+    if (event.recurrenceId && seriesStart != null && event.start) {
+      const ms = icsDateUtcMs(event.start, timezone);
+      if (ms < window.from || ms > window.to) return [];
+      const { recurrenceId, ...moved } = event;
+      return [icsDateUtcMs(recurrenceId, timezone) === seriesStart ? moved : event];
+    }
+    return [event];
+  });
+}
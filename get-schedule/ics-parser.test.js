@@ -0,0 +1,521 @@
+import { describe, it, expect } from "vitest";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  expandIcsRecurrences,
+  icsDateTimeIn,
+  icsDateUtcMs,
+  icsEventToScheduleEntry,
+  parseIcs,
+  parseIcsCalendarName,
+  parseIcsContentLine,
+  parseIcsDate,
+  parseIcsRecurrenceRule,
+  resolveIcsTimezone,
+  unescapeIcsText,
+  unfoldIcs
+} from "./ics-parser.js";
+import { escapeIcsText, renderIcsCalendar } from "./ics-feed.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "tests", "mock-portal", "pages", "crewone-calendar.ics");
+
+/** @param {string[]} lines */
+const calendar = (lines) => ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+
+describe("ics parser", () => {
+  describe("unfoldIcs", () => {
+    it("joins lines continued with a space or tab, dropping one whitespace character", () => {
+      expect(unfoldIcs("DESCRIPTION:Report to th\r\n e south gate\r\n\t now")).toBe("DESCRIPTION:Report to the south gate now");
+      expect(unfoldIcs("SUMMARY:A\n  B")).toBe("SUMMARY:A B");
+    });
+
+    it("leaves unfolded lines alone", () => {
+      expect(unfoldIcs("A:1\r\nB:2")).toBe("A:1\r\nB:2");
+    });
+  });
+
+  describe("parseIcsContentLine", () => {
+    it("splits name, parameters and value", () => {
+      expect(parseIcsContentLine("DTSTART;TZID=America/New_York:20260612T080000")).toEqual({
+        name: "DTSTART",
+        params: { TZID: "America/New_York" },
+        value: "20260612T080000"
+      });
+      expect(parseIcsContentLine("dtend;value=DATE:20260613")).toEqual({
+        name: "DTEND",
+        params: { VALUE: "DATE" },
+        value: "20260613"
+      });
+    });
+
+    it("keeps colons and semicolons inside quoted parameters and in the value", () => {
+      expect(parseIcsContentLine('ORGANIZER;CN="Crew One: Dispatch; Atlanta":mailto:dispatch@example.com')).toEqual({
+        name: "ORGANIZER",
+        params: { CN: "Crew One: Dispatch; Atlanta" },
+        value: "mailto:dispatch@example.com"
+      });
+    });
+
+    it("returns null for lines that aren't content lines", () => {
+      expect(parseIcsContentLine("")).toBeNull();
+      expect(parseIcsContentLine("no colon here")).toBeNull();
+    });
+  });
+
+  describe("unescapeIcsText", () => {
+    it("undoes TEXT escaping", () => {
+      expect(unescapeIcsText("Stadium\\, Gate 3\\; bring ID\\nNo parking\\Nat all \\\\ really")).toBe(
+        "Stadium, Gate 3; bring ID\nNo parking\nat all \\ really"
+      );
+    });
+
+    it("round-trips what ics-feed escapes", () => {
+      const text = "Load in, wear blacks; C:\\crew\nSecond line";
+      expect(unescapeIcsText(escapeIcsText(text))).toBe(text);
+    });
+  });
+
+  describe("parseIcsDate", () => {
+    it("reads UTC, zoned and floating date-times", () => {
+      expect(parseIcsDate("20260613T203000Z")).toEqual({ allDay: false, date: "2026-06-13", time: "20:30:00", timezone: "UTC" });
+      expect(parseIcsDate("20260612T080000", { TZID: "America/New_York" })).toEqual({
+        allDay: false,
+        date: "2026-06-12",
+        time: "08:00:00",
+        timezone: "America/New_York"
+      });
+      expect(parseIcsDate("20260612T080000")).toMatchObject({ time: "08:00:00", timezone: null });
+    });
+
+    it("reads all-day dates", () => {
+      expect(parseIcsDate("20260612", { VALUE: "DATE" })).toEqual({ allDay: true, date: "2026-06-12", time: null, timezone: null });
+      expect(parseIcsDate("20260612")).toMatchObject({ allDay: true });
+    });
+
+    it("tolerates ISO-style separators and rejects anything else", () => {
+      expect(parseIcsDate("2026-06-12T08:00:00Z")).toMatchObject({ date: "2026-06-12", time: "08:00:00", timezone: "UTC" });
+      expect(parseIcsDate("June 12")).toBeNull();
+      expect(parseIcsDate("")).toBeNull();
+    });
+  });
+
+  describe("resolveIcsTimezone", () => {
+    it("accepts IANA ids, Windows names and prefixed ids", () => {
+      expect(resolveIcsTimezone("America/Chicago")).toBe("America/Chicago");
+      expect(resolveIcsTimezone("Eastern Standard Time")).toBe("America/New_York");
+      expect(resolveIcsTimezone("/mozilla.org/20070129_1/America/Denver")).toBe("America/Denver");
+    });
+
+    it("treats unknown zones as floating", () => {
+      expect(resolveIcsTimezone("Mars/Olympus_Mons")).toBeNull();
+      expect(resolveIcsTimezone(undefined)).toBeNull();
+      expect(parseIcsDate("20260612T080000", { TZID: "Nowhere Standard Time" })).toMatchObject({ timezone: null });
+    });
+  });
+
+  describe("icsDateTimeIn", () => {
+    it("converts UTC and other zones to the wall clock in a timezone", () => {
+      expect(icsDateTimeIn(parseIcsDate("20260613T203000Z"), "America/New_York")).toBe("2026-06-13T16:30:00");
+      expect(icsDateTimeIn(parseIcsDate("20260120T070000", { TZID: "America/Chicago" }), "America/New_York")).toBe(
+        "2026-01-20T08:00:00"
+      );
+      expect(icsDateTimeIn(parseIcsDate("20261231T235000", { TZID: "America/New_York" }), "America/Los_Angeles")).toBe(
+        "2026-12-31T20:50:00"
+      );
+    });
+
+    it("keeps floating times, all-day dates and same-zone times as written", () => {
+      expect(icsDateTimeIn(parseIcsDate("20260612T080000"), "America/Chicago")).toBe("2026-06-12T08:00:00");
+      expect(icsDateTimeIn(parseIcsDate("20260612"), "America/Chicago")).toBe("2026-06-12T00:00:00");
+      expect(icsDateTimeIn(parseIcsDate("20260612T080000", { TZID: "America/Chicago" }), "America/Chicago")).toBe(
+        "2026-06-12T08:00:00"
+      );
+    });
+  });
+
+  describe("parseIcs", () => {
+    it("reads each VEVENT's UID, times, summary, location, description and status", () => {
+      const events = parseIcs(
+        calendar([
+          "BEGIN:VEVENT",
+          "UID:call-1@example.com",
+          "DTSTART;TZID=America/New_York:20260612T080000",
+          "DTEND;TZID=America/New_York:20260612T160000",
+          "SUMMARY:Summer Stadium Tour",
+          "LOCATION:Mercedes-Benz Stadium\\, Atlanta",
+          "DESCRIPTION:Load in\\nwear blacks",
+          "status:tentative",
+          "END:VEVENT",
+          "BEGIN:VEVENT",
+          "UID:call-2@example.com",
+          "DTSTART;VALUE=DATE:20260614",
+          "SUMMARY:Day off",
+          "END:VEVENT"
+        ])
+      );
+
+      expect(events).toEqual([
+        {
+          uid: "call-1@example.com",
+          summary: "Summer Stadium Tour",
+          location: "Mercedes-Benz Stadium, Atlanta",
+          description: "Load in\nwear blacks",
+          status: "TENTATIVE",
+          start: { allDay: false, date: "2026-06-12", time: "08:00:00", timezone: "America/New_York" },
+          end: { allDay: false, date: "2026-06-12", time: "16:00:00", timezone: "America/New_York" }
+        },
+        {
+          uid: "call-2@example.com",
+          summary: "Day off",
+          location: "",
+          description: "",
+          status: "",
+          start: { allDay: true, date: "2026-06-14", time: null, timezone: null },
+          end: null
+        }
+      ]);
+    });
+
+    it("ignores alarms, time zone definitions and other components", () => {
+      const events = parseIcs(
+        calendar([
+          "BEGIN:VTIMEZONE",
+          "TZID:America/New_York",
+          "BEGIN:STANDARD",
+          "DTSTART:19701101T020000",
+          "END:STANDARD",
+          "END:VTIMEZONE",
+          "BEGIN:VTODO",
+          "SUMMARY:Not an event",
+          "END:VTODO",
+          "BEGIN:VEVENT",
+          "SUMMARY:Call",
+          "DESCRIPTION:The call",
+          "DTSTART:20260612T120000Z",
+          "BEGIN:VALARM",
+          "DESCRIPTION:Reminder",
+          "TRIGGER:-PT1H",
+          "END:VALARM",
+          "END:VEVENT"
+        ])
+      );
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ summary: "Call", description: "The call", start: { timezone: "UTC" } });
+    });
+
+    it("reads LF-only files and folded, escaped values", () => {
+      const text = [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "SUMMARY:Festival\\, Build",
+        "DESCRIPTION:Report to th",
+        " e south gate\\nwith steel toes",
+        "DTSTART:20260620T070000",
+        "END:VEVENT",
+        "END:VCALENDAR"
+      ].join("\n");
+
+      expect(parseIcs(text)[0]).toMatchObject({
+        summary: "Festival, Build",
+        description: "Report to the south gate\nwith steel toes",
+        start: { timezone: null }
+      });
+    });
+
+    it("returns no events for an empty or non-calendar body", () => {
+      expect(parseIcs("")).toEqual([]);
+      expect(parseIcs("<html>Not found</html>")).toEqual([]);
+    });
+
+    it("reads back the feed ics-feed writes, folded lines included", () => {
+      const description = "Position: SH\nType: IN\nCall notes: wear blacks, bring a flashlight; report to the dock, not the stage door";
+      const feed = renderIcsCalendar(
+        [
+          {
+            source: "rhino",
+            rowId: "11/23/2025 | 08:00 | ERYKAH BADU | COBB ENERGY | SH | IN",
+            summary: "7:30am ERYKAH BADU",
+            location: "COBB ENERGY, ATLANTA GA",
+            description,
+            start: "2025-11-23T07:30:00",
+            end: "2025-11-23T13:00:00",
+            timezone: "America/Chicago"
+          }
+        ],
+        { timezone: "America/New_York" }
+      );
+
+      const [event] = parseIcs(feed);
+      expect(event).toMatchObject({
+        summary: "7:30am ERYKAH BADU",
+        location: "COBB ENERGY, ATLANTA GA",
+        description,
+        start: { date: "2025-11-23", time: "07:30:00", timezone: "America/Chicago" }
+      });
+      expect(event.uid).toMatch(/@schedule-sync$/);
+    });
+
+    it("reads RRULE, EXDATE lists and RECURRENCE-ID", () => {
+      const events = parseIcs(
+        calendar([
+          "BEGIN:VEVENT",
+          "UID:weekly@feed",
+          "DTSTART;TZID=America/New_York:20261105T183000",
+          "RRULE:FREQ=WEEKLY;COUNT=4",
+          "EXDATE;TZID=America/New_York:20261112T183000,20261119T183000",
+          "EXDATE:20261126T233000Z",
+          "END:VEVENT",
+          "BEGIN:VEVENT",
+          "UID:weekly@feed",
+          "RECURRENCE-ID;TZID=America/New_York:20261105T183000",
+          "DTSTART;TZID=America/New_York:20261106T183000",
+          "END:VEVENT"
+        ])
+      );
+
+      expect(events[0].rrule).toBe("FREQ=WEEKLY;COUNT=4");
+      expect(events[0].exdates?.map((exdate) => `${exdate.date} ${exdate.time} ${exdate.timezone}`)).toEqual([
+        "2026-11-12 18:30:00 America/New_York",
+        "2026-11-19 18:30:00 America/New_York",
+        "2026-11-26 23:30:00 UTC"
+      ]);
+      expect(events[0].recurrenceId).toBeUndefined();
+      expect(events[1].recurrenceId).toEqual({ allDay: false, date: "2026-11-05", time: "18:30:00", timezone: "America/New_York" });
+      expect(events[1].rrule).toBeUndefined();
+    });
+
+    it("reads the calendar's display name, ignoring event properties", () => {
+      expect(parseIcsCalendarName(calendar(["X-WR-CALNAME:Peachtree Stagehands\\, LLC", "BEGIN:VEVENT", "END:VEVENT"]))).toBe(
+        "Peachtree Stagehands, LLC"
+      );
+      expect(parseIcsCalendarName(calendar(["BEGIN:VEVENT", "X-WR-CALNAME:Not the calendar", "END:VEVENT"]))).toBe("");
+    });
+
+    it("reads the Crew One export fixture", async () => {
+      const events = parseIcs(await fs.readFile(FIXTURE, "utf8"));
+
+      expect(events.map((event) => event.summary)).toEqual([
+        "Summer Stadium Tour",
+        "Summer Stadium Tour",
+        "Corporate Gala",
+        "CANCELLED - Arena Rehearsal",
+        "Festival Build"
+      ]);
+      expect(events[0].description).toBe("Stagehand\nLoad in, wear blacks");
+      expect(events[3].status).toBe("CANCELLED");
+      expect(events[4].description).toContain("Report to the south gate");
+    });
+  });
+
+  describe("icsEventToScheduleEntry", () => {
+    const [call, moved, allDay] = parseIcs(
+      calendar([
+        "BEGIN:VEVENT",
+        "UID:call-1@example.com",
+        "DTSTART:20261107T130000Z",
+        "DTEND:20261107T210000Z",
+        "SUMMARY:Trade Show Load In",
+        "LOCATION:GWCC\\, 285 Andrew Young International Blvd NW\\, Atlanta\\, GA",
+        "STATUS:TENTATIVE",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:weekly@example.com",
+        "RECURRENCE-ID;TZID=America/Chicago:20261110T070000",
+        "DTSTART;TZID=America/Chicago:20261110T090000",
+        "SUMMARY:Rehearsal",
+        "STATUS:CANCELLED",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:day-off@example.com",
+        "DTSTART;VALUE=DATE:20261108",
+        "SUMMARY:Day off",
+        "END:VEVENT"
+      ])
+    );
+    const options = { source: "venueFeed", timezone: "America/New_York", client: "Peachtree Stagehands" };
+
+    it("reads the call in the source's zone, splitting the venue from its address", () => {
+      expect(icsEventToScheduleEntry(call, options)).toEqual({
+        source: "venueFeed",
+        date: "11/7/2026",
+        callTime: "08:00",
+        endTime: "16:00",
+        show: "Trade Show Load In",
+        venue: "GWCC",
+        location: "285 Andrew Young International Blvd NW, Atlanta, GA",
+        client: "Peachtree Stagehands",
+        type: "",
+        position: "",
+        details: "",
+        status: "tentative",
+        notes: "",
+        isCallCancelled: false,
+        uid: "call-1@example.com"
+      });
+    });
+
+    it("keeps another zone, flags a cancellation and keys an occurrence by its original start", () => {
+      expect(icsEventToScheduleEntry(moved, options)).toMatchObject({
+        date: "11/10/2026",
+        callTime: "09:00",
+        timezone: "America/Chicago",
+        status: "cancelled",
+        isCallCancelled: true,
+        uid: "weekly@example.com@11/10/2026 07:00"
+      });
+      expect(icsEventToScheduleEntry(allDay, options)).toBeNull();
+    });
+  });
+
+  describe("icsDateUtcMs", () => {
+    it("reads UTC, zoned and floating times to the second", () => {
+      expect(icsDateUtcMs({ allDay: false, date: "2026-11-19", time: "23:30:00", timezone: "UTC" }, "America/New_York")).toBe(
+        Date.parse("2026-11-19T23:30:00Z")
+      );
+      expect(icsDateUtcMs({ allDay: false, date: "2026-11-19", time: "18:30:15", timezone: "America/New_York" }, "UTC")).toBe(
+        Date.parse("2026-11-19T23:30:15Z")
+      );
+      expect(icsDateUtcMs({ allDay: false, date: "2026-07-01", time: "09:00:00", timezone: null }, "America/Chicago")).toBe(
+        Date.parse("2026-07-01T14:00:00Z")
+      );
+    });
+  });
+
+  describe("parseIcsRecurrenceRule", () => {
+    it("reads the parts it can expand", () => {
+      expect(parseIcsRecurrenceRule("FREQ=MONTHLY;INTERVAL=2;BYDAY=2TH,-1FR;UNTIL=20270101T000000Z")).toEqual({
+        freq: "MONTHLY",
+        interval: 2,
+        count: null,
+        until: { allDay: false, date: "2027-01-01", time: "00:00:00", timezone: "UTC" },
+        byDay: [
+          { ordinal: 2, weekday: 4 },
+          { ordinal: -1, weekday: 5 }
+        ],
+        byMonthDay: []
+      });
+      expect(parseIcsRecurrenceRule("freq=weekly;byday=tu,th;count=6;wkst=mo")).toMatchObject({
+        freq: "WEEKLY",
+        count: 6,
+        byDay: [
+          { ordinal: 0, weekday: 2 },
+          { ordinal: 0, weekday: 4 }
+        ]
+      });
+    });
+
+    it("returns null for rules it can't expand", () => {
+      expect(parseIcsRecurrenceRule("FREQ=HOURLY")).toBeNull();
+      expect(parseIcsRecurrenceRule("FREQ=YEARLY;BYMONTH=3")).toBeNull();
+      expect(parseIcsRecurrenceRule("FREQ=WEEKLY;BYDAY=1MO")).toBeNull();
+      expect(parseIcsRecurrenceRule("FREQ=DAILY;BYMONTHDAY=1")).toBeNull();
+      expect(parseIcsRecurrenceRule("")).toBeNull();
+    });
+  });
+
+  describe("expandIcsRecurrences", () => {
+    const timezone = "America/New_York";
+    /** @param {string} from @param {string} to */
+    const window = (from, to) => ({ from: Date.parse(from), to: Date.parse(to), timezone });
+    /** @param {string[]} lines */
+    const expand = (lines, from = "2026-01-01T00:00:00Z", to = "2027-12-31T00:00:00Z") =>
+      expandIcsRecurrences(parseIcs(calendar(lines)), window(from, to));
+    /** @param {import("./ics-parser.js").IcsEvent[]} events */
+    const startsOf = (events) => events.map((event) => `${event.start?.date} ${event.start?.time}`);
+
+    it("expands a monthly BYDAY ordinal rule, shifting each end by the same days", () => {
+      const events = expand([
+        "BEGIN:VEVENT",
+        "UID:monthly@feed",
+        "DTSTART;TZID=America/New_York:20261112T190000",
+        "DTEND;TZID=America/New_York:20261112T230000",
+        "RRULE:FREQ=MONTHLY;BYDAY=2TH;COUNT=3",
+        "END:VEVENT"
+      ]);
+
+      expect(startsOf(events)).toEqual(["2026-11-12 19:00:00", "2026-12-10 19:00:00", "2027-01-14 19:00:00"]);
+      expect(events.map((event) => event.end?.date)).toEqual(["2026-11-12", "2026-12-10", "2027-01-14"]);
+      expect(events[0].recurrenceId).toBeUndefined();
+      expect(events[2].recurrenceId).toEqual(events[2].start);
+      expect(events.every((event) => event.rrule === undefined)).toBe(true);
+    });
+
+    it("expands weekly BYDAY with INTERVAL up to UNTIL", () => {
+      const events = expand([
+        "BEGIN:VEVENT",
+        "UID:biweekly@feed",
+        "DTSTART;TZID=America/New_York:20261103T080000",
+        "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,FR;UNTIL=20261201T130000Z",
+        "END:VEVENT"
+      ]);
+
+      expect(startsOf(events)).toEqual([
+        "2026-11-03 08:00:00",
+        "2026-11-06 08:00:00",
+        "2026-11-17 08:00:00",
+        "2026-11-20 08:00:00",
+        "2026-12-01 08:00:00"
+      ]);
+    });
+
+    it("counts COUNT from DTSTART, not from the window", () => {
+      const lines = [
+        "BEGIN:VEVENT",
+        "UID:daily@feed",
+        "DTSTART:20261101T140000Z",
+        "RRULE:FREQ=DAILY;COUNT=5",
+        "END:VEVENT"
+      ];
+
+      expect(startsOf(expand(lines, "2026-11-03T00:00:00Z"))).toEqual([
+        "2026-11-03 14:00:00",
+        "2026-11-04 14:00:00",
+        "2026-11-05 14:00:00"
+      ]);
+      expect(expand(lines, "2026-11-06T00:00:00Z")).toEqual([]);
+    });
+
+    it("drops overrides moved out of the window and keeps one moved into it", () => {
+      const lines = [
+        "BEGIN:VEVENT",
+        "UID:weekly@feed",
+        "DTSTART:20261105T233000Z",
+        "RRULE:FREQ=WEEKLY;COUNT=3",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:weekly@feed",
+        "RECURRENCE-ID:20261105T233000Z",
+        "DTSTART:20261110T233000Z",
+        "SUMMARY:Moved",
+        "END:VEVENT"
+      ];
+
+      expect(startsOf(expand(lines, "2026-11-11T00:00:00Z"))).toEqual(["2026-11-12 23:30:00", "2026-11-19 23:30:00"]);
+      const moved = expand(lines, "2026-11-08T00:00:00Z");
+      expect(startsOf(moved)).toEqual(["2026-11-12 23:30:00", "2026-11-19 23:30:00", "2026-11-10 23:30:00"]);
+      expect(moved[2].summary).toBe("Moved");
+      expect(moved[2].recurrenceId).toBeUndefined();
+    });
+
+    it("returns events whose rule it can't expand as they are", () => {
+      const events = expand([
+        "BEGIN:VEVENT",
+        "UID:hourly@feed",
+        "DTSTART:20261105T233000Z",
+        "RRULE:FREQ=HOURLY;COUNT=3",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:single@feed",
+        "DTSTART:20261106T233000Z",
+        "END:VEVENT"
+      ]);
+
+      expect(events.map((event) => [event.uid, event.rrule])).toEqual([
+        ["hourly@feed", "FREQ=HOURLY;COUNT=3"],
+        ["single@feed", undefined]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { ImapFlow } from "imapflow";
+
+/**
+ * Reads a mailbox over IMAP with imapflow: implicit TLS, STARTTLS or (for a local
+ * stand-in) plain TCP. Credentials go through AUTHENTICATE PLAIN when the server
+ * offers it and imapflow refuses values it can't quote, so no setting can inject a
+ * command. The mailbox is opened read-only and messages are fetched with
+ * BODY.PEEK[], so reading them doesn't mark them seen in the user's mail client.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+/**
+ * @typedef {Object} ImapOptions
+ * @property {string} host
+ * @property {number} [port] - default 993 with implicit TLS, else 143
+ * @property {boolean | "starttls"} [tls] - true: implicit TLS (default); "starttls":
+ *   upgrade a plain connection and fail if the server can't; false: plain TCP
+ * @property {string} user
+ * @property {string} password
+ * @property {string} mailbox
+ * @property {number} [timeoutMs] - idle time before the connection is dropped
+ */
+
+/**
+ * @typedef {Object} ImapMessage
+ * @property {number} uid
+ * @property {Buffer} raw - the whole message (RFC 5322)
+ */
+
+/**
+ * The server's reason for a failed command, without the command (LOGIN's holds the
+ * password, even if imapflow masks it).
+ * @param {string} host
+ * @param {unknown} err
+ */
+function imapError(host, err) {
+  const { responseText, serverResponseCode, authenticationFailed, message } = /** @type {any} */ (err);
+  const reason = [serverResponseCode && `[${serverResponseCode}]`, responseText || message].filter(Boolean).join(" ");
+  return new Error(authenticationFailed ? `IMAP login failed: ${reason}` : `IMAP ${host}: ${reason}`);
+}
+
+/**
+ * @param {ImapOptions} options
+ */
+function createImapClient(options) {
+  const secure = options.tls !== false && options.tls !== "starttls";
+  return new ImapFlow({
+    host: options.host,
+    port: options.port || (secure ? 993 : 143),
+    secure,
+    doSTARTTLS: options.tls === "starttls" ? true : undefined,
+    servername: options.host,
+    auth: { user: options.user, pass: options.password },
+    socketTimeout: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+    disableAutoIdle: true,
+    logger: false
+  });
+}
+
+/**
+ * Every message in the mailbox received on or after `since` (IMAP SEARCH SINCE has
+ * day granularity, in the server's zone), oldest first. Bodies are read one message
+ * at a time as the server streams them.
+ * @param {ImapOptions} options
+ * @param {Date} since
+ * @returns {Promise<ImapMessage[]>}
+ */
+export async function fetchImapMessagesSince(options, since) {
+  if (!options.mailbox) throw new Error("IMAP mailbox is not set");
+  const client = createImapClient(options);
+  // Socket errors also reject the pending command; this keeps them from going unhandled
+  client.on("error", () => {});
+
+  try {
+    await client.connect();
+    const lock = await client.getMailboxLock(options.mailbox, { readOnly: true });
+    try {
+      const uids = await client.search({ since }, { uid: true });
+      if (!uids || uids.length === 0) return [];
+
+      /** @type {ImapMessage[]} */
+      const messages = [];
+      for await (const message of client.fetch(uids, { uid: true, source: true }, { uid: true })) {
+        if (message.source) messages.push({ uid: message.uid, raw: message.source });
+      }
+      return messages.sort((a, b) => a.uid - b.uid);
+    } finally {
+      lock.release();
+    }
+  } catch (err) {
+    throw imapError(options.host, err);
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+}
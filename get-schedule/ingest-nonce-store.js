@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import { Firestore } from "@google-cloud/firestore";
+import { getFirestore } from "./firestore-client.js";
+
+/**
+ * Nonces of signed ingest requests (see verifyIngestSignature), so a captured
+ * request can't be replayed inside its timestamp window. One document per key
+ * and nonce, created only if absent; expiresAt (usable as a Firestore TTL field)
+ * is set past the replay window, after which the timestamp check rejects the
+ * request anyway.
+ */
+
+const COLLECTION = "ingest_nonces";
+
+/**
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isFirestoreAlreadyExistsError(err) {
+  const code = err?.code;
+  return code === 6 || code === "ALREADY_EXISTS" || String(err?.message || "").includes("ALREADY_EXISTS");
+}
+
+/**
+ * Record a nonce as used.
+ * @param {string} keyId - key the request was signed with
+ * @param {string} nonce
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date; maxAgeSeconds: number }} options
+ * @returns {Promise<boolean>} false when the nonce was already used
+ */
+export async function claimIngestNonce(keyId, nonce, options) {
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+  const id = crypto.createHash("sha256").update(`${keyId}\n${nonce}`).digest("hex");
+  try {
+    await db
+      .collection(COLLECTION)
+      .doc(id)
+      .create({
+        keyId,
+        usedAt: Firestore.Timestamp.fromDate(now),
+        // Timestamps are accepted up to maxAgeSeconds either side of now
+        expiresAt: Firestore.Timestamp.fromDate(new Date(now.getTime() + 2 * options.maxAgeSeconds * 1000))
+      });
+    return true;
+  } catch (err) {
+    if (isFirestoreAlreadyExistsError(err)) return false;
+    throw err;
+  }
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { claimIngestNonce } from "./ingest-nonce-store.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+describe("claimIngestNonce", () => {
+  const now = new Date("2026-10-18T12:00:00Z");
+
+  it("claims a nonce once per key", async () => {
+    const db = createFakeFirestore();
+    const options = { db, now, maxAgeSeconds: 300 };
+
+    expect(await claimIngestNonce("pixel", "nonce-0001-abcdef", options)).toBe(true);
+    expect(await claimIngestNonce("pixel", "nonce-0001-abcdef", options)).toBe(false);
+    expect(await claimIngestNonce("ipad", "nonce-0001-abcdef", options)).toBe(true);
+    expect(db.docsOf("ingest_nonces").size).toBe(2);
+  });
+
+  it("expires the nonce once the replay window has passed on both sides", async () => {
+    const db = createFakeFirestore();
+    await claimIngestNonce("shared", "nonce-0002-abcdef", { db, now, maxAgeSeconds: 300 });
+
+    const [stored] = db.docsOf("ingest_nonces").values();
+    expect(stored.keyId).toBe("shared");
+    expect(stored.expiresAt.toDate().toISOString()).toBe("2026-10-18T12:10:00.000Z");
+  });
+
+  it("passes other Firestore errors on", async () => {
+    const db = {
+      collection: () => ({ doc: () => ({ create: async () => Promise.reject(new Error("5 NOT_FOUND")) }) })
+    };
+    await expect(claimIngestNonce("shared", "nonce-0003-abcdef", { db, now, maxAgeSeconds: 300 })).rejects.toThrow(
+      "NOT_FOUND"
+    );
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from "vitest";
-import { combineMessageTexts } from "./iatse927-message-store.js";
+import { combineMessageTexts } from "./message-store.js";
 
 describe("combineMessageTexts", () => {
   it("joins messages with separator", () => {
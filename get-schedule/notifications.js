@@ -0,0 +1,254 @@
+import { sendEmail } from "./mailer.js";
+import { eventKindFromRowId, isDerivedRefreshReason } from "./google-calendar/add-event.js";
+import { stripConflictMarker } from "./shift-conflicts.js";
+
+/**
+ * Digest of shift changes a sync made to the calendar (new shifts, moved call times
+ * or venues, removed shifts), sent to each configured notification channel.
+ *
+ * NOTIFY_CHANNELS=email,webhook picks the channels (default: every channel with a
+ * target set). Each channel has its target and an optional filter of change kinds:
+ *   email:   NOTIFY_EMAIL_TO (comma-separated), NOTIFY_EMAIL_ON; sent with SMTP_* (mailer.js)
+ *   webhook: NOTIFY_WEBHOOK_URL (receives { text, changes } as JSON), NOTIFY_WEBHOOK_ON
+ * *_ON is a comma-separated subset of added,changed,removed (default: all).
+ * Lists may also be separated with ";", which survives gcloud --set-env-vars.
+ */
+
+const LIST_SEPARATOR = /[,;]/;
+
+/** @typedef {"added" | "changed" | "removed"} ShiftChangeKind */
+const CHANGE_KINDS = ["added", "changed", "removed"];
+
+/** Event fields whose change is worth a notification (call time, venue, show) */
+const NOTIFIED_FIELDS = ["start", "location", "summary"];
+
+/**
+ * The notified part of a field diff: the show's title is compared without its
+ * conflict marker, which comes and goes with other shifts. Null when nothing is left.
+ * @param {ShiftChange["fields"][number]} diff
+ * @returns {ShiftChange["fields"][number] | null}
+ */
+function notifiedDiff(diff) {
+  if (!NOTIFIED_FIELDS.includes(diff.field)) return null;
+  if (diff.field !== "summary") return diff;
+  const before = stripConflictMarker(diff.before || "");
+  const after = stripConflictMarker(diff.after || "");
+  return before === after ? null : { field: diff.field, before, after };
+}
+
+/**
+ * Deletions that are sync housekeeping rather than a shift going away: duplicates and
+ * the refresh of each source's derived events
+ * @param {string} reason
+ */
+function isSilentDeletion(reason) {
+  return reason === "duplicate" || isDerivedRefreshReason(reason);
+}
+
+/** Purge reasons (orphanRuleFor) as a reader would put them */
+const REMOVAL_REASON_LABELS = {
+  cancelled: "cancelled",
+  removeAbsent: "no longer listed",
+  recentPastRhino: "no longer listed"
+};
+
+/**
+ * @typedef {Object} ShiftChange
+ * @property {string} source
+ * @property {ShiftChangeKind} kind
+ * @property {string} eventId
+ * @property {string} rowId
+ * @property {string} summary
+ * @property {string | null} start
+ * @property {{ field: string; before: string; after: string }[]} fields - changed only
+ * @property {string} [reason] - removed only: the purge reason
+ *
+ * @typedef {{ name: "email"; to: string[]; on: Set<ShiftChangeKind> }
+ *   | { name: "webhook"; url: string; on: Set<ShiftChangeKind> }} NotificationChannel
+ */
+
+/**
+ * Shift changes from one source's sync session. Live runs only report what was
+ * written (writes); dry runs pass writes: null and report nothing.
+ * @param {string} sourceId
+ * @param {{
+ *   deletions?: import("./google-calendar/add-event.js").SourceEventDeletion[];
+ *   syncResults?: Array<{ action: string; eventId?: string; rowId?: string; summary?: string; start?: string; diff?: ShiftChange["fields"] } | undefined>;
+ *   writes?: import("./google-calendar/add-event.js").SourceSyncWrite[] | null;
+ * }} outcome
+ * @returns {ShiftChange[]}
+ */
+export function collectShiftChanges(sourceId, { deletions = [], syncResults = [], writes = null }) {
+  if (writes == null) return [];
+  const written = new Set(writes.filter((write) => write.action !== "error").map((write) => `${write.action}:${write.eventId}`));
+  const isShift = (rowId) => !eventKindFromRowId(rowId || "");
+
+  /** @type {ShiftChange[]} */
+  const changes = [];
+  for (const result of syncResults) {
+    if (!result?.eventId || !isShift(result.rowId) || !written.has(`${result.action}:${result.eventId}`)) continue;
+    const base = {
+      source: sourceId,
+      eventId: result.eventId,
+      rowId: result.rowId || "",
+      summary: result.summary || "",
+      start: result.start || null
+    };
+    if (result.action === "created") {
+      changes.push({ ...base, kind: "added", fields: [] });
+    } else if (result.action === "updated") {
+      const fields = (result.diff || []).map(notifiedDiff).filter((diff) => diff !== null);
+      if (fields.length > 0) changes.push({ ...base, kind: "changed", fields });
+    }
+  }
+  for (const deletion of deletions) {
+    if (isSilentDeletion(deletion.reason) || !isShift(deletion.rowId)) continue;
+    if (!written.has(`deleted:${deletion.eventId}`)) continue;
+    changes.push({
+      source: sourceId,
+      kind: "removed",
+      eventId: deletion.eventId,
+      rowId: deletion.rowId,
+      summary: deletion.summary,
+      start: deletion.start,
+      fields: [],
+      reason: deletion.reason
+    });
+  }
+  return changes;
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {Set<ShiftChangeKind>}
+ */
+function parseChangeKinds(value) {
+  const kinds = (value || "")
+    .split(LIST_SEPARATOR)
+    .map((kind) => kind.trim().toLowerCase())
+    .filter((kind) => CHANGE_KINDS.includes(kind));
+  return new Set(/** @type {ShiftChangeKind[]} */ (kinds.length > 0 ? kinds : CHANGE_KINDS));
+}
+
+/**
+ * Channels configured in the environment.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {NotificationChannel[]}
+ */
+export function getNotificationChannels(env = process.env) {
+  const requested = env.NOTIFY_CHANNELS?.trim()
+    ? new Set(env.NOTIFY_CHANNELS.split(LIST_SEPARATOR).map((name) => name.trim().toLowerCase()))
+    : null;
+  const wants = (name, target) => Boolean(target) && (!requested || requested.has(name));
+
+  /** @type {NotificationChannel[]} */
+  const channels = [];
+  const emailTo = (env.NOTIFY_EMAIL_TO || "")
+    .split(LIST_SEPARATOR)
+    .map((address) => address.trim())
+    .filter(Boolean);
+  if (wants("email", emailTo.length > 0)) {
+    channels.push({ name: "email", to: emailTo, on: parseChangeKinds(env.NOTIFY_EMAIL_ON) });
+  }
+  const webhookUrl = env.NOTIFY_WEBHOOK_URL?.trim();
+  if (wants("webhook", webhookUrl)) {
+    channels.push({ name: "webhook", url: webhookUrl, on: parseChangeKinds(env.NOTIFY_WEBHOOK_ON) });
+  }
+  for (const name of requested || []) {
+    if (!channels.some((channel) => channel.name === name)) {
+      console.warn(`⚠️  Notification channel "${name}" is not configured; skipping it.`);
+    }
+  }
+  return channels;
+}
+
+/** @param {string | null} value - local dateTime (or one with an offset) */
+function formatShiftTime(value) {
+  if (!value) return "unknown time";
+  return String(value).slice(0, 16).replace("T", " ");
+}
+
+/** @param {{ field: string; before: string; after: string }} diff */
+function formatFieldChange({ field, before, after }) {
+  const label = { start: "call time", location: "venue", summary: "show" }[field] || field;
+  const show = (value) => (field === "start" ? formatShiftTime(value) : value || "(none)");
+  return `${label}: ${show(before)} → ${show(after)}`;
+}
+
+/** @param {string} text */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * @param {ShiftChange[]} changes
+ * @returns {{ subject: string; text: string; html: string }}
+ */
+export function formatChangeDigest(changes) {
+  const count = (kind) => changes.filter((change) => change.kind === kind).length;
+  const counts = CHANGE_KINDS.map((kind) => [kind, count(kind)]).filter(([, n]) => n > 0);
+  const subject = `Schedule changes: ${counts.map(([kind, n]) => `${n} ${kind}`).join(", ")}`;
+
+  /** @type {string[]} */
+  const lines = [];
+  for (const [kind] of counts) {
+    lines.push(`${kind[0].toUpperCase()}${kind.slice(1)}:`);
+    for (const change of changes.filter((c) => c.kind === kind)) {
+      const detail =
+        change.kind === "changed"
+          ? change.fields.map(formatFieldChange).join("; ")
+          : change.kind === "removed"
+            ? REMOVAL_REASON_LABELS[change.reason] || change.reason
+            : "";
+      lines.push(`  [${change.source}] ${formatShiftTime(change.start)} ${change.summary}${detail ? ` (${detail})` : ""}`);
+    }
+  }
+  const text = lines.join("\n");
+  const html = `<pre style="font-family: monospace">${escapeHtml(text)}</pre>`;
+  return { subject, text, html };
+}
+
+/**
+ * @param {NotificationChannel} channel
+ * @param {ShiftChange[]} changes
+ */
+async function sendToChannel(channel, changes) {
+  const digest = formatChangeDigest(changes);
+  if (channel.name === "email") {
+    await sendEmail({ to: channel.to.join(", "), subject: digest.subject, html: digest.html, text: digest.text });
+    return;
+  }
+  const res = await fetch(channel.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text: `${digest.subject}\n${digest.text}`, changes })
+  });
+  if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+}
+
+/**
+ * Send the digest to every configured channel. Never throws: a failed channel is
+ * logged and the sync result stands.
+ * @param {ShiftChange[]} changes
+ * @param {{ dryRun?: boolean; channels?: NotificationChannel[] }} [options]
+ * @returns {Promise<{ channel: string; sent: number; error?: string }[]>}
+ */
+export async function notifyShiftChanges(changes, options = {}) {
+  if (options.dryRun || changes.length === 0) return [];
+  const channels = options.channels || getNotificationChannels();
+  const results = [];
+  for (const channel of channels) {
+    const selected = changes.filter((change) => channel.on.has(change.kind));
+    if (selected.length === 0) continue;
+    try {
+      await sendToChannel(channel, selected);
+      console.log(`  📣 Notified ${channel.name} of ${selected.length} schedule change(s)`);
+      results.push({ channel: channel.name, sent: selected.length });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.warn(`⚠️  ${channel.name} notification failed: ${message}`);
+      results.push({ channel: channel.name, sent: 0, error: message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("./mailer.js", () => ({
+  sendEmail: vi.fn(async () => ({ messageId: "m1" }))
+}));
+
+import { sendEmail } from "./mailer.js";
+import {
+  collectShiftChanges,
+  formatChangeDigest,
+  getNotificationChannels,
+  notifyShiftChanges
+} from "./notifications.js";
+
+const outcome = {
+  deletions: [
+    { eventId: "evt-gone", rowId: "row-gone", summary: "8am Load Out", start: "2026-08-23T08:00:00-04:00", reason: "cancelled" },
+    { eventId: "evt-dup", rowId: "row-moved", summary: "9am Show", start: null, reason: "duplicate" }
+  ],
+  syncResults: [
+    { action: "created", queued: true, eventId: "evt-new", rowId: "row-new", summary: "7am Load In", start: "2026-08-22T07:00:00" },
+    {
+      action: "updated",
+      queued: true,
+      eventId: "evt-moved",
+      rowId: "row-moved",
+      summary: "9am Show",
+      start: "2026-08-24T09:00:00",
+      diff: [
+        { field: "start", before: "2026-08-24T08:00:00", after: "2026-08-24T09:00:00" },
+        { field: "description", before: "old", after: "new" }
+      ]
+    },
+    { action: "updated", queued: true, eventId: "evt-notes", rowId: "row-notes", summary: "Notes", start: null, diff: [{ field: "description", before: "a", after: "b" }] },
+    { action: "unchanged", queued: false, eventId: "evt-same", rowId: "row-same" },
+    { action: "created", queued: true, eventId: "evt-reminder", rowId: "row-r|deadlineReminder", summary: "Respond", start: null }
+  ],
+  writes: [
+    { action: "deleted", eventId: "evt-gone", rowId: "row-gone", reason: "cancelled" },
+    { action: "deleted", eventId: "evt-dup", rowId: "row-moved", reason: "duplicate" },
+    { action: "created", eventId: "evt-new", rowId: "row-new" },
+    { action: "updated", eventId: "evt-moved", rowId: "row-moved" },
+    { action: "updated", eventId: "evt-notes", rowId: "row-notes" },
+    { action: "created", eventId: "evt-reminder", rowId: "row-r|deadlineReminder" }
+  ]
+};
+
+describe("collectShiftChanges", () => {
+  it("reports added shifts, moved call times and removals with their reason", () => {
+    const changes = collectShiftChanges("rhino", outcome);
+
+    expect(changes.map((change) => [change.kind, change.eventId])).toEqual([
+      ["added", "evt-new"],
+      ["changed", "evt-moved"],
+      ["removed", "evt-gone"]
+    ]);
+    expect(changes[1].fields).toEqual([{ field: "start", before: "2026-08-24T08:00:00", after: "2026-08-24T09:00:00" }]);
+    expect(changes[2].reason).toBe("cancelled");
+  });
+
+  it("skips writes that failed and dry runs", () => {
+    const failed = {
+      ...outcome,
+      writes: [{ action: "error", eventId: "evt-new", rowId: "row-new", error: new Error("quota") }]
+    };
+
+    expect(collectShiftChanges("rhino", failed)).toEqual([]);
+    expect(collectShiftChanges("rhino", { ...outcome, writes: null })).toEqual([]);
+  });
+
+  it("ignores a conflict marker coming or going on an otherwise unchanged show", () => {
+    const updated = (eventId, before, after) => ({
+      action: "updated",
+      queued: true,
+      eventId,
+      rowId: `row-${eventId}`,
+      summary: after,
+      start: null,
+      diff: [{ field: "summary", before, after }]
+    });
+    const changes = collectShiftChanges("rhino", {
+      syncResults: [
+        updated("evt-marked", "9am Show", "CONFLICT => 9am Show"),
+        updated("evt-cleared", "POSSIBLE CONFLICT => 9am Show", "9am Show"),
+        updated("evt-renamed", "CONFLICT => 9am Show", "CONFLICT => 9am Encore")
+      ],
+      writes: ["evt-marked", "evt-cleared", "evt-renamed"].map((eventId) => ({ action: "updated", eventId, rowId: `row-${eventId}` }))
+    });
+
+    expect(changes.map((change) => [change.eventId, change.fields])).toEqual([
+      ["evt-renamed", [{ field: "summary", before: "9am Show", after: "9am Encore" }]]
+    ]);
+  });
+});
+
+describe("formatChangeDigest", () => {
+  it("lists before and after values and removal reasons", () => {
+    const { subject, text } = formatChangeDigest(collectShiftChanges("rhino", outcome));
+
+    expect(subject).toBe("Schedule changes: 1 added, 1 changed, 1 removed");
+    expect(text).toContain("  [rhino] 2026-08-22 07:00 7am Load In");
+    expect(text).toContain("(call time: 2026-08-24 08:00 → 2026-08-24 09:00)");
+    expect(text).toContain("  [rhino] 2026-08-23 08:00 8am Load Out (cancelled)");
+  });
+});
+
+describe("notification channels", () => {
+  const webhookFetch = vi.fn(async () => ({ ok: true, status: 200 }));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubGlobal("fetch", webhookFetch);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("enables channels that have a target, filtered by NOTIFY_CHANNELS", () => {
+    const env = { NOTIFY_EMAIL_TO: "a@example.com; b@example.com", NOTIFY_WEBHOOK_URL: "https://hooks.example.com/x", NOTIFY_WEBHOOK_ON: "removed" };
+
+    const channels = getNotificationChannels(env);
+    expect(channels.map((channel) => channel.name)).toEqual(["email", "webhook"]);
+    expect(channels[0].to).toEqual(["a@example.com", "b@example.com"]);
+    expect([...channels[1].on]).toEqual(["removed"]);
+
+    expect(getNotificationChannels({ ...env, NOTIFY_CHANNELS: "webhook" }).map((channel) => channel.name)).toEqual(["webhook"]);
+    expect(getNotificationChannels({})).toEqual([]);
+  });
+
+  it("sends each channel the changes it subscribes to and survives a failing channel", async () => {
+    const changes = collectShiftChanges("rhino", outcome);
+    vi.mocked(sendEmail).mockRejectedValueOnce(new Error("SMTP connection failed"));
+
+    const results = await notifyShiftChanges(changes, {
+      channels: getNotificationChannels({
+        NOTIFY_EMAIL_TO: "me@example.com",
+        NOTIFY_WEBHOOK_URL: "https://hooks.example.com/x",
+        NOTIFY_WEBHOOK_ON: "removed"
+      })
+    });
+
+    expect(results).toEqual([
+      { channel: "email", sent: 0, error: "SMTP connection failed" },
+      { channel: "webhook", sent: 1 }
+    ]);
+    const body = JSON.parse(webhookFetch.mock.calls[0][1].body);
+    expect(body.changes).toEqual([expect.objectContaining({ kind: "removed", eventId: "evt-gone" })]);
+    expect(body.text).toContain("Schedule changes: 1 removed");
+  });
+
+  it("stays quiet on dry runs", async () => {
+    const results = await notifyShiftChanges(collectShiftChanges("rhino", outcome), {
+      dryRun: true,
+      channels: getNotificationChannels({ NOTIFY_EMAIL_TO: "me@example.com" })
+    });
+
+    expect(results).toEqual([]);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
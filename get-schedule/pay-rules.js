@@ -0,0 +1,222 @@
+/**
+ * What a shift pays. PAY_RATE_RULES (a JSON array) sets the hourly rate per source,
+ * client, position and type, optionally with a minimum call and a date range:
+ *
+ *   [{ "source": "rhino", "hourlyRate": 22 },
+ *    { "source": "rhino", "position": "SPOT", "hourlyRate": 26 },
+ *    { "source": "iatse927", "hourlyRate": 31.5, "minimumHours": 4 },
+ *    { "source": "iatse927", "hourlyRate": 33, "from": "2026-07-01" }]
+ *
+ * Fields match like SHIFT_WINDOW_RULES (case-insensitive, a list matches any of its
+ * values; client is matched the same way, not as a substring). from / until
+ * (YYYY-MM-DD, inclusive) limit a rule to shifts on those dates. Every matching rule
+ * applies, least specific first, so a rule naming more fields wins and a later rule
+ * wins a tie (put a raise after the rate it replaces).
+ *
+ * PAY_OVERTIME_RULES (a JSON array) sets overtime per employer (source): hours past
+ * dailyHours in a day or weeklyHours in a Monday-Sunday week pay multiplier times
+ * the rate. A rule without a source applies to every employer; one naming the
+ * source wins.
+ *
+ *   [{ "weeklyHours": 40, "multiplier": 1.5 },
+ *    { "source": "iatse927", "dailyHours": 8, "weeklyHours": 40, "multiplier": 1.5 }]
+ */
+
+const MATCH_FIELDS = ["source", "client", "position", "type"];
+export const DEFAULT_OVERTIME_MULTIPLIER = 1.5;
+
+/**
+ * @typedef {Object} PayRateRule
+ * @property {string | string[]} [source]
+ * @property {string | string[]} [client]
+ * @property {string | string[]} [position]
+ * @property {string | string[]} [type]
+ * @property {string} [from] - YYYY-MM-DD, first date the rule applies
+ * @property {string} [until] - YYYY-MM-DD, last date the rule applies
+ * @property {number} [hourlyRate]
+ * @property {number} [minimumHours] - a shorter shift is paid this many hours
+ *
+ * @typedef {{ hourlyRate: number | null; minimumHours: number }} PayRate
+ *
+ * @typedef {Object} OvertimeRule
+ * @property {string | string[]} [source]
+ * @property {number} [dailyHours]
+ * @property {number} [weeklyHours]
+ * @property {number} [multiplier] - default 1.5
+ *
+ * @typedef {{ dailyHours: number | null; weeklyHours: number | null; multiplier: number }} Overtime
+ */
+
+/** @param {unknown} value */
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/**
+ * @param {Record<string, unknown>} rule
+ * @param {string} field
+ * @param {string | undefined} actual
+ */
+function fieldMatches(rule, field, actual) {
+  const wanted = [rule[field]].flat().map(normalize).filter(Boolean);
+  return wanted.length === 0 || wanted.includes(normalize(actual));
+}
+
+/** @param {Record<string, unknown>} rule @param {string[]} fields */
+function specificity(rule, fields) {
+  return fields.filter((field) => [rule[field]].flat().some((value) => normalize(value))).length;
+}
+
+/** @param {unknown} value */
+function isAmount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/** @param {unknown} value */
+function isIsoDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Valid rules from a parsed JSON array; anything else is dropped with a warning.
+ * @param {string} name - env var, for the warnings
+ * @param {unknown} value
+ * @param {(rule: Record<string, unknown>) => boolean} isValid
+ * @param {string} invalidReason
+ */
+function parseRules(name, value, isValid, invalidReason) {
+  if (!Array.isArray(value)) {
+    console.warn(`⚠️  ${name} must be a JSON array; ignoring it.`);
+    return [];
+  }
+  return value.filter((rule, i) => {
+    const valid = Boolean(rule) && typeof rule === "object" && isValid(rule);
+    if (!valid) console.warn(`⚠️  ${name}[${i}] ignored: ${invalidReason}`);
+    return valid;
+  });
+}
+
+/**
+ * @param {unknown} value - parsed PAY_RATE_RULES
+ * @returns {PayRateRule[]}
+ */
+export function parsePayRateRules(value) {
+  return parseRules(
+    "PAY_RATE_RULES",
+    value,
+    (rule) =>
+      (rule.hourlyRate === undefined || isAmount(rule.hourlyRate)) &&
+      (rule.minimumHours === undefined || isAmount(rule.minimumHours)) &&
+      (rule.from === undefined || isIsoDate(rule.from)) &&
+      (rule.until === undefined || isIsoDate(rule.until)),
+    "hourlyRate and minimumHours must be non-negative numbers, from/until YYYY-MM-DD"
+  );
+}
+
+/**
+ * @param {unknown} value - parsed PAY_OVERTIME_RULES
+ * @returns {OvertimeRule[]}
+ */
+export function parseOvertimeRules(value) {
+  return parseRules(
+    "PAY_OVERTIME_RULES",
+    value,
+    (rule) =>
+      (rule.dailyHours === undefined || isAmount(rule.dailyHours)) &&
+      (rule.weeklyHours === undefined || isAmount(rule.weeklyHours)) &&
+      (rule.multiplier === undefined || (isAmount(rule.multiplier) && rule.multiplier >= 1)),
+    "hours must be non-negative numbers and multiplier at least 1"
+  );
+}
+
+/** @type {Map<string, { raw: string; rules: unknown[] }>} */
+const cache = new Map();
+
+/**
+ * @param {string} name
+ * @param {NodeJS.ProcessEnv} env
+ * @param {(value: unknown) => unknown[]} parse
+ */
+function rulesFromEnv(name, env, parse) {
+  const raw = env[name]?.trim() || "";
+  const cached = cache.get(name);
+  if (cached?.raw === raw) return cached.rules;
+  let rules = [];
+  if (raw) {
+    try {
+      rules = parse(JSON.parse(raw));
+    } catch (err) {
+      console.warn(`⚠️  ${name} is not valid JSON (${err instanceof Error ? err.message : err}); ignoring it.`);
+    }
+  }
+  cache.set(name, { raw, rules });
+  return rules;
+}
+
+/**
+ * Rules from PAY_RATE_RULES (parsed once per value).
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {PayRateRule[]}
+ */
+export function getPayRateRules(env = process.env) {
+  return /** @type {PayRateRule[]} */ (rulesFromEnv("PAY_RATE_RULES", env, parsePayRateRules));
+}
+
+/**
+ * Rules from PAY_OVERTIME_RULES (parsed once per value).
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {OvertimeRule[]}
+ */
+export function getOvertimeRules(env = process.env) {
+  return /** @type {OvertimeRule[]} */ (rulesFromEnv("PAY_OVERTIME_RULES", env, parseOvertimeRules));
+}
+
+/**
+ * Rate for a shift; hourlyRate is null when no rule sets one.
+ * @param {import("./sources/types.js").ScheduleEntry} entry
+ * @param {string} isoDate - the shift's date, YYYY-MM-DD
+ * @param {PayRateRule[]} [rules]
+ * @returns {PayRate}
+ */
+export function resolvePayRate(entry, isoDate, rules = getPayRateRules()) {
+  const actual = { source: entry.source, client: entry.client, position: entry.position, type: entry.type };
+  const matching = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(
+      ({ rule }) =>
+        MATCH_FIELDS.every((field) => fieldMatches(rule, field, actual[field])) &&
+        (!rule.from || isoDate >= rule.from) &&
+        (!rule.until || isoDate <= rule.until)
+    )
+    .sort((a, b) => specificity(a.rule, MATCH_FIELDS) - specificity(b.rule, MATCH_FIELDS) || a.index - b.index);
+
+  /** @type {PayRate} */
+  const rate = { hourlyRate: null, minimumHours: 0 };
+  for (const { rule } of matching) {
+    if (rule.hourlyRate !== undefined) rate.hourlyRate = rule.hourlyRate;
+    if (rule.minimumHours !== undefined) rate.minimumHours = rule.minimumHours;
+  }
+  return rate;
+}
+
+/**
+ * Overtime thresholds for an employer; null thresholds mean no overtime of that kind.
+ * @param {string} source
+ * @param {OvertimeRule[]} [rules]
+ * @returns {Overtime}
+ */
+export function resolveOvertime(source, rules = getOvertimeRules()) {
+  const matching = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => fieldMatches(rule, "source", source))
+    .sort((a, b) => specificity(a.rule, ["source"]) - specificity(b.rule, ["source"]) || a.index - b.index);
+
+  /** @type {Overtime} */
+  const overtime = { dailyHours: null, weeklyHours: null, multiplier: DEFAULT_OVERTIME_MULTIPLIER };
+  for (const { rule } of matching) {
+    if (rule.dailyHours !== undefined) overtime.dailyHours = rule.dailyHours;
+    if (rule.weeklyHours !== undefined) overtime.weeklyHours = rule.weeklyHours;
+    if (rule.multiplier !== undefined) overtime.multiplier = rule.multiplier;
+  }
+  return overtime;
+}
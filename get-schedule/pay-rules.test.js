@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  getOvertimeRules,
+  getPayRateRules,
+  parseOvertimeRules,
+  parsePayRateRules,
+  resolveOvertime,
+  resolvePayRate
+} from "./pay-rules.js";
+
+const rateRules = [
+  { source: "rhino", hourlyRate: 22 },
+  { source: "rhino", position: ["SPOT", "Rigger"], hourlyRate: 26 },
+  { source: "rhino", client: "ASM Global", position: "SPOT", hourlyRate: 28 },
+  { source: "iatse927", hourlyRate: 31.5, minimumHours: 4 },
+  { source: "iatse927", hourlyRate: 33, from: "2026-07-01" }
+];
+
+const entry = {
+  source: "rhino",
+  date: "11/15/2025",
+  callTime: "18:00",
+  show: "HAWKS VS MAGIC",
+  venue: "STATE FARM ARENA",
+  location: "ATLANTA GA",
+  client: "ASM GLOBAL",
+  position: "SH",
+  type: "SHOW",
+  status: "Confirmed"
+};
+
+describe("pay rules", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("has no rate when no rule matches", () => {
+    expect(resolvePayRate({ ...entry, source: "crewOne" }, "2025-11-15", rateRules)).toEqual({
+      hourlyRate: null,
+      minimumHours: 0
+    });
+  });
+
+  it("lets the rule naming more fields win, matching case-insensitively", () => {
+    expect(resolvePayRate(entry, "2025-11-15", rateRules).hourlyRate).toBe(22);
+    expect(resolvePayRate({ ...entry, position: "rigger" }, "2025-11-15", rateRules).hourlyRate).toBe(26);
+    expect(resolvePayRate({ ...entry, position: "SPOT" }, "2025-11-15", rateRules).hourlyRate).toBe(28);
+    expect(resolvePayRate({ ...entry, position: "SPOT", client: "Other" }, "2025-11-15", rateRules).hourlyRate).toBe(26);
+  });
+
+  it("applies dated rules only to shifts in their range, keeping earlier fields", () => {
+    const iatse = { ...entry, source: "iatse927", client: "" };
+
+    expect(resolvePayRate(iatse, "2026-06-30", rateRules)).toEqual({ hourlyRate: 31.5, minimumHours: 4 });
+    expect(resolvePayRate(iatse, "2026-07-01", rateRules)).toEqual({ hourlyRate: 33, minimumHours: 4 });
+  });
+
+  it("takes the overtime of the rule naming the source over the default", () => {
+    const rules = [
+      { weeklyHours: 40 },
+      { source: "iatse927", dailyHours: 8, multiplier: 2 }
+    ];
+
+    expect(resolveOvertime("rhino", rules)).toEqual({ dailyHours: null, weeklyHours: 40, multiplier: 1.5 });
+    expect(resolveOvertime("iatse927", rules)).toEqual({ dailyHours: 8, weeklyHours: 40, multiplier: 2 });
+    expect(resolveOvertime("rhino", [])).toEqual({ dailyHours: null, weeklyHours: null, multiplier: 1.5 });
+  });
+
+  it("drops invalid rules with a warning", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(
+      parsePayRateRules([{ hourlyRate: -1 }, { hourlyRate: 20, from: "7/1/2026" }, { hourlyRate: 20 }, null])
+    ).toEqual([{ hourlyRate: 20 }]);
+    expect(parseOvertimeRules([{ multiplier: 0.5 }, { weeklyHours: "40" }, { weeklyHours: 40 }])).toEqual([{ weeklyHours: 40 }]);
+    expect(parsePayRateRules({ hourlyRate: 20 })).toEqual([]);
+    expect(warn).toHaveBeenCalledTimes(6);
+  });
+
+  it("reads the rules from the env and ignores invalid JSON", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(getPayRateRules({ PAY_RATE_RULES: '[{"source":"rhino","hourlyRate":22}]' })).toEqual([
+      { source: "rhino", hourlyRate: 22 }
+    ]);
+    expect(getOvertimeRules({ PAY_OVERTIME_RULES: '[{"weeklyHours":40}]' })).toEqual([{ weeklyHours: 40 }]);
+    expect(getPayRateRules({ PAY_RATE_RULES: "[{" })).toEqual([]);
+    expect(getOvertimeRules({})).toEqual([]);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,244 @@
+import fs from "fs/promises";
+import path from "path";
+import { getFirestore } from "./firestore-client.js";
+import { expiresAtAfterDays, pruneExpiredDocs, timeSortedDocId } from "./firestore-retention.js";
+import { isCloudRuntime } from "./runtime-env.js";
+
+/**
+ * Record-and-replay for portal scrapes. fetchSchedule takes a redacted DOM snapshot
+ * (URL, HTML, timing) at each step — login, post-login, the schedule table, each
+ * Crew One detail page — so a markup change can be reproduced offline with
+ * scripts/replay-capture.js instead of guessed at from a selector timeout.
+ *
+ * PORTAL_CAPTURE    failure (default): save only when the scrape throws
+ *                   always: save every scrape; off: take no snapshots
+ * PORTAL_CAPTURE_STORE  dir (default locally) or firestore (default in the cloud)
+ * PORTAL_CAPTURE_DIR    directory for the dir store (default ./portal-captures)
+ *
+ * Firestore captures expire after 7 days (expiresAt, pruned after each save); dir
+ * captures stay until deleted. Captures keep street addresses: venue addresses are
+ * what location extraction replays, and a home address on a page can't be told
+ * apart from them. Treat a capture directory as personal data.
+ */
+
+/** @typedef {"failure" | "always" | "off"} PortalCaptureMode */
+const CAPTURE_MODES = ["failure", "always", "off"];
+const DEFAULT_CAPTURE_DIR = "portal-captures";
+const COLLECTION = "portal_captures";
+const RETENTION_DAYS = 7;
+/** Firestore documents top out at 1 MiB (UTF-8 bytes); the steps share what's left after metadata */
+const MAX_FIRESTORE_HTML_BYTES = 800_000;
+const REDACTED = "[REDACTED]";
+
+/**
+ * @typedef {Object} PortalCaptureStep
+ * @property {string} name - e.g. "login", "post-login", "schedule", "detail", "failure"
+ * @property {string} url
+ * @property {string} at - ISO timestamp
+ * @property {number} elapsedMs - since the scrape started
+ * @property {string} html - redacted DOM snapshot
+ * @property {string} [error] - why the snapshot couldn't be taken
+ *
+ * @typedef {Object} PortalCaptureRecord
+ * @property {string} id
+ * @property {string} source
+ * @property {string} startedAt
+ * @property {string | null} error - what the scrape failed with
+ * @property {PortalCaptureStep[]} steps
+ */
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {PortalCaptureMode}
+ */
+export function getPortalCaptureMode(env = process.env) {
+  const mode = env.PORTAL_CAPTURE?.trim().toLowerCase();
+  return CAPTURE_MODES.includes(mode) ? /** @type {PortalCaptureMode} */ (mode) : "failure";
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ store: "dir" | "firestore"; dir: string }}
+ */
+export function getPortalCaptureStore(env = process.env) {
+  const store = env.PORTAL_CAPTURE_STORE?.trim().toLowerCase();
+  return {
+    store: store === "firestore" || store === "dir" ? store : isCloudRuntime() ? "firestore" : "dir",
+    dir: env.PORTAL_CAPTURE_DIR?.trim() || DEFAULT_CAPTURE_DIR
+  };
+}
+
+/** @param {string} text */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Strip what a capture must not keep: the credentials (raw, URL- and HTML-encoded),
+ * every input's value, inline scripts (tokens, session config), email addresses and
+ * phone numbers.
+ * @param {string} text
+ * @param {string[]} [secrets]
+ */
+export function redactCapturedHtml(text, secrets = []) {
+  let redacted = String(text || "");
+  for (const secret of secrets) {
+    if (!secret || secret.length < 3) continue;
+    const forms = new Set([secret, encodeURIComponent(secret), secret.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;")]);
+    for (const form of forms) redacted = redacted.replace(new RegExp(escapeRegExp(form), "g"), REDACTED);
+  }
+  return redacted
+    .replace(/(<input\b[^>]*?\bvalue\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/gi, `$1"${REDACTED}"`)
+    .replace(/(<script\b[^>]*>)[\s\S]*?(<\/script>)/gi, "$1$2")
+    .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, REDACTED)
+    .replace(/\btel:[^"'\s<>]+/gi, `tel:${REDACTED}`)
+    .replace(/(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g, REDACTED);
+}
+
+/**
+ * The longest prefix of text that fits in maxBytes of UTF-8, never splitting a character.
+ * @param {string} text
+ * @param {number} maxBytes
+ */
+function truncateUtf8(text, maxBytes) {
+  const bytes = Buffer.from(text, "utf8");
+  if (bytes.length <= maxBytes) return text;
+  let end = maxBytes;
+  // Back up to the first byte of the character the cut lands in
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end -= 1;
+  return bytes.subarray(0, end).toString("utf8");
+}
+
+/**
+ * Snapshot recorder for one scrape. step() never throws (a page mid-navigation is
+ * recorded with the error), and finish() saves per PORTAL_CAPTURE without ever
+ * failing the scrape.
+ * @param {string} sourceId
+ * @param {{ mode?: PortalCaptureMode; secrets?: string[]; now?: () => Date; save?: typeof savePortalCapture }} [options]
+ */
+export function createPortalCapture(sourceId, options = {}) {
+  const mode = options.mode || getPortalCaptureMode();
+  const secrets = (options.secrets || []).filter(Boolean);
+  const now = options.now || (() => new Date());
+  const save = options.save || savePortalCapture;
+  const startedAt = now();
+  /** @type {PortalCaptureRecord} */
+  const record = { id: timeSortedDocId(startedAt, sourceId), source: sourceId, startedAt: startedAt.toISOString(), error: null, steps: [] };
+
+  return {
+    id: record.id,
+    mode,
+    record,
+
+    /**
+     * @param {import("puppeteer").Page} page
+     * @param {string} name
+     */
+    async step(page, name) {
+      if (mode === "off") return;
+      const at = now();
+      /** @type {PortalCaptureStep} */
+      const step = { name, url: "", at: at.toISOString(), elapsedMs: at.getTime() - startedAt.getTime(), html: "" };
+      try {
+        step.url = redactCapturedHtml(page.url(), secrets);
+        step.html = redactCapturedHtml(await page.content(), secrets);
+      } catch (err) {
+        step.error = err instanceof Error ? err.message : String(err);
+      }
+      record.steps.push(step);
+    },
+
+    /**
+     * @param {{ error?: unknown }} [result]
+     * @returns {Promise<string | null>} where the capture was saved
+     */
+    async finish(result = {}) {
+      if (result.error != null) {
+        record.error = redactCapturedHtml(result.error instanceof Error ? result.error.message : String(result.error), secrets);
+      }
+      const wanted = mode === "always" || (mode === "failure" && result.error != null);
+      if (!wanted || record.steps.length === 0) return null;
+      try {
+        const location = await save(record);
+        console.log(`📸 [${sourceId}] Portal capture saved: ${location}`);
+        return location;
+      } catch (err) {
+        console.warn(`⚠️  [${sourceId}] Portal capture not saved: ${err instanceof Error ? err.message : err}`);
+        return null;
+      }
+    }
+  };
+}
+
+/** @param {number} index @param {string} name */
+function stepFileName(index, name) {
+  return `${String(index + 1).padStart(2, "0")}-${name.replace(/[^a-z0-9-]+/gi, "_")}.html`;
+}
+
+/**
+ * Save a capture: a directory per capture (capture.json plus one .html per step,
+ * openable in a browser) or one Firestore document.
+ * @param {PortalCaptureRecord} record
+ * @param {{ store?: "dir" | "firestore"; dir?: string; db?: import("@google-cloud/firestore").Firestore; now?: Date }} [options]
+ * @returns {Promise<string>} directory path, or "firestore:<id>"
+ */
+export async function savePortalCapture(record, options = {}) {
+  const configured = getPortalCaptureStore();
+  const store = options.store || configured.store;
+
+  if (store === "dir") {
+    const dir = path.resolve(options.dir || configured.dir, record.id);
+    await fs.mkdir(dir, { recursive: true });
+    const steps = record.steps.map(({ html, ...step }, i) => ({ ...step, file: stepFileName(i, step.name) }));
+    await Promise.all(record.steps.map((step, i) => fs.writeFile(path.join(dir, steps[i].file), step.html, "utf8")));
+    await fs.writeFile(path.join(dir, "capture.json"), `${JSON.stringify({ ...record, steps }, null, 2)}\n`, "utf8");
+    return dir;
+  }
+
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+  const perStepBytes = Math.floor(MAX_FIRESTORE_HTML_BYTES / Math.max(record.steps.length, 1));
+  const { id, ...data } = record;
+  await db
+    .collection(COLLECTION)
+    .doc(id)
+    .set({
+      ...data,
+      steps: record.steps.map((step) => {
+        const html = truncateUtf8(step.html, perStepBytes);
+        return { ...step, html, truncated: html.length < step.html.length };
+      }),
+      expiresAt: expiresAtAfterDays(now, RETENTION_DAYS)
+    });
+  await pruneExpiredDocs(db, COLLECTION, now);
+  return `firestore:${id}`;
+}
+
+/**
+ * Load a saved capture by directory path or Firestore id ("firestore:<id>" or a
+ * bare id that isn't a directory). Null when there is no such capture.
+ * @param {string} ref
+ * @param {{ db?: import("@google-cloud/firestore").Firestore }} [options]
+ * @returns {Promise<PortalCaptureRecord | null>}
+ */
+export async function loadPortalCapture(ref, options = {}) {
+  const id = ref.replace(/^firestore:/, "");
+  if (!ref.startsWith("firestore:")) {
+    const manifest = path.join(path.resolve(ref), "capture.json");
+    const json = await fs.readFile(manifest, "utf8").catch(() => null);
+    if (json) {
+      const saved = JSON.parse(json);
+      const steps = await Promise.all(
+        saved.steps.map(async ({ file, ...step }) => ({ ...step, html: await fs.readFile(path.join(path.dirname(manifest), file), "utf8") }))
+      );
+      return { ...saved, steps };
+    }
+    if (/[\\/]/.test(ref)) return null;
+  }
+
+  const db = options.db || getFirestore();
+  const doc = await db.collection(COLLECTION).doc(id).get();
+  if (!doc.exists) return null;
+  const { expiresAt: _expiresAt, ...data } = doc.data() || {};
+  return { id: doc.id, error: null, steps: [], ...data };
+}
@@ -0,0 +1,267 @@
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from "vitest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  createPortalCapture,
+  getPortalCaptureMode,
+  getPortalCaptureStore,
+  loadPortalCapture,
+  redactCapturedHtml,
+  savePortalCapture
+} from "./portal-capture.js";
+import { preparePortalReplayPage, replayPortalCapture } from "./portal-replay.js";
+import { getPuppeteer } from "./puppeteer.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "tests", "mock-portal", "pages");
+
+/** @param {string} url @param {string} html */
+function fakePage(url, html) {
+  return { url: () => url, content: async () => html };
+}
+
+describe("portal capture", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("redacts credentials, input values, inline scripts, email addresses and phone numbers", () => {
+    const html = [
+      '<form><input name="emailaddress" value="hand@example.com"><input type="password" value=s3cr3t&pass></form>',
+      "<script>window.session = { token: 'abc123' };</script>",
+      '<a href="/reset?p=s3cr3t%26pass">s3cr3t&amp;pass</a> Contact crew@venue.org',
+      '<a href="tel:+14045550123">Call</a> Cell (404) 555-0188, home 404.555.0199, +1 678-555-0100',
+      "<td>08/22/2026</td><td>08:00 AM - 14:30</td><td>Row 1234567</td>"
+    ].join("\n");
+
+    const redacted = redactCapturedHtml(html, ["hand@example.com", "s3cr3t&pass"]);
+
+    expect(redacted).not.toMatch(/s3cr3t|abc123|@example\.com|@venue\.org|555-01|555\.01|4045550123/);
+    expect(redacted).toContain('href="tel:[REDACTED]"');
+    // Dates, times and ids the extraction reads are left alone
+    expect(redacted).toContain("<td>08/22/2026</td><td>08:00 AM - 14:30</td><td>Row 1234567</td>");
+    expect(redacted).toContain('<input name="emailaddress" value="[REDACTED]">');
+    expect(redacted).toContain("<script></script>");
+    expect(redacted).toContain('href="/reset?p=[REDACTED]"');
+  });
+
+  it("reads PORTAL_CAPTURE and PORTAL_CAPTURE_STORE", () => {
+    expect(getPortalCaptureMode({})).toBe("failure");
+    expect(getPortalCaptureMode({ PORTAL_CAPTURE: "Always" })).toBe("always");
+    expect(getPortalCaptureMode({ PORTAL_CAPTURE: "off" })).toBe("off");
+    expect(getPortalCaptureMode({ PORTAL_CAPTURE: "sometimes" })).toBe("failure");
+
+    expect(getPortalCaptureStore({})).toEqual({ store: "dir", dir: "portal-captures" });
+    expect(getPortalCaptureStore({ PORTAL_CAPTURE_STORE: "firestore", PORTAL_CAPTURE_DIR: "/tmp/x" })).toEqual({
+      store: "firestore",
+      dir: "/tmp/x"
+    });
+  });
+
+  it("saves on failure only, with each step's redacted URL, HTML and timing", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const save = vi.fn(async (record) => `saved:${record.id}`);
+    let clock = new Date("2026-06-01T12:00:00Z").getTime();
+    const now = () => new Date((clock += 1500));
+    const secrets = ["hand@example.com", "rhino-secret"];
+
+    const ok = createPortalCapture("rhino", { mode: "failure", secrets, now, save });
+    await ok.step(fakePage("https://portal.example/login", "<form></form>"), "login");
+    expect(await ok.finish()).toBeNull();
+    expect(save).not.toHaveBeenCalled();
+
+    const failed = createPortalCapture("rhino", { mode: "failure", secrets, now, save });
+    await failed.step(fakePage("https://portal.example/login?u=hand%40example.com", "<p>hand@example.com</p>"), "login");
+    await failed.step({ url: () => "about:blank", content: async () => { throw new Error("Execution context was destroyed"); } }, "failure");
+    const location = await failed.finish({ error: new Error("Login failed for rhino-secret") });
+
+    expect(location).toBe(`saved:${failed.id}`);
+    expect(failed.id).toMatch(/^rhino-2026-06-01T12-00-0\d-\d{3}Z-[0-9a-f]{6}$/);
+    expect(failed.record.error).toBe("Login failed for [REDACTED]");
+    expect(failed.record.steps).toEqual([
+      expect.objectContaining({ name: "login", url: "https://portal.example/login?u=[REDACTED]", html: "<p>[REDACTED]</p>", elapsedMs: 1500 }),
+      expect.objectContaining({ name: "failure", html: "", error: "Execution context was destroyed", elapsedMs: 3000 })
+    ]);
+  });
+
+  it("saves every scrape when always, nothing when off, and never throws on a failed save", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    const page = fakePage("https://portal.example/schedule", "<table></table>");
+
+    const always = createPortalCapture("crewOne", { mode: "always", save: async () => "dir" });
+    await always.step(page, "dashboard");
+    expect(await always.finish()).toBe("dir");
+
+    const off = createPortalCapture("crewOne", { mode: "off", save: async () => "dir" });
+    await off.step(page, "dashboard");
+    expect(off.record.steps).toEqual([]);
+    expect(await off.finish({ error: new Error("boom") })).toBeNull();
+
+    const broken = createPortalCapture("crewOne", { mode: "always", save: async () => { throw new Error("disk full"); } });
+    await broken.step(page, "dashboard");
+    expect(await broken.finish()).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("disk full"));
+  });
+
+  it("round-trips a capture through a directory", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "portal-capture-"));
+    try {
+      const record = {
+        id: "rhino-test",
+        source: "rhino",
+        startedAt: "2026-06-01T12:00:00.000Z",
+        error: "Timed out",
+        steps: [
+          { name: "login", url: "https://portal.example/", at: "2026-06-01T12:00:01.000Z", elapsedMs: 1000, html: "<form></form>" },
+          { name: "schedule", url: "https://portal.example/s", at: "2026-06-01T12:00:02.000Z", elapsedMs: 2000, html: "<table></table>" }
+        ]
+      };
+
+      const location = await savePortalCapture(record, { store: "dir", dir });
+
+      expect(location).toBe(path.join(dir, "rhino-test"));
+      expect((await fs.readdir(location)).sort()).toEqual(["01-login.html", "02-schedule.html", "capture.json"]);
+      expect(await fs.readFile(path.join(location, "02-schedule.html"), "utf8")).toBe("<table></table>");
+      expect(await loadPortalCapture(location)).toEqual(record);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("saves to Firestore with an expiry, truncating oversized HTML, and prunes expired captures", async () => {
+    const db = createFakeFirestore();
+    const html = "x".repeat(500_000);
+    const record = {
+      id: "crewOne-big",
+      source: "crewOne",
+      startedAt: "2026-06-01T12:00:00.000Z",
+      error: null,
+      steps: [
+        { name: "dashboard", url: "u", at: "a", elapsedMs: 0, html },
+        { name: "detail", url: "u", at: "a", elapsedMs: 0, html: "<p>small</p>" }
+      ]
+    };
+
+    expect(await savePortalCapture(record, { store: "firestore", db, now: new Date("2026-06-01T12:00:00Z") })).toBe("firestore:crewOne-big");
+    const saved = db.docsOf("portal_captures").get("crewOne-big");
+    expect(saved.expiresAt.toDate()).toEqual(new Date("2026-06-08T12:00:00Z"));
+    expect(saved.steps[0]).toMatchObject({ truncated: true });
+    expect(saved.steps[0].html).toHaveLength(400_000);
+    expect(saved.steps[1]).toMatchObject({ html: "<p>small</p>", truncated: false });
+
+    const loaded = await loadPortalCapture("firestore:crewOne-big", { db });
+    expect(loaded).toMatchObject({ id: "crewOne-big", source: "crewOne", steps: [{ name: "dashboard" }, { name: "detail" }] });
+    expect(loaded).not.toHaveProperty("expiresAt");
+
+    await savePortalCapture({ ...record, id: "later" }, { store: "firestore", db, now: new Date("2026-06-09T12:00:00Z") });
+    expect([...db.docsOf("portal_captures").keys()]).toEqual(["later"]);
+    expect(await loadPortalCapture("firestore:crewOne-big", { db })).toBeNull();
+  });
+
+  it("sizes Firestore HTML in UTF-8 bytes without splitting a character", async () => {
+    const db = createFakeFirestore();
+    // 3 bytes per character: 300k characters is 900k bytes, over the limit
+    const html = "–".repeat(300_000);
+    const record = { id: "rhino-wide", source: "rhino", startedAt: "2026-06-01T12:00:00.000Z", error: null, steps: [{ name: "schedule", url: "u", at: "a", elapsedMs: 0, html }] };
+
+    await savePortalCapture(record, { store: "firestore", db, now: new Date("2026-06-01T12:00:00Z") });
+
+    const [step] = db.docsOf("portal_captures").get("rhino-wide").steps;
+    expect(step.truncated).toBe(true);
+    expect(Buffer.byteLength(step.html, "utf8")).toBeLessThanOrEqual(800_000);
+    expect(step.html).toBe("–".repeat(266_666));
+  });
+});
+
+describe("portal capture replay", () => {
+  /** @type {import("puppeteer").Browser | null} */
+  let browser = null;
+
+  beforeAll(async () => {
+    try {
+      const puppeteer = await getPuppeteer();
+      browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox"] });
+    } catch (err) {
+      console.warn(`Skipping browser tests: ${err instanceof Error ? err.message.split("\n")[0] : err}`);
+    }
+  }, 60000);
+
+  afterAll(async () => {
+    await browser?.close();
+  });
+
+  /**
+   * @param {string} source
+   * @param {[string, string, string][]} steps - name, url, page under tests/mock-portal/pages
+   */
+  async function captureOf(source, steps) {
+    return {
+      id: `${source}-replay`,
+      source,
+      startedAt: "2026-06-01T12:00:00.000Z",
+      error: null,
+      steps: await Promise.all(
+        steps.map(async ([name, url, file], i) => ({
+          name,
+          url,
+          at: "2026-06-01T12:00:00.000Z",
+          elapsedMs: i * 1000,
+          html: await fs.readFile(path.join(PAGES_DIR, file), "utf8")
+        }))
+      )
+    };
+  }
+
+  /** @param {(page: import("puppeteer").Page) => Promise<void>} run */
+  async function withReplayPage(run) {
+    const page = await browser.newPage();
+    try {
+      await preparePortalReplayPage(page);
+      await run(page);
+    } finally {
+      await page.close();
+    }
+  }
+
+  it("re-runs Rhino's schedule extraction on a saved step", async ({ skip }) => {
+    if (!browser) skip();
+    const capture = await captureOf("rhino", [
+      ["login", "https://portal.example/employee/georgia/Index.aspx", "rhino-login.html"],
+      ["schedule", "https://portal.example/employee/georgia/Schedule.aspx", "rhino-schedule.html"]
+    ]);
+
+    await withReplayPage(async (page) => {
+      const [login, schedule] = await replayPortalCapture(capture, page);
+
+      expect(login).toMatchObject({ name: "login", skipped: true });
+      expect(schedule.result).toHaveLength(3);
+      expect(schedule.result[0]).toMatchObject({ show: "ERYKAH BADU", status: "Confirmed" });
+    });
+  });
+
+  it("re-runs Crew One's dashboard and detail extraction, resolving links against the captured URL", async ({ skip }) => {
+    if (!browser) skip();
+    const capture = await captureOf("crewOne", [
+      ["dashboard", "https://portal.example/dashboard", "crewone-dashboard.html"],
+      ["detail", "https://portal.example/view_upcoming/1002", "crewone-detail-1002.html"]
+    ]);
+
+    await withReplayPage(async (page) => {
+      const [dashboard] = await replayPortalCapture(capture, page, { steps: ["dashboard"] });
+      expect(dashboard.result.map((row) => row.event)).toContain("Summer Stadium Tour");
+      expect(dashboard.result.find((row) => row.detailUrl)?.detailUrl).toMatch(/^https:\/\/portal\.example\//);
+
+      const [detail] = await replayPortalCapture(capture, page, { steps: ["detail"] });
+      expect(detail.result.offerDeadlineText).toMatch(/This offer closes June 10, 2026/i);
+    });
+  });
+
+  it("rejects a capture from a source it can't replay", async () => {
+    await expect(replayPortalCapture({ source: "iatse927", steps: [] }, /** @type {any} */ ({}))).rejects.toThrow(
+      /No replay for source "iatse927"/
+    );
+  });
+});
@@ -0,0 +1,100 @@
+import { RHINO_CANCELLED_LABELS, extractRhinoScheduleRows } from "./sources/rhino.js";
+import { extractEventDetail, extractUpcomingRows } from "./sources/crewOne.js";
+
+/**
+ * Replay side of portal-capture.js: load each saved step's HTML into a page with
+ * scripts off and the network blocked, then run the same in-page extraction
+ * fetchSchedule runs, so a selector fix can be checked against the exact markup
+ * that broke.
+ */
+
+/**
+ * In-page extraction per source and step name. "failure" is whatever page the
+ * scrape stopped on, so it gets the source's main extraction.
+ * @type {Record<string, Record<string, (page: import("puppeteer").Page) => Promise<unknown>>>}
+ */
+const REPLAYERS = {
+  rhino: {
+    schedule: (page) => page.evaluate(extractRhinoScheduleRows, RHINO_CANCELLED_LABELS),
+    history: (page) => page.evaluate(extractRhinoScheduleRows, RHINO_CANCELLED_LABELS),
+    failure: (page) => page.evaluate(extractRhinoScheduleRows, RHINO_CANCELLED_LABELS)
+  },
+  crewOne: {
+    dashboard: (page) => page.evaluate(extractUpcomingRows),
+    view_upcoming: (page) => page.evaluate(extractUpcomingRows),
+    detail: (page) => page.evaluate(extractEventDetail),
+    failure: (page) => page.evaluate(extractUpcomingRows)
+  }
+};
+
+/**
+ * @typedef {Object} PortalReplayResult
+ * @property {number} index - position in capture.steps
+ * @property {string} name
+ * @property {string} url
+ * @property {unknown} [result] - what the extraction returned
+ * @property {string} [error] - why it threw
+ * @property {boolean} [skipped] - no extraction for this step (e.g. login)
+ */
+
+/**
+ * Point relative links at the captured URL so extracted hrefs (detail links) come
+ * out as they did live.
+ * @param {string} html
+ * @param {string} url
+ */
+function withBaseHref(html, url) {
+  if (!url || /<base\b/i.test(html)) return html;
+  const base = `<base href="${url.replace(/"/g, "&quot;")}">`;
+  return /<head\b[^>]*>/i.test(html) ? html.replace(/<head\b[^>]*>/i, (head) => `${head}${base}`) : `${base}${html}`;
+}
+
+/**
+ * Keep the replay offline: page scripts off and every request but the document
+ * itself aborted.
+ * @param {import("puppeteer").Page} page
+ */
+export async function preparePortalReplayPage(page) {
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on("request", (req) => {
+    if (req.isInterceptResolutionHandled()) return;
+    req.abort();
+  });
+}
+
+/**
+ * Re-run the in-page extraction on each saved step. Never throws for a step;
+ * extraction errors are returned so a broken selector shows up as a result.
+ * @param {import("./portal-capture.js").PortalCaptureRecord} capture
+ * @param {import("puppeteer").Page} page - already passed to preparePortalReplayPage
+ * @param {{ steps?: string[] }} [options] - only these step names
+ * @returns {Promise<PortalReplayResult[]>}
+ */
+export async function replayPortalCapture(capture, page, options = {}) {
+  const replayers = REPLAYERS[capture.source];
+  if (!replayers) {
+    throw new Error(`No replay for source "${capture.source}". Known: ${Object.keys(REPLAYERS).join(", ")}`);
+  }
+
+  /** @type {PortalReplayResult[]} */
+  const results = [];
+  for (const [index, step] of capture.steps.entries()) {
+    if (options.steps?.length && !options.steps.includes(step.name)) continue;
+    const replay = replayers[step.name];
+    /** @type {PortalReplayResult} */
+    const outcome = { index, name: step.name, url: step.url };
+    if (!replay || !step.html) {
+      results.push({ ...outcome, skipped: true });
+      continue;
+    }
+    try {
+      await page.setContent(withBaseHref(step.html, step.url), { waitUntil: "domcontentloaded" });
+      outcome.result = await replay(page);
+    } catch (err) {
+      outcome.error = err instanceof Error ? err.message : String(err);
+    }
+    results.push(outcome);
+  }
+  return results;
+}
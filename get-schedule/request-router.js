@@ -1,7 +1,10 @@
 /**
- * HTTP routing helpers for syncSchedule (batch vs IATSE ingest).
+ * HTTP routing helpers for syncSchedule (batch vs SMS ingest vs ICS feed vs Rhino confirm).
  */
 
+import crypto from "crypto";
+import { findSmsSource } from "./sms-sources.js";
+
 const INGEST_SOURCE = "iatse927";
 
 /**
@@ -24,15 +27,29 @@ export function parseRequestBody(req) {
 }
 
 /**
+ * Source named by an SMS ingest request: POST /ingest/<sourceId>, or a body with
+ * mode "ingest" and its source. Null for any other request; the id may name no
+ * SMS source (see findSmsSource).
  * @param {import("@google-cloud/functions-framework").Request} req
  * @param {Record<string, unknown> | null} body
+ * @returns {string | null}
  */
-export function isIngestRequest(req, body) {
+export function ingestSourceId(req, body) {
   const path = (req.path || req.url || "").split("?")[0];
-  if (/\/ingest\/iatse927\/?$/i.test(path)) {
-    return true;
+  const fromPath = /\/ingest\/([\w.-]+)\/?$/i.exec(path)?.[1];
+  if (fromPath) return fromPath;
+  if (body?.mode === "ingest" && typeof body.source === "string" && body.source.trim()) {
+    return body.source.trim();
   }
-  return body?.mode === "ingest" && body?.source === INGEST_SOURCE;
+  return null;
+}
+
+/**
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @param {Record<string, unknown> | null} body
+ */
+export function isIngestRequest(req, body) {
+  return ingestSourceId(req, body) !== null;
 }
 
 /**
@@ -49,16 +66,32 @@ export function normalizePhone(value) {
 }
 
 /**
+ * Phones in an allowed-phone list, normalized. Commas or semicolons separate them
+ * (gcloud --set-env-vars splits on commas); spaces stay inside a number.
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export function parseAllowedPhones(value) {
+  return String(value || "")
+    .split(/[,;]/)
+    .map((phone) => normalizePhone(phone))
+    .filter(Boolean);
+}
+
+/**
+ * True when the body's phone is on the SMS source's allowed list.
  * @param {Record<string, unknown> | null} body
+ * @param {string} [sourceId] - an SMS source (sms-sources.js)
  * @returns {boolean}
  */
-export function verifyIngestPhone(body) {
-  const allowed = process.env.IATSE_ALLOWED_PHONE;
-  if (!allowed?.trim()) {
-    throw new Error("IATSE_ALLOWED_PHONE is not configured");
+export function verifyIngestPhone(body, sourceId = INGEST_SOURCE) {
+  const smsSource = findSmsSource(sourceId);
+  if (!smsSource) return false;
+  const allowed = parseAllowedPhones(process.env[smsSource.allowedPhonesEnv]);
+  if (allowed.length === 0) {
+    throw new Error(`${smsSource.allowedPhonesEnv} is not configured`);
   }
 
-  const allowedDigits = normalizePhone(allowed);
   const fromBody =
     typeof body?.phone === "string"
       ? body.phone
@@ -68,7 +101,234 @@ export function verifyIngestPhone(body) {
 
   if (!fromBody.trim()) return false;
 
-  return normalizePhone(fromBody) === allowedDigits;
+  return allowed.includes(normalizePhone(fromBody));
+}
+
+/**
+ * Signed ingest: every request carries
+ *   X-Ingest-Timestamp  unix seconds, within INGEST_SIGNATURE_MAX_AGE_SECONDS of now
+ *   X-Ingest-Nonce      random, never reused (claimed in Firestore, see ingest-nonce-store.js)
+ *   X-Ingest-Signature  hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+ *   X-Ingest-Key        device key name from INGEST_DEVICE_KEYS; without it the
+ *                       request is signed with INGEST_SIGNING_SECRET
+ */
+export const DEFAULT_INGEST_SIGNATURE_MAX_AGE_SECONDS = 300;
+const SHARED_INGEST_KEY = "shared";
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {number}
+ */
+export function getIngestSignatureMaxAgeSeconds(env = process.env) {
+  const raw = env.INGEST_SIGNATURE_MAX_AGE_SECONDS?.trim();
+  if (!raw) return DEFAULT_INGEST_SIGNATURE_MAX_AGE_SECONDS;
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : DEFAULT_INGEST_SIGNATURE_MAX_AGE_SECONDS;
+}
+
+/**
+ * Secrets ingest requests may be signed with, by key name: INGEST_DEVICE_KEYS
+ * ("phone:secret;tablet:secret2", revoke a device by removing its pair) plus the
+ * shared INGEST_SIGNING_SECRET. Throws when a device key takes the shared secret's
+ * name, rather than letting one silently replace the other.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Map<string, string>}
+ */
+export function ingestSigningKeys(env = process.env) {
+  const devices = parseNamedTokens(env.INGEST_DEVICE_KEYS);
+  if (devices.some(({ name }) => name === SHARED_INGEST_KEY)) {
+    throw new Error(
+      `INGEST_DEVICE_KEYS names a device "${SHARED_INGEST_KEY}", which is reserved for INGEST_SIGNING_SECRET; rename the device`
+    );
+  }
+  const keys = new Map(devices.map(({ name, token }) => [name, token]));
+  const shared = env.INGEST_SIGNING_SECRET?.trim();
+  if (shared) keys.set(SHARED_INGEST_KEY, shared);
+  return keys;
+}
+
+/**
+ * What an ingest signature covers besides the body, so a signed request can't be
+ * replayed with another method, to another path or for another source.
+ * @typedef {Object} IngestSignedFields
+ * @property {string} method - e.g. "POST"
+ * @property {string} path - the request path without the query (e.g. "/ingest/iatse927")
+ * @property {string} sourceId - see ingestSourceId
+ * @property {string | number} timestamp - unix seconds
+ * @property {string} nonce
+ */
+
+/**
+ * HMAC-SHA256 of "<METHOD>\n<path>\n<sourceId>\n<timestamp>.<nonce>.<raw body>".
+ * @param {string} secret
+ * @param {IngestSignedFields} fields
+ * @param {string | Buffer} rawBody
+ * @returns {string} hex signature
+ */
+export function signIngestRequest(secret, fields, rawBody) {
+  const { method, path, sourceId, timestamp, nonce } = fields;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${method.toUpperCase()}\n${path}\n${sourceId}\n${timestamp}.${nonce}.`)
+    .update(rawBody)
+    .digest("hex");
+}
+
+/**
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @param {string} name
+ * @returns {string}
+ */
+function requestHeader(req, name) {
+  const value = req.get?.(name) || req.headers?.[name.toLowerCase()] || "";
+  return String(Array.isArray(value) ? value[0] : value).trim();
+}
+
+/**
+ * The body exactly as sent: the Functions Framework keeps it in req.rawBody.
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @returns {string | Buffer | null}
+ */
+function requestRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody) || typeof req.rawBody === "string") return req.rawBody;
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") return req.body;
+  return null;
+}
+
+/**
+ * Checks an ingest request's signature and timestamp. The nonce still has to be
+ * claimed (claimIngestNonce) before the request is accepted. `reason` is for
+ * logs only; callers answer every failure with the same 401.
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @param {string} sourceId - the source the request ingests for (ingestSourceId)
+ * @param {{ now?: Date; env?: NodeJS.ProcessEnv }} [options]
+ * @returns {{ ok: true; keyId: string; nonce: string } | { ok: false; reason: string }}
+ */
+export function verifyIngestSignature(req, sourceId, options = {}) {
+  const env = options.env || process.env;
+  const keys = ingestSigningKeys(env);
+  if (keys.size === 0) {
+    throw new Error("INGEST_SIGNING_SECRET or INGEST_DEVICE_KEYS is not configured");
+  }
+
+  const keyId = requestHeader(req, "X-Ingest-Key") || SHARED_INGEST_KEY;
+  const timestamp = requestHeader(req, "X-Ingest-Timestamp");
+  const nonce = requestHeader(req, "X-Ingest-Nonce");
+  const signature = requestHeader(req, "X-Ingest-Signature").replace(/^sha256=/i, "").toLowerCase();
+  const rawBody = requestRawBody(req);
+
+  if (!timestamp || !nonce || !signature) return { ok: false, reason: "missing signature headers" };
+  if (rawBody === null) return { ok: false, reason: "raw body unavailable" };
+
+  const secret = keys.get(keyId);
+  if (!secret) return { ok: false, reason: `unknown or revoked key "${keyId}"` };
+
+  if (!/^\d{1,12}$/.test(timestamp)) return { ok: false, reason: "malformed timestamp" };
+  const now = (options.now || new Date()).getTime() / 1000;
+  if (Math.abs(now - Number(timestamp)) > getIngestSignatureMaxAgeSeconds(env)) {
+    return { ok: false, reason: "timestamp outside the replay window" };
+  }
+  if (!/^[\x21-\x7e]{16,128}$/.test(nonce)) return { ok: false, reason: "malformed nonce" };
+
+  const fields = { method: req.method || "", path: (req.path || req.url || "").split("?")[0], sourceId, timestamp, nonce };
+  if (!tokensEqual(signature, signIngestRequest(secret, fields, rawBody))) {
+    return { ok: false, reason: `bad signature for key "${keyId}"` };
+  }
+  return { ok: true, keyId, nonce };
+}
+
+/**
+ * @param {import("@google-cloud/functions-framework").Request} req
+ */
+export function isIcsFeedRequest(req) {
+  if (req.method !== "GET") return false;
+  const path = (req.path || req.url || "").split("?")[0];
+  return /\/calendar\.ics$/i.test(path);
+}
+
+/**
+ * "name:token,name2:token2" pairs; ";" also separates pairs, since gcloud
+ * --set-env-vars splits on commas. Malformed pairs are dropped.
+ * @param {string | undefined} value
+ * @returns {{ name: string; token: string }[]}
+ */
+export function parseNamedTokens(value) {
+  return String(value || "")
+    .split(/[,;]/)
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const sep = pair.indexOf(":");
+      return sep > 0
+        ? { name: pair.slice(0, sep).trim(), token: pair.slice(sep + 1).trim() }
+        : { name: "", token: "" };
+    })
+    .filter((entry) => entry.name && entry.token);
+}
+
+/**
+ * ICS_FEED_TOKENS="name:token,name2:token2" — one token per subscriber so a
+ * leaked URL can be revoked without touching the others.
+ * @returns {{ name: string; token: string }[]}
+ */
+export function parseIcsFeedTokens(value = process.env.ICS_FEED_TOKENS) {
+  return parseNamedTokens(value);
+}
+
+/** @param {string} a @param {string} b */
+function tokensEqual(a, b) {
+  const left = crypto.createHash("sha256").update(a).digest();
+  const right = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Subscriber name for the request's ?token=, or null when it matches none.
+ * Calendar apps can't send headers on subscriptions, so the token is in the URL.
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @returns {string | null}
+ */
+export function verifyIcsFeedToken(req) {
+  const tokens = parseIcsFeedTokens();
+  if (tokens.length === 0) {
+    throw new Error("ICS_FEED_TOKENS is not configured");
+  }
+
+  const given = typeof req.query?.token === "string" ? req.query.token.trim() : "";
+  if (!given) return null;
+
+  let matched = null;
+  for (const { name, token } of tokens) {
+    // Compare against every token so timing doesn't reveal which entry matched
+    if (tokensEqual(given, token) && !matched) matched = name;
+  }
+  return matched;
+}
+
+/**
+ * POST /rhino/confirm with { rowId } confirms a called Rhino shift.
+ * @param {import("@google-cloud/functions-framework").Request} req
+ */
+export function isRhinoConfirmRequest(req) {
+  if (req.method !== "POST") return false;
+  const path = (req.path || req.url || "").split("?")[0];
+  return /\/rhino\/confirm\/?$/i.test(path);
+}
+
+/**
+ * True when the request's "Authorization: Bearer <token>" matches RHINO_CONFIRM_TOKEN.
+ * @param {import("@google-cloud/functions-framework").Request} req
+ * @returns {boolean}
+ */
+export function verifyRhinoConfirmToken(req) {
+  const expected = process.env.RHINO_CONFIRM_TOKEN?.trim();
+  if (!expected) {
+    throw new Error("RHINO_CONFIRM_TOKEN is not configured");
+  }
+
+  const header = req.get?.("authorization") || req.headers?.authorization || "";
+  const given = /^Bearer\s+(.+)$/i.exec(String(header).trim())?.[1].trim() || "";
+  return Boolean(given) && tokensEqual(given, expected);
 }
 
 export { INGEST_SOURCE };
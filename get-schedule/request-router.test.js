@@ -1,9 +1,21 @@
 import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { smsSources } from "./sms-sources.js";
 import {
   parseRequestBody,
   isIngestRequest,
+  ingestSourceId,
   verifyIngestPhone,
-  normalizePhone
+  verifyIngestSignature,
+  signIngestRequest,
+  ingestSigningKeys,
+  getIngestSignatureMaxAgeSeconds,
+  parseAllowedPhones,
+  normalizePhone,
+  isIcsFeedRequest,
+  parseIcsFeedTokens,
+  verifyIcsFeedToken,
+  isRhinoConfirmRequest,
+  verifyRhinoConfirmToken
 } from "./request-router.js";
 
 describe("parseRequestBody", () => {
@@ -44,6 +56,20 @@ describe("isIngestRequest", () => {
   });
 });
 
+describe("ingestSourceId", () => {
+  it("reads the source from /ingest/<sourceId> or the body", () => {
+    expect(ingestSourceId({ path: "/ingest/iatse479/" }, null)).toBe("iatse479");
+    expect(ingestSourceId({ url: "/sync-schedule/ingest/iatse927?x=1" }, null)).toBe("iatse927");
+    expect(ingestSourceId({ path: "/" }, { mode: "ingest", source: "iatse479" })).toBe("iatse479");
+  });
+
+  it("is null for requests that aren't ingest", () => {
+    expect(ingestSourceId({ path: "/" }, { mode: "ingest" })).toBeNull();
+    expect(ingestSourceId({ path: "/ingest/" }, null)).toBeNull();
+    expect(isIngestRequest({ path: "/rhino/confirm" }, { rowId: "1" })).toBe(false);
+  });
+});
+
 describe("normalizePhone", () => {
   it("strips non-digits and normalizes US leading 1", () => {
     expect(normalizePhone("+1 (555) 123-4567")).toBe("5551234567");
@@ -95,3 +121,244 @@ describe("verifyIngestPhone", () => {
     );
   });
 });
+
+describe("isIcsFeedRequest", () => {
+  it("matches GET /calendar.ics", () => {
+    expect(isIcsFeedRequest({ method: "GET", path: "/calendar.ics" })).toBe(true);
+    expect(isIcsFeedRequest({ method: "GET", url: "/sync-schedule/calendar.ics?token=abc" })).toBe(true);
+  });
+
+  it("ignores other paths and methods", () => {
+    expect(isIcsFeedRequest({ method: "GET", path: "/" })).toBe(false);
+    expect(isIcsFeedRequest({ method: "POST", path: "/calendar.ics" })).toBe(false);
+  });
+});
+
+describe("verifyIcsFeedToken", () => {
+  const original = process.env.ICS_FEED_TOKENS;
+
+  beforeEach(() => {
+    process.env.ICS_FEED_TOKENS = "me:secret-one, partner:secret-two";
+  });
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.ICS_FEED_TOKENS;
+    } else {
+      process.env.ICS_FEED_TOKENS = original;
+    }
+  });
+
+  it("parses name:token pairs and drops malformed entries", () => {
+    expect(parseIcsFeedTokens("a:1,broken,:2, b : 3 ;c:4")).toEqual([
+      { name: "a", token: "1" },
+      { name: "b", token: "3" },
+      { name: "c", token: "4" }
+    ]);
+  });
+
+  it("returns the subscriber name for a known token", () => {
+    expect(verifyIcsFeedToken({ query: { token: "secret-two" } })).toBe("partner");
+  });
+
+  it("rejects missing or unknown tokens", () => {
+    expect(verifyIcsFeedToken({ query: {} })).toBeNull();
+    expect(verifyIcsFeedToken({ query: { token: "secret" } })).toBeNull();
+  });
+
+  it("throws when no tokens are configured", () => {
+    delete process.env.ICS_FEED_TOKENS;
+    expect(() => verifyIcsFeedToken({ query: { token: "secret-one" } })).toThrow(/ICS_FEED_TOKENS/);
+  });
+});
+
+describe("isRhinoConfirmRequest", () => {
+  it("matches POST /rhino/confirm only", () => {
+    expect(isRhinoConfirmRequest({ method: "POST", path: "/rhino/confirm" })).toBe(true);
+    expect(isRhinoConfirmRequest({ method: "POST", url: "/rhino/confirm/?dryRun=true" })).toBe(true);
+    expect(isRhinoConfirmRequest({ method: "GET", path: "/rhino/confirm" })).toBe(false);
+    expect(isRhinoConfirmRequest({ method: "POST", path: "/" })).toBe(false);
+  });
+});
+
+describe("verifyRhinoConfirmToken", () => {
+  const original = process.env.RHINO_CONFIRM_TOKEN;
+
+  beforeEach(() => {
+    process.env.RHINO_CONFIRM_TOKEN = "confirm-secret";
+  });
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.RHINO_CONFIRM_TOKEN;
+    } else {
+      process.env.RHINO_CONFIRM_TOKEN = original;
+    }
+  });
+
+  it("accepts the bearer token", () => {
+    expect(verifyRhinoConfirmToken({ headers: { authorization: "Bearer confirm-secret" } })).toBe(true);
+    expect(verifyRhinoConfirmToken({ get: () => "bearer  confirm-secret " })).toBe(true);
+  });
+
+  it("rejects missing, wrong or non-bearer tokens", () => {
+    expect(verifyRhinoConfirmToken({ headers: {} })).toBe(false);
+    expect(verifyRhinoConfirmToken({ headers: { authorization: "Bearer confirm" } })).toBe(false);
+    expect(verifyRhinoConfirmToken({ headers: { authorization: "confirm-secret" } })).toBe(false);
+  });
+
+  it("throws when no token is configured", () => {
+    delete process.env.RHINO_CONFIRM_TOKEN;
+    expect(() => verifyRhinoConfirmToken({ headers: { authorization: "Bearer x" } })).toThrow(/RHINO_CONFIRM_TOKEN/);
+  });
+});
+
+describe("verifyIngestPhone per SMS source", () => {
+  const original = { IATSE_ALLOWED_PHONE: process.env.IATSE_ALLOWED_PHONE, IATSE479_ALLOWED_PHONE: process.env.IATSE479_ALLOWED_PHONE };
+
+  beforeEach(() => {
+    smsSources.iatse479 = {
+      sourceId: "iatse479",
+      label: "IATSE 479",
+      allowedPhonesEnv: "IATSE479_ALLOWED_PHONE",
+      collection: "iatse479_messages",
+      domainGuide: {}
+    };
+    process.env.IATSE_ALLOWED_PHONE = "+15551234567";
+    process.env.IATSE479_ALLOWED_PHONE = "+1 (555) 000-1111; 555-000-2222";
+  });
+
+  afterEach(() => {
+    delete smsSources.iatse479;
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("checks the phone against the source's own list", () => {
+    expect(verifyIngestPhone({ phone: "5550001111" }, "iatse479")).toBe(true);
+    expect(verifyIngestPhone({ phone: "+15550002222" }, "iatse479")).toBe(true);
+    expect(verifyIngestPhone({ phone: "5551234567" }, "iatse479")).toBe(false);
+    expect(verifyIngestPhone({ phone: "5550001111" }, "iatse927")).toBe(false);
+  });
+
+  it("matches source ids from the URL without regard to case", () => {
+    expect(verifyIngestPhone({ phone: "5550001111" }, "IATSE479")).toBe(true);
+  });
+
+  it("allows no phone for an unknown source", () => {
+    expect(verifyIngestPhone({ phone: "5551234567" }, "iatse000")).toBe(false);
+  });
+
+  it("splits allowed lists on commas and semicolons only", () => {
+    expect(parseAllowedPhones("+1 555 123 4567, 555-000-1111;")).toEqual(["5551234567", "5550001111"]);
+  });
+});
+
+describe("verifyIngestSignature", () => {
+  const env = { INGEST_SIGNING_SECRET: "shared-secret", INGEST_DEVICE_KEYS: "pixel:pixel-secret;ipad:ipad-secret" };
+  const now = new Date("2026-10-18T12:00:00Z");
+  const timestamp = String(now.getTime() / 1000);
+  const nonce = "0f4c2a9e-5b1d-4e77-9a0c-3d2e1f6b8a90";
+  const rawBody = Buffer.from('{"phone":"+15551234567","text":"Load in 8a"}');
+
+  const fields = { method: "POST", path: "/ingest/iatse927", sourceId: "iatse927", timestamp, nonce };
+
+  /** A POST /ingest/iatse927 as the Functions Framework hands it over, signed with secret */
+  function signedRequest(secret, headers = {}) {
+    const all = {
+      "x-ingest-timestamp": timestamp,
+      "x-ingest-nonce": nonce,
+      "x-ingest-signature": signIngestRequest(secret, fields, rawBody),
+      ...headers
+    };
+    return { method: "POST", path: "/ingest/iatse927", rawBody, body: JSON.parse(rawBody.toString()), headers: all };
+  }
+
+  it("accepts the shared secret and names the device key used", () => {
+    expect(verifyIngestSignature(signedRequest("shared-secret"), "iatse927", { now, env })).toEqual({ ok: true, keyId: "shared", nonce });
+    expect(
+      verifyIngestSignature(signedRequest("pixel-secret", { "x-ingest-key": "pixel" }), "iatse927", { now, env })
+    ).toEqual({ ok: true, keyId: "pixel", nonce });
+  });
+
+  it("accepts a sha256= prefixed signature read through req.get", () => {
+    const { headers } = signedRequest("ipad-secret", { "x-ingest-key": "ipad" });
+    headers["x-ingest-signature"] = `sha256=${headers["x-ingest-signature"].toUpperCase()}`;
+    const req = { method: "POST", url: "/ingest/iatse927?via=shortcut", rawBody, get: (/** @type {string} */ name) => headers[name.toLowerCase()] };
+    expect(verifyIngestSignature(req, "iatse927", { now, env }).ok).toBe(true);
+  });
+
+  it("rejects a tampered body, a wrong secret or a revoked device", () => {
+    const tampered = { ...signedRequest("shared-secret"), rawBody: Buffer.from('{"phone":"+15550000000"}') };
+    expect(verifyIngestSignature(tampered, "iatse927", { now, env })).toMatchObject({
+      ok: false,
+      reason: 'bad signature for key "shared"'
+    });
+    expect(verifyIngestSignature(signedRequest("pixel-secret"), "iatse927", { now, env }).ok).toBe(false);
+
+    const revoked = { ...env, INGEST_DEVICE_KEYS: "ipad:ipad-secret" };
+    expect(
+      verifyIngestSignature(signedRequest("pixel-secret", { "x-ingest-key": "pixel" }), "iatse927", { now, env: revoked })
+    ).toMatchObject({ ok: false, reason: 'unknown or revoked key "pixel"' });
+  });
+
+  it("rejects a signed request replayed with another method, to another path or for another source", () => {
+    const replayed = { ...signedRequest("shared-secret"), path: "/ingest/iatse3" };
+    expect(verifyIngestSignature(replayed, "iatse3", { now, env })).toMatchObject({
+      ok: false,
+      reason: 'bad signature for key "shared"'
+    });
+    expect(verifyIngestSignature(signedRequest("shared-secret"), "iatse3", { now, env }).ok).toBe(false);
+    expect(verifyIngestSignature({ ...signedRequest("shared-secret"), method: "PUT" }, "iatse927", { now, env }).ok).toBe(false);
+    expect(verifyIngestSignature({ ...signedRequest("shared-secret"), path: "/" }, "iatse927", { now, env }).ok).toBe(false);
+  });
+
+  it("rejects timestamps outside the replay window", () => {
+    const later = new Date(now.getTime() + 301_000);
+    expect(verifyIngestSignature(signedRequest("shared-secret"), "iatse927", { now: later, env })).toMatchObject({
+      ok: false,
+      reason: "timestamp outside the replay window"
+    });
+    expect(
+      verifyIngestSignature(signedRequest("shared-secret"), "iatse927", {
+        now: later,
+        env: { ...env, INGEST_SIGNATURE_MAX_AGE_SECONDS: "600" }
+      }).ok
+    ).toBe(true);
+  });
+
+  it("rejects requests missing a header, the raw body or a usable nonce", () => {
+    expect(verifyIngestSignature(signedRequest("shared-secret", { "x-ingest-nonce": "" }), "iatse927", { now, env }).ok).toBe(false);
+    expect(verifyIngestSignature({ ...signedRequest("shared-secret"), rawBody: undefined }, "iatse927", { now, env })).toMatchObject({
+      ok: false,
+      reason: "raw body unavailable"
+    });
+    const shortNonce = "abc";
+    const req = signedRequest("shared-secret", {
+      "x-ingest-nonce": shortNonce,
+      "x-ingest-signature": signIngestRequest("shared-secret", { ...fields, nonce: shortNonce }, rawBody)
+    });
+    expect(verifyIngestSignature(req, "iatse927", { now, env })).toMatchObject({ ok: false, reason: "malformed nonce" });
+  });
+
+  it("throws when no signing key is configured", () => {
+    expect(() => verifyIngestSignature(signedRequest("shared-secret"), "iatse927", { now, env: {} })).toThrow(
+      /INGEST_SIGNING_SECRET or INGEST_DEVICE_KEYS/
+    );
+  });
+
+  it("refuses a device key named after the shared secret", () => {
+    const clash = { INGEST_SIGNING_SECRET: "shared-secret", INGEST_DEVICE_KEYS: "pixel:a;shared:b" };
+    expect(() => ingestSigningKeys(clash)).toThrow(/names a device "shared", which is reserved for INGEST_SIGNING_SECRET/);
+    expect(() => verifyIngestSignature(signedRequest("b"), "iatse927", { now, env: clash })).toThrow(/reserved/);
+    expect(() => ingestSigningKeys({ INGEST_DEVICE_KEYS: "shared:b" })).toThrow(/reserved/);
+  });
+
+  it("reads device keys and the replay window from the environment", () => {
+    expect([...ingestSigningKeys({ INGEST_DEVICE_KEYS: "pixel:a, broken" }).keys()]).toEqual(["pixel"]);
+    expect(getIngestSignatureMaxAgeSeconds({})).toBe(300);
+    expect(getIngestSignatureMaxAgeSeconds({ INGEST_SIGNATURE_MAX_AGE_SECONDS: "-5" })).toBe(300);
+  });
+});
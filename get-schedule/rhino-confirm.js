@@ -0,0 +1,73 @@
+/**
+ * Confirm a called Rhino shift from the sync tool: click Confirm on the portal, then
+ * sync the Rhino source so its calendar event moves from tentative ("UNCONFIRMED =>
+ * show") to confirmed exactly as a scheduled run would write it (diffing against the
+ * calendar), without fetching the other sources inside the request. Its overlaps with
+ * their shifts are still checked against their calendar events.
+ */
+
+import getSchedule from "./get-schedule.js";
+import { configurePortalPage, getPortalBrowserLaunchOptions, getPuppeteer } from "./puppeteer.js";
+import { confirmRhinoShift, sourceId } from "./sources/rhino.js";
+
+/**
+ * @typedef {Object} RhinoConfirmResult
+ * @property {string} rowId
+ * @property {import("./sources/types.js").ScheduleEntry} shift - as the portal lists it afterwards
+ * @property {import("./sources/rhino.js").RhinoConfirmation["result"]} portal
+ * @property {import("./sync-report.js").SourceReport | null} calendar - the Rhino sync's report; null in a
+ *   dry run (the portal is unchanged, so there is nothing new to plan) or when the sync failed
+ * @property {string | null} syncError - why the sync after confirming failed
+ */
+
+/**
+ * Sync the Rhino source after a confirmation, without failing the confirmation: the
+ * shift is confirmed on the portal either way and the next scheduled run retries.
+ * @param {{ sync?: typeof getSchedule }} [options]
+ * @returns {Promise<Pick<RhinoConfirmResult, "calendar" | "syncError">>}
+ */
+export async function syncAfterRhinoConfirm(options = {}) {
+  const sync = options.sync || getSchedule;
+  try {
+    const { report } = await sync({ sourceIds: [sourceId] });
+    return { calendar: report.sources[sourceId] || null, syncError: null };
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    console.warn(`⚠️  [${sourceId}] confirmed on the portal, but the sync afterwards failed: ${message}`);
+    return { calendar: null, syncError: message };
+  }
+}
+
+/**
+ * Log in to Rhino, confirm the shift with this scheduleRowId, re-read the schedule to
+ * verify it, and sync the Rhino source to update its calendar event. With { dryRun: true }
+ * nothing is clicked or written.
+ * @param {string} rowId
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<RhinoConfirmResult>}
+ */
+export async function confirmRhinoShiftAndSync(rowId, options = {}) {
+  const dryRun = options.dryRun === true;
+  if (!rowId?.trim()) throw new Error("Confirming a Rhino shift requires a rowId");
+
+  const puppeteer = await getPuppeteer();
+  const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
+  /** @type {import("./sources/rhino.js").RhinoConfirmation} */
+  let confirmation;
+  try {
+    const page = await browser.newPage();
+    await configurePortalPage(page);
+    confirmation = await confirmRhinoShift(page, rowId.trim(), { dryRun });
+  } finally {
+    await browser.close();
+  }
+  console.log(`✅ [${sourceId}] ${confirmation.result}: ${confirmation.entry.date} ${confirmation.entry.show}`);
+
+  const synced = dryRun ? { calendar: null, syncError: null } : await syncAfterRhinoConfirm();
+  return {
+    rowId: rowId.trim(),
+    shift: confirmation.entry,
+    portal: confirmation.result,
+    ...synced
+  };
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { syncAfterRhinoConfirm } from "./rhino-confirm.js";
+import { createSyncReport, sourceReportFor } from "./sync-report.js";
+
+describe("syncAfterRhinoConfirm", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("syncs only the Rhino source and returns its report", async () => {
+    const report = createSyncReport({ dryRun: false });
+    sourceReportFor(report, "rhino").updated.push({ eventId: "evt-1", rowId: "11/24/2099 | 18:30 | HOLIDAY GALA" });
+    sourceReportFor(report, "crewOne");
+    const sync = vi.fn(async () => ({ dryRun: false, report }));
+
+    const result = await syncAfterRhinoConfirm({ sync });
+
+    expect(sync).toHaveBeenCalledWith({ sourceIds: ["rhino"] });
+    expect(result.syncError).toBeNull();
+    expect(result.calendar).toMatchObject({ source: "rhino", updated: [{ eventId: "evt-1" }] });
+  });
+
+  it("keeps the confirmation when the sync afterwards fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const sync = vi.fn(async () => {
+      throw new Error("invalid_grant");
+    });
+
+    const result = await syncAfterRhinoConfirm({ sync });
+
+    expect(result).toEqual({ calendar: null, syncError: "invalid_grant" });
+    expect(console.warn).toHaveBeenCalledWith("⚠️  [rhino] confirmed on the portal, but the sync afterwards failed: invalid_grant");
+  });
+});
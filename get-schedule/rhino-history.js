@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import { getFirestore } from "./firestore-client.js";
+import { RECENT_PAST_EVENT_LOOKBACK_MS, syncEvent } from "./google-calendar/add-event.js";
+import { formatCsv } from "./csv.js";
+import { sourceId, timezone } from "./sources/rhino.js";
+import { parseScheduleDateParts, pad, scheduleRowId, toGoogleEvent, zonedLocalDateTimeToUtcMs } from "./utils.js";
+
+/**
+ * Ledger of Rhino shifts worked, kept in Firestore (rhino_history) one document per
+ * shift, so past weeks survive after they drop off the portal's Work History. Filled
+ * by scripts/rhino-history.js from rhino.fetchHistory; the regular sync never reads
+ * or writes it, and past calendar events are only backfilled from it on request.
+ */
+
+const COLLECTION = "rhino_history";
+const BATCH_SIZE = 400;
+
+/**
+ * @typedef {Object} RhinoWorkedShift
+ * @property {string} rowId - scheduleRowId, the document's key
+ * @property {string} isoDate - YYYY-MM-DD, for sorting and date ranges
+ * @property {string} date - MM/DD/YYYY as the portal lists it
+ * @property {string} callTime - HH:mm
+ * @property {string} show
+ * @property {string} venue
+ * @property {string} location
+ * @property {string} client
+ * @property {string} position
+ * @property {string} type
+ * @property {number | null} hours - the Hrs column, null when blank
+ * @property {string} status
+ */
+
+/**
+ * @param {string | undefined} text - "5", "4.5", "" from the Hrs column
+ * @returns {number | null}
+ */
+export function parseRhinoHours(text) {
+  const hours = Number.parseFloat(String(text ?? "").replace(",", "."));
+  return Number.isFinite(hours) && hours >= 0 ? hours : null;
+}
+
+/**
+ * Ledger record for a history row.
+ * @param {import("./sources/types.js").ScheduleEntry} entry
+ * @returns {RhinoWorkedShift}
+ */
+export function toWorkedShift(entry) {
+  const { year, month, day } = parseScheduleDateParts(entry.date, entry.callTime);
+  return {
+    rowId: scheduleRowId({ ...entry, source: sourceId }),
+    isoDate: `${year}-${pad(month)}-${pad(day)}`,
+    date: entry.date,
+    callTime: entry.callTime,
+    show: entry.show || "",
+    venue: entry.venue || "",
+    location: entry.location || "",
+    client: entry.client || "",
+    position: entry.position || "",
+    type: entry.type || "",
+    hours: parseRhinoHours(entry.hours),
+    status: entry.status || ""
+  };
+}
+
+/** Document id for a row id (row ids contain "/", which Firestore ids can't) */
+export function rhinoHistoryDocId(rowId) {
+  return crypto.createHash("sha256").update(rowId).digest("hex").slice(0, 32);
+}
+
+/**
+ * Add or refresh shifts in the ledger. Shifts already stored are overwritten with
+ * what the portal lists now; nothing is ever removed.
+ * @param {RhinoWorkedShift[]} shifts
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date }} [options]
+ * @returns {Promise<number>} shifts written
+ */
+export async function saveRhinoHistory(shifts, options = {}) {
+  if (shifts.length === 0) return 0;
+  const db = options.db || getFirestore();
+  const updatedAt = (options.now || new Date()).toISOString();
+  const collection = db.collection(COLLECTION);
+
+  for (let i = 0; i < shifts.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const shift of shifts.slice(i, i + BATCH_SIZE)) {
+      batch.set(collection.doc(rhinoHistoryDocId(shift.rowId)), { ...shift, updatedAt });
+    }
+    await batch.commit();
+  }
+  return shifts.length;
+}
+
+/**
+ * Ledger shifts in date order, optionally within [from, to] (YYYY-MM-DD, inclusive).
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; from?: string; to?: string }} [options]
+ * @returns {Promise<RhinoWorkedShift[]>}
+ */
+export async function loadRhinoHistory(options = {}) {
+  const db = options.db || getFirestore();
+  let query = db.collection(COLLECTION).orderBy("isoDate");
+  if (options.from) query = query.where("isoDate", ">=", options.from);
+  if (options.to) query = query.where("isoDate", "<=", options.to);
+  const snap = await query.get();
+  return snap.docs
+    .map((doc) => {
+      const { updatedAt: _updatedAt, ...shift } = doc.data();
+      return /** @type {RhinoWorkedShift} */ (shift);
+    })
+    .sort((a, b) => a.isoDate.localeCompare(b.isoDate) || a.callTime.localeCompare(b.callTime));
+}
+
+/** @type {{ header: string; value: (shift: RhinoWorkedShift) => unknown }[]} */
+const CSV_COLUMNS = [
+  { header: "Date", value: (shift) => shift.isoDate },
+  { header: "Call Time", value: (shift) => shift.callTime },
+  { header: "Show", value: (shift) => shift.show },
+  { header: "Venue", value: (shift) => shift.venue },
+  { header: "Location", value: (shift) => shift.location },
+  { header: "Client", value: (shift) => shift.client },
+  { header: "Position", value: (shift) => shift.position },
+  { header: "Type", value: (shift) => shift.type },
+  { header: "Hours", value: (shift) => shift.hours },
+  { header: "Status", value: (shift) => shift.status }
+];
+
+/**
+ * @param {RhinoWorkedShift[]} shifts
+ */
+export function formatRhinoHistoryCsv(shifts) {
+  return formatCsv(CSV_COLUMNS, shifts);
+}
+
+/**
+ * Put ledger shifts that started over a day ago on the Rhino calendar (creating or
+ * updating each by its row id). Newer ones are left to the regular sync: a backfilled
+ * event inside that window isn't on the portal's schedule, so the sync's purge of
+ * recently started Rhino events would delete it again. A dry run reads the calendar
+ * and returns the planned actions.
+ * @param {import("google-auth-library").OAuth2Client | import("./google-calendar/backends/types.js").CalendarBackend} auth
+ * @param {RhinoWorkedShift[]} shifts
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<Record<string, number>>} shifts per syncEvent action
+ */
+export async function backfillRhinoHistoryEvents(auth, shifts, options = {}) {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const shift of shifts) {
+    const event = toGoogleEvent({ ...shift, source: sourceId }, { source: sourceId, timezone });
+    const startedAt = zonedLocalDateTimeToUtcMs(event.start, timezone);
+    if (!(Date.now() - startedAt > RECENT_PAST_EVENT_LOOKBACK_MS)) continue;
+
+    const result = await syncEvent(auth, event, { dryRun: options.dryRun === true });
+    if (result.action === "error") {
+      console.warn(`⚠️  [${sourceId}] backfill of ${shift.rowId} failed: ${result.error?.message || result.error}`);
+    }
+    counts[result.action] = (counts[result.action] || 0) + 1;
+  }
+  return counts;
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  backfillRhinoHistoryEvents,
+  formatRhinoHistoryCsv,
+  loadRhinoHistory,
+  parseRhinoHours,
+  rhinoHistoryDocId,
+  saveRhinoHistory,
+  toWorkedShift
+} from "./rhino-history.js";
+import { createMemoryCalendarBackend } from "./google-calendar/backends/index.js";
+import { purgeOrphanedSourceEvents } from "./google-calendar/add-event.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+const historyRow = {
+  source: "rhino",
+  date: "11/15/2025",
+  callTime: "18:00",
+  hours: "4.5",
+  show: "HAWKS VS MAGIC",
+  venue: "STATE FARM ARENA",
+  location: "ATLANTA GA",
+  client: "ASM GLOBAL",
+  type: "SHOW",
+  position: "SPOT",
+  details: "",
+  status: "Confirmed",
+  notes: "",
+  isCallCancelled: false
+};
+
+describe("rhino history", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it("reads the Hrs column as a number", () => {
+    expect(parseRhinoHours("5")).toBe(5);
+    expect(parseRhinoHours(" 4.5 ")).toBe(4.5);
+    expect(parseRhinoHours("7,5")).toBe(7.5);
+    expect(parseRhinoHours("")).toBeNull();
+    expect(parseRhinoHours(undefined)).toBeNull();
+  });
+
+  it("keeps the ledger fields of a history row, keyed by its row id", () => {
+    expect(toWorkedShift(historyRow)).toEqual({
+      rowId: "11/15/2025 | 18:00 | HAWKS VS MAGIC | STATE FARM ARENA | SPOT | SHOW",
+      isoDate: "2025-11-15",
+      date: "11/15/2025",
+      callTime: "18:00",
+      show: "HAWKS VS MAGIC",
+      venue: "STATE FARM ARENA",
+      location: "ATLANTA GA",
+      client: "ASM GLOBAL",
+      position: "SPOT",
+      type: "SHOW",
+      hours: 4.5,
+      status: "Confirmed"
+    });
+    expect(rhinoHistoryDocId("a/b")).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  it("stores one document per shift, overwriting a shift seen again, and loads a date range in order", async () => {
+    const db = createFakeFirestore();
+    const gala = toWorkedShift(historyRow);
+    const tradeShow = toWorkedShift({ ...historyRow, date: "11/09/2025", callTime: "09:00", show: "TRADE SHOW", hours: "8" });
+
+    expect(await saveRhinoHistory([gala, tradeShow], { db, now: new Date("2025-11-20T12:00:00Z") })).toBe(2);
+    await saveRhinoHistory([{ ...gala, hours: 5 }], { db, now: new Date("2025-11-27T12:00:00Z") });
+
+    expect(db.docsOf("rhino_history").size).toBe(2);
+    expect(db.docsOf("rhino_history").get(rhinoHistoryDocId(gala.rowId))).toMatchObject({ hours: 5, updatedAt: "2025-11-27T12:00:00.000Z" });
+    expect((await loadRhinoHistory({ db })).map((shift) => shift.show)).toEqual(["TRADE SHOW", "HAWKS VS MAGIC"]);
+    expect(await loadRhinoHistory({ db, from: "2025-11-10", to: "2025-11-30" })).toEqual([{ ...gala, hours: 5 }]);
+  });
+
+  it("exports the ledger as CSV", () => {
+    const csv = formatRhinoHistoryCsv([
+      toWorkedShift({ ...historyRow, show: "TRADE SHOW, HALL B", hours: "" })
+    ]);
+    expect(csv.split("\r\n")).toEqual([
+      "Date,Call Time,Show,Venue,Location,Client,Position,Type,Hours,Status",
+      '2025-11-15,18:00,"TRADE SHOW, HALL B",STATE FARM ARENA,ATLANTA GA,ASM GLOBAL,SPOT,SHOW,,Confirmed',
+      ""
+    ]);
+  });
+
+  it("backfills past shifts onto the calendar, skipping ones that haven't started", async () => {
+    const backend = createMemoryCalendarBackend();
+    const past = toWorkedShift(historyRow);
+    const future = toWorkedShift({ ...historyRow, date: "11/15/2099" });
+
+    expect(await backfillRhinoHistoryEvents(backend, [past, future], { dryRun: true })).toEqual({ created: 1 });
+    expect(await backend.list()).toEqual([]);
+
+    expect(await backfillRhinoHistoryEvents(backend, [past, future])).toEqual({ created: 1 });
+    const events = await backend.list();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ summary: "5:30pm HAWKS VS MAGIC", status: "confirmed" });
+    expect(events[0].extendedProperties.private).toMatchObject({ scheduleSource: "rhino", scheduleRowId: past.rowId });
+
+    expect(await backfillRhinoHistoryEvents(backend, [past])).toEqual({ unchanged: 1 });
+  });
+
+  it("leaves shifts that started in the last day to the sync, whose purge would remove them", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    // 11/15 18:00 call (17:30 event start) was four and a half hours ago
+    vi.setSystemTime(new Date("2025-11-16T03:00:00Z"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const backend = createMemoryCalendarBackend();
+    const recent = toWorkedShift(historyRow);
+    const older = toWorkedShift({ ...historyRow, date: "11/14/2025" });
+
+    expect(await backfillRhinoHistoryEvents(backend, [older, recent])).toEqual({ created: 1 });
+    const events = await backend.list();
+    expect(events.map((event) => event.extendedProperties.private.scheduleRowId)).toEqual([older.rowId]);
+
+    // A sync whose schedule no longer lists either shift keeps the backfilled one
+    expect(await purgeOrphanedSourceEvents(backend, "rhino", ["other-row"])).toEqual([]);
+    expect(await backend.list()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Cross-source double-booking check. Rhino, CrewOne and IATSE 927 are separate
+ * employers, so after every source is mapped through toGoogleEvent the shifts are
+ * compared pairwise across sources: two overlap when their calendar windows (lead
+ * time before the call to the end of the shift, see shift-window-rules.js) come
+ * within the travel buffer of each other.
+ *
+ * A tentative shift of a tentativeIsUnconfirmed source (a Rhino "called" shift) is
+ * only an offer until it's confirmed, so its overlaps are reported as "unconfirmed"
+ * rather than "conflict".
+ *
+ * CONFLICT_TRAVEL_BUFFER_MINUTES (default 0) widens the window for travel time.
+ */
+
+import { findSource } from "./sources/index.js";
+import { zonedLocalDateTimeToUtcMs } from "./utils.js";
+
+/** @typedef {ReturnType<typeof import("./utils.js").toGoogleEvent>} SyncEvent */
+
+/**
+ * @typedef {"conflict" | "unconfirmed"} ShiftConflictCategory
+ * @typedef {{ source: string; rowId: string; summary: string; start: string; end: string; status: string }} ConflictingShift
+ * @typedef {{ category: ShiftConflictCategory; shifts: [ConflictingShift, ConflictingShift] }} ShiftConflict
+ */
+
+const SUMMARY_PREFIX = {
+  conflict: "CONFLICT => ",
+  unconfirmed: "POSSIBLE CONFLICT => "
+};
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {number}
+ */
+export function getTravelBufferMinutes(env = process.env) {
+  const minutes = Number(env.CONFLICT_TRAVEL_BUFFER_MINUTES?.trim() || 0);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Absolute ms of an event time, so shifts synced in different timezones compare.
+ * @param {SyncEvent} event
+ * @param {"start" | "end"} field
+ */
+function eventMs(event, field) {
+  return zonedLocalDateTimeToUtcMs(event[field], event.timezone);
+}
+
+/** @param {SyncEvent} event */
+function isUnconfirmedShift(event) {
+  return event.status === "tentative" && findSource(event.source)?.tentativeIsUnconfirmed === true;
+}
+
+/** @param {SyncEvent} event */
+function eventKey(event) {
+  return `${event.source}:${event.rowId}`;
+}
+
+/**
+ * @param {SyncEvent} event
+ * @returns {ConflictingShift}
+ */
+function conflictingShift(event) {
+  return {
+    source: event.source,
+    rowId: event.rowId,
+    summary: event.summary,
+    start: event.start,
+    end: event.end,
+    status: event.status
+  };
+}
+
+/**
+ * Pairs of shifts from different sources whose windows overlap.
+ * @param {SyncEvent[]} events
+ * @param {{ travelBufferMinutes?: number }} [options]
+ * @returns {ShiftConflict[]}
+ */
+export function findShiftConflicts(events, options = {}) {
+  const bufferMs = (options.travelBufferMinutes ?? getTravelBufferMinutes()) * 60_000;
+  const shifts = events
+    .filter((event) => event.status !== "cancelled")
+    .map((event) => ({ event, startMs: eventMs(event, "start"), endMs: eventMs(event, "end") }))
+    .filter(({ startMs, endMs }) => !Number.isNaN(startMs) && !Number.isNaN(endMs))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  /** @type {ShiftConflict[]} */
+  const conflicts = [];
+  for (let i = 0; i < shifts.length; i++) {
+    for (let j = i + 1; j < shifts.length; j++) {
+      const a = shifts[i];
+      const b = shifts[j];
+      // Sorted by start: once b starts after a's buffered end, later ones do too
+      if (b.startMs >= a.endMs + bufferMs) break;
+      if (a.event.source === b.event.source) continue;
+      const unconfirmed = isUnconfirmedShift(a.event) || isUnconfirmedShift(b.event);
+      conflicts.push({
+        category: unconfirmed ? "unconfirmed" : "conflict",
+        shifts: [conflictingShift(a.event), conflictingShift(b.event)]
+      });
+    }
+  }
+  return conflicts;
+}
+
+/** @param {string} value */
+function formatWindowTime(value) {
+  return String(value).slice(0, 16).replace("T", " ");
+}
+
+/**
+ * An event title without the conflict prefix withConflictMarkers adds.
+ * @param {string} summary
+ */
+export function stripConflictMarker(summary) {
+  const prefix = Object.values(SUMMARY_PREFIX).find((marker) => summary.startsWith(marker));
+  return prefix ? summary.slice(prefix.length) : summary;
+}
+
+/**
+ * Copies of the events with each conflict flagged: a title prefix ("CONFLICT => ",
+ * or "POSSIBLE CONFLICT => " when only unconfirmed overlaps) and a note per overlap
+ * at the end of the description. Events without conflicts are returned as is.
+ * @template {SyncEvent} T
+ * @param {T[]} events
+ * @param {ShiftConflict[]} conflicts
+ * @returns {T[]}
+ */
+export function withConflictMarkers(events, conflicts) {
+  /** @type {Map<string, { category: ShiftConflictCategory; other: ConflictingShift }[]>} */
+  const byEvent = new Map();
+  for (const conflict of conflicts) {
+    const [a, b] = conflict.shifts;
+    for (const [shift, other] of [[a, b], [b, a]]) {
+      const key = eventKey(shift);
+      if (!byEvent.has(key)) byEvent.set(key, []);
+      byEvent.get(key).push({ category: conflict.category, other });
+    }
+  }
+
+  return events.map((event) => {
+    const overlaps = byEvent.get(eventKey(event));
+    if (!overlaps) return event;
+    const category = overlaps.some((overlap) => overlap.category === "conflict") ? "conflict" : "unconfirmed";
+    const notes = overlaps.map(
+      ({ category: kind, other }) =>
+        `⚠️ ${kind === "conflict" ? "Conflicts" : "May conflict"} with [${other.source}] ${other.summary} (${formatWindowTime(other.start)} – ${formatWindowTime(other.end)})`
+    );
+    return {
+      ...event,
+      summary: `${SUMMARY_PREFIX[category]}${event.summary}`,
+      description: [event.description, notes.join("\n")].filter(Boolean).join("\n\n")
+    };
+  });
+}
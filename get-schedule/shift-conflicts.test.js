@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { findShiftConflicts, getTravelBufferMinutes, withConflictMarkers } from "./shift-conflicts.js";
+import { toGoogleEvent } from "./utils.js";
+
+const entry = {
+  date: "08/22/2026",
+  callTime: "08:00",
+  show: "Concert",
+  venue: "Arena",
+  location: "",
+  position: "Hand",
+  type: "Load In",
+  status: "confirmed"
+};
+
+const rhino = toGoogleEvent({ ...entry, source: "rhino" }, { source: "rhino" });
+const rhinoCalled = toGoogleEvent({ ...entry, source: "rhino", status: "called", show: "Gala" }, { source: "rhino" });
+const crewOneOverlap = toGoogleEvent({ ...entry, source: "crewOne", callTime: "12:00", show: "Festival" }, { source: "crewOne" });
+const crewOneLater = toGoogleEvent({ ...entry, source: "crewOne", callTime: "14:00", show: "Late Show" }, { source: "crewOne" });
+
+describe("findShiftConflicts", () => {
+  it("flags overlapping windows across sources, not within one", () => {
+    const sameSource = toGoogleEvent({ ...entry, source: "rhino", show: "Other" }, { source: "rhino" });
+
+    const conflicts = findShiftConflicts([rhino, sameSource, crewOneOverlap, crewOneLater], { travelBufferMinutes: 0 });
+
+    // 07:30-13:00 overlaps 11:30-17:00; 13:30 starts after both Rhino windows end
+    expect(conflicts).toHaveLength(2);
+    expect(conflicts.every((c) => c.category === "conflict")).toBe(true);
+    expect(conflicts.flatMap((c) => c.shifts.map((s) => s.summary))).not.toContain("1:30 PM Late Show");
+  });
+
+  it("widens the window by the travel buffer", () => {
+    expect(findShiftConflicts([rhino, crewOneLater], { travelBufferMinutes: 0 })).toHaveLength(0);
+    expect(findShiftConflicts([rhino, crewOneLater], { travelBufferMinutes: 45 })).toHaveLength(1);
+  });
+
+  it("compares shifts synced in different timezones by absolute time", () => {
+    // A 1pm call starts at 12:30, inside the 07:30-13:00 Rhino window in New York
+    // but at 13:30 New York time in Chicago
+    const crewOneOnePm = { ...entry, source: "crewOne", callTime: "13:00" };
+    const inNewYork = toGoogleEvent(crewOneOnePm, { source: "crewOne" });
+    const inChicago = toGoogleEvent({ ...crewOneOnePm, timezone: "America/Chicago" }, { source: "crewOne" });
+
+    expect(findShiftConflicts([rhino, inNewYork], { travelBufferMinutes: 0 })).toHaveLength(1);
+    expect(findShiftConflicts([rhino, inChicago], { travelBufferMinutes: 0 })).toHaveLength(0);
+  });
+
+  it("reports an unconfirmed Rhino called shift as its own category", () => {
+    const conflicts = findShiftConflicts([rhinoCalled, crewOneOverlap], { travelBufferMinutes: 0 });
+
+    expect(conflicts).toEqual([expect.objectContaining({ category: "unconfirmed" })]);
+
+    // Only sources flagged tentativeIsUnconfirmed treat a tentative shift as an offer
+    const crewOneTentative = { ...crewOneOverlap, status: "tentative" };
+    expect(findShiftConflicts([rhino, crewOneTentative], { travelBufferMinutes: 0 })).toEqual([
+      expect.objectContaining({ category: "conflict" })
+    ]);
+  });
+
+  it("reads CONFLICT_TRAVEL_BUFFER_MINUTES", () => {
+    expect(getTravelBufferMinutes({})).toBe(0);
+    expect(getTravelBufferMinutes({ CONFLICT_TRAVEL_BUFFER_MINUTES: "30" })).toBe(30);
+    expect(getTravelBufferMinutes({ CONFLICT_TRAVEL_BUFFER_MINUTES: "-5" })).toBe(0);
+  });
+});
+
+describe("withConflictMarkers", () => {
+  it("prefixes titles and notes each overlap without touching the originals", () => {
+    const events = [rhino, rhinoCalled, crewOneOverlap, crewOneLater];
+    const conflicts = findShiftConflicts(events, { travelBufferMinutes: 0 });
+
+    const [markedRhino, markedCalled, markedCrewOne, untouched] = withConflictMarkers(events, conflicts);
+
+    expect(markedRhino.summary).toBe(`CONFLICT => ${rhino.summary}`);
+    expect(markedRhino.description).toContain(`⚠️ Conflicts with [crewOne] ${crewOneOverlap.summary} (2026-08-22 11:30 – 2026-08-22 17:00)`);
+    expect(markedCalled.summary).toBe("POSSIBLE CONFLICT => UNCONFIRMED => Gala");
+    // Conflicts with the confirmed Rhino shift win over the unconfirmed one
+    expect(markedCrewOne.summary).toBe(`CONFLICT => ${crewOneOverlap.summary}`);
+    expect(markedCrewOne.description).toContain("⚠️ May conflict with [rhino] UNCONFIRMED => Gala");
+    expect(untouched).toBe(crewOneLater);
+    expect(rhino.summary).not.toContain("CONFLICT");
+  });
+});
@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import { getFirestore } from "./firestore-client.js";
+import { loadRhinoHistory, parseRhinoHours } from "./rhino-history.js";
+import { findSource, getSourceTimezone } from "./sources/index.js";
+import { sourceId as rhinoSourceId } from "./sources/rhino.js";
+import { DEFAULT_TIMEZONE } from "./sources/types.js";
+import { isEventCancelled, pad, parseScheduleDateParts, scheduleRowId, zonedLocalDateTimeToUtcMs } from "./utils.js";
+
+/**
+ * Ledger of every shift the sync has seen, kept in Firestore (shift_ledger) one
+ * document per row id, so earnings.js can total hours and pay after the shifts
+ * have dropped off the portals. Each real (non dry-run) getSchedule run upserts
+ * what the sources returned; a cancelled row is kept and marked cancelled, and an
+ * upcoming shift missing from a complete snapshot (the sources whose calendar
+ * events are removed when absent) is marked removed; one that has started stays, as
+ * it was worked. So is an upcoming shift the run lists again under another row id
+ * with the same ledger match key (a Rhino call time edit), so it isn't counted
+ * twice. Nothing is ever deleted.
+ * Loading merges in the Rhino Work History ledger, which wins for the shifts both
+ * have since it lists the hours actually worked.
+ */
+
+const COLLECTION = "shift_ledger";
+const BATCH_SIZE = 400;
+
+/**
+ * @typedef {Object} LedgerShift
+ * @property {string} rowId - scheduleRowId, the document's key
+ * @property {string} source
+ * @property {string} isoDate - YYYY-MM-DD of the call, for sorting and date ranges
+ * @property {string} date - MM/DD/YYYY as the source lists it
+ * @property {string} callTime - HH:mm
+ * @property {string | null} endTime - HH:mm, when the source lists it
+ * @property {string} show
+ * @property {string} venue
+ * @property {string} client
+ * @property {string} position
+ * @property {string} type
+ * @property {string} status
+ * @property {number | null} hours - hours the source lists, null when it doesn't
+ * @property {boolean} cancelled
+ * @property {boolean} removed - taken off a complete schedule before it happened, or
+ *   listed again under another row id
+ */
+
+/**
+ * Ledger record for a synced entry.
+ * @param {import("./sources/types.js").ScheduleEntry} entry
+ * @param {string} sourceId
+ * @returns {LedgerShift}
+ */
+export function toLedgerShift(entry, sourceId) {
+  const source = entry.source || sourceId;
+  const { year, month, day } = parseScheduleDateParts(entry.date, entry.callTime);
+  return {
+    rowId: scheduleRowId({ ...entry, source }),
+    source,
+    isoDate: `${year}-${pad(month)}-${pad(day)}`,
+    date: entry.date,
+    callTime: entry.callTime,
+    endTime: entry.endTime || null,
+    show: entry.show || "",
+    venue: entry.venue || "",
+    client: entry.client || "",
+    position: entry.position || "",
+    type: entry.type || "",
+    status: entry.status || "",
+    hours: parseRhinoHours(entry.hours),
+    cancelled: isEventCancelled(entry),
+    removed: false
+  };
+}
+
+/**
+ * Ledger record for a Rhino Work History shift.
+ * @param {import("./rhino-history.js").RhinoWorkedShift} shift
+ * @returns {LedgerShift}
+ */
+export function fromRhinoWorkedShift(shift) {
+  return {
+    rowId: shift.rowId,
+    source: rhinoSourceId,
+    isoDate: shift.isoDate,
+    date: shift.date,
+    callTime: shift.callTime,
+    endTime: null,
+    show: shift.show,
+    venue: shift.venue,
+    client: shift.client,
+    position: shift.position,
+    type: shift.type,
+    status: shift.status,
+    hours: shift.hours,
+    cancelled: false,
+    removed: false
+  };
+}
+
+/** Document id for a row id (row ids contain "/", which Firestore ids can't) */
+export function shiftLedgerDocId(rowId) {
+  return crypto.createHash("sha256").update(rowId).digest("hex").slice(0, 32);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone.
+ * @param {Date} now
+ * @param {string} [timezone]
+ */
+export function isoDateInTimezone(now, timezone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+}
+
+/**
+ * Key under which a source lists the same shift after its row id changed: the
+ * source's ledgerMatchKey or rowMatchKey, else the row id itself.
+ * @param {string} source
+ * @param {string} rowId
+ */
+function supersedeKeyFor(source, rowId) {
+  const plugin = findSource(source);
+  const keyOf = plugin?.ledgerMatchKey || plugin?.rowMatchKey;
+  return `${source} | ${keyOf ? keyOf(rowId) : rowId}`;
+}
+
+/**
+ * Whether a ledger shift's call time has passed, in its source's timezone.
+ * @param {LedgerShift} shift
+ * @param {Date} now
+ */
+function hasShiftStarted(shift, now) {
+  return zonedLocalDateTimeToUtcMs(`${shift.isoDate}T${shift.callTime}`, getSourceTimezone(shift.source)) <= now.getTime();
+}
+
+/**
+ * Upsert what each source returned. Unlisted ledger shifts that haven't started and
+ * share a supersede key with a listed one are marked removed, and so, for the sources in
+ * removeAbsent, are ledger shifts that haven't started and the snapshot no longer lists.
+ * @param {Record<string, import("./sync-run-store.js").SourceSnapshot>} snapshots
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date; removeAbsent?: string[] }} [options]
+ * @returns {Promise<{ saved: number; removed: number }>}
+ */
+export async function saveShiftLedger(snapshots, options = {}) {
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+  const updatedAt = now.toISOString();
+  const collection = db.collection(COLLECTION);
+  const shifts = Object.entries(snapshots).flatMap(([sourceId, snapshot]) =>
+    snapshot.entries.map((entry) => toLedgerShift(entry, sourceId))
+  );
+
+  /** @type {[string, Record<string, unknown>, boolean][]} - doc id, data, merge */
+  const writes = shifts.map((shift) => [shiftLedgerDocId(shift.rowId), { ...shift, updatedAt }, false]);
+
+  const listed = new Set(shifts.map((shift) => shift.rowId));
+  /** @type {Set<string>} - doc ids already marked removed by this run */
+  const marked = new Set();
+  const markRemoved = (doc) => {
+    const shift = doc.data();
+    if (shift.removed || listed.has(shift.rowId) || marked.has(doc.id)) return;
+    marked.add(doc.id);
+    writes.push([doc.id, { removed: true, updatedAt }, true]);
+  };
+
+  // Supersede keys keep the date, so only the listed dates can hold a superseded shift
+  const listedDates = shifts.map((shift) => shift.isoDate).sort();
+  if (listedDates.length > 0) {
+    const listedKeys = new Set(shifts.map((shift) => supersedeKeyFor(shift.source, shift.rowId)));
+    const snap = await collection
+      .where("isoDate", ">=", listedDates[0])
+      .where("isoDate", "<=", listedDates[listedDates.length - 1])
+      .get();
+    for (const doc of snap.docs) {
+      const shift = doc.data();
+      // A started shift was worked, whatever the source lists now
+      if (listedKeys.has(supersedeKeyFor(shift.source, shift.rowId)) && !hasShiftStarted(shift, now)) markRemoved(doc);
+    }
+  }
+
+  const completeSourceIds = (options.removeAbsent || []).filter((sourceId) => snapshots[sourceId]);
+  if (completeSourceIds.length > 0) {
+    // The date narrows the read; a shift earlier today has started and is kept
+    const snap = await collection.where("isoDate", ">=", isoDateInTimezone(now)).get();
+    for (const doc of snap.docs) {
+      const shift = doc.data();
+      if (completeSourceIds.includes(shift.source) && !hasShiftStarted(shift, now)) markRemoved(doc);
+    }
+  }
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const [id, data, merge] of writes.slice(i, i + BATCH_SIZE)) {
+      batch.set(collection.doc(id), data, { merge });
+    }
+    await batch.commit();
+  }
+  return { saved: shifts.length, removed: writes.length - shifts.length };
+}
+
+/**
+ * Save the run's shifts without ever failing the sync: the ledger is best-effort.
+ * @param {Record<string, import("./sync-run-store.js").SourceSnapshot>} snapshots
+ * @param {Parameters<typeof saveShiftLedger>[1]} [options]
+ */
+export async function trySaveShiftLedger(snapshots, options = {}) {
+  if (Object.keys(snapshots).length === 0) return;
+  try {
+    const { saved, removed } = await saveShiftLedger(snapshots, options);
+    console.log(`🧾 Shift ledger: ${saved} shift(s) saved${removed ? `, ${removed} marked removed` : ""}`);
+  } catch (err) {
+    console.warn(`⚠️  Shift ledger not saved: ${err instanceof Error ? err.message : err}`);
+  }
+}
+
+/**
+ * Ledger shifts in date order, optionally within [from, to] (YYYY-MM-DD, inclusive),
+ * with the Rhino Work History merged in unless withRhinoHistory is false.
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; from?: string; to?: string; withRhinoHistory?: boolean }} [options]
+ * @returns {Promise<LedgerShift[]>}
+ */
+export async function loadShiftLedger(options = {}) {
+  const db = options.db || getFirestore();
+  let query = db.collection(COLLECTION).orderBy("isoDate");
+  if (options.from) query = query.where("isoDate", ">=", options.from);
+  if (options.to) query = query.where("isoDate", "<=", options.to);
+  const snap = await query.get();
+
+  /** @type {Map<string, LedgerShift>} */
+  const byRowId = new Map();
+  for (const doc of snap.docs) {
+    const { updatedAt: _updatedAt, ...shift } = doc.data();
+    byRowId.set(shift.rowId, /** @type {LedgerShift} */ (shift));
+  }
+  if (options.withRhinoHistory !== false) {
+    const history = await loadRhinoHistory({ db, from: options.from, to: options.to });
+    for (const shift of history) byRowId.set(shift.rowId, fromRhinoWorkedShift(shift));
+  }
+  return [...byRowId.values()].sort(
+    (a, b) => a.isoDate.localeCompare(b.isoDate) || a.callTime.localeCompare(b.callTime)
+  );
+}
@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  isoDateInTimezone,
+  loadShiftLedger,
+  saveShiftLedger,
+  shiftLedgerDocId,
+  toLedgerShift,
+  trySaveShiftLedger
+} from "./shift-ledger-store.js";
+import { createSourceSnapshot } from "./sync-run-store.js";
+import { toWorkedShift } from "./rhino-history.js";
+import { priceShifts } from "./earnings.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+const rhinoEntry = {
+  source: "rhino",
+  date: "11/15/2025",
+  callTime: "18:00",
+  hours: "",
+  show: "HAWKS VS MAGIC",
+  venue: "STATE FARM ARENA",
+  location: "ATLANTA GA",
+  client: "ASM GLOBAL",
+  type: "SHOW",
+  position: "SPOT",
+  status: "Confirmed"
+};
+
+const crewOneEntry = {
+  source: "crewOne",
+  date: "12/05/2026",
+  callTime: "07:00",
+  endTime: "15:00",
+  show: "Holiday Market Load In",
+  venue: "Centennial Park",
+  location: "",
+  client: "",
+  type: "Load In",
+  position: "Hand",
+  status: "Confirmed"
+};
+
+describe("shift ledger store", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the ledger fields of a synced entry, keyed by its row id", () => {
+    expect(toLedgerShift({ ...crewOneEntry, source: "" }, "crewOne")).toEqual({
+      rowId: "12/5/2026 | 07:00 | Holiday Market Load In | Centennial Park",
+      source: "crewOne",
+      isoDate: "2026-12-05",
+      date: "12/05/2026",
+      callTime: "07:00",
+      endTime: "15:00",
+      show: "Holiday Market Load In",
+      venue: "Centennial Park",
+      client: "",
+      position: "Hand",
+      type: "Load In",
+      status: "Confirmed",
+      hours: null,
+      cancelled: false,
+      removed: false
+    });
+    expect(toLedgerShift({ ...rhinoEntry, hours: "4.5", isCallCancelled: true }, "rhino")).toMatchObject({
+      hours: 4.5,
+      cancelled: true
+    });
+    expect(shiftLedgerDocId("a/b")).toMatch(/^[0-9a-f]{32}$/);
+    expect(isoDateInTimezone(new Date("2026-10-18T03:00:00Z"))).toBe("2026-10-17");
+  });
+
+  it("upserts each run's shifts and marks upcoming shifts gone from a complete snapshot as removed", async () => {
+    const db = createFakeFirestore();
+    const later = { ...crewOneEntry, date: "12/12/2026", show: "Holiday Market Load Out" };
+    const now = new Date("2026-10-18T12:00:00Z");
+
+    await saveShiftLedger(
+      { crewOne: createSourceSnapshot("crewOne", [crewOneEntry, later]), rhino: createSourceSnapshot("rhino", [rhinoEntry]) },
+      { db, now, removeAbsent: ["crewOne"] }
+    );
+    const result = await saveShiftLedger(
+      { crewOne: createSourceSnapshot("crewOne", [crewOneEntry]), rhino: createSourceSnapshot("rhino", []) },
+      { db, now, removeAbsent: ["crewOne"] }
+    );
+
+    expect(result).toEqual({ saved: 1, removed: 1 });
+    const byShow = Object.fromEntries([...db.docsOf("shift_ledger").values()].map((shift) => [shift.show, shift]));
+    expect(byShow["Holiday Market Load Out"]).toMatchObject({ removed: true, updatedAt: now.toISOString() });
+    expect(byShow["Holiday Market Load In"].removed).toBe(false);
+    // Rhino isn't a complete snapshot, and its shift is past anyway
+    expect(byShow["HAWKS VS MAGIC"].removed).toBe(false);
+  });
+
+  it("keeps a shift from earlier today that a complete snapshot no longer lists, since it was worked", async () => {
+    const db = createFakeFirestore();
+    const morning = { ...crewOneEntry, date: "10/18/2026", callTime: "07:00", show: "Morning Load In" };
+    const evening = { ...crewOneEntry, date: "10/18/2026", callTime: "19:00", show: "Evening Show" };
+    // 10:00 in Atlanta: the morning call has started, the evening one hasn't
+    const now = new Date("2026-10-18T14:00:00Z");
+
+    await saveShiftLedger({ crewOne: createSourceSnapshot("crewOne", [morning, evening, crewOneEntry]) }, { db, now });
+    const result = await saveShiftLedger(
+      { crewOne: createSourceSnapshot("crewOne", [crewOneEntry]) },
+      { db, now, removeAbsent: ["crewOne"] }
+    );
+
+    expect(result).toEqual({ saved: 1, removed: 1 });
+    const byShow = Object.fromEntries([...db.docsOf("shift_ledger").values()].map((shift) => [shift.show, shift.removed]));
+    expect(byShow).toEqual({ "Morning Load In": false, "Evening Show": true, "Holiday Market Load In": false });
+  });
+
+  it("marks a shift listed again under another row id removed, so earnings count it once", async () => {
+    const db = createFakeFirestore();
+    const now = new Date("2025-11-10T12:00:00Z");
+    // Stored before Crew One ids left out the detail page's position and type
+    const legacyRowId = "12/5/2026 | 07:00 | Holiday Market Load In | Centennial Park | Hand | Load In";
+    db.docsOf("shift_ledger").set(shiftLedgerDocId(legacyRowId), {
+      ...toLedgerShift(crewOneEntry, "crewOne"),
+      rowId: legacyRowId,
+      updatedAt: "x"
+    });
+    const sms = { ...rhinoEntry, source: "iatse927", date: "11/16/2025", callTime: "09:00", show: "TRADE SHOW", hours: "" };
+
+    await saveShiftLedger({ iatse927: createSourceSnapshot("iatse927", [sms]) }, { db, now });
+    const result = await saveShiftLedger(
+      {
+        crewOne: createSourceSnapshot("crewOne", [crewOneEntry]),
+        iatse927: createSourceSnapshot("iatse927", [{ ...sms, callTime: "10:00" }])
+      },
+      { db, now }
+    );
+
+    // iatse927 declares no match key, so only its own row id lists the same shift
+    expect(result).toEqual({ saved: 2, removed: 1 });
+    const shifts = await loadShiftLedger({ db, withRhinoHistory: false });
+    expect(shifts.map((shift) => [shift.source, shift.callTime, shift.removed])).toEqual([
+      ["iatse927", "09:00", false],
+      ["iatse927", "10:00", false],
+      ["crewOne", "07:00", true],
+      ["crewOne", "07:00", false]
+    ]);
+    const priced = priceShifts(shifts, { rateRules: [], overtimeRules: [], windowRules: [] });
+    expect(priced.map((shift) => [shift.source, shift.callTime])).toEqual([
+      ["iatse927", "09:00"],
+      ["iatse927", "10:00"],
+      ["crewOne", "07:00"]
+    ]);
+  });
+
+  it("marks a Rhino call moved to another time removed and keeps the day's other calls", async () => {
+    const db = createFakeFirestore();
+    const now = new Date("2025-11-10T12:00:00Z");
+    const spotlight = { ...rhinoEntry, callTime: "17:00", position: "SH" };
+
+    await saveShiftLedger({ rhino: createSourceSnapshot("rhino", [rhinoEntry, spotlight]) }, { db, now });
+    // Rhino moved the SPOT call half an hour
+    const result = await saveShiftLedger(
+      { rhino: createSourceSnapshot("rhino", [{ ...rhinoEntry, callTime: "18:30" }, spotlight]) },
+      { db, now }
+    );
+
+    expect(result).toEqual({ saved: 2, removed: 1 });
+    const shifts = await loadShiftLedger({ db, withRhinoHistory: false });
+    expect(shifts.map((shift) => [shift.callTime, shift.position, shift.removed])).toEqual([
+      ["17:00", "SH", false],
+      ["18:00", "SPOT", true],
+      ["18:30", "SPOT", false]
+    ]);
+    const priced = priceShifts(shifts, { rateRules: [], overtimeRules: [], windowRules: [] });
+    expect(priced.map((shift) => [shift.callTime, shift.position])).toEqual([
+      ["17:00", "SH"],
+      ["18:30", "SPOT"]
+    ]);
+  });
+
+  it("keeps a started Rhino shift when another call of the same show is listed", async () => {
+    const db = createFakeFirestore();
+
+    await saveShiftLedger({ rhino: createSourceSnapshot("rhino", [rhinoEntry]) }, { db, now: new Date("2025-11-10T12:00:00Z") });
+    // The 18:00 call has been worked; the 21:00 one is still to come
+    const result = await saveShiftLedger(
+      { rhino: createSourceSnapshot("rhino", [{ ...rhinoEntry, callTime: "21:00" }]) },
+      { db, now: new Date("2025-11-16T00:00:00Z") }
+    );
+
+    expect(result).toEqual({ saved: 1, removed: 0 });
+    const shifts = await loadShiftLedger({ db, withRhinoHistory: false });
+    expect(shifts.map((shift) => [shift.callTime, shift.removed])).toEqual([
+      ["18:00", false],
+      ["21:00", false]
+    ]);
+  });
+
+  it("loads shifts in date order with the Rhino Work History winning for the same row", async () => {
+    const db = createFakeFirestore();
+    await saveShiftLedger(
+      { rhino: createSourceSnapshot("rhino", [rhinoEntry]), crewOne: createSourceSnapshot("crewOne", [crewOneEntry]) },
+      { db }
+    );
+    const history = toWorkedShift({ ...rhinoEntry, hours: "4.5" });
+    db.docsOf("rhino_history").set("h1", { ...history, updatedAt: "x" });
+
+    const all = await loadShiftLedger({ db });
+    expect(all.map((shift) => [shift.source, shift.isoDate, shift.hours])).toEqual([
+      ["rhino", "2025-11-15", 4.5],
+      ["crewOne", "2026-12-05", null]
+    ]);
+    expect(all[0]).not.toHaveProperty("updatedAt");
+
+    expect((await loadShiftLedger({ db, from: "2026-01-01", withRhinoHistory: false })).map((shift) => shift.source)).toEqual([
+      "crewOne"
+    ]);
+  });
+
+  it("never fails the sync when the ledger can't be saved", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const db = { ...createFakeFirestore(), batch: () => ({ set: () => {}, commit: async () => Promise.reject(new Error("unavailable")) }) };
+
+    await expect(trySaveShiftLedger({ rhino: createSourceSnapshot("rhino", [rhinoEntry]) }, { db })).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith("⚠️  Shift ledger not saved: unavailable");
+  });
+});
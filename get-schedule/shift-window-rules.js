@@ -0,0 +1,153 @@
+/**
+ * Calendar window of a shift: how long before the call the event starts (lead time)
+ * and how long after the call it ends (duration). Defaults are 30 minutes and 5 hours;
+ * SHIFT_WINDOW_RULES (a JSON array) overrides them per source, type, position and venue:
+ *
+ *   [{ "source": "iatse927", "type": "Load Out", "durationMinutes": 180 },
+ *    { "source": "rhino", "position": "SH", "durationMinutes": 600 },
+ *    { "venue": "Stadium", "leadMinutes": 60 }]
+ *
+ * source, type and position match case-insensitively (a list matches any of its
+ * values); venue matches when the entry's venue contains it. Every matching rule
+ * applies, least specific first, so a rule naming more fields wins over a broader
+ * one and a later rule wins a tie. An entry's own endTime beats any duration.
+ */
+
+export const DEFAULT_LEAD_MINUTES = 30;
+export const DEFAULT_DURATION_MINUTES = 5 * 60;
+
+const MATCH_FIELDS = ["source", "type", "position", "venue"];
+
+/**
+ * @typedef {Object} ShiftWindowRule
+ * @property {string | string[]} [source]
+ * @property {string | string[]} [type] - e.g. "Load In", "Load Out", "Call"
+ * @property {string | string[]} [position]
+ * @property {string | string[]} [venue] - substring of the entry's venue
+ * @property {number} [leadMinutes] - event starts this long before the call
+ * @property {number} [durationMinutes] - event ends this long after the call
+ *
+ * @typedef {{ leadMinutes: number; durationMinutes: number; endTime: string | null }} ShiftWindow
+ */
+
+/** @param {unknown} value */
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/**
+ * @param {ShiftWindowRule} rule
+ * @param {string} field
+ * @param {string} actual
+ */
+function fieldMatches(rule, field, actual) {
+  const wanted = [rule[field]].flat().map(normalize).filter(Boolean);
+  if (wanted.length === 0) return true;
+  const value = normalize(actual);
+  return field === "venue" ? wanted.some((w) => value.includes(w)) : wanted.includes(value);
+}
+
+/** @param {ShiftWindowRule} rule */
+function specificity(rule) {
+  return MATCH_FIELDS.filter((field) => [rule[field]].flat().some((value) => normalize(value))).length;
+}
+
+/** @param {unknown} value */
+function isMinutes(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Valid rules from a parsed SHIFT_WINDOW_RULES value; anything else is dropped with a warning.
+ * @param {unknown} value
+ * @returns {ShiftWindowRule[]}
+ */
+export function parseShiftWindowRules(value) {
+  if (!Array.isArray(value)) {
+    console.warn("⚠️  SHIFT_WINDOW_RULES must be a JSON array; using default shift windows.");
+    return [];
+  }
+  return value.filter((rule, i) => {
+    const valid =
+      rule &&
+      typeof rule === "object" &&
+      (rule.leadMinutes === undefined || isMinutes(rule.leadMinutes)) &&
+      (rule.durationMinutes === undefined || isMinutes(rule.durationMinutes));
+    if (!valid) console.warn(`⚠️  SHIFT_WINDOW_RULES[${i}] ignored: minutes must be non-negative numbers`);
+    return valid;
+  });
+}
+
+let cachedRaw = null;
+/** @type {ShiftWindowRule[]} */
+let cachedRules = [];
+
+/**
+ * Rules from SHIFT_WINDOW_RULES (parsed once per value).
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {ShiftWindowRule[]}
+ */
+export function getShiftWindowRules(env = process.env) {
+  const raw = env.SHIFT_WINDOW_RULES?.trim() || "";
+  if (raw === cachedRaw) return cachedRules;
+  cachedRaw = raw;
+  cachedRules = [];
+  if (!raw) return cachedRules;
+  try {
+    cachedRules = parseShiftWindowRules(JSON.parse(raw));
+  } catch (err) {
+    console.warn(`⚠️  SHIFT_WINDOW_RULES is not valid JSON (${err instanceof Error ? err.message : err}); using default shift windows.`);
+  }
+  return cachedRules;
+}
+
+/**
+ * "HH:mm" end time the source gave for the shift, if any.
+ * @param {{ endTime?: string }} entry
+ * @returns {string | null}
+ */
+function explicitEndTime(entry) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(entry.endTime || "").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+/**
+ * @param {import("./sources/types.js").ScheduleEntry} entry
+ * @param {string} source
+ * @param {ShiftWindowRule[]} [rules]
+ * @returns {ShiftWindow}
+ */
+export function resolveShiftWindow(entry, source, rules = getShiftWindowRules()) {
+  const actual = { source, type: entry.type, position: entry.position, venue: entry.venue };
+  const matching = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => MATCH_FIELDS.every((field) => fieldMatches(rule, field, actual[field])))
+    .sort((a, b) => specificity(a.rule) - specificity(b.rule) || a.index - b.index);
+
+  /** @type {ShiftWindow} */
+  const window = {
+    leadMinutes: DEFAULT_LEAD_MINUTES,
+    durationMinutes: DEFAULT_DURATION_MINUTES,
+    endTime: explicitEndTime(entry)
+  };
+  for (const { rule } of matching) {
+    if (rule.leadMinutes !== undefined) window.leadMinutes = rule.leadMinutes;
+    if (rule.durationMinutes !== undefined) window.durationMinutes = rule.durationMinutes;
+  }
+  return window;
+}
+
+/**
+ * Minutes from the call to the end of the shift: to the explicit end time (the next
+ * day when it isn't after the call), otherwise the rule's duration.
+ * @param {ShiftWindow} window
+ * @param {number} callHours
+ * @param {number} callMinutes
+ */
+export function minutesUntilShiftEnd(window, callHours, callMinutes) {
+  if (!window.endTime) return window.durationMinutes;
+  const [endHours, endMinutes] = window.endTime.split(":").map(Number);
+  const delta = endHours * 60 + endMinutes - (callHours * 60 + callMinutes);
+  return delta > 0 ? delta : delta + 24 * 60;
+}
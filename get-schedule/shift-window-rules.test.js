@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { getShiftWindowRules, parseShiftWindowRules, resolveShiftWindow } from "./shift-window-rules.js";
+import { toGoogleEvent } from "./utils.js";
+
+const rules = [
+  { source: "iatse927", type: "Load Out", durationMinutes: 180 },
+  { source: "rhino", position: "SH", durationMinutes: 600 },
+  { venue: "stadium", leadMinutes: 60 },
+  { source: "rhino", position: ["SH", "Rigger"], venue: "Stadium", leadMinutes: 90 }
+];
+
+const entry = {
+  date: "11/23/2025",
+  callTime: "08:00",
+  show: "ERYKAH BADU",
+  venue: "COBB ENERGY PERFORMING ARTS CENTRE",
+  location: "ATLANTA GA",
+  position: "SH",
+  type: "IN",
+  status: "Confirmed",
+  details: "",
+  notes: ""
+};
+
+describe("shift window rules", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the 30 min lead and 5 h duration when no rule matches", () => {
+    const result = toGoogleEvent(entry, { source: "crewOne", windowRules: rules });
+
+    expect(result.start).toBe("2025-11-23T07:30:00");
+    expect(result.end).toBe("2025-11-23T13:00:00");
+  });
+
+  it("sets the duration by source and type or position", () => {
+    const loadOut = toGoogleEvent({ ...entry, type: "load out" }, { source: "iatse927", windowRules: rules });
+    const stagehand = toGoogleEvent(entry, { source: "rhino", windowRules: rules });
+
+    expect(loadOut.end).toBe("2025-11-23T11:00:00");
+    expect(stagehand.end).toBe("2025-11-23T18:00:00");
+  });
+
+  it("applies every matching rule, the most specific last", () => {
+    const atStadium = { ...entry, venue: "Mercedes-Benz Stadium" };
+
+    expect(resolveShiftWindow(atStadium, "crewOne", rules)).toEqual({ leadMinutes: 60, durationMinutes: 300, endTime: null });
+    expect(resolveShiftWindow(atStadium, "rhino", rules)).toEqual({ leadMinutes: 90, durationMinutes: 600, endTime: null });
+
+    const result = toGoogleEvent(atStadium, { source: "rhino", windowRules: rules });
+    expect(result.summary).toBe("6:30am ERYKAH BADU");
+    expect(result.start).toBe("2025-11-23T06:30:00");
+  });
+
+  it("lets a later rule win a tie", () => {
+    const tied = [
+      { source: "rhino", durationMinutes: 240 },
+      { source: "rhino", durationMinutes: 360 }
+    ];
+
+    expect(resolveShiftWindow(entry, "rhino", tied).durationMinutes).toBe(360);
+  });
+
+  it("ends at the entry's own end time, the next day when it is before the call", () => {
+    const dayShift = toGoogleEvent({ ...entry, endTime: "16:30" }, { source: "rhino", windowRules: rules });
+    const overnight = toGoogleEvent({ ...entry, callTime: "22:00", endTime: "2:00" }, { source: "rhino", windowRules: rules });
+
+    expect(dayShift.end).toBe("2025-11-23T16:30:00");
+    expect(overnight.start).toBe("2025-11-23T21:30:00");
+    expect(overnight.end).toBe("2025-11-24T02:00:00");
+  });
+
+  it("drops invalid rules and falls back to defaults on bad JSON", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(parseShiftWindowRules([{ source: "rhino", leadMinutes: -5 }, { type: "Call", durationMinutes: 240 }, "x"])).toEqual([
+      { type: "Call", durationMinutes: 240 }
+    ]);
+    expect(parseShiftWindowRules({ source: "rhino" })).toEqual([]);
+    expect(getShiftWindowRules({ SHIFT_WINDOW_RULES: "[{" })).toEqual([]);
+    expect(getShiftWindowRules({ SHIFT_WINDOW_RULES: '[{"type":"Call","leadMinutes":15}]' })).toEqual([
+      { type: "Call", leadMinutes: 15 }
+    ]);
+    expect(warn).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import { authorize } from "./google-calendar/auth.js";
+import {
+  consolidateDuplicateSourceEvents,
+  listDuplicateSourceEvents,
+  openSourceSync
+} from "./google-calendar/add-event.js";
+import { withAuthRetry } from "./auth-handler.js";
+import {
+  appendMessage,
+  loadAllMessages,
+  isFirestoreNotFoundError,
+  isFirestoreCredentialsError
+} from "./message-store.js";
+import { isFirestoreProjectIdError } from "./firestore-auth.js";
+import {
+  resolveScheduleEntriesWithValidation,
+  isGeminiUnavailableError,
+  smsExtractionProfile
+} from "./iatse927-gemini.js";
+import { getSmsSource } from "./sms-sources.js";
+import { getSourceTimezone } from "./sources/index.js";
+import { isEventCancelled, logAndMapEvents, scheduleRowId, isEventInFuture, parseScheduleDateParts } from "./utils.js";
+import {
+  addDeletionsToPlan,
+  addSyncResultToPlan,
+  createSourcePlan,
+  formatPlanLogLine
+} from "./sync-plan.js";
+import {
+  addWarningsToReport,
+  createSourceReport,
+  markSourceSkipped,
+  recordSourceSync
+} from "./sync-report.js";
+import { collectShiftChanges, notifyShiftChanges } from "./notifications.js";
+
+/**
+ * Store, parse and sync the messages of an SMS source (sms-sources.js). Each source
+ * has its own in-flight sync and last good schedule.
+ */
+
+/** @type {Map<string, Promise<SmsSyncResult>>} */
+const syncInFlight = new Map();
+/** @type {Map<string, { snapshotKey: string; googleEvents: ReturnType<typeof logAndMapEvents> }>} */
+const lastSuccessfulSchedule = new Map();
+
+function messageSnapshotKey(messages) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify(
+        messages.map((message) => ({
+          messageId: message.messageId || "",
+          text: message.text || "",
+          receivedAt: message.receivedAt?.toISOString?.() || message.receivedAt || null
+        }))
+      )
+    )
+    .digest("hex");
+}
+
+/**
+ * @typedef {{
+ *   parsed: number;
+ *   synced: number;
+ *   warnings: import("./iatse927-validation.js").ValidationWarning[];
+ *   plan?: import("./sync-plan.js").SourcePlan;
+ *   report: import("./sync-report.js").SourceReport;
+ *   entries: import("./sources/types.js").ScheduleEntry[];
+ *   changes: import("./notifications.js").ShiftChange[];
+ * }} SmsSyncResult
+ */
+
+/**
+ * @typedef {(events: ReturnType<typeof logAndMapEvents>) => ReturnType<typeof logAndMapEvents>} SmsEventsHook
+ */
+
+/**
+ * @param {import("./sms-sources.js").SmsSource} smsSource
+ * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
+ * @param {{ dryRun?: boolean; beforeCalendarSync?: SmsEventsHook }} [options]
+ *   dryRun: return the calendar plan without writing.
+ *   beforeCalendarSync: sees the mapped events before they're synced and returns the ones to write
+ * @returns {Promise<SmsSyncResult>}
+ */
+async function syncSmsSourceFromMessagesInternal(smsSource, messages, options = {}) {
+  const { sourceId } = smsSource;
+  const dryRun = options.dryRun === true;
+  const report = createSourceReport(sourceId);
+  const fetchStartedAt = Date.now();
+  console.log(`🌐 Fetching schedule from ${sourceId}...`);
+  const { entries, warnings } = await resolveScheduleEntriesWithValidation(messages, smsExtractionProfile(smsSource));
+  report.durations.fetchMs = Date.now() - fetchStartedAt;
+  const validEntries = entries.filter((entry) => !isEventCancelled(entry));
+  const cancelledEntries = entries.filter((entry) => isEventCancelled(entry));
+  report.fetched = entries.length;
+  report.cancelled = cancelledEntries.length;
+  addWarningsToReport(report, warnings);
+  // Map entries to Google events filtering strictly by current time to avoid
+  // re-syncing past events that were referenced in old messages.
+  const googleEvents = logAndMapEvents(entries, sourceId, {
+    futureOnly: true,
+    timezone: getSourceTimezone(sourceId)
+  });
+  const snapshotKey = messageSnapshotKey(messages);
+  const lastSchedule = lastSuccessfulSchedule.get(sourceId);
+  const cachedSchedule = lastSchedule?.snapshotKey === snapshotKey ? lastSchedule.googleEvents : null;
+  const eventsToSync = googleEvents.length > 0 ? googleEvents : cachedSchedule || [];
+  if (googleEvents.length === 0 && cachedSchedule) {
+    console.warn(`No events parsed; reusing the last successful ${smsSource.label} schedule for this message snapshot.`);
+  }
+
+  // Active row ids must reflect the events we're actually syncing (future events).
+  const activeRowIds = eventsToSync.map((e) => e.rowId);
+  const cancelledRowIds = cancelledEntries.map((entry) => scheduleRowId({ ...entry, source: sourceId }));
+  // The hook returns copies, so the cached schedule stays as parsed
+  const calendarEvents = options.beforeCalendarSync ? options.beforeCalendarSync(eventsToSync) : eventsToSync;
+
+  // Nothing upcoming to sync (no messages, or all parsed events are in the past).
+  // Skip auth/purge to avoid touching the calendar when there's nothing to sync.
+  const syncStartedAt = Date.now();
+  if (eventsToSync.length === 0) {
+    console.warn("No currently scheduled events.");
+    markSourceSkipped(report, "no upcoming events to sync");
+    const auth = await authorize();
+    if (dryRun) {
+      const plan = createSourcePlan(sourceId);
+      await withAuthRetry(auth, async (a) => {
+        const deletions = await listDuplicateSourceEvents(a, sourceId);
+        addDeletionsToPlan(plan, deletions);
+        recordSourceSync(report, { deletions });
+        return a;
+      });
+      report.durations.syncMs = Date.now() - syncStartedAt;
+      console.log(formatPlanLogLine(plan));
+      return { parsed: entries.length, synced: 0, warnings, plan, report, entries, changes: [] };
+    }
+    await withAuthRetry(auth, async (a) => {
+      await consolidateDuplicateSourceEvents(a, sourceId);
+      return a;
+    });
+    report.durations.syncMs = Date.now() - syncStartedAt;
+    return { parsed: entries.length, synced: 0, warnings, report, entries, changes: [] };
+  }
+
+  const auth = await authorize();
+  let plan = createSourcePlan(sourceId);
+  /** @type {Parameters<typeof recordSourceSync>[1]} */
+  let outcome = {};
+  await withAuthRetry(auth, async (a) => {
+    plan = createSourcePlan(sourceId);
+    outcome = { deletions: [], syncResults: [], writes: dryRun ? null : [] };
+    const session = await openSourceSync(a, sourceId, { dryRun });
+    outcome.deletions.push(...session.purgeOrphaned(activeRowIds, { cancelledRowIds }));
+    addDeletionsToPlan(plan, outcome.deletions);
+    for (const event of calendarEvents) {
+      outcome.syncResults.push(await session.sync(event));
+    }
+    for (const result of outcome.syncResults) addSyncResultToPlan(plan, result);
+
+    const writes = await session.flush();
+    const failed = writes.find((write) => write.action === "error");
+    if (failed) {
+      throw failed.error || new Error(`Failed to sync ${smsSource.label} event ${failed.rowId}`);
+    }
+    if (!dryRun) outcome.writes.push(...writes);
+    return a;
+  });
+  recordSourceSync(report, outcome);
+  report.durations.syncMs = Date.now() - syncStartedAt;
+
+  if (dryRun) {
+    console.log(formatPlanLogLine(plan));
+    return { parsed: entries.length, synced: eventsToSync.length, warnings, plan, report, entries, changes: [] };
+  }
+
+  lastSuccessfulSchedule.set(sourceId, { snapshotKey, googleEvents: eventsToSync });
+
+  return {
+    parsed: entries.length,
+    synced: eventsToSync.length,
+    warnings,
+    report,
+    entries,
+    changes: collectShiftChanges(sourceId, outcome)
+  };
+}
+
+/**
+ * @param {string} sourceId - an SMS source (sms-sources.js)
+ * @param {{ text: string; receivedAt?: Date | null; messageId?: string }[]} messages
+ * @param {{ dryRun?: boolean; beforeCalendarSync?: SmsEventsHook }} [options]
+ * @returns {Promise<SmsSyncResult>}
+ */
+export function syncSmsSourceFromMessages(sourceId, messages, options = {}) {
+  const smsSource = getSmsSource(sourceId);
+  // A dry run never writes, so it neither joins nor blocks a real in-flight sync.
+  if (options.dryRun) return syncSmsSourceFromMessagesInternal(smsSource, messages, options);
+  const inFlight = syncInFlight.get(smsSource.sourceId);
+  if (inFlight) return inFlight;
+
+  const sync = syncSmsSourceFromMessagesInternal(smsSource, messages, options).finally(() => {
+    syncInFlight.delete(smsSource.sourceId);
+  });
+  syncInFlight.set(smsSource.sourceId, sync);
+  return sync;
+}
+
+/**
+ * @param {string} sourceId - an SMS source (sms-sources.js)
+ * @returns {Promise<SmsSyncResult>}
+ */
+export async function resyncSmsSourceFromStore(sourceId) {
+  const { collection } = getSmsSource(sourceId);
+  const messages = await loadAllMessages({ collection });
+  if (messages.length === 0) {
+    throw new Error("No messages in Firestore");
+  }
+  return syncSmsSourceFromMessages(sourceId, messages);
+}
+
+/**
+ * Sync an SMS source from Firestore when configured; skip gracefully otherwise.
+ * @param {string} sourceId - an SMS source (sms-sources.js)
+ * @param {{ dryRun?: boolean; onSkip?: (reason: string) => void; beforeCalendarSync?: SmsEventsHook }} [options]
+ *   onSkip gets the reason whenever null is returned; the rest is as for syncSmsSourceFromMessages
+ * @returns {Promise<SmsSyncResult | null>}
+ */
+export async function trySyncSmsSourceFromStore(sourceId, options = {}) {
+  const { collection } = getSmsSource(sourceId);
+  const { onSkip, ...syncOptions } = options;
+  /** @param {string} reason */
+  const skip = (reason) => {
+    console.warn(`⚠️  Skipping ${sourceId}: ${reason}`);
+    onSkip?.(reason);
+    return null;
+  };
+
+  if (!process.env.GEMINI_API_KEY?.trim()) {
+    return skip("GEMINI_API_KEY not configured");
+  }
+
+  let messages;
+  try {
+    messages = await loadAllMessages({ collection });
+  } catch (err) {
+    if (isFirestoreNotFoundError(err)) {
+      return skip("Firestore database not found");
+    }
+    if (isFirestoreCredentialsError(err)) {
+      return skip(`Firestore credentials not available (${err instanceof Error ? err.message : err})`);
+    }
+    if (isFirestoreProjectIdError(err)) {
+      return skip(`Firestore project ID not configured (${err instanceof Error ? err.message : err})`);
+    }
+    throw err;
+  }
+
+  if (messages.length === 0) {
+    return skip("no messages in Firestore");
+  }
+
+  try {
+    return await syncSmsSourceFromMessages(sourceId, messages, syncOptions);
+  } catch (err) {
+    if (isGeminiUnavailableError(err)) {
+      const detail = err instanceof Error ? err.message : String(err);
+      return skip(`Gemini unavailable (${detail})`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Store one SMS in the source's Firestore collection (fast path — no Gemini/calendar).
+ * @param {string} sourceId - an SMS source (sms-sources.js)
+ * @param {{ text?: string; messageId?: string }} body
+ * @returns {Promise<{ stored: boolean; id: string }>}
+ */
+export async function storeSmsMessage(sourceId, body) {
+  const { collection } = getSmsSource(sourceId);
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (!text) {
+    throw new Error("Ingest requires non-empty text");
+  }
+
+  const messageId =
+    typeof body.messageId === "string" ? body.messageId.trim() : undefined;
+
+  try {
+    const { appended, id } = await appendMessage(text, { messageId, collection });
+    console.log(`ℹ️  [${sourceId}] Message stored: appended=${appended}, id=${id}`);
+    return { stored: appended, id };
+  } catch (err) {
+    if (isFirestoreNotFoundError(err)) {
+      throw new Error(
+        "Firestore database not found. Create a Firestore Native database in this GCP project (e.g. us-central1), then retry."
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Re-parse the source's Firestore messages and sync calendar (run after ingest response is sent).
+ * @param {string} sourceId - an SMS source (sms-sources.js)
+ * @returns {Promise<SmsSyncResult | null>}
+ */
+export async function syncSmsSourceAfterIngest(sourceId) {
+  const result = await trySyncSmsSourceFromStore(sourceId);
+  if (result) await notifyShiftChanges(result.changes);
+  return result;
+}
@@ -0,0 +1,315 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  SAMPLE_REMINDER_SMS,
+  SAMPLE_CONFIRMATION_SMS
+} from "./sources/iatse927-fixtures.js";
+
+vi.mock("./message-store.js", () => ({
+  appendMessage: vi.fn(async () => ({ appended: true, id: "doc1" })),
+  loadAllMessages: vi.fn(async () => [
+    { text: SAMPLE_CONFIRMATION_SMS, receivedAt: new Date("2026-06-01"), messageId: "m1" },
+    { text: SAMPLE_REMINDER_SMS, receivedAt: new Date("2026-06-02"), messageId: "m2" }
+  ])
+}));
+
+const futureDate = new Date();
+futureDate.setDate(futureDate.getDate() + 30);
+const mockEntryDate = `${futureDate.getMonth() + 1}/${futureDate.getDate()}/${futureDate.getFullYear()}`;
+
+const mockEntry = {
+  source: "iatse927",
+  date: mockEntryDate,
+  callTime: "10:30",
+  show: "Charlie Puth",
+  venue: "Chastain Amphitheater",
+  location: "4469 Stella Dr Atlanta Georgia 30342",
+  position: "",
+  type: "Load In",
+  status: "confirmed",
+  evidenceIndices: [0, 1]
+};
+
+vi.mock("./iatse927-gemini.js", async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    resolveScheduleEntriesWithValidation: vi.fn(async () => ({
+      entries: [mockEntry],
+      warnings: []
+    }))
+  };
+});
+
+vi.mock("./google-calendar/auth.js", () => ({
+  authorize: vi.fn(async () => ({}))
+}));
+
+const { sourceSync } = vi.hoisted(() => ({
+  sourceSync: {
+    purgeOrphaned: vi.fn(() => []),
+    sync: vi.fn(async () => ({ action: "created", queued: true })),
+    flush: vi.fn(async () => [])
+  }
+}));
+
+vi.mock("./google-calendar/add-event.js", () => ({
+  openSourceSync: vi.fn(async () => sourceSync),
+  consolidateDuplicateSourceEvents: vi.fn(async () => 0),
+  listDuplicateSourceEvents: vi.fn(async () => []),
+  eventKindFromRowId: vi.fn(() => undefined)
+}));
+
+vi.mock("./auth-handler.js", () => ({
+  withAuthRetry: vi.fn(async (_auth, fn) => fn({}))
+}));
+
+import { storeSmsMessage, trySyncSmsSourceFromStore } from "./sms-source-sync.js";
+import { ingestIatse927, trySyncIatse927FromStore, syncIatse927FromMessages } from "./ingest-iatse927.js";
+import { smsSources } from "./sms-sources.js";
+import { openSourceSync, consolidateDuplicateSourceEvents } from "./google-calendar/add-event.js";
+import { appendMessage, loadAllMessages } from "./message-store.js";
+import { resolveScheduleEntriesWithValidation } from "./iatse927-gemini.js";
+
+describe("ingestIatse927", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("rejects empty text", async () => {
+    await expect(ingestIatse927({ text: "" })).rejects.toThrow(/non-empty text/);
+  });
+
+  it("stores message in Firestore without running Gemini or calendar sync", async () => {
+    const result = await ingestIatse927({
+      text: SAMPLE_REMINDER_SMS
+    });
+
+    expect(appendMessage).toHaveBeenCalledWith(SAMPLE_REMINDER_SMS, { collection: "iatse927_messages" });
+    expect(resolveScheduleEntriesWithValidation).not.toHaveBeenCalled();
+    expect(openSourceSync).not.toHaveBeenCalled();
+    expect(sourceSync.sync).not.toHaveBeenCalled();
+    expect(result.stored).toBe(true);
+    expect(result.id).toBe("doc1");
+  });
+});
+
+describe("trySyncIatse927FromStore", () => {
+  const originalKey = process.env.GEMINI_API_KEY;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.GEMINI_API_KEY = "test-key";
+  });
+
+  afterEach(() => {
+    if (originalKey === undefined) delete process.env.GEMINI_API_KEY;
+    else process.env.GEMINI_API_KEY = originalKey;
+  });
+
+  it("returns null when GEMINI_API_KEY is missing", async () => {
+    delete process.env.GEMINI_API_KEY;
+    const result = await trySyncIatse927FromStore();
+    expect(result).toBeNull();
+  });
+
+  it("returns null when Firestore has no messages", async () => {
+    vi.mocked(loadAllMessages).mockResolvedValueOnce([]);
+    const result = await trySyncIatse927FromStore();
+    expect(result).toBeNull();
+  });
+
+  it("reports why it skipped through onSkip", async () => {
+    delete process.env.GEMINI_API_KEY;
+    const onSkip = vi.fn();
+
+    await trySyncIatse927FromStore({ onSkip });
+
+    expect(onSkip).toHaveBeenCalledWith("GEMINI_API_KEY not configured");
+  });
+
+  it("syncs when configured and messages exist", async () => {
+    const result = await trySyncIatse927FromStore();
+    expect(result?.synced).toBe(1);
+    expect(openSourceSync).toHaveBeenCalledWith(expect.anything(), "iatse927", expect.anything());
+    expect(sourceSync.purgeOrphaned).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ cancelledRowIds: expect.any(Array) })
+    );
+    expect(sourceSync.flush).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns null when Gemini is unavailable", async () => {
+    vi.mocked(resolveScheduleEntriesWithValidation).mockRejectedValueOnce(
+      Object.assign(new Error("quota depleted"), { status: 429 })
+    );
+    const result = await trySyncIatse927FromStore();
+    expect(result).toBeNull();
+  });
+});
+
+describe("syncIatse927FromMessages", () => {
+  beforeEach(() => {
+    resolveScheduleEntriesWithValidation.mockClear();
+    openSourceSync.mockClear();
+    sourceSync.purgeOrphaned.mockClear();
+    sourceSync.sync.mockClear();
+    sourceSync.flush.mockClear();
+    consolidateDuplicateSourceEvents.mockClear();
+  });
+
+  it("shares an in-flight sync when called concurrently", async () => {
+    const resultOne = syncIatse927FromMessages([{ text: "same message" }]);
+    const resultTwo = syncIatse927FromMessages([{ text: "same message" }]);
+
+    expect(resultOne).toBe(resultTwo);
+    await Promise.all([resultOne, resultTwo]);
+    expect(resolveScheduleEntriesWithValidation).toHaveBeenCalledTimes(1);
+  });
+
+  it("consolidates existing calendar duplicates when no future rows are parsed", async () => {
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({ entries: [], warnings: [] });
+
+    const result = await syncIatse927FromMessages([{ text: "Confirmed Lakewood 8/22 8AM and 8/23 6PM" }]);
+
+    expect(result.synced).toBe(0);
+    expect(consolidateDuplicateSourceEvents).toHaveBeenCalledWith({}, "iatse927");
+  });
+
+  it("writes both events when two future rows are parsed", async () => {
+    const firstEvent = { ...mockEntry, date: mockEntryDate, callTime: "08:00" };
+    const secondEvent = { ...mockEntry, date: mockEntryDate, callTime: "18:00", type: "Load Out" };
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({
+      entries: [firstEvent, secondEvent],
+      warnings: []
+    });
+    const result = await syncIatse927FromMessages([{ text: "two confirmed events" }]);
+
+    expect(result.synced).toBe(2);
+    expect(sourceSync.sync).toHaveBeenCalledTimes(2);
+    expect(sourceSync.flush).toHaveBeenCalledTimes(1);
+  });
+
+  it("dry run returns the calendar plan from a dry-run calendar session", async () => {
+    sourceSync.purgeOrphaned.mockReturnValueOnce([
+      { eventId: "evt-old", rowId: "old-row", summary: "Old", start: null, reason: "cancelled" }
+    ]);
+    sourceSync.sync.mockResolvedValueOnce({
+      action: "created",
+      dryRun: true,
+      eventId: "evt-new",
+      rowId: "new-row",
+      summary: "10am Charlie Puth",
+      start: "2026-06-01T10:00:00"
+    });
+
+    const result = await syncIatse927FromMessages([{ text: "dry run" }], { dryRun: true });
+
+    expect(openSourceSync).toHaveBeenCalledWith(expect.anything(), "iatse927", expect.objectContaining({ dryRun: true }));
+    expect(result.plan.creates).toHaveLength(1);
+    expect(result.plan.deletes).toEqual([expect.objectContaining({ eventId: "evt-old", reason: "cancelled" })]);
+    expect(result.report.created).toEqual([{ eventId: "evt-new", rowId: "new-row" }]);
+    expect(result.report.deleted).toEqual([{ eventId: "evt-old", rowId: "old-row", reason: "cancelled" }]);
+  });
+
+  it("reports fetched rows, validation warnings and flushed writes", async () => {
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({
+      entries: [mockEntry, { ...mockEntry, callTime: "18:00", status: "cancelled" }],
+      warnings: [{ code: "MISSING_SHOW", message: "Missing show name" }]
+    });
+    sourceSync.flush.mockResolvedValueOnce([{ action: "created", eventId: "evt-1", rowId: "row-1" }]);
+
+    const { report } = await syncIatse927FromMessages([{ text: "report" }]);
+
+    expect(report).toMatchObject({ source: "iatse927", status: "synced", fetched: 2, cancelled: 1 });
+    expect(report.warnings).toEqual([{ code: "MISSING_SHOW", message: "Missing show name" }]);
+    expect(report.created).toEqual([{ eventId: "evt-1", rowId: "row-1" }]);
+  });
+
+  it("syncs the events the beforeCalendarSync hook returns", async () => {
+    const beforeCalendarSync = vi.fn((events) => events.map((event) => ({ ...event, summary: `CONFLICT => ${event.summary}` })));
+
+    await syncIatse927FromMessages([{ text: "hooked" }], { dryRun: true, beforeCalendarSync });
+
+    expect(beforeCalendarSync).toHaveBeenCalledWith([expect.objectContaining({ source: "iatse927" })]);
+    expect(sourceSync.sync).toHaveBeenCalledWith(expect.objectContaining({ summary: expect.stringMatching(/^CONFLICT => /) }));
+  });
+
+  it("fails the sync when a calendar write fails", async () => {
+    sourceSync.flush.mockResolvedValueOnce([
+      { action: "error", eventId: "evt", rowId: "row", error: new Error("calendar unavailable") }
+    ]);
+
+    await expect(syncIatse927FromMessages([{ text: "confirmed event" }])).rejects.toThrow(
+      "calendar unavailable"
+    );
+  });
+
+  it("reuses the prior successful schedule when the same snapshot parses empty", async () => {
+    const messages = [{ text: "same snapshot", messageId: "same-snapshot" }];
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({
+      entries: [mockEntry],
+      warnings: []
+    });
+    await syncIatse927FromMessages(messages);
+
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({ entries: [], warnings: [] });
+    sourceSync.sync.mockClear();
+    const result = await syncIatse927FromMessages(messages);
+
+    expect(result.synced).toBe(1);
+    expect(sourceSync.sync).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("SMS sources", () => {
+  const originalKey = process.env.GEMINI_API_KEY;
+  const local479Guide = { eventModel: "Local 479 texts list each call on its own line." };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.GEMINI_API_KEY = "test-key";
+    smsSources.iatse479 = {
+      sourceId: "iatse479",
+      label: "IATSE 479",
+      allowedPhonesEnv: "IATSE479_ALLOWED_PHONE",
+      collection: "iatse479_messages",
+      domainGuide: local479Guide
+    };
+  });
+
+  afterEach(() => {
+    delete smsSources.iatse479;
+    if (originalKey === undefined) delete process.env.GEMINI_API_KEY;
+    else process.env.GEMINI_API_KEY = originalKey;
+  });
+
+  it("stores each source's messages in its own collection", async () => {
+    await storeSmsMessage("iatse479", { text: "Confirmed 9/12 7AM Mercedes-Benz Stadium", messageId: "sms-1" });
+
+    expect(appendMessage).toHaveBeenCalledWith("Confirmed 9/12 7AM Mercedes-Benz Stadium", {
+      messageId: "sms-1",
+      collection: "iatse479_messages"
+    });
+  });
+
+  it("parses a source's messages with its domain guide and syncs them under its id", async () => {
+    resolveScheduleEntriesWithValidation.mockResolvedValueOnce({
+      entries: [{ ...mockEntry, source: "iatse479" }],
+      warnings: []
+    });
+
+    const result = await trySyncSmsSourceFromStore("iatse479");
+
+    expect(loadAllMessages).toHaveBeenCalledWith({ collection: "iatse479_messages" });
+    expect(resolveScheduleEntriesWithValidation).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ sourceId: "iatse479", domainGuide: local479Guide })
+    );
+    expect(openSourceSync).toHaveBeenCalledWith(expect.anything(), "iatse479", expect.anything());
+    expect(result?.report.source).toBe("iatse479");
+  });
+
+  it("rejects a source no entry declares", async () => {
+    await expect(storeSmsMessage("iatse000", { text: "hi" })).rejects.toThrow("Unknown SMS source: iatse000");
+  });
+});
@@ -0,0 +1,55 @@
+import { DOMAIN_GUIDE } from "./iatse927-message-context.js";
+
+/**
+ * Schedule sources fed by forwarded SMS (POST /ingest/<sourceId>): each local's
+ * dispatch texts are stored in a collection of their own and read by Gemini with
+ * that local's examples. The calls sync as `sourceId`, so a source module in
+ * sources/index.js (titles, descriptions) is optional. Adding a local is one entry
+ * here plus its allowed-phone env var.
+ */
+
+/**
+ * @typedef {Object} SmsSource
+ * @property {string} sourceId
+ * @property {string} label - name in logs and ingest responses, e.g. "IATSE 927"
+ * @property {string} allowedPhonesEnv - env var listing the phones allowed to ingest,
+ *   separated by commas or semicolons
+ * @property {string} collection - Firestore collection of the stored messages
+ * @property {Record<string, unknown>} domainGuide - the local's real examples, sent to Gemini
+ */
+
+/** @type {Record<string, SmsSource>} */
+export const smsSources = {
+  iatse927: {
+    sourceId: "iatse927",
+    label: "IATSE 927",
+    allowedPhonesEnv: "IATSE_ALLOWED_PHONE",
+    collection: "iatse927_messages",
+    domainGuide: DOMAIN_GUIDE
+  }
+};
+
+/**
+ * The SMS source, or null for an id no entry declares. Ids from URLs are matched
+ * without regard to case.
+ * @param {string | null | undefined} id
+ * @returns {SmsSource | null}
+ */
+export function findSmsSource(id) {
+  if (!id) return null;
+  if (smsSources[id]) return smsSources[id];
+  const lower = id.toLowerCase();
+  return Object.values(smsSources).find((source) => source.sourceId.toLowerCase() === lower) || null;
+}
+
+/**
+ * @param {string} id
+ * @returns {SmsSource}
+ */
+export function getSmsSource(id) {
+  const source = findSmsSource(id);
+  if (!source) {
+    throw new Error(`Unknown SMS source: ${id}. Known: ${Object.keys(smsSources).join(", ")}`);
+  }
+  return source;
+}
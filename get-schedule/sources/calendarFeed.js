@@ -0,0 +1,180 @@
+import { defaultScheduleRowId } from "../schedule-helpers.js";
+import { expandIcsRecurrences, icsEventToScheduleEntry, parseIcs, parseIcsCalendarName } from "../ics-parser.js";
+import { missingSourceCredentials, readSourceCredentials } from "./credentials.js";
+import { DEFAULT_TIMEZONE } from "./types.js";
+
+/**
+ * Employers that publish a plain ICS (webcal) link instead of a portal. Every
+ * configured feed is downloaded over HTTP, no browser, and each VEVENT becomes a
+ * call; the UID is its identity, so a call moved to another day updates in place.
+ * A recurring VEVENT becomes one call per occurrence in the sync window, the
+ * occurrences after the first keyed by UID and original start.
+ */
+
+export const sourceId = "calendarFeed";
+export const timezone = DEFAULT_TIMEZONE;
+
+const FETCH_TIMEOUT_MS = 30_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Recurring events are expanded from this far back... */
+const RECURRENCE_LOOKBACK_DAYS = 31;
+/** ...to this far ahead */
+const RECURRENCE_HORIZON_DAYS = 366;
+
+/**
+ * Feed URLs are kept with the credentials: subscription links usually carry a
+ * private token.
+ * @type {Record<string, import("./types.js").CredentialField>}
+ */
+export const credentials = {
+  urls: { env: "CALENDAR_FEED_URLS" }
+};
+
+/** @returns {string[]} */
+export function missingCredentialEnvVars() {
+  return missingSourceCredentials({ sourceId, credentials });
+}
+
+/** @returns {{ urls: string } | null} */
+export function getCredentials() {
+  const creds = readSourceCredentials({ sourceId, credentials });
+  return creds && { urls: creds.urls };
+}
+
+/**
+ * A feed lists every call it has, and fetchEntries fails unless every feed was
+ * read, so a call that's no longer in it was taken off the schedule.
+ */
+export const completeSnapshot = true;
+
+/** Feeds may drop worked calls; those stay on the calendar */
+export const keepPastEvents = true;
+
+/** Each feed is one employer's, named as the entries' client */
+export const clientIsEmployer = true;
+
+/**
+ * The VEVENT UID, which survives edits to the time, title and location. Events
+ * without one fall back to the usual date | call time | show | venue identity.
+ * @param {import("./types.js").ScheduleEntry} entry
+ */
+export function rowId(entry) {
+  if (entry.uid) return `uid:${entry.uid}`;
+  return defaultScheduleRowId(entry);
+}
+
+/**
+ * Feed URLs from CALENDAR_FEED_URLS (comma or whitespace separated); webcal:// is
+ * fetched as https://.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function parseCalendarFeedUrls(raw) {
+  return String(raw || "")
+    .split(/[\s,]+/)
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => url.replace(/^webcals?:\/\//i, "https://"));
+}
+
+/**
+ * Entry for one VEVENT of a feed (icsEventToScheduleEntry in the source's zone).
+ * Cancelled and tentative events are kept with their status, so a cancellation
+ * removes the calendar event.
+ * @param {import("../ics-parser.js").IcsEvent} ev
+ * @param {string} client - employer the feed belongs to
+ * @returns {import("./types.js").ScheduleEntry | null}
+ */
+export function calendarFeedEntryFromIcsEvent(ev, client) {
+  return icsEventToScheduleEntry(ev, { source: sourceId, timezone, client });
+}
+
+/**
+ * Entries of one feed's ICS text, recurring events expanded to their occurrences
+ * from a month before now to a year after. A UID that still repeats (two feeds
+ * sharing one) gets its start appended after the first, so each call keeps a row
+ * id of its own.
+ * @param {string} icsText
+ * @param {{ client?: string; seenUids?: Set<string>; now?: Date }} [options] - client
+ *   defaults to the calendar's name; seenUids carries UIDs across the feeds of one fetch
+ * @returns {import("./types.js").ScheduleEntry[]}
+ */
+export function calendarFeedEntriesFromIcs(icsText, options = {}) {
+  const client = options.client ?? parseIcsCalendarName(icsText);
+  const seenUids = options.seenUids || new Set();
+  const now = (options.now || new Date()).getTime();
+  const events = expandIcsRecurrences(parseIcs(icsText), {
+    from: now - RECURRENCE_LOOKBACK_DAYS * DAY_MS,
+    to: now + RECURRENCE_HORIZON_DAYS * DAY_MS,
+    timezone
+  });
+  /** @type {import("./types.js").ScheduleEntry[]} */
+  const entries = [];
+
+  for (const ev of events) {
+    const entry = calendarFeedEntryFromIcsEvent(ev, client);
+    if (!entry) continue;
+    if (entry.uid) {
+      if (seenUids.has(entry.uid)) entry.uid = `${entry.uid}@${entry.date} ${entry.callTime}`;
+      seenUids.add(entry.uid);
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Download one feed. Anything but a calendar with events (an error page, a login
+ * redirect, an empty VCALENDAR) throws, since reading it as empty would remove every
+ * call of the feed.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+async function downloadCalendarFeed(url) {
+  const res = await fetch(url, {
+    headers: { Accept: "text/calendar, */*;q=0.5" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    throw new Error(`Calendar feed ${new URL(url).host} returned HTTP ${res.status}`);
+  }
+  const text = await res.text();
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error(`Calendar feed ${new URL(url).host} did not return a calendar`);
+  }
+  if (!/^BEGIN:VEVENT/im.test(text)) {
+    throw new Error(`Calendar feed ${new URL(url).host} returned a calendar without events`);
+  }
+  return text;
+}
+
+/**
+ * Every call in the configured feeds. Fails when any feed can't be read, so a
+ * partial fetch is never taken for a complete snapshot.
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function fetchEntries() {
+  const creds = getCredentials();
+  if (!creds) {
+    throw new Error(`Missing ${missingCredentialEnvVars().join(", ")}`);
+  }
+
+  const urls = parseCalendarFeedUrls(creds.urls);
+  if (urls.length === 0) {
+    throw new Error("CALENDAR_FEED_URLS lists no feed URLs");
+  }
+
+  const seenUids = new Set();
+  /** @type {import("./types.js").ScheduleEntry[]} */
+  const entries = [];
+  for (const url of urls) {
+    const icsText = await downloadCalendarFeed(url);
+    const feedEntries = calendarFeedEntriesFromIcs(icsText, {
+      client: parseIcsCalendarName(icsText) || new URL(url).hostname,
+      seenUids
+    });
+    console.log(`📅 [${sourceId}] ${new URL(url).host}: ${feedEntries.length} calls`);
+    entries.push(...feedEntries);
+  }
+  return entries;
+}
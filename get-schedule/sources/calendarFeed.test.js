@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  calendarFeedEntriesFromIcs,
+  fetchEntries,
+  parseCalendarFeedUrls,
+  rowId
+} from "./calendarFeed.js";
+import { logAndMapEvents, scheduleRowId } from "../utils.js";
+import { createMemoryCalendarBackend } from "../google-calendar/backends/index.js";
+import { openSourceSync } from "../google-calendar/add-event.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+/** @param {string} name */
+const readFixture = (name) => fs.readFile(path.join(FIXTURES_DIR, name), "utf8");
+
+/**
+ * fetch that serves fixture files by URL path, like a calendar host would.
+ * @param {Record<string, string | number>} routes - path -> fixture name or HTTP status
+ */
+function fixtureFetch(routes) {
+  return vi.fn(async (url) => {
+    const route = routes[new URL(url).pathname];
+    if (typeof route === "number") return new Response("unavailable", { status: route });
+    if (!route) return new Response("not found", { status: 404 });
+    if (!route.endsWith(".ics")) return new Response(route, { status: 200 });
+    return new Response(await readFixture(route), { status: 200, headers: { "Content-Type": "text/calendar" } });
+  });
+}
+
+describe("calendarFeed", () => {
+  const original = process.env.CALENDAR_FEED_URLS;
+  const now = new Date("2026-10-18T12:00:00Z");
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+    if (original === undefined) {
+      delete process.env.CALENDAR_FEED_URLS;
+    } else {
+      process.env.CALENDAR_FEED_URLS = original;
+    }
+  });
+
+  it("maps each timed VEVENT to an entry keyed by its UID", async () => {
+    const entries = calendarFeedEntriesFromIcs(await readFixture("calendar-feed-stagehands.ics"));
+
+    expect(entries.map((entry) => [entry.date, entry.callTime, entry.endTime, entry.show, entry.status])).toEqual([
+      ["11/7/2026", "08:00", "16:00", "Symphony Hall Load In", "confirmed"],
+      ["11/8/2026", "18:00", "22:00", "Symphony Hall Load Out", "tentative"],
+      ["11/14/2026", "07:00", "15:00", "Nashville Expo Build", "confirmed"],
+      ["11/20/2026", "09:00", undefined, "Arena Rehearsal", "cancelled"]
+    ]);
+    expect(entries[0]).toMatchObject({
+      source: "calendarFeed",
+      venue: "Fox Theatre",
+      location: "660 Peachtree St NE, Atlanta, GA",
+      client: "Peachtree Stagehands",
+      details: "Stagehand\nBring gloves",
+      isCallCancelled: false
+    });
+    expect(entries[2].timezone).toBe("America/Chicago");
+    expect(entries[3].isCallCancelled).toBe(true);
+    expect(scheduleRowId(entries[0])).toBe("uid:call-4411@peachtreestagehands.example");
+  });
+
+  it("expands a weekly RRULE to one call per occurrence, with the override in its occurrence's place", async () => {
+    const entries = calendarFeedEntriesFromIcs(await readFixture("calendar-feed-weekly.ics"), { client: "Alliance", now });
+
+    expect(entries.map((entry) => [entry.date, entry.callTime, entry.endTime, entry.show])).toEqual([
+      ["11/5/2026", "18:30", "23:00", "Thursday Show Spot Op"],
+      ["11/12/2026", "17:00", "23:00", "Thursday Show Spot Op (early call)"],
+      ["11/19/2026", "18:30", "23:00", "Thursday Show Spot Op"],
+      ["11/26/2026", "18:30", "23:00", "Thursday Show Spot Op"],
+      ["11/10/2026", "10:00", undefined, "Lobby Setup"]
+    ]);
+    // Occurrences after the first are keyed by their original start; events without a UID get the usual id
+    expect(entries.map((entry) => rowId(entry))).toEqual([
+      "uid:weekly-spot@theatre.example",
+      "uid:weekly-spot@theatre.example@11/12/2026 18:30",
+      "uid:weekly-spot@theatre.example@11/19/2026 18:30",
+      "uid:weekly-spot@theatre.example@11/26/2026 18:30",
+      "11/10/2026 | 10:00 | Lobby Setup | Alliance Theatre |  | "
+    ]);
+    expect(entries.every((entry) => entry.client === "Alliance")).toBe(true);
+
+    // Only occurrences from a month back to a year ahead are listed
+    const later = calendarFeedEntriesFromIcs(await readFixture("calendar-feed-weekly.ics"), {
+      now: new Date("2026-12-25T12:00:00Z")
+    });
+    expect(later.map((entry) => entry.date)).toEqual(["11/26/2026", "11/10/2026"]);
+  });
+
+  it("leaves out the occurrences an EXDATE removes", async () => {
+    const feed = (await readFixture("calendar-feed-weekly.ics")).replace(
+      "RRULE:FREQ=WEEKLY;COUNT=4\r\n",
+      "RRULE:FREQ=WEEKLY;COUNT=4\r\nEXDATE:20261119T233000Z\r\n"
+    );
+
+    expect(calendarFeedEntriesFromIcs(feed, { now }).map((entry) => entry.date)).toEqual([
+      "11/5/2026",
+      "11/12/2026",
+      "11/26/2026",
+      "11/10/2026"
+    ]);
+  });
+
+  it("moves an overridden occurrence in place when the override moves it again", async () => {
+    vi.useFakeTimers({ now, toFake: ["Date"] });
+    const backend = createMemoryCalendarBackend();
+    const sync = async (icsText) => {
+      const session = await openSourceSync(backend, "calendarFeed");
+      const results = [];
+      for (const event of logAndMapEvents(calendarFeedEntriesFromIcs(icsText), "calendarFeed")) {
+        results.push(await session.sync(event));
+      }
+      await session.flush();
+      return results.map((result) => result.action);
+    };
+    const feed = await readFixture("calendar-feed-weekly.ics");
+    await sync(feed);
+    const early = backend.snapshot().find((event) => event.summary.endsWith("(early call)"));
+
+    const moved = feed.replace("DTSTART;TZID=America/New_York:20261112T170000", "DTSTART;TZID=America/New_York:20261113T090000");
+    expect(await sync(moved)).toEqual(["unchanged", "updated", "unchanged", "unchanged", "unchanged"]);
+    expect(backend.snapshot()).toHaveLength(5);
+    expect(backend.snapshot().find((event) => event.id === early.id).start.dateTime).toMatch(/^2026-11-13T/);
+  });
+
+  it("reads webcal links over https", () => {
+    expect(parseCalendarFeedUrls(" webcal://a.example/x.ics,https://b.example/y.ics\nwebcals://c.example/z ")).toEqual([
+      "https://a.example/x.ics",
+      "https://b.example/y.ics",
+      "https://c.example/z"
+    ]);
+  });
+
+  it("fetches every configured feed without a browser", async () => {
+    const fetch = fixtureFetch({ "/stagehands.ics": "calendar-feed-stagehands.ics", "/staff.ics": "calendar-feed-weekly.ics" });
+    vi.stubGlobal("fetch", fetch);
+    process.env.CALENDAR_FEED_URLS = "webcal://feeds.example/stagehands.ics https://theatre.example/staff.ics";
+
+    vi.useFakeTimers({ now, toFake: ["Date"] });
+    const entries = await fetchEntries();
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "https://feeds.example/stagehands.ics",
+      "https://theatre.example/staff.ics"
+    ]);
+    expect(entries).toHaveLength(9);
+    // The second feed has no calendar name, so its host names the employer
+    expect(entries.at(-1).client).toBe("theatre.example");
+  });
+
+  it("fails the fetch when any feed can't be read, rather than returning a partial snapshot", async () => {
+    process.env.CALENDAR_FEED_URLS = "https://feeds.example/stagehands.ics https://theatre.example/staff.ics";
+
+    vi.stubGlobal("fetch", fixtureFetch({ "/stagehands.ics": "calendar-feed-stagehands.ics", "/staff.ics": 503 }));
+    await expect(fetchEntries()).rejects.toThrow("Calendar feed theatre.example returned HTTP 503");
+
+    vi.stubGlobal("fetch", fixtureFetch({ "/stagehands.ics": "calendar-feed-stagehands.ics", "/staff.ics": "<html>Sign in</html>" }));
+    await expect(fetchEntries()).rejects.toThrow("Calendar feed theatre.example did not return a calendar");
+
+    const emptyCalendar = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nX-WR-CALNAME:Theatre\r\nEND:VCALENDAR\r\n";
+    vi.stubGlobal("fetch", fixtureFetch({ "/stagehands.ics": "calendar-feed-stagehands.ics", "/staff.ics": emptyCalendar }));
+    await expect(fetchEntries()).rejects.toThrow("Calendar feed theatre.example returned a calendar without events");
+
+    delete process.env.CALENDAR_FEED_URLS;
+    await expect(fetchEntries()).rejects.toThrow("Missing CALENDAR_FEED_URLS");
+  });
+
+  it("moves a rescheduled call in place and removes calls gone from the feed", async () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    vi.useFakeTimers({ now, toFake: ["Date"] });
+    try {
+      const backend = createMemoryCalendarBackend();
+      const feed = await readFixture("calendar-feed-stagehands.ics");
+      const sync = async (icsText) => {
+        const entries = calendarFeedEntriesFromIcs(icsText);
+        const session = await openSourceSync(backend, "calendarFeed");
+        const active = entries.filter((entry) => !entry.isCallCancelled);
+        const deletions = session.purgeOrphaned(active.map(scheduleRowId), {
+          cancelledRowIds: entries.filter((entry) => entry.isCallCancelled).map(scheduleRowId),
+          removeAbsent: true
+        });
+        const results = [];
+        for (const event of logAndMapEvents(entries, "calendarFeed", { referenceDate: now })) {
+          results.push(await session.sync(event));
+        }
+        await session.flush();
+        return { deletions, results };
+      };
+
+      await sync(feed);
+      const loadIn = backend.snapshot().find((event) => event.summary.endsWith("Symphony Hall Load In"));
+
+      const moved = feed
+        .replace("DTSTART;TZID=America/New_York:20261107T080000", "DTSTART;TZID=America/New_York:20261108T090000")
+        .replace(/BEGIN:VEVENT\r\nUID:call-4420[\s\S]*?END:VEVENT\r\n/, "");
+      const { deletions, results } = await sync(moved);
+
+      expect(deletions.map((deletion) => [deletion.rowId, deletion.reason])).toEqual([
+        ["uid:call-4420@peachtreestagehands.example", "removeAbsent"]
+      ]);
+      expect(results.map((result) => result.action)).toEqual(["updated", "unchanged"]);
+      expect(backend.snapshot().find((event) => event.id === loadIn.id).start.dateTime).toMatch(/^2026-11-08T/);
+      expect(backend.snapshot()).toHaveLength(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Credentials a source declares as env vars (its `credentials` export), read the same
+ * way for every source so the orchestrator can tell which ones are configured.
+ */
+
+/**
+ * Required credential env vars of a source that are unset.
+ * @param {import("./types.js").SourcePlugin} source
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {string[]}
+ */
+export function missingSourceCredentials(source, env = process.env) {
+  return Object.values(source.credentials || {})
+    .filter((field) => !field.optional && !env[field.env]?.trim())
+    .map((field) => field.env);
+}
+
+/**
+ * A source's credentials from its declared env vars, or null when a required one is unset.
+ * @param {import("./types.js").SourcePlugin} source
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Record<string, string> | null}
+ */
+export function readSourceCredentials(source, env = process.env) {
+  if (missingSourceCredentials(source, env).length > 0) return null;
+  /** @type {Record<string, string>} */
+  const credentials = {};
+  for (const [name, field] of Object.entries(source.credentials || {})) {
+    const value = env[field.env]?.trim() ? env[field.env] : field.default;
+    if (value !== undefined) credentials[name] = value;
+  }
+  return credentials;
+}
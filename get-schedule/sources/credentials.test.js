@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { missingSourceCredentials, readSourceCredentials } from "./credentials.js";
+
+const source = {
+  sourceId: "portal",
+  credentials: {
+    email: { env: "PORTAL_EMAIL" },
+    password: { env: "PORTAL_PASSWORD" },
+    loginUrl: { env: "PORTAL_LOGIN_URL", optional: true, default: "https://portal.example/login" }
+  }
+};
+
+describe("source credentials", () => {
+  it("lists the unset required env vars", () => {
+    expect(missingSourceCredentials(source, { PORTAL_EMAIL: "me@example.com", PORTAL_PASSWORD: " " })).toEqual([
+      "PORTAL_PASSWORD"
+    ]);
+    expect(readSourceCredentials(source, { PORTAL_EMAIL: "me@example.com" })).toBeNull();
+  });
+
+  it("reads every declared credential, defaulting the optional ones", () => {
+    expect(readSourceCredentials(source, { PORTAL_EMAIL: "me@example.com", PORTAL_PASSWORD: "secret" })).toEqual({
+      email: "me@example.com",
+      password: "secret",
+      loginUrl: "https://portal.example/login"
+    });
+    expect(readSourceCredentials({ sourceId: "open" }, {})).toEqual({});
+  });
+});
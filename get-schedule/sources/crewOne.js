@@ -1,29 +1,75 @@
-import { formatDateTimeForTimezone, isEventInFuture, scheduleRowId } from "../utils.js";
+import {
+  crewOneRowMatchKey,
+  formatDateTimeForTimezone,
+  isEventInFuture,
+  normalizeScheduleDate,
+  normalizeTextForMatch,
+  parseScheduleDateParts
+} from "../schedule-helpers.js";
+import { icsEventToScheduleEntry, parseIcs } from "../ics-parser.js";
 import { gotoPortalPage, configurePortalPage } from "../puppeteer.js";
+import { createPortalCapture } from "../portal-capture.js";
+import { missingSourceCredentials, readSourceCredentials } from "./credentials.js";
+import { DEFAULT_TIMEZONE } from "./types.js";
 
 export const sourceId = "crewOne";
+export const timezone = DEFAULT_TIMEZONE;
 
 const DEFAULT_LOGIN_URL = "https://portal.crew1.com/";
 
+/** @type {Record<string, import("./types.js").CredentialField>} */
+export const credentials = {
+  email: { env: "CREWONE_EMAIL" },
+  password: { env: "CREWONE_PASSWORD" },
+  loginUrl: { env: "CREWONE_LOGIN_URL", optional: true, default: DEFAULT_LOGIN_URL }
+};
+
 /** @returns {string[]} */
 export function missingCredentialEnvVars() {
-  const missing = [];
-  if (!process.env.CREWONE_EMAIL) missing.push("CREWONE_EMAIL");
-  if (!process.env.CREWONE_PASSWORD) missing.push("CREWONE_PASSWORD");
-  return missing;
+  return missingSourceCredentials({ sourceId, credentials });
 }
 
+/** @returns {{ email: string; password: string; loginUrl: string } | null} */
 export function getCredentials() {
-  const missing = missingCredentialEnvVars();
-  if (missing.length > 0) return null;
-  const loginUrl = process.env.CREWONE_LOGIN_URL || DEFAULT_LOGIN_URL;
-  return {
-    email: process.env.CREWONE_EMAIL,
-    password: process.env.CREWONE_PASSWORD,
-    loginUrl
-  };
+  const creds = readSourceCredentials({ sourceId, credentials });
+  return creds && { email: creds.email, password: creds.password, loginUrl: creds.loginUrl };
 }
 
+/**
+ * The dashboard is a complete snapshot of all upcoming calls (loginAndOpenDashboard
+ * verifies it loaded), so a call that's no longer listed was taken off the schedule.
+ */
+export const completeSnapshot = true;
+
+/** Past calls drop off the dashboard but are still worth keeping on the calendar */
+export const keepPastEvents = true;
+
+/**
+ * Identity from the dashboard (date, call time, show, venue): the detail page's
+ * position and type can change between syncs and must not make a new row.
+ * @param {import("./types.js").ScheduleEntry} entry
+ */
+export function rowId(entry) {
+  return crewOneRowMatchKey([entry.date, entry.callTime, entry.show, entry.venue].join(" | "));
+}
+
+/**
+ * Dashboard key of a row id, including ids stored before detail drift was ignored.
+ * @param {string} id
+ */
+export function rowMatchKey(id) {
+  return crewOneRowMatchKey(id);
+}
+
+/** @type {import("./types.js").DerivedEventKind[]} */
+export const derivedEvents = [
+  {
+    kind: "deadlineReminder",
+    label: "deadline reminder",
+    build: (entries) => buildCrewOneDeadlineReminderEvents(entries)
+  }
+];
+
 /** Crew One dashboard: "Fri Jun 12 8:00 AM" (after normalizeCrew1DateTimeText) */
 const CREW1_DATETIME_PATTERN =
   /^\w{3}\s+\w{3}\s+\d{1,2}\s+\d{1,2}:\d{2}\s*(AM|PM)$/i;
@@ -123,12 +169,14 @@ export function buildCrewOneDeadlineReminderEvent(entry, deadline = parseCrewOne
     return null;
   }
 
+  // The deadline is stated in the call's local time, like the call itself
+  const deadlineTimezone = entry.timezone || timezone;
   const { year, month, day, hours, minutes } = deadline;
-  if (!isEventInFuture(year, month, day, hours, minutes, "America/New_York")) {
+  if (!isEventInFuture(year, month, day, hours, minutes, deadlineTimezone)) {
     return null;
   }
 
-  const rowId = entry.rowId || scheduleRowId(entry);
+  const callRowId = entry.rowId || rowId(entry);
   const location = [entry.venue, entry.location].filter(Boolean).join(" - ");
   const start = formatDateTimeForTimezone(year, month, day, hours, minutes);
   const end = formatDateTimeForTimezone(year, month, day, hours, minutes + 30);
@@ -136,13 +184,14 @@ export function buildCrewOneDeadlineReminderEvent(entry, deadline = parseCrewOne
   return {
     source: sourceId,
     kind: "deadlineReminder",
-    rowId: `${rowId}|deadlineReminder`,
+    rowId: `${callRowId}|deadlineReminder`,
     summary: `Offer deadline: ${entry.show}`,
     location,
     description: [`Deadline reminder for ${entry.show}`, "", deadline.text].join("\n"),
     start,
     end,
     status: "confirmed",
+    timezone: deadlineTimezone,
     reminders: {
       useDefault: false,
       overrides: [{ method: "popup", minutes: 0 }]
@@ -150,6 +199,25 @@ export function buildCrewOneDeadlineReminderEvent(entry, deadline = parseCrewOne
   };
 }
 
+/**
+ * One deadline reminder per open offer. An offer covers every call expanded from
+ * its event page, so calls sharing a show and deadline share the reminder.
+ * @param {import("./types.js").ScheduleEntry[]} entries
+ */
+export function buildCrewOneDeadlineReminderEvents(entries) {
+  const seen = new Set();
+  const reminders = [];
+  for (const entry of entries) {
+    const reminder = buildCrewOneDeadlineReminderEvent(entry);
+    if (!reminder) continue;
+    const key = `${entry.show}|${reminder.start}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    reminders.push(reminder);
+  }
+  return reminders;
+}
+
 /**
  * @param {import("./types.js").ScheduleEntry["date"]} date
  * @param {import("./types.js").ScheduleEntry["callTime"]} callTime
@@ -180,11 +248,124 @@ export function formatCrewOneEventDescription(detail, call) {
 }
 
 /**
+ * @typedef {Object} CrewOneEventDetail
+ * @property {string} eventTypeLine
+ * @property {{ job: string; startDateTime: string; contractorNotes: string }[]} calls
+ * @property {string} generalNotes
+ * @property {string} venueNotes
+ * @property {string} offerDeadlineText
+ * @property {string} offerStatusText
+ */
+
+/**
+ * One entry per call in the row's Job/Task table, with position, description and
+ * offer details from its detail page. Without a detail page (or with no call that
+ * parses) the dashboard row is the only call.
+ * @param {{ event: string; where: string; dateTime?: string }} row
+ * @param {{ date: string; callTime: string }} when - the row's parsed date/time
+ * @param {CrewOneEventDetail | null} [detail]
+ * @param {number} [referenceYear]
+ * @returns {import("./types.js").ScheduleEntry[]}
+ */
+export function expandCrewOneRow(row, when, detail, referenceYear = new Date().getFullYear()) {
+  /** @param {{ date: string; callTime: string }} at @param {{ job?: string; contractorNotes?: string }} call */
+  const entry = (at, call) => ({
+    source: sourceId,
+    date: at.date,
+    callTime: at.callTime,
+    show: row.event,
+    venue: row.where,
+    location: "",
+    client: "",
+    type: "",
+    position: call.job || "",
+    details: detail ? formatCrewOneEventDescription(detail, call) : "",
+    status: "confirmed",
+    notes: "",
+    isCallCancelled: false,
+    offerDeadlineText: detail?.offerDeadlineText || "",
+    offerState: parseCrewOneOfferState(detail?.offerStatusText)
+  });
+
+  const calls = [];
+  for (const call of detail?.calls || []) {
+    const at = parseCrew1DateTime(call.startDateTime, referenceYear);
+    if (at) calls.push(entry(at, call));
+    else console.warn(`[crewOne] Could not parse call date/time: "${call.startDateTime}" for ${row.event}`);
+  }
+  if (calls.length > 0) return calls;
+
+  const rowCall = detail?.calls.find((call) => matchDetailCall(when.date, when.callTime, call)) || {};
+  return [entry(when, rowCall)];
+}
+
+/**
+ * An offer on the dashboard that hasn't been accepted or declined.
+ * @typedef {Object} PendingOffer
+ * @property {string} source
+ * @property {string} id - from the offer link, what `crewone-offers --accept` takes
+ * @property {string} event
+ * @property {string} venue
+ * @property {string} date - M/D/YYYY of the first call, "" when unknown
+ * @property {string} callTime - HH:mm
+ * @property {string} offerUrl
+ * @property {string} deadlineText - "This offer closes June 10, 2026 at 5:00 PM", "" when none is listed
+ * @property {string | null} deadline - "YYYY-MM-DDTHH:mm:ss" in Crew One's timezone
+ */
+
+/**
+ * Offer id from its link ("/view_offer/2001" -> "2001").
+ * @param {string | null | undefined} offerUrl
+ */
+export function crewOneOfferId(offerUrl) {
+  if (!offerUrl) return "";
+  const { pathname, searchParams } = new URL(offerUrl, "https://portal.invalid");
+  return pathname.match(/(\d+)\/?$/)?.[1] || searchParams.get("id") || "";
+}
+
+/**
+ * Pending offer for an "Offers Needing Your Response" row and its offer page. Null
+ * when the page says the offer was already answered.
+ * @param {{ event: string; where: string; dateTime: string; offerUrl: string | null }} row
+ * @param {CrewOneEventDetail | null} detail
+ * @param {number} [referenceYear]
+ * @returns {PendingOffer | null}
+ */
+export function pendingOfferFromRow(row, detail, referenceYear = new Date().getFullYear()) {
+  if (parseCrewOneOfferState(detail?.offerStatusText) !== "pending") return null;
+  const when =
+    parseCrew1DateTime(row.dateTime, referenceYear) ||
+    parseCrew1DateTime(detail?.calls[0]?.startDateTime, referenceYear);
+  const deadline = parseCrewOneOfferDeadline(detail?.offerDeadlineText);
+  return {
+    source: sourceId,
+    id: crewOneOfferId(row.offerUrl),
+    event: row.event,
+    venue: row.where,
+    date: when?.date || "",
+    callTime: when?.callTime || "",
+    offerUrl: row.offerUrl || "",
+    deadlineText: deadline?.text || "",
+    deadline: deadline
+      ? formatDateTimeForTimezone(deadline.year, deadline.month, deadline.day, deadline.hours, deadline.minutes)
+      : null
+  };
+}
+
+/**
+ * @typedef {ReturnType<typeof createPortalCapture>} PortalCapture
+ */
+
+/**
+ * Log in and wait for the dashboard to render.
  * @param {import("puppeteer").Page} page
+ * @param {NonNullable<ReturnType<typeof getCredentials>>} creds
+ * @param {PortalCapture} [capture]
  */
-async function loginAndOpenDashboard(page, creds) {
+export async function loginAndOpenDashboard(page, creds, capture) {
   // Allow a longer navigation timeout for slower devices/networks.
   await page.goto(creds.loginUrl, { waitUntil: "networkidle2", timeout: 120000 });
+  await capture?.step(page, "login");
 
   // Try a set of selectors for the email and password fields to be resilient
   // to portal markup/placeholder changes. Use the first selector that exists.
@@ -245,6 +426,7 @@ async function loginAndOpenDashboard(page, creds) {
     )
     .catch(() => {});
   await page.waitForNetworkIdle({ idleTime: 500, timeout: 30000 }).catch(() => {});
+  await capture?.step(page, "post-login");
 
   const pathname = new URL(page.url()).pathname;
   if (/bgcheck/i.test(pathname)) {
@@ -296,189 +478,371 @@ async function loginAndOpenDashboard(page, creds) {
 }
 
 /**
- * @param {import("puppeteer").Page} page
+ * Upcoming calls from the dashboard or view_upcoming page. Runs in the page
+ * (page.evaluate), so it can't use anything outside its own body; replays run it
+ * against saved captures.
+ * @returns {{ event: string; where: string; dateTime: string; detailUrl: string | null }[]}
  */
-async function scrapeUpcomingRows(page) {
-  return page.evaluate(() => {
-    const trim = (s) => (s || '').trim();
-    const monthNames = /january|february|march|april|may|june|july|august|september|october|november|december/i;
-    const timePattern = /\d{1,2}:\d{2}\s*(AM|PM)/i;
-
-    const extractFromTable = (table) =>
-      [...table.querySelectorAll('tbody tr')]
-        .filter((tr) => !tr.querySelector('th') && tr.querySelectorAll('td').length >= 3)
-        .map((tr) => {
-          const cells = [...tr.querySelectorAll('td')];
-          const detailLink = tr.querySelector('a[title="View Details"]') || tr.querySelector('td:last-child a');
-          return {
-            event: trim(cells[0].innerText || cells[0].textContent),
-            where: trim(cells[1].innerText || cells[1].textContent),
-            dateTime: trim(cells[2].innerText || cells[2].textContent),
-            detailUrl: detailLink?.href || null
-          };
-        })
-        .filter((row) => row.event);
-
-    // Locate the "Upcoming Calls" heading (case-insensitive) and search its
-    // ancestor for multiple candidate row containers (tables, lists, cards).
-    const heading = [...document.querySelectorAll('h1,h2,h3,h4,h5,h6')].find((h) =>
-      /Upcoming Calls/i.test((h.textContent || '').trim())
-    );
-
-    const results = [];
-
-    if (heading) {
-      let container = heading.parentElement;
-      for (let i = 0; i < 10 && container; i++) {
-        // Try tables first
-        const tables = [...container.querySelectorAll('table')];
-        for (const t of tables) {
-          const rows = extractFromTable(t);
-          for (const r of rows) results.push(r);
-        }
+export function extractUpcomingRows() {
+  const trim = (s) => (s || '').trim();
+  const monthNames = /january|february|march|april|may|june|july|august|september|october|november|december/i;
+  const timePattern = /\d{1,2}:\d{2}\s*(AM|PM)/i;
+
+  const extractFromTable = (table) =>
+    [...table.querySelectorAll('tbody tr')]
+      .filter((tr) => !tr.querySelector('th') && tr.querySelectorAll('td').length >= 3)
+      .map((tr) => {
+        const cells = [...tr.querySelectorAll('td')];
+        const detailLink = tr.querySelector('a[title="View Details"]') || tr.querySelector('td:last-child a');
+        return {
+          event: trim(cells[0].innerText || cells[0].textContent),
+          where: trim(cells[1].innerText || cells[1].textContent),
+          dateTime: trim(cells[2].innerText || cells[2].textContent),
+          detailUrl: detailLink?.href || null
+        };
+      })
+      .filter((row) => row.event);
+
+  // Locate the "Upcoming Calls" heading (case-insensitive) and search its
+  // ancestor for multiple candidate row containers (tables, lists, cards).
+  const heading = [...document.querySelectorAll('h1,h2,h3,h4,h5,h6')].find((h) =>
+    /Upcoming Calls/i.test((h.textContent || '').trim())
+  );
+
+  const results = [];
+
+  if (heading) {
+    let container = heading.parentElement;
+    for (let i = 0; i < 10 && container; i++) {
+      // Try tables first
+      const tables = [...container.querySelectorAll('table')];
+      for (const t of tables) {
+        const rows = extractFromTable(t);
+        for (const r of rows) results.push(r);
+      }
 
-        // Try list items and card-like elements
-        const candidateSelectors = ['li', '.upcoming-row', '.upcoming-item', '.event', '.card', '.list-item', '.row'];
-        for (const sel of candidateSelectors) {
-          const elems = [...container.querySelectorAll(sel)];
-          for (const el of elems) {
-            const text = (el.innerText || el.textContent || '').trim();
-            if (!text) continue;
-            // Heuristic extraction: lines, find event/where/date/time
-            const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-            if (lines.length < 2) continue;
-            const detailLink = el.querySelector('a[href*="/view_upcoming/"]') || el.querySelector('a[title="View Details"]') || el.querySelector('a');
-            const eventLine = lines.find((l) => !/info|view|details/i.test(l) && !timePattern.test(l) && !monthNames.test(l)) || lines[0];
-            const dateLine = lines.find((l) => monthNames.test(l) || /\bMon|Tue|Wed|Thu|Fri|Sat|Sun\b/i.test(l)) || '';
-            const timeLine = lines.find((l) => timePattern.test(l)) || '';
-            results.push({ event: eventLine, where: '', dateTime: [dateLine, timeLine].filter(Boolean).join(' '), detailUrl: detailLink?.href || null });
-          }
+      // Try list items and card-like elements
+      const candidateSelectors = ['li', '.upcoming-row', '.upcoming-item', '.event', '.card', '.list-item', '.row'];
+      for (const sel of candidateSelectors) {
+        const elems = [...container.querySelectorAll(sel)];
+        for (const el of elems) {
+          const text = (el.innerText || el.textContent || '').trim();
+          if (!text) continue;
+          // Heuristic extraction: lines, find event/where/date/time
+          const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+          if (lines.length < 2) continue;
+          const detailLink = el.querySelector('a[href*="/view_upcoming/"]') || el.querySelector('a[title="View Details"]') || el.querySelector('a');
+          const eventLine = lines.find((l) => !/info|view|details/i.test(l) && !timePattern.test(l) && !monthNames.test(l)) || lines[0];
+          const dateLine = lines.find((l) => monthNames.test(l) || /\bMon|Tue|Wed|Thu|Fri|Sat|Sun\b/i.test(l)) || '';
+          const timeLine = lines.find((l) => timePattern.test(l)) || '';
+          results.push({ event: eventLine, where: '', dateTime: [dateLine, timeLine].filter(Boolean).join(' '), detailUrl: detailLink?.href || null });
         }
-
-        if (results.length > 0) break;
-        container = container.parentElement;
       }
+
+      if (results.length > 0) break;
+      container = container.parentElement;
     }
+  }
 
-    if (results.length > 0) return results;
+  if (results.length > 0) return results;
 
-    // Fallback to scanning all tables in the document
-    const allTables = [...document.querySelectorAll('table')];
-    for (const t of allTables) {
-      const rows = extractFromTable(t);
-      for (const r of rows) results.push(r);
-    }
-    if (results.length > 0) return results;
-
-    // Final fallback: find any view_upcoming anchors and heuristic-extract
-    const anchors = [...document.querySelectorAll('a[href*="/view_upcoming/"]')];
-    const seen = new Set();
-    for (const a of anchors) {
-      const href = a.href || a.getAttribute('href');
-      if (!href || seen.has(href)) continue;
-      seen.add(href);
-      const block = a.closest('tr, li, .card, .event, div') || a.parentElement;
-      const text = (block && (block.innerText || block.textContent)) || (a.innerText || a.textContent) || '';
-      const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-      if (lines.length === 0) continue;
-      let eventLine = lines.find((l) => !/info|view|details/i.test(l) && !timePattern.test(l) && !monthNames.test(l));
-      if (!eventLine) eventLine = lines[0];
-      const dateLine = lines.find((l) => monthNames.test(l) || /\bMon|Tue|Wed|Thu|Fri|Sat|Sun\b/i.test(l)) || '';
-      const timeLine = lines.find((l) => timePattern.test(l)) || '';
-      results.push({ event: eventLine, where: '', dateTime: [dateLine, timeLine].filter(Boolean).join(' '), detailUrl: href });
-    }
+  // Fallback to scanning all tables in the document
+  const allTables = [...document.querySelectorAll('table')];
+  for (const t of allTables) {
+    const rows = extractFromTable(t);
+    for (const r of rows) results.push(r);
+  }
+  if (results.length > 0) return results;
+
+  // Final fallback: find any view_upcoming anchors and heuristic-extract
+  const anchors = [...document.querySelectorAll('a[href*="/view_upcoming/"]')];
+  const seen = new Set();
+  for (const a of anchors) {
+    const href = a.href || a.getAttribute('href');
+    if (!href || seen.has(href)) continue;
+    seen.add(href);
+    const block = a.closest('tr, li, .card, .event, div') || a.parentElement;
+    const text = (block && (block.innerText || block.textContent)) || (a.innerText || a.textContent) || '';
+    const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+    if (lines.length === 0) continue;
+    let eventLine = lines.find((l) => !/info|view|details/i.test(l) && !timePattern.test(l) && !monthNames.test(l));
+    if (!eventLine) eventLine = lines[0];
+    const dateLine = lines.find((l) => monthNames.test(l) || /\bMon|Tue|Wed|Thu|Fri|Sat|Sun\b/i.test(l)) || '';
+    const timeLine = lines.find((l) => timePattern.test(l)) || '';
+    results.push({ event: eventLine, where: '', dateTime: [dateLine, timeLine].filter(Boolean).join(' '), detailUrl: href });
+  }
 
-    return results;
-  });
+  return results;
 }
 
 /**
  * @param {import("puppeteer").Page} page
  */
-async function scrapeEventDetail(page) {
-  return page.evaluate(() => {
-    const bodyText = document.body.innerText || "";
+async function scrapeUpcomingRows(page) {
+  return page.evaluate(extractUpcomingRows);
+}
 
-    const eventTypeMatch = bodyText.match(/This is an? [A-Z]+ Event\.?/i);
-    const eventTypeLine = eventTypeMatch ? eventTypeMatch[0].trim() : "";
+/**
+ * Rows of the dashboard's "Offers Needing Your Response" section (empty when the
+ * section isn't shown). Runs in the page like extractUpcomingRows.
+ * @returns {{ event: string; where: string; dateTime: string; offerUrl: string | null }[]}
+ */
+export function extractOfferRows() {
+  const text = (el) => (el?.innerText || el?.textContent || '').trim();
+  const heading = [...document.querySelectorAll('h1,h2,h3,h4,h5,h6')].find((h) =>
+    /Offers Needing Your Response/i.test(text(h))
+  );
+  if (!heading) return [];
+
+  let container = heading.parentElement;
+  for (let i = 0; i < 5 && container; i++) {
+    const rows = [...container.querySelectorAll('table tbody tr')]
+      .filter((tr) => !tr.querySelector('th') && tr.querySelectorAll('td').length >= 2)
+      .map((tr) => {
+        const cells = [...tr.querySelectorAll('td')];
+        const link = tr.querySelector('a[href]');
+        return { event: text(cells[0]), where: text(cells[1]), dateTime: text(cells[2]), offerUrl: link?.href || null };
+      })
+      .filter((row) => row.event);
+    if (rows.length > 0) return rows;
+    container = container.parentElement;
+  }
+  return [];
+}
 
-    const callTable = [...document.querySelectorAll("table")].find((t) =>
-      /job\/task/i.test(t.textContent || "")
-    );
-    const calls = callTable
-      ? [...callTable.querySelectorAll("tbody tr")]
-          .filter((tr) => tr.querySelectorAll("td").length >= 2)
-          .map((tr) => {
-            const cells = [...tr.querySelectorAll("td")];
-            return {
-              job: (cells[0].innerText || cells[0].textContent).trim(),
-              startDateTime: (cells[1].innerText || cells[1].textContent).trim(),
-              contractorNotes: (cells[2]?.innerText || cells[2]?.textContent || "").trim()
-            };
-          })
-          .filter((c) => c.job && c.startDateTime)
-      : [];
-
-    const sliceSection = (startLabel, endLabel) => {
-      const start = bodyText.indexOf(startLabel);
-      if (start < 0) return "";
-      const contentStart = start + startLabel.length;
-      const end =
-        endLabel != null ? bodyText.indexOf(endLabel, contentStart) : bodyText.length;
-      const slice = bodyText.slice(contentStart, end < 0 ? bodyText.length : end);
-      return slice.replace(/^\s*[\n\r]+/, "").trim();
-    };
-
-    const generalNotes = sliceSection("NOTE:", "VENUE NOTE:");
-    const venueNotes = sliceSection("VENUE NOTE:", "©");
-    const offerDeadlineText = bodyText.match(/this offer closes[^.\n\r]*/i)?.[0].trim() || "";
-    const normalizedBodyText = (bodyText || "").toLowerCase();
-    const offerState = /\baccepted?\b/.test(normalizedBodyText)
-      ? "accepted"
-      : /\bdenied?\b|\bdeclined?\b/.test(normalizedBodyText)
-        ? "declined"
-        : "pending";
-
-    return {
-      eventTypeLine: eventTypeLine || "",
-      calls,
-      generalNotes,
-      venueNotes,
-      offerDeadlineText,
-      offerState
-    };
-  });
+/**
+ * Event type, calls, notes and offer state from an event detail page. Runs in the
+ * page like extractUpcomingRows.
+ */
+export function extractEventDetail() {
+  const bodyText = document.body.innerText || "";
+
+  const eventTypeMatch = bodyText.match(/This is an? [A-Z]+ Event\.?/i);
+  const eventTypeLine = eventTypeMatch ? eventTypeMatch[0].trim() : "";
+
+  const callTable = [...document.querySelectorAll("table")].find((t) =>
+    /job\/task/i.test(t.textContent || "")
+  );
+  const calls = callTable
+    ? [...callTable.querySelectorAll("tbody tr")]
+        .filter((tr) => tr.querySelectorAll("td").length >= 2)
+        .map((tr) => {
+          const cells = [...tr.querySelectorAll("td")];
+          return {
+            job: (cells[0].innerText || cells[0].textContent).trim(),
+            startDateTime: (cells[1].innerText || cells[1].textContent).trim(),
+            contractorNotes: (cells[2]?.innerText || cells[2]?.textContent || "").trim()
+          };
+        })
+        .filter((c) => c.job && c.startDateTime)
+    : [];
+
+  const sliceSection = (startLabel, endLabel) => {
+    const start = bodyText.indexOf(startLabel);
+    if (start < 0) return "";
+    const contentStart = start + startLabel.length;
+    const end =
+      endLabel != null ? bodyText.indexOf(endLabel, contentStart) : bodyText.length;
+    const slice = bodyText.slice(contentStart, end < 0 ? bodyText.length : end);
+    return slice.replace(/^\s*[\n\r]+/, "").trim();
+  };
+
+  const generalNotes = sliceSection("NOTE:", "VENUE NOTE:");
+  const venueNotes = sliceSection("VENUE NOTE:", "©");
+  const offerDeadlineText = bodyText.match(/this offer closes[^.\n\r]*/i)?.[0].trim() || "";
+  // Only the offer/response lines, so notes that happen to say "accepted" don't
+  // decide the state (parseCrewOneOfferState reads these).
+  const offerStatusText = bodyText
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => /\boffer\b|\baccept|\bdeclin|\bdenied\b/i.test(line))
+    .join("\n");
+
+  return {
+    eventTypeLine: eventTypeLine || "",
+    calls,
+    generalNotes,
+    venueNotes,
+    offerDeadlineText,
+    offerStatusText
+  };
+}
+
+/**
+ * @param {import("puppeteer").Page} page
+ */
+async function scrapeEventDetail(page) {
+  return page.evaluate(extractEventDetail);
 }
 
 /**
  * @param {import("puppeteer").Page} page
  * @param {string} detailUrl
- * @param {Map<string, Awaited<ReturnType<typeof scrapeEventDetail>>>} cache
+ * @param {Map<string, CrewOneEventDetail>} cache
+ * @param {PortalCapture} [capture]
  */
-async function fetchEventDetail(page, detailUrl, cache) {
+async function fetchEventDetail(page, detailUrl, cache, capture) {
   if (cache.has(detailUrl)) return cache.get(detailUrl);
   await page.goto(detailUrl, { waitUntil: "networkidle2", timeout: 60000 });
   await page.waitForNetworkIdle({ idleTime: 500, timeout: 30000 }).catch(() => {});
+  await capture?.step(page, "detail");
   const detail = await scrapeEventDetail(page);
   cache.set(detailUrl, detail);
   return detail;
 }
 
 /**
- * Try to find an export (.ics) link on the page and fetch/parse it.
- * Returns an array of parsed VEVENT objects or null if none found.
+ * Open each offer's page and keep those still waiting for a response, soonest
+ * deadline first (offers without one last).
+ * @param {import("puppeteer").Page} page
+ * @param {ReturnType<typeof extractOfferRows>} offerRows
+ * @param {PortalCapture} [capture]
+ * @returns {Promise<PendingOffer[]>}
+ */
+async function pendingOffersFromRows(page, offerRows, capture) {
+  const referenceYear = new Date().getFullYear();
+  /** @type {Map<string, CrewOneEventDetail>} */
+  const cache = new Map();
+  const offers = [];
+  for (const row of offerRows) {
+    let detail = null;
+    if (row.offerUrl) {
+      try {
+        detail = await fetchEventDetail(page, row.offerUrl, cache, capture);
+      } catch (err) {
+        console.warn(`[crewOne] Could not load offer ${row.event}: ${err instanceof Error ? err.message : err}`);
+      }
+    }
+    const offer = pendingOfferFromRow(row, detail, referenceYear);
+    if (offer) offers.push(offer);
+  }
+  return offers.sort((a, b) => (a.deadline || "\uffff").localeCompare(b.deadline || "\uffff"));
+}
+
+/**
+ * Pending offers from the dashboard the page is on (see loginAndOpenDashboard).
+ * @param {import("puppeteer").Page} page
+ * @param {PortalCapture} [capture]
+ */
+export async function fetchPendingOffers(page, capture) {
+  const offerRows = await page.evaluate(extractOfferRows);
+  return pendingOffersFromRows(page, offerRows, capture);
+}
+
+/**
+ * The accept or decline control of one offer on its page: a button or link whose
+ * form action or href names the offer, else one inside the block holding the
+ * offer's "This offer closes … accept or decline" line. Navigation, headers and
+ * footers never match. Runs in the page like extractUpcomingRows; returns why
+ * not (a string) unless exactly one control matches.
+ * @param {{ response: "accept" | "decline"; offerId: string }} args
+ * @returns {Element | string}
+ */
+export function findCrewOneOfferControl({ response, offerId }) {
+  const text = (el) => (el?.innerText || el?.textContent || el?.value || '').trim();
+  const label = response === 'accept' ? /^accept\b/i : /^(decline|deny)\b/i;
+  const controls = [...document.querySelectorAll('button, a, input[type="submit"], input[type="button"]')].filter(
+    (el) => label.test(text(el)) && !el.closest('nav, header, footer, [role="navigation"]')
+  );
+
+  const namesOffer = (target) => Boolean(offerId) && (target || '').split(/[^\w-]+/).includes(offerId);
+  let matches = controls.filter((el) =>
+    namesOffer(el.getAttribute('formaction') || el.getAttribute('href') || el.closest('form')?.getAttribute('action'))
+  );
+  if (matches.length === 0) {
+    const line = [...document.querySelectorAll('p, div, span, td, li')].find(
+      (el) => el.children.length === 0 && /this offer closes|accept or decline/i.test(text(el))
+    );
+    const section = line?.parentElement;
+    matches = section ? controls.filter((el) => section.contains(el)) : [];
+  }
+
+  if (matches.length === 1) return matches[0];
+  return matches.length === 0
+    ? `No ${response} button on the offer page`
+    : `${matches.length} ${response} buttons on the offer page, not clicking any`;
+}
+
+/**
+ * Accept or decline an offer with its button on the offer page, then re-read the
+ * page to make sure Crew One recorded the response.
+ * @param {import("puppeteer").Page} page - logged in
+ * @param {PendingOffer} offer
+ * @param {"accept" | "decline"} response
+ * @returns {Promise<"accepted" | "declined">}
+ */
+export async function respondToCrewOneOffer(page, offer, response) {
+  const expected = response === "accept" ? "accepted" : "declined";
+  await gotoPortalPage(page, offer.offerUrl);
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 30000 }).catch(() => {});
+
+  const handle = await page.evaluateHandle(findCrewOneOfferControl, {
+    response,
+    offerId: offer.id || crewOneOfferId(offer.offerUrl)
+  });
+  const button = handle.asElement();
+  if (!button) {
+    throw new Error(`${await handle.jsonValue()} for ${offer.event} (${page.url()})`);
+  }
+
+  // The portal may ask "Are you sure?" before recording the response. Only that
+  // question is answered yes; any other dialog is dismissed and fails the response.
+  const verb = response === "accept" ? /\baccept/i : /\b(declin|deny)/i;
+  const otherVerb = response === "accept" ? /\b(declin|deny)/i : /\baccept/i;
+  /** @type {string | null} */
+  let unexpectedDialog = null;
+  /** @param {import("puppeteer").Dialog} dialog */
+  const onDialog = (dialog) => {
+    const message = dialog.message();
+    const confirmsResponse =
+      dialog.type() === "confirm" && !otherVerb.test(message) && (verb.test(message) || /are you sure/i.test(message));
+    if (confirmsResponse) {
+      dialog.accept().catch(() => {});
+    } else {
+      unexpectedDialog = unexpectedDialog || message;
+      dialog.dismiss().catch(() => {});
+    }
+  };
+  page.on("dialog", onDialog);
+  try {
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: "networkidle2", timeout: 30000 }).catch(() => {}),
+      button.click()
+    ]);
+  } finally {
+    page.off("dialog", onDialog);
+  }
+  if (unexpectedDialog !== null) {
+    throw new Error(`Crew One showed an unexpected dialog after clicking ${response} for ${offer.event}: "${unexpectedDialog}"`);
+  }
+
+  await gotoPortalPage(page, offer.offerUrl);
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 30000 }).catch(() => {});
+  const state = parseCrewOneOfferState((await scrapeEventDetail(page)).offerStatusText);
+  if (state !== expected) {
+    throw new Error(`Crew One still shows the offer for ${offer.event} as ${state} after clicking ${response}`);
+  }
+  return expected;
+}
+
+/**
+ * The portal's calendar export (.ics), fetched with the session's cookies from the
+ * page that links it. Null when the page has no export link or the link doesn't
+ * return a calendar.
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<import("../ics-parser.js").IcsEvent[] | null>}
  */
 async function fetchAndParseIcsFromPage(page) {
   try {
     // Find candidate export links or buttons in the page context
     const href = await page.evaluate(() => {
       // Look for explicit .ics links first
-      const a1 = [...document.querySelectorAll('a')].find(a => (a.href || '').toLowerCase().includes('.ics'));
-      if (a1) return a1.href;
+      const a1 = [...document.querySelectorAll('a')].find(a => /\.ics(\?|$)/i.test(a.getAttribute('href') || ''));
+      if (a1) return a1.getAttribute('href');
 
       // Look for anchors/buttons with export text
-      const textMatch = [...document.querySelectorAll('a,button')].find(el => /export to your calendar|export|ics|download calendar/i.test((el.textContent||'').trim()));
-      if (textMatch) return textMatch.getAttribute('href') || null;
+      const textMatch = [...document.querySelectorAll('a,button')].find(el => /export to your calendar|\bexport\b|\bics\b|download calendar/i.test((el.textContent||'').trim()));
+      if (textMatch?.getAttribute('href')) return textMatch.getAttribute('href');
 
       // Look for data attributes that may contain an export URL
       const dataEl = [...document.querySelectorAll('[data-export]')].find(el => el.getAttribute('data-export'));
@@ -487,7 +851,7 @@ async function fetchAndParseIcsFromPage(page) {
       return null;
     });
 
-    if (!href) return null;
+    if (!href || /^(#|javascript:)/i.test(href)) return null;
     const url = new URL(href, page.url()).toString();
 
     // Fetch ICS text via the page context to include session cookies
@@ -501,7 +865,7 @@ async function fetchAndParseIcsFromPage(page) {
       }
     }, url);
 
-    if (!ics) return null;
+    if (!ics || !/BEGIN:VCALENDAR/i.test(ics)) return null;
 
     return parseIcs(ics);
   } catch (e) {
@@ -509,73 +873,94 @@ async function fetchAndParseIcsFromPage(page) {
   }
 }
 
-function unfoldIcs(icsText) {
-  // Unfold folded lines per RFC 5545 (lines starting with space or tab)
-  return icsText.replace(/\r?\n[ \t]/g, "");
+/**
+ * Entry for one VEVENT of the calendar export (icsEventToScheduleEntry in Crew One's
+ * zone). Null for events that can't be a call, cancelled ones included: the export
+ * only adds to the dashboard, which lists what is still on.
+ * @param {import("../ics-parser.js").IcsEvent} ev
+ * @returns {import("./types.js").ScheduleEntry | null}
+ */
+export function crewOneEntryFromIcsEvent(ev) {
+  if (ev?.status === "CANCELLED" || /\bcancell?ed\b/i.test(ev?.summary || "")) return null;
+  const entry = icsEventToScheduleEntry(ev, { source: sourceId, timezone, client: "" });
+  return entry && { ...entry, status: "confirmed", offerDeadlineText: "", offerState: "pending" };
 }
 
-function parseIcsDate(val) {
-  // Handle formats like: 20260818T120000Z or 20260818T080000 or 2026-08-18T08:00:00Z
-  if (!val) return null;
-  // If ISO-like with dashes
-  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:?\d{0,2}Z?$/.test(val)) {
-    const d = new Date(val);
-    if (!Number.isNaN(d.getTime())) return d;
-  }
-  // Compact form
-  const m = val.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/);
-  if (m) {
-    const year = Number(m[1]), month = Number(m[2]) - 1, day = Number(m[3]);
-    const hour = Number(m[4]), minute = Number(m[5]), second = Number(m[6]);
-    if (m[7] === 'Z') {
-      return new Date(Date.UTC(year, month, day, hour, minute, second));
+/** @param {import("./types.js").ScheduleEntry} entry */
+function describeCrewOneCall(entry) {
+  return `${entry.date} ${entry.callTime} ${entry.show}`;
+}
+
+/**
+ * Combine the calendar export with the dashboard scrape. The export says which
+ * calls exist, where, and when they end; the dashboard and its detail pages supply
+ * position, description and offer details, and keep their show and venue so row
+ * ids still match calls synced before the export was read. Calls are matched on
+ * date, call time and venue, since the export's SUMMARY needn't be the dashboard's
+ * event name, then on the show for a venue written differently. A call only one
+ * side has is kept and logged, since either can lag the other.
+ * @param {import("./types.js").ScheduleEntry[]} exportEntries
+ * @param {import("./types.js").ScheduleEntry[]} dashboardEntries
+ * @returns {import("./types.js").ScheduleEntry[]}
+ */
+export function mergeCrewOneExport(exportEntries, dashboardEntries) {
+  /** @param {string} text */
+  const looseText = (text) => normalizeTextForMatch(text).replace(/[^a-z0-9]+/g, " ").trim();
+  /** @param {import("./types.js").ScheduleEntry} entry @param {string} name */
+  const callKey = (entry, name) => [normalizeScheduleDate(entry.date), entry.callTime, looseText(name)].join(" | ");
+  /** @param {(entry: import("./types.js").ScheduleEntry) => string} keyOf */
+  const indexBy = (keyOf) => {
+    /** @type {Map<string, import("./types.js").ScheduleEntry[]>} */
+    const byKey = new Map();
+    for (const entry of dashboardEntries) byKey.set(keyOf(entry), [...(byKey.get(keyOf(entry)) || []), entry]);
+    return byKey;
+  };
+  const dashboardByVenue = indexBy((entry) => callKey(entry, entry.venue));
+  const dashboardByShow = indexBy((entry) => callKey(entry, entry.show));
+  const matched = new Set();
+  /** @param {import("./types.js").ScheduleEntry} fromExport */
+  const findDashboardCall = (fromExport) =>
+    [
+      ...(fromExport.venue ? dashboardByVenue.get(callKey(fromExport, fromExport.venue)) || [] : []),
+      ...(dashboardByShow.get(callKey(fromExport, fromExport.show)) || [])
+    ].find((entry) => !matched.has(entry));
+
+  const merged = [];
+  for (const fromExport of exportEntries) {
+    const fromDashboard = findDashboardCall(fromExport);
+    if (!fromDashboard) {
+      console.warn(`[crewOne] In the calendar export but not on the dashboard: ${describeCrewOneCall(fromExport)}`);
+      merged.push(fromExport);
+      continue;
     }
-    return new Date(year, month, day, hour, minute, second);
+    matched.add(fromDashboard);
+    merged.push({
+      ...fromDashboard,
+      location: fromExport.location || fromDashboard.location,
+      details: fromDashboard.details || fromExport.details,
+      ...(fromExport.endTime ? { endTime: fromExport.endTime } : {}),
+      ...(fromExport.timezone ? { timezone: fromExport.timezone } : {}),
+      uid: fromExport.uid
+    });
   }
-  // Fallback: try Date constructor
-  const d2 = new Date(val);
-  if (!Number.isNaN(d2.getTime())) return d2;
-  return null;
-}
-
-function parseIcs(icsText) {
-  const text = unfoldIcs(icsText);
-  const events = [];
-  const parts = text.split(/BEGIN:VEVENT/i).slice(1);
-  for (const part of parts) {
-    const block = part.split(/END:VEVENT/i)[0];
-    const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-    const ev = {};
-    for (const line of lines) {
-      const [k, ...rest] = line.split(":");
-      if (!k) continue;
-      const key = k.toUpperCase();
-      const value = rest.join(":");
-      if (key.startsWith('SUMMARY')) ev.summary = value;
-      else if (key.startsWith('DTSTART')) ev.dtstart = parseIcsDate(value);
-      else if (key.startsWith('DTEND')) ev.dtend = parseIcsDate(value);
-      else if (key.startsWith('LOCATION')) ev.location = value;
-      else if (key.startsWith('DESCRIPTION')) ev.description = value;
-      else if (key.startsWith('UID')) ev.uid = value;
-    }
-    events.push(ev);
+
+  for (const entry of dashboardEntries) {
+    if (matched.has(entry)) continue;
+    console.warn(`[crewOne] On the dashboard but not in the calendar export: ${describeCrewOneCall(entry)}`);
+    merged.push(entry);
   }
-  return events;
+  return merged;
 }
 
 /**
+ * Log in and read the upcoming calls, from the dashboard or the view_upcoming list,
+ * the calendar export when the dashboard links one, and the offers awaiting a response.
  * @param {import("puppeteer").Page} page
- * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ * @param {NonNullable<ReturnType<typeof getCredentials>>} creds
+ * @param {PortalCapture} capture
  */
-export async function fetchSchedule(page) {
-  const creds = getCredentials();
-  if (!creds) {
-    throw new Error(
-      "Missing CREWONE_EMAIL or CREWONE_PASSWORD. Set both to enable the crewOne source."
-    );
-  }
-
-  await loginAndOpenDashboard(page, creds);
+async function scrapeUpcomingCalls(page, creds, capture) {
+  await loginAndOpenDashboard(page, creds, capture);
   // Give the page a chance to lazy-load more content by scrolling a few times.
   await page.evaluate(() =>
     new Promise((resolve) => {
@@ -596,7 +981,10 @@ export async function fetchSchedule(page) {
       }, 4000);
     })
   ).catch(() => {});
+  await capture.step(page, "dashboard");
 
+  const exportEvents = await fetchAndParseIcsFromPage(page);
+  const offerRows = await page.evaluate(extractOfferRows).catch(() => []);
   const rawRows = await scrapeUpcomingRows(page);
   // Prefer the dashboard rows; fall back to the dedicated list page below.
 
@@ -608,6 +996,7 @@ export async function fetchSchedule(page) {
       const listUrl = new URL('/view_upcoming', base).toString();
       await gotoPortalPage(page, listUrl);
       await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+      await capture.step(page, "view_upcoming");
       const altRows = await scrapeUpcomingRows(page);
       if (altRows && altRows.length > (rawRows ? rawRows.length : 0)) {
         // use altRows instead of rawRows (mutate rawRows variable)
@@ -619,12 +1008,92 @@ export async function fetchSchedule(page) {
     }
   }
 
-  const referenceYear = new Date().getFullYear();
-  const parsedRows = rawRows.map((r) => ({ ...r, when: parseCrew1DateTime(r.dateTime, referenceYear) }));
+  return { rawRows, exportEvents, offerRows };
+}
+
+/**
+ * The upcoming calls and the offers awaiting a response.
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<{ entries: import("./types.js").ScheduleEntry[]; offers: PendingOffer[] }>}
+ */
+export async function fetchSchedule(page) {
+  const creds = getCredentials();
+  if (!creds) {
+    throw new Error(
+      "Missing CREWONE_EMAIL or CREWONE_PASSWORD. Set both to enable the crewOne source."
+    );
+  }
+
+  const capture = createPortalCapture(sourceId, { secrets: [creds.email, creds.password] });
+  let exportEvents;
+  let dashboardEntries;
+  /** @type {PendingOffer[]} */
+  let offers;
+  try {
+    const scraped = await scrapeUpcomingCalls(page, creds, capture);
+    exportEvents = scraped.exportEvents;
+    dashboardEntries = await entriesFromRows(page, scraped.rawRows, capture);
+    offers = await pendingOffersFromRows(page, scraped.offerRows, capture);
+    if (offers.length > 0) console.log(`📨 [crewOne] ${offers.length} offer(s) awaiting a response`);
+    await capture.finish();
+  } catch (err) {
+    await capture.step(page, "failure");
+    const saved = await capture.finish({ error: err });
+    if (!saved) throw err;
+    throw new Error(`${err instanceof Error ? err.message : String(err)} (capture: ${saved})`);
+  }
+
+  if (!exportEvents) {
+    console.log(`ℹ️  [crewOne] No calendar export; using the dashboard's ${dashboardEntries.length} call(s)`);
+    return { entries: dashboardEntries, offers };
+  }
+
+  // The dashboard only lists upcoming calls; hold the export to the same window.
+  const exportEntries = exportEvents
+    .map((ev) => crewOneEntryFromIcsEvent(ev))
+    .filter((entry) => {
+      if (!entry) return false;
+      const { year, month, day, hours, minutes } = parseScheduleDateParts(entry.date, entry.callTime);
+      return isEventInFuture(year, month, day, hours, minutes, entry.timezone || timezone);
+    });
+  console.log(
+    `📅 [crewOne] Calendar export: ${exportEntries.length} upcoming call(s); dashboard: ${dashboardEntries.length}`
+  );
+  return { entries: mergeCrewOneExport(exportEntries, dashboardEntries), offers };
+}
+
+/**
+ * Turn dashboard rows into entries, following each row's detail link (once per
+ * link) to expand it into its calls. A detail page that won't load leaves the row
+ * as a single call without details rather than failing the source.
+ * @param {import("puppeteer").Page} page
+ * @param {{ event: string; where: string; dateTime: string; detailUrl: string | null }[]} rawRows
+ * @param {PortalCapture} capture
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+async function entriesFromRows(page, rawRows, capture) {
+  /** @type {Map<string, CrewOneEventDetail>} */
+  const detailCache = new Map();
+  return expandCrewOneRows(rawRows, (detailUrl) => fetchEventDetail(page, detailUrl, detailCache, capture));
+}
+
+/**
+ * Entries for dashboard rows, with `loadDetail` reading a row's detail page. Rows
+ * that share a detail page whose calls parsed are covered by the first row's
+ * expansion; when the page has no usable call each row stays its own call.
+ * @param {{ event: string; where: string; dateTime: string; detailUrl: string | null }[]} rawRows
+ * @param {(detailUrl: string) => Promise<CrewOneEventDetail | null>} loadDetail
+ * @param {number} [referenceYear]
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function expandCrewOneRows(rawRows, loadDetail, referenceYear = new Date().getFullYear()) {
+  /** @type {Set<string>} */
+  const expandedDetailUrls = new Set();
+  const seenRowIds = new Set();
 
   const entries = [];
-  for (const rowObj of parsedRows) {
-    const when = rowObj.when;
+  for (const rowObj of rawRows) {
+    const when = parseCrew1DateTime(rowObj.dateTime, referenceYear);
     if (!when) {
       if (rowObj.dateTime && String(rowObj.dateTime).trim() !== "") {
         console.warn(`[crewOne] Could not parse date/time: "${rowObj.dateTime}" for ${rowObj.event}`);
@@ -637,23 +1106,29 @@ export async function fetchSchedule(page) {
       continue;
     }
 
-    entries.push({
-      source: sourceId,
-      date: when.date,
-      callTime: when.callTime,
-      show: rowObj.event,
-      venue: rowObj.where,
-      location: "",
-      client: "",
-      type: "",
-      position: "",
-      details: "",
-      status: "confirmed",
-      notes: "",
-      isCallCancelled: false,
-      offerDeadlineText: "",
-      offerState: "pending"
-    });
+    // Several dashboard rows can share one event page; its calls are expanded once.
+    if (rowObj.detailUrl && expandedDetailUrls.has(rowObj.detailUrl)) continue;
+
+    let detail = null;
+    if (rowObj.detailUrl) {
+      try {
+        detail = await loadDetail(rowObj.detailUrl);
+      } catch (err) {
+        console.warn(
+          `[crewOne] Could not load details for ${rowObj.event}: ${err instanceof Error ? err.message : err}`
+        );
+      }
+    }
+    if (rowObj.detailUrl && detail?.calls.some((call) => parseCrew1DateTime(call.startDateTime, referenceYear))) {
+      expandedDetailUrls.add(rowObj.detailUrl);
+    }
+
+    for (const entry of expandCrewOneRow(rowObj, when, detail, referenceYear)) {
+      const id = rowId(entry);
+      if (seenRowIds.has(id)) continue;
+      seenRowIds.add(id);
+      entries.push(entry);
+    }
   }
 
   return entries;
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
 import {
   getCredentials,
   parseCrew1DateTime,
@@ -7,8 +7,16 @@ import {
   formatCrewOneEventDescription,
   parseCrewOneOfferDeadline,
   parseCrewOneOfferState,
-  buildCrewOneDeadlineReminderEvent
+  buildCrewOneDeadlineReminderEvent,
+  buildCrewOneDeadlineReminderEvents,
+  crewOneEntryFromIcsEvent,
+  expandCrewOneRow,
+  expandCrewOneRows,
+  mergeCrewOneExport,
+  crewOneOfferId,
+  pendingOfferFromRow
 } from "./crewOne.js";
+import { parseIcs } from "../ics-parser.js";
 
 describe("crewOne", () => {
   const keys = ["CREWONE_EMAIL", "CREWONE_PASSWORD", "CREWONE_LOGIN_URL"];
@@ -143,4 +151,238 @@ describe("crewOne", () => {
 
     expect(reminder).not.toBeNull();
   });
+
+  it("expandCrewOneRow makes one entry per Job/Task call with details and offer state", () => {
+    const row = { event: "Summer Stadium Tour", where: "Mercedes-Benz Stadium", dateTime: "Fri Jun 12 8:00 AM" };
+    const detail = {
+      eventTypeLine: "This is a IATSE Event.",
+      calls: [
+        { job: "Stagehand", startDateTime: "Fri Jun 12 8:00 AM", contractorNotes: "Load in, wear blacks" },
+        { job: "Rigger", startDateTime: "Fri Jun 12, 2099 6:00 AM", contractorNotes: "" }
+      ],
+      generalNotes: "Check in at gate 3.",
+      venueNotes: "",
+      offerDeadlineText: "This offer closes June 10, 2099 at 5:00 PM",
+      offerStatusText: "This offer closes June 10, 2099 at 5:00 PM. Please accept or decline."
+    };
+
+    const entries = expandCrewOneRow(row, { date: "6/12/2099", callTime: "08:00" }, detail, 2099);
+
+    expect(entries.map((e) => [e.date, e.callTime, e.position])).toEqual([
+      ["6/12/2099", "08:00", "Stagehand"],
+      ["6/12/2099", "06:00", "Rigger"]
+    ]);
+    expect(entries[0]).toMatchObject({
+      source: "crewOne",
+      show: "Summer Stadium Tour",
+      venue: "Mercedes-Benz Stadium",
+      offerDeadlineText: "This offer closes June 10, 2099 at 5:00 PM",
+      offerState: "pending"
+    });
+    expect(entries[0].details).toContain("Call notes: Load in, wear blacks");
+    expect(entries[1].details).toContain("Position: Rigger");
+  });
+
+  it("expandCrewOneRow keeps the dashboard row when there is no usable call", () => {
+    const row = { event: "Corporate Gala", where: "Georgia Aquarium" };
+    const when = { date: "6/13/2099", callTime: "16:30" };
+
+    expect(expandCrewOneRow(row, when, null, 2099)).toEqual([
+      expect.objectContaining({ date: "6/13/2099", callTime: "16:30", position: "", details: "", offerState: "pending" })
+    ]);
+
+    const accepted = expandCrewOneRow(
+      row,
+      when,
+      { eventTypeLine: "", calls: [], generalNotes: "", venueNotes: "", offerDeadlineText: "", offerStatusText: "You accepted this offer." },
+      2099
+    );
+    expect(accepted[0].offerState).toBe("accepted");
+  });
+
+  it("expandCrewOneRows keeps every row sharing a detail page without usable calls", async () => {
+    const rows = [
+      { event: "Arena Load In", where: "State Farm Arena", dateTime: "Sat Jun 13 8:00 AM", detailUrl: "/event/42" },
+      { event: "Arena Load In", where: "State Farm Arena", dateTime: "Sun Jun 14 9:00 AM", detailUrl: "/event/42" }
+    ];
+    const detail = { eventTypeLine: "", calls: [], generalNotes: "", venueNotes: "", offerDeadlineText: "", offerStatusText: "" };
+    const loadDetail = vi.fn(async () => detail);
+
+    const entries = await expandCrewOneRows(rows, loadDetail, 2099);
+
+    expect(entries.map((entry) => [entry.date, entry.callTime])).toEqual([
+      ["6/13/2099", "08:00"],
+      ["6/14/2099", "09:00"]
+    ]);
+  });
+
+  it("expandCrewOneRows expands a shared detail page with calls only once", async () => {
+    const rows = [
+      { event: "Arena Load In", where: "State Farm Arena", dateTime: "Sat Jun 13 8:00 AM", detailUrl: "/event/42" },
+      { event: "Arena Load In", where: "State Farm Arena", dateTime: "Sun Jun 14 9:00 AM", detailUrl: "/event/42" }
+    ];
+    const detail = {
+      eventTypeLine: "",
+      calls: [
+        { job: "STAGEHAND", startDateTime: "Sat Jun 13 8:00 AM", contractorNotes: "" },
+        { job: "RIGGER", startDateTime: "Sun Jun 14 9:00 AM", contractorNotes: "" }
+      ],
+      generalNotes: "",
+      venueNotes: "",
+      offerDeadlineText: "",
+      offerStatusText: ""
+    };
+    const loadDetail = vi.fn(async () => detail);
+
+    const entries = await expandCrewOneRows(rows, loadDetail, 2099);
+
+    expect(loadDetail).toHaveBeenCalledTimes(1);
+    expect(entries.map((entry) => entry.position)).toEqual(["STAGEHAND", "RIGGER"]);
+  });
+
+  it("buildCrewOneDeadlineReminderEvents makes one reminder per offer", () => {
+    const offerDeadlineText = "This offer closes June 10, 2099 at 5:00 PM";
+    const base = { source: "crewOne", date: "6/12/2099", show: "Summer Stadium Tour", venue: "Stadium", offerDeadlineText, offerState: "pending" };
+
+    const reminders = buildCrewOneDeadlineReminderEvents([
+      { ...base, callTime: "08:00", position: "Stagehand" },
+      { ...base, callTime: "06:00", position: "Rigger" },
+      { ...base, show: "Corporate Gala", callTime: "16:30" },
+      { ...base, show: "Accepted Show", callTime: "09:00", offerState: "accepted" }
+    ]);
+
+    expect(reminders.map((r) => [r.summary, r.start])).toEqual([
+      ["Offer deadline: Summer Stadium Tour", "2099-06-10T17:00:00"],
+      ["Offer deadline: Corporate Gala", "2099-06-10T17:00:00"]
+    ]);
+  });
+
+  it("crewOneEntryFromIcsEvent maps a VEVENT to a call in its own zone", () => {
+    const [stagehand, gala, festival, allDay, cancelled] = parseIcs(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:c1@crew1",
+        "DTSTART;TZID=America/New_York:20990612T080000",
+        "DTEND;TZID=America/New_York:20990612T160000",
+        "SUMMARY:Summer Stadium Tour",
+        "LOCATION:Mercedes-Benz Stadium\\, 1 AMB Dr NW\\, Atlanta\\, GA",
+        "DESCRIPTION:Stagehand\\nwear blacks",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:c2@crew1",
+        "DTSTART:20990613T203000Z",
+        "DTEND:20990614T030000Z",
+        "SUMMARY:Corporate Gala",
+        "LOCATION:Georgia Aquarium",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:c3@crew1",
+        "DTSTART;TZID=America/Chicago:20990620T070000",
+        "SUMMARY:Festival Build",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART;VALUE=DATE:20990621",
+        "SUMMARY:Travel day",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART:20990622T120000Z",
+        "SUMMARY:Arena Rehearsal",
+        "STATUS:CANCELLED",
+        "END:VEVENT",
+        "END:VCALENDAR"
+      ].join("\r\n")
+    );
+
+    expect(crewOneEntryFromIcsEvent(stagehand)).toMatchObject({
+      source: "crewOne",
+      date: "6/12/2099",
+      callTime: "08:00",
+      endTime: "16:00",
+      show: "Summer Stadium Tour",
+      venue: "Mercedes-Benz Stadium",
+      location: "1 AMB Dr NW, Atlanta, GA",
+      details: "Stagehand\nwear blacks",
+      uid: "c1@crew1"
+    });
+    expect(crewOneEntryFromIcsEvent(stagehand)).not.toHaveProperty("timezone");
+    expect(crewOneEntryFromIcsEvent(gala)).toMatchObject({ date: "6/13/2099", callTime: "16:30", endTime: "23:00", venue: "Georgia Aquarium" });
+    expect(crewOneEntryFromIcsEvent(festival)).toMatchObject({ callTime: "07:00", timezone: "America/Chicago" });
+    expect(crewOneEntryFromIcsEvent(allDay)).toBeNull();
+    expect(crewOneEntryFromIcsEvent(cancelled)).toBeNull();
+  });
+
+  it("mergeCrewOneExport matches calls by venue, keeping dashboard identity and details, export times, and calls only one side has", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const dashboard = [
+      { source: "crewOne", date: "6/12/2099", callTime: "08:00", show: "Summer Stadium Tour", venue: "Mercedes-Benz Stadium", location: "", position: "Stagehand", details: "Position: Stagehand", offerState: "pending" },
+      { source: "crewOne", date: "6/13/2099", callTime: "16:30", show: "Corporate Gala", venue: "Georgia Aquarium", location: "", position: "", details: "" },
+      { source: "crewOne", date: "6/14/2099", callTime: "09:00", show: "Arena Load Out", venue: "State Farm Arena", location: "", position: "", details: "" }
+    ];
+    const fromExport = [
+      { source: "crewOne", date: "06/12/2099", callTime: "08:00", endTime: "16:00", show: "Stadium Tour (Stagehands)", venue: "Mercedes Benz Stadium", location: "Atlanta, GA", details: "Stagehand", uid: "c1" },
+      { source: "crewOne", date: "6/14/2099", callTime: "09:00", show: "ARENA LOAD OUT", venue: "", location: "", uid: "c2" },
+      { source: "crewOne", date: "6/20/2099", callTime: "07:00", show: "Festival Build", venue: "Soldier Field", location: "", timezone: "America/Chicago", uid: "c3" }
+    ];
+
+    const merged = mergeCrewOneExport(fromExport, dashboard);
+
+    expect(merged).toEqual([
+      expect.objectContaining({
+        show: "Summer Stadium Tour",
+        venue: "Mercedes-Benz Stadium",
+        location: "Atlanta, GA",
+        position: "Stagehand",
+        details: "Position: Stagehand",
+        endTime: "16:00",
+        uid: "c1"
+      }),
+      expect.objectContaining({ show: "Arena Load Out", venue: "State Farm Arena", uid: "c2" }),
+      expect.objectContaining({ show: "Festival Build", timezone: "America/Chicago" }),
+      expect.objectContaining({ show: "Corporate Gala" })
+    ]);
+    expect(warn.mock.calls.map(([line]) => line)).toEqual([
+      "[crewOne] In the calendar export but not on the dashboard: 6/20/2099 07:00 Festival Build",
+      "[crewOne] On the dashboard but not in the calendar export: 6/13/2099 16:30 Corporate Gala"
+    ]);
+    warn.mockRestore();
+  });
+
+  it("crewOneOfferId reads the id from the offer link", () => {
+    expect(crewOneOfferId("https://portal.crew1.com/view_offer/2001")).toBe("2001");
+    expect(crewOneOfferId("/view_offer/2001/")).toBe("2001");
+    expect(crewOneOfferId("https://portal.crew1.com/offer.php?id=77")).toBe("77");
+    expect(crewOneOfferId(null)).toBe("");
+  });
+
+  it("pendingOfferFromRow keeps unanswered offers with their deadline", () => {
+    const row = {
+      event: "Holiday Market Load In",
+      where: "Centennial Olympic Park",
+      dateTime: "Sat Dec 5 7:00 AM",
+      offerUrl: "https://portal.crew1.com/view_offer/2001"
+    };
+    const detail = {
+      eventTypeLine: "This is a NON-UNION Event.",
+      calls: [],
+      generalNotes: "",
+      venueNotes: "",
+      offerDeadlineText: "This offer closes December 1, 2026 at 12:00 PM",
+      offerStatusText: "This offer closes December 1, 2026 at 12:00 PM. Please accept or decline.\nAccept\nDecline"
+    };
+
+    expect(pendingOfferFromRow(row, detail, 2026)).toEqual({
+      source: "crewOne",
+      id: "2001",
+      event: "Holiday Market Load In",
+      venue: "Centennial Olympic Park",
+      date: "12/5/2026",
+      callTime: "07:00",
+      offerUrl: "https://portal.crew1.com/view_offer/2001",
+      deadlineText: "This offer closes December 1, 2026 at 12:00 PM",
+      deadline: "2026-12-01T12:00:00"
+    });
+    expect(pendingOfferFromRow(row, { ...detail, offerStatusText: "You declined this offer." }, 2026)).toBeNull();
+    expect(pendingOfferFromRow(row, { ...detail, offerStatusText: "You accepted this offer." }, 2026)).toBeNull();
+  });
 });
@@ -0,0 +1,264 @@
+import { bulkAppendMessages, loadAllMessages, isFirestoreNotFoundError } from "../message-store.js";
+import { resolveEmailScheduleEntries } from "../email-gemini.js";
+import { loadEmailExtractions, saveEmailExtractions } from "../email-extraction-store.js";
+import { emailMessageText, emailSenderAddress, parseEmailMessage } from "../email-message.js";
+import { fetchImapMessagesSince } from "../imap-client.js";
+import { defaultScheduleRowId, sortScheduleEntriesChronologically } from "../schedule-helpers.js";
+import { missingSourceCredentials, readSourceCredentials } from "./credentials.js";
+import { DEFAULT_TIMEZONE } from "./types.js";
+
+/**
+ * Call sheets and dispatch confirmations that locals and vendors send by email. Each
+ * fetch reads the configured IMAP folder (a dedicated one: mail rules file dispatch
+ * there), stores new messages from the allowed senders in Firestore (deduped by
+ * Message-ID and content hash, like IATSE 927's SMS) and runs the emails not read
+ * before through the IATSE 927 Gemini pipeline with the email prompt
+ * (email-gemini.js), with the calls of the emails already read as context. Those
+ * come from the extraction cache (email-extraction-store.js); a later email's calls
+ * replace or cancel the cached ones they name.
+ */
+
+export const sourceId = "email";
+export const timezone = DEFAULT_TIMEZONE;
+
+/** Firestore collection of the stored emails */
+export const EMAIL_COLLECTION = "email_messages";
+
+const DEFAULT_LOOKBACK_DAYS = 60;
+
+/**
+ * @type {Record<string, import("./types.js").CredentialField>}
+ */
+export const credentials = {
+  host: { env: "EMAIL_IMAP_HOST" },
+  user: { env: "EMAIL_IMAP_USER" },
+  password: { env: "EMAIL_IMAP_PASSWORD" },
+  port: { env: "EMAIL_IMAP_PORT", optional: true },
+  // true (implicit TLS), starttls, or false for a local stand-in
+  tls: { env: "EMAIL_IMAP_TLS", optional: true, default: "true" },
+  // The folder dispatch emails are filed in; never defaulted to the whole inbox
+  mailbox: { env: "EMAIL_IMAP_MAILBOX" },
+  // Addresses (or @domains) whose emails may add calls, like the SMS phone allowlist
+  allowedSenders: { env: "EMAIL_ALLOWED_SENDERS" },
+  lookbackDays: { env: "EMAIL_LOOKBACK_DAYS", optional: true, default: String(DEFAULT_LOOKBACK_DAYS) },
+  // Extraction needs Gemini; without it the source is skipped like one without a login
+  geminiApiKey: { env: "GEMINI_API_KEY" }
+};
+
+/** @returns {string[]} */
+export function missingCredentialEnvVars() {
+  return missingSourceCredentials({ sourceId, credentials });
+}
+
+/** @returns {Record<string, string> | null} */
+export function getCredentials() {
+  return readSourceCredentials({ sourceId, credentials });
+}
+
+/**
+ * A call stays on the calendar when the email that announced it ages out of the
+ * lookback; only a cancellation email removes it.
+ */
+export const completeSnapshot = false;
+
+/** The mailbox gets dispatch from several employers; each call's client is its sender */
+export const clientIsEmployer = true;
+
+/**
+ * IMAP connection settings from the credentials.
+ * @param {Record<string, string>} creds
+ * @returns {import("../imap-client.js").ImapOptions}
+ */
+export function imapOptionsFromCredentials(creds) {
+  const port = Number(creds.port);
+  const tls = (creds.tls || "").trim().toLowerCase();
+  return {
+    host: creds.host,
+    user: creds.user,
+    password: creds.password,
+    tls: tls === "starttls" ? "starttls" : !/^(false|0|no|off)$/.test(tls),
+    ...(Number.isInteger(port) && port > 0 ? { port } : {}),
+    mailbox: creds.mailbox
+  };
+}
+
+/**
+ * Senders in an allowed-sender list, lower-cased: addresses, or "@domain" for any
+ * address at that domain. Commas or semicolons separate them.
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export function parseAllowedSenders(value) {
+  return String(value || "")
+    .split(/[,;]/)
+    .map((sender) => sender.trim().toLowerCase())
+    .filter((sender) => /^[^\s@]*@[^\s@]+$/.test(sender));
+}
+
+/**
+ * True when the From header's address is on the list (see parseAllowedSenders).
+ * @param {string} from
+ * @param {string[]} allowedSenders
+ */
+export function isAllowedSender(from, allowedSenders) {
+  const address = emailSenderAddress(from);
+  if (!address) return false;
+  const domain = address.slice(address.lastIndexOf("@"));
+  return allowedSenders.includes(address) || allowedSenders.includes(domain);
+}
+
+/**
+ * Messages to store for raw emails (as fetched over IMAP or read from .eml files).
+ * Emails from senders not on the list and emails without a body are dropped.
+ * @param {(Buffer | string)[]} rawMessages
+ * @param {string[]} allowedSenders - see parseAllowedSenders
+ * @returns {{ text: string; messageId?: string; receivedAt?: Date }[]}
+ */
+export function emailMessagesToStore(rawMessages, allowedSenders) {
+  return rawMessages
+    .map((raw) => parseEmailMessage(raw))
+    .filter((email) => email.text && isAllowedSender(email.from, allowedSenders))
+    .map((email) => ({
+      text: emailMessageText(email),
+      ...(email.messageId ? { messageId: email.messageId } : {}),
+      ...(email.date ? { receivedAt: email.date } : {})
+    }));
+}
+
+/**
+ * Store emails from the allowed senders in Firestore; ones already stored are skipped.
+ * @param {(Buffer | string)[]} rawMessages
+ * @param {string[]} allowedSenders - see parseAllowedSenders
+ * @returns {Promise<{ inserted: number; skipped: number }>}
+ */
+export async function storeEmailMessages(rawMessages, allowedSenders) {
+  try {
+    const messages = emailMessagesToStore(rawMessages, allowedSenders);
+    const ignored = rawMessages.length - messages.length;
+    if (ignored > 0) {
+      console.log(`ℹ️  [${sourceId}] Skipped ${ignored} email(s) without a body or from a sender not in EMAIL_ALLOWED_SENDERS`);
+    }
+    const result = await bulkAppendMessages(messages, { collection: EMAIL_COLLECTION });
+    console.log(`ℹ️  [${sourceId}] Emails stored: inserted=${result.inserted}, skipped=${result.skipped}`);
+    return result;
+  } catch (err) {
+    if (isFirestoreNotFoundError(err)) {
+      throw new Error(
+        "Firestore database not found. Create a Firestore Native database in this GCP project (e.g. us-central1), then retry."
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * A call's identity without its call time (date | show | venue | position | type), so
+ * a cancellation that gets the time slightly wrong still finds the call.
+ * @param {import("./types.js").ScheduleEntry} entry
+ */
+function callMatchKey(entry) {
+  const parts = defaultScheduleRowId(entry).split(" | ");
+  return [parts[0], ...parts.slice(2)].join(" | ");
+}
+
+/**
+ * The calls the emails add up to, read oldest first: a later email's call with the
+ * same row id replaces an earlier one, and a cancellation that doesn't name a known
+ * call exactly cancels the one active call it matches without the call time.
+ * @param {import("./types.js").ScheduleEntry[][]} extractions - calls of each email, oldest first
+ * @returns {import("./types.js").ScheduleEntry[]}
+ */
+export function currentEmailCalls(extractions) {
+  /** @type {Map<string, import("./types.js").ScheduleEntry>} */
+  const calls = new Map();
+  for (const entry of extractions.flat()) {
+    const rowId = defaultScheduleRowId(entry);
+    if (entry.isCallCancelled && !calls.has(rowId)) {
+      const key = callMatchKey(entry);
+      const matches = [...calls].filter(([, call]) => !call.isCallCancelled && callMatchKey(call) === key);
+      if (matches.length === 1) {
+        const [[matchedRowId, call]] = matches;
+        calls.set(matchedRowId, { ...call, status: "cancelled", isCallCancelled: true });
+        continue;
+      }
+    }
+    calls.delete(rowId);
+    calls.set(rowId, entry);
+  }
+  return [...calls.values()];
+}
+
+/**
+ * Schedule entries in the stored emails received since `since`. Only emails without
+ * cached calls go to Gemini, with the calls of the others as context; each call found
+ * is cached with the latest email it cites (evidence indices only mean something
+ * within one extraction, so they're dropped). A call citing no email it was sent is
+ * left out rather than failing the rest of the extraction.
+ * @param {Date} since
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function resolveStoredEmailEntries(since) {
+  const messages = (await loadAllMessages({ collection: EMAIL_COLLECTION })).filter(
+    (message) => !message.receivedAt || message.receivedAt >= since
+  );
+  if (messages.length === 0) {
+    console.log(`ℹ️  [${sourceId}] No emails since ${since.toISOString().slice(0, 10)}`);
+    return [];
+  }
+
+  const extractions = await loadEmailExtractions(messages.map((message) => message.text));
+  const unread = messages.filter((message) => !extractions.has(message.text));
+  console.log(`ℹ️  [${sourceId}] ${unread.length} of ${messages.length} email(s) not read by Gemini yet`);
+  if (unread.length > 0) {
+    const knownCalls = currentEmailCalls(
+      messages.filter((message) => extractions.has(message.text)).map((message) => extractions.get(message.text))
+    ).filter((call) => !call.isCallCancelled);
+    const { entries } = await resolveEmailScheduleEntries(unread, { knownCalls });
+    /** @type {Map<string, import("./types.js").ScheduleEntry[]>} */
+    const extracted = new Map(unread.map((message) => [message.text, []]));
+    for (const { evidenceIndices, ...entry } of entries) {
+      const indices = evidenceIndices || [];
+      if (indices.length === 0 || indices.some((index) => !unread[index])) {
+        console.warn(
+          `⚠️  [${sourceId}] dropped ${entry.date} ${entry.callTime} ${entry.show}: Gemini cited no email it was sent`
+        );
+        continue;
+      }
+      extracted.get(unread[Math.max(...indices)].text).push(entry);
+    }
+    await saveEmailExtractions(extracted);
+    for (const [text, cached] of extracted) extractions.set(text, cached);
+  }
+
+  return sortScheduleEntriesChronologically(
+    currentEmailCalls(messages.map((message) => extractions.get(message.text) || []))
+  );
+}
+
+/**
+ * Read the IMAP folder, store what's new and extract the calls in the emails of the
+ * lookback window.
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function fetchEntries() {
+  const creds = getCredentials();
+  if (!creds) {
+    throw new Error(`Missing ${missingCredentialEnvVars().join(", ")}`);
+  }
+
+  const lookbackDays = Number(creds.lookbackDays);
+  const days = Number.isFinite(lookbackDays) && lookbackDays > 0 ? lookbackDays : DEFAULT_LOOKBACK_DAYS;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const allowedSenders = parseAllowedSenders(creds.allowedSenders);
+  if (allowedSenders.length === 0) {
+    throw new Error("EMAIL_ALLOWED_SENDERS lists no sender addresses");
+  }
+
+  const options = imapOptionsFromCredentials(creds);
+  const fetched = await fetchImapMessagesSince(options, since);
+  console.log(`📧 [${sourceId}] ${options.mailbox}: ${fetched.length} emails since ${since.toISOString().slice(0, 10)}`);
+  await storeEmailMessages(fetched.map((message) => message.raw), allowedSenders);
+
+  return resolveStoredEmailEntries(since);
+}
@@ -0,0 +1,377 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startMockImap } from "../../tests/mock-imap/server.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+/** @param {string} name */
+const fixture = (name) => path.join(FIXTURES_DIR, name);
+
+/** Prompts sent to Gemini, and the entries it answers with */
+const gemini = vi.hoisted(() => ({ prompts: /** @type {string[]} */ ([]), entries: /** @type {unknown[]} */ ([]) }));
+
+vi.mock("@google/generative-ai", () => ({
+  GoogleGenerativeAI: class MockGoogleGenerativeAI {
+    getGenerativeModel() {
+      return {
+        generateContent: async (/** @type {string} */ prompt) => {
+          gemini.prompts.push(prompt);
+          return { response: { text: () => JSON.stringify({ entries: gemini.entries, warnings: [] }) } };
+        }
+      };
+    }
+  }
+}));
+
+/** Stored messages by collection, deduped by Message-ID then text like the Firestore store */
+const store = vi.hoisted(() => ({ collections: new Map() }));
+
+vi.mock("../message-store.js", () => ({
+  isFirestoreNotFoundError: () => false,
+  bulkAppendMessages: async (messages, options = {}) => {
+    const stored = store.collections.get(options.collection) || [];
+    store.collections.set(options.collection, stored);
+    let inserted = 0;
+    let skipped = 0;
+    for (const message of messages) {
+      if (stored.some((s) => s.messageId === message.messageId || s.text === message.text)) {
+        skipped += 1;
+      } else {
+        stored.push({ messageId: message.messageId, text: message.text, receivedAt: message.receivedAt ?? null });
+        inserted += 1;
+      }
+    }
+    return { inserted, skipped };
+  },
+  loadAllMessages: async (options = {}) => [...(store.collections.get(options.collection) || [])]
+}));
+
+/** Calls cached per email text, like email-extraction-store.js */
+const extractions = vi.hoisted(() => new Map());
+
+vi.mock("../email-extraction-store.js", () => ({
+  loadEmailExtractions: async (texts) => new Map(texts.filter((text) => extractions.has(text)).map((text) => [text, extractions.get(text)])),
+  saveEmailExtractions: async (extracted) => {
+    for (const [text, entries] of extracted) extractions.set(text, entries);
+  }
+}));
+
+const {
+  EMAIL_COLLECTION,
+  currentEmailCalls,
+  emailMessagesToStore,
+  fetchEntries,
+  imapOptionsFromCredentials,
+  isAllowedSender,
+  parseAllowedSenders
+} = await import("./email.js");
+const { fetchImapMessagesSince } = await import("../imap-client.js");
+
+const ENV_KEYS = [
+  "EMAIL_IMAP_HOST",
+  "EMAIL_IMAP_PORT",
+  "EMAIL_IMAP_TLS",
+  "EMAIL_IMAP_USER",
+  "EMAIL_IMAP_PASSWORD",
+  "EMAIL_IMAP_MAILBOX",
+  "EMAIL_ALLOWED_SENDERS",
+  "EMAIL_LOOKBACK_DAYS",
+  "GEMINI_API_KEY"
+];
+
+const ALLOWED_SENDERS = "dispatch@peachtreestagehands.example; @arenacrew.example";
+
+/** An email from a sender not on the allowlist */
+const SPOOFED_CALL = [
+  "Message-ID: <call-0001@crewcalls.example>",
+  "Date: Wed, 04 Nov 2026 09:00:00 -0500",
+  "From: Crew Calls <jobs@crewcalls.example>",
+  "Subject: You are confirmed",
+  "",
+  "You are confirmed for Sat 11/21 6:00 AM at the Georgia Dome."
+].join("\r\n");
+
+/** An update moving the call sheet's load in */
+const LOAD_IN_MOVED = [
+  "Message-ID: <update-1107@peachtreestagehands.example>",
+  "Date: Thu, 05 Nov 2026 08:30:00 -0500",
+  "From: Peachtree Stagehands <dispatch@peachtreestagehands.example>",
+  "Subject: UPDATE: Hamilton load in",
+  "",
+  "Saturday's load in at the Fox moves from 7AM to 9AM."
+].join("\r\n");
+
+const HAMILTON_LOAD_IN = { date: "11/7/2026", callTime: "07:00", show: "Hamilton", venue: "Fox Theatre", type: "Load In" };
+const MONSTER_JAM_CALL = {
+  date: "11/14/2026",
+  callTime: "08:00",
+  show: "Monster Jam",
+  venue: "State Farm Arena",
+  position: "Rigger",
+  type: "Call"
+};
+
+describe("email source", () => {
+  /** @type {Record<string, string | undefined>} */
+  const original = {};
+  /** @type {Awaited<ReturnType<typeof startMockImap>> | null} */
+  let imap = null;
+
+  beforeEach(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.useFakeTimers({ now: new Date("2026-11-05T12:00:00Z"), toFake: ["Date"] });
+    for (const key of ENV_KEYS) original[key] = process.env[key];
+
+    imap = await startMockImap({
+      user: "crew@example.com",
+      password: "s3cret pass",
+      mailbox: "Dispatch",
+      messages: [fixture("email-call-sheet.eml"), fixture("email-dispatch-confirmation.eml")]
+    });
+    Object.assign(process.env, {
+      EMAIL_IMAP_HOST: imap.host,
+      EMAIL_IMAP_PORT: String(imap.port),
+      EMAIL_IMAP_TLS: "false",
+      EMAIL_IMAP_USER: "crew@example.com",
+      EMAIL_IMAP_PASSWORD: "s3cret pass",
+      EMAIL_IMAP_MAILBOX: "Dispatch",
+      EMAIL_ALLOWED_SENDERS: ALLOWED_SENDERS,
+      GEMINI_API_KEY: "test-key"
+    });
+    delete process.env.EMAIL_LOOKBACK_DAYS;
+    store.collections.clear();
+    extractions.clear();
+    gemini.prompts.length = 0;
+    gemini.entries = [];
+  });
+
+  afterEach(async () => {
+    await imap?.close();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    for (const key of ENV_KEYS) {
+      if (original[key] === undefined) delete process.env[key];
+      else process.env[key] = original[key];
+    }
+  });
+
+  it("stores each new email once and extracts calls with the email prompt", async () => {
+    gemini.entries = [
+      { date: "11/7/2026", callTime: "07:00", show: "Hamilton", venue: "Fox Theatre", type: "Load In", status: "confirmed", evidenceIndices: [0] },
+      { date: "11/14/2026", callTime: "08:00", show: "Monster Jam", venue: "State Farm Arena", position: "Rigger", type: "Call", status: "confirmed", evidenceIndices: [1] }
+    ];
+
+    const entries = await fetchEntries();
+
+    expect(entries.map((entry) => [entry.source, entry.date, entry.callTime, entry.show, entry.client])).toEqual([
+      ["email", "11/7/2026", "07:00", "Hamilton", "Peachtree Stagehands"],
+      ["email", "11/14/2026", "08:00", "Monster Jam", "Arena Crew Services"]
+    ]);
+    expect(store.collections.get(EMAIL_COLLECTION).map((message) => message.messageId)).toEqual([
+      "callsheet-1107@peachtreestagehands.example",
+      "confirm-2291@arenacrew.example"
+    ]);
+    const [prompt] = gemini.prompts;
+    expect(prompt).toMatch(/^Extract all crew calls \(confirmed and cancelled\)/);
+    expect(prompt).toContain("callSheet");
+    expect(prompt).toContain("Subject: Dispatch confirmed: Monster Jam 11/14");
+    // Read without marking the emails seen
+    expect(imap.commands.some((command) => command.includes("UID FETCH 1,2 (UID BODY.PEEK[])"))).toBe(true);
+
+    await imap.addMessage(fixture("email-cancellation.eml"));
+    gemini.entries = [];
+    await fetchEntries();
+    expect(store.collections.get(EMAIL_COLLECTION)).toHaveLength(3);
+  });
+
+  it("keeps calls an email cancels, flagged so their event is removed", async () => {
+    await imap.addMessage(fixture("email-cancellation.eml"));
+    gemini.entries = [
+      { date: "11/20/2026", callTime: "09:00", show: "Rehearsal", venue: "Tabernacle", type: "Call", status: "cancelled", evidenceIndices: [2] }
+    ];
+
+    const [entry] = await fetchEntries();
+
+    expect(entry).toMatchObject({ status: "cancelled", isCallCancelled: true, client: "Peachtree Stagehands" });
+  });
+
+  it("only reads emails inside the lookback window", async () => {
+    process.env.EMAIL_LOOKBACK_DAYS = "2";
+
+    await fetchEntries();
+
+    expect(imap.commands.some((command) => command.endsWith("UID SEARCH SINCE 03-Nov-2026"))).toBe(true);
+    expect(store.collections.get(EMAIL_COLLECTION).map((message) => message.messageId)).toEqual([
+      "confirm-2291@arenacrew.example"
+    ]);
+  });
+
+  it("fails the fetch on a rejected login without repeating the password", async () => {
+    process.env.EMAIL_IMAP_PASSWORD = "wrong-password";
+
+    const error = await fetchEntries().catch((err) => err);
+
+    expect(error.message).toBe("IMAP login failed: [AUTHENTICATIONFAILED] Invalid credentials");
+    expect(error.message).not.toContain("wrong-password");
+    expect(gemini.prompts).toHaveLength(0);
+  });
+
+  it("requires the IMAP login and Gemini", async () => {
+    delete process.env.EMAIL_IMAP_PASSWORD;
+    delete process.env.GEMINI_API_KEY;
+    await expect(fetchEntries()).rejects.toThrow("Missing EMAIL_IMAP_PASSWORD, GEMINI_API_KEY");
+  });
+
+  it("requires a dispatch folder and a sender allowlist rather than reading the whole inbox", async () => {
+    delete process.env.EMAIL_IMAP_MAILBOX;
+    delete process.env.EMAIL_ALLOWED_SENDERS;
+    await expect(fetchEntries()).rejects.toThrow("Missing EMAIL_IMAP_MAILBOX, EMAIL_ALLOWED_SENDERS");
+
+    process.env.EMAIL_IMAP_MAILBOX = "Dispatch";
+    process.env.EMAIL_ALLOWED_SENDERS = "Peachtree Stagehands";
+    await expect(fetchEntries()).rejects.toThrow("EMAIL_ALLOWED_SENDERS lists no sender addresses");
+    expect(imap.commands).toEqual([]);
+  });
+
+  it("ignores emails from senders not on the allowlist", async () => {
+    await imap.addMessage(SPOOFED_CALL);
+
+    await fetchEntries();
+
+    expect(store.collections.get(EMAIL_COLLECTION).map((message) => message.messageId)).toEqual([
+      "callsheet-1107@peachtreestagehands.example",
+      "confirm-2291@arenacrew.example"
+    ]);
+    expect(gemini.prompts.join("\n")).not.toContain("Georgia Dome");
+  });
+
+  it("matches allowed senders by address or by domain", () => {
+    const allowed = parseAllowedSenders(` ${ALLOWED_SENDERS}, not an address`);
+
+    expect(allowed).toEqual(["dispatch@peachtreestagehands.example", "@arenacrew.example"]);
+    expect(isAllowedSender("Peachtree Stagehands <Dispatch@PeachtreeStagehands.example>", allowed)).toBe(true);
+    expect(isAllowedSender('"Arena Crew Services" <jobs@arenacrew.example>', allowed)).toBe(true);
+    expect(isAllowedSender("Payroll <payroll@peachtreestagehands.example>", allowed)).toBe(false);
+    expect(isAllowedSender("jobs@arenacrew.example.evil.example", allowed)).toBe(false);
+    expect(isAllowedSender("Arena Crew Services", allowed)).toBe(false);
+  });
+
+  it("sends Gemini only the emails it hasn't read and returns the cached calls of the rest", async () => {
+    gemini.entries = [
+      { date: "11/7/2026", callTime: "07:00", show: "Hamilton", venue: "Fox Theatre", type: "Load In", status: "confirmed", evidenceIndices: [0] },
+      { date: "11/14/2026", callTime: "08:00", show: "Monster Jam", venue: "State Farm Arena", position: "Rigger", type: "Call", status: "confirmed", evidenceIndices: [1] }
+    ];
+    const first = await fetchEntries();
+
+    await imap.addMessage(fixture("email-cancellation.eml"));
+    gemini.entries = [
+      { date: "11/20/2026", callTime: "09:00", show: "Rehearsal", venue: "Tabernacle", type: "Call", status: "cancelled", evidenceIndices: [0] }
+    ];
+    const second = await fetchEntries();
+
+    expect(gemini.prompts).toHaveLength(2);
+    expect(gemini.prompts[1]).toContain("Subject: Re: Rehearsal call 11/20");
+    expect(gemini.prompts[1]).not.toContain("Subject: Dispatch confirmed: Monster Jam 11/14");
+    expect(second.map((entry) => [entry.date, entry.show, entry.status])).toEqual([
+      ["11/7/2026", "Hamilton", "confirmed"],
+      ["11/14/2026", "Monster Jam", "confirmed"],
+      ["11/20/2026", "Rehearsal", "cancelled"]
+    ]);
+    expect(second.slice(0, 2)).toEqual(first);
+    expect(second.every((entry) => entry.evidenceIndices === undefined)).toBe(true);
+
+    await fetchEntries();
+    expect(gemini.prompts).toHaveLength(2);
+  });
+
+  it("sends the calls already read with a later email and lets it move one", async () => {
+    gemini.entries = [
+      { ...HAMILTON_LOAD_IN, status: "confirmed", evidenceIndices: [0] },
+      { ...MONSTER_JAM_CALL, status: "confirmed", evidenceIndices: [1] }
+    ];
+    await fetchEntries();
+
+    await imap.addMessage(LOAD_IN_MOVED);
+    gemini.entries = [
+      { ...HAMILTON_LOAD_IN, status: "cancelled", evidenceIndices: [0] },
+      { ...HAMILTON_LOAD_IN, callTime: "09:00", status: "confirmed", evidenceIndices: [0] }
+    ];
+    const entries = await fetchEntries();
+
+    const payload = JSON.parse(gemini.prompts[1].slice(gemini.prompts[1].indexOf("\n") + 1));
+    expect(payload.knownCalls).toEqual([
+      { ...HAMILTON_LOAD_IN, position: "" },
+      MONSTER_JAM_CALL
+    ]);
+    expect(entries.map((entry) => [entry.date, entry.callTime, entry.show, entry.status])).toEqual([
+      ["11/7/2026", "07:00", "Hamilton", "cancelled"],
+      ["11/7/2026", "09:00", "Hamilton", "confirmed"],
+      ["11/14/2026", "08:00", "Monster Jam", "confirmed"]
+    ]);
+  });
+
+  it("drops a call Gemini cites no email for and caches the rest of the extraction", async () => {
+    gemini.entries = [
+      { ...HAMILTON_LOAD_IN, status: "confirmed", evidenceIndices: [0] },
+      { ...MONSTER_JAM_CALL, status: "confirmed", evidenceIndices: [] }
+    ];
+
+    const entries = await fetchEntries();
+
+    expect(entries.map((entry) => entry.show)).toEqual(["Hamilton"]);
+    expect(extractions.size).toBe(2);
+
+    await fetchEntries();
+    expect(gemini.prompts).toHaveLength(1);
+  });
+
+  it("lets a later email's call replace or cancel the calls of earlier ones", () => {
+    const call = { source: "email", location: "", position: "", status: "confirmed", ...HAMILTON_LOAD_IN };
+
+    expect(
+      currentEmailCalls([
+        [call, { ...call, type: "Load Out", callTime: "23:00" }],
+        [{ ...call, details: "Parking: Lot B" }],
+        [{ ...call, callTime: "07:30", status: "cancelled", isCallCancelled: true }]
+      ])
+    ).toEqual([
+      { ...call, type: "Load Out", callTime: "23:00" },
+      { ...call, details: "Parking: Lot B", status: "cancelled", isCallCancelled: true }
+    ]);
+  });
+
+  it("signs in with non-ASCII credentials and can't be steered by a password holding CRLF", async () => {
+    await imap.close();
+    imap = await startMockImap({ user: "crew@example.com", password: "pässwörd ünïcode", mailbox: "Dispatch" });
+    Object.assign(process.env, { EMAIL_IMAP_PORT: String(imap.port), EMAIL_IMAP_PASSWORD: "pässwörd ünïcode" });
+
+    await fetchEntries();
+    expect(imap.commands.some((command) => command.endsWith("AUTHENTICATE ***"))).toBe(true);
+
+    imap.commands.length = 0;
+    process.env.EMAIL_IMAP_PASSWORD = "x\r\nA9 SELECT Dispatch";
+    await expect(fetchEntries()).rejects.toThrow("IMAP login failed");
+    expect(imap.commands.filter((command) => /SELECT|EXAMINE/.test(command))).toEqual([]);
+  });
+
+  it("reads .eml files from disk the same way as fetched ones", async () => {
+    const options = imapOptionsFromCredentials({
+      host: imap.host,
+      port: String(imap.port),
+      tls: "false",
+      user: "crew@example.com",
+      password: "s3cret pass",
+      mailbox: "Dispatch"
+    });
+    const fetched = await fetchImapMessagesSince(options, new Date("2026-11-01T00:00:00Z"));
+    const fromDisk = await Promise.all(
+      ["email-call-sheet.eml", "email-dispatch-confirmation.eml"].map((name) => fs.readFile(fixture(name)))
+    );
+
+    const allowed = parseAllowedSenders(ALLOWED_SENDERS);
+    expect(emailMessagesToStore(fetched.map((message) => message.raw), allowed)).toEqual(emailMessagesToStore(fromDisk, allowed));
+  });
+});
@@ -1,4 +1,26 @@
+import { buildIatse927EventDescription, resolveIatse927EventLocation } from "../iatse927-event-description.js";
 import { DEFAULT_TIMEZONE } from "./types.js";
 
 export const sourceId = "iatse927";
 export const timezone = DEFAULT_TIMEZONE;
+
+/**
+ * The show, or the venue when the dispatch didn't name one.
+ * @param {import("./types.js").ScheduleEntry} entry
+ * @param {string} time
+ */
+export function eventTitle(entry, time) {
+  const show = entry.show?.trim();
+  const title = show && !/^unknown show$/i.test(show) ? show : entry.venue?.trim() || "Unknown Show";
+  return `${time} ${title}`;
+}
+
+/** @param {import("./types.js").ScheduleEntry} entry */
+export function eventDescription(entry) {
+  return buildIatse927EventDescription(entry);
+}
+
+/** @param {import("./types.js").ScheduleEntry} entry */
+export function eventLocation(entry) {
+  return resolveIatse927EventLocation(entry);
+}
@@ -1,12 +1,23 @@
 import * as rhino from "./rhino.js";
 import * as crewOne from "./crewOne.js";
 import * as iatse927 from "./iatse927.js";
+import * as calendarFeed from "./calendarFeed.js";
+import * as email from "./email.js";
+import { DEFAULT_TIMEZONE } from "./types.js";
 
-/** @type {Record<string, typeof rhino>} */
+/**
+ * Every schedule source, keyed by sourceId. Each module implements the SourcePlugin
+ * contract (types.js); adding a source means adding its module here. Source modules
+ * import utils.js, which looks sources up here, so nothing in this file may read a
+ * source's exports while the modules are still loading.
+ * @type {Record<string, import("./types.js").SourcePlugin>}
+ */
 export const sources = {
   rhino,
   crewOne,
-  iatse927
+  iatse927,
+  calendarFeed,
+  email
 };
 
 /**
@@ -20,6 +31,15 @@ export function getEnabledSourceIds() {
     .filter(Boolean);
 }
 
+/**
+ * IANA timezone of a source's call times (its `timezone` export).
+ * @param {string} id
+ * @returns {string}
+ */
+export function getSourceTimezone(id) {
+  return sources[id]?.timezone || DEFAULT_TIMEZONE;
+}
+
 /**
  * @param {string} id
  */
@@ -30,3 +50,13 @@ export function getSource(id) {
   }
   return source;
 }
+
+/**
+ * The source's plugin, or null for an id no module declares (rows synced by an
+ * older source, events from elsewhere); callers fall back to the contract defaults.
+ * @param {string | undefined} id
+ * @returns {import("./types.js").SourcePlugin | null}
+ */
+export function findSource(id) {
+  return (id && sources[id]) || null;
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect, afterEach } from "vitest";
-import { getEnabledSourceIds, getSource } from "./index.js";
+import { findSource, getEnabledSourceIds, getSource, getSourceTimezone } from "./index.js";
 
 describe("getEnabledSourceIds", () => {
   const original = process.env.SCHEDULE_SOURCES;
@@ -33,3 +33,20 @@ describe("getSource", () => {
     expect(() => getSource("unknown")).toThrow(/Unknown schedule source/);
   });
 });
+
+describe("getSourceTimezone", () => {
+  it("should use each source's timezone export", () => {
+    expect(getSourceTimezone("rhino")).toBe("America/New_York");
+    expect(getSourceTimezone("iatse927")).toBe("America/New_York");
+    expect(getSourceTimezone("unknown")).toBe("America/New_York");
+  });
+});
+
+describe("findSource", () => {
+  it("should return the plugin, or null for sources no module declares", () => {
+    expect(findSource("crewOne")?.completeSnapshot).toBe(true);
+    expect(findSource("rhino")?.legacyRowIdProperty).toBe("rhinoRowId");
+    expect(findSource("retired")).toBeNull();
+    expect(findSource(undefined)).toBeNull();
+  });
+});
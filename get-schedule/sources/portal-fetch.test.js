@@ -0,0 +1,429 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from "vitest";
+import { startMockPortal } from "../../tests/mock-portal/server.js";
+import { getPuppeteer, configurePortalPage } from "../puppeteer.js";
+import * as rhino from "./rhino.js";
+import * as crewOne from "./crewOne.js";
+import { scheduleRowId } from "../utils.js";
+
+const ENV_KEYS = ["RHINO_EMAIL", "RHINO_PASSWORD", "RHINO_LOGIN_URL", "CREWONE_EMAIL", "CREWONE_PASSWORD", "CREWONE_LOGIN_URL"];
+
+/** @type {Awaited<ReturnType<typeof startMockPortal>>} */
+let portal;
+/** @type {Record<string, string | undefined>} */
+let savedEnv;
+
+beforeAll(async () => {
+  portal = await startMockPortal();
+});
+
+afterAll(async () => {
+  await portal.close();
+});
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  Object.assign(process.env, {
+    RHINO_EMAIL: "hand@example.com",
+    RHINO_PASSWORD: "rhino-secret",
+    RHINO_LOGIN_URL: portal.rhinoLoginUrl,
+    CREWONE_EMAIL: "crew@example.com",
+    CREWONE_PASSWORD: "crew-secret",
+    CREWONE_LOGIN_URL: portal.crewOneLoginUrl
+  });
+  portal.requests.length = 0;
+  portal.offerResponses.clear();
+  portal.rhinoConfirmed.clear();
+  portal.setCrewOneLanding("dashboard");
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("mock portal server", () => {
+  it("points the sources' login URLs at itself", () => {
+    expect(rhino.getCredentials().loginUrl).toBe(portal.rhinoLoginUrl);
+    expect(crewOne.getCredentials().loginUrl).toBe(portal.crewOneLoginUrl);
+  });
+
+  it("redirects to login without a session and sets one on login", async () => {
+    const anonymous = await fetch(`${portal.url}/dashboard`, { redirect: "manual" });
+    expect(anonymous.status).toBe(302);
+    expect(anonymous.headers.get("location")).toBe("/");
+
+    const login = await fetch(`${portal.url}/login`, {
+      method: "POST",
+      body: new URLSearchParams({ email: "crew@example.com", password: "crew-secret" }),
+      redirect: "manual"
+    });
+    expect(login.headers.get("location")).toBe("/dashboard");
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+
+    const dashboard = await (await fetch(`${portal.url}/dashboard`, { headers: { cookie } })).text();
+    expect(dashboard).toContain("Upcoming Calls");
+    expect(portal.requests.find((r) => r.path === "/login").form).toEqual({ email: "crew@example.com", password: "crew-secret" });
+  });
+
+  it("serves the empty dashboard, the bgcheck interstitial, detail pages and the calendar export", async () => {
+    const cookie = "mock_portal_session=1";
+    const page = async (path) => fetch(`${portal.url}${path}`, { headers: { cookie }, redirect: "manual" });
+
+    portal.setCrewOneLanding("empty");
+    const empty = await (await page("/dashboard")).text();
+    expect(empty).toContain("Events Worked");
+    expect(empty).not.toContain("Upcoming Calls");
+
+    portal.setCrewOneLanding("bgcheck");
+    expect((await page("/dashboard")).headers.get("location")).toBe("/bgcheck");
+
+    expect(await (await page("/view_upcoming/1001")).text()).toContain("Job/Task");
+    const calendar = await page("/calendar/export.ics");
+    expect(calendar.headers.get("content-type")).toMatch(/^text\/calendar/);
+    expect(await calendar.text()).toContain("BEGIN:VCALENDAR");
+    expect((await page("/view_upcoming/9999")).status).toBe(404);
+    expect(() => portal.setCrewOneLanding("offline")).toThrow(/Unknown Crew One landing/);
+  });
+
+  it("confirms a called Rhino shift on postback", async () => {
+    const cookie = "mock_portal_session=1";
+    const schedule = `${portal.url}/employee/georgia/Schedule.aspx`;
+
+    expect(await (await fetch(schedule, { headers: { cookie } })).text()).toContain(">Confirm</button>");
+    const posted = await fetch(schedule, {
+      method: "POST",
+      headers: { cookie },
+      body: new URLSearchParams({ confirmShift: "4102" }),
+      redirect: "manual"
+    });
+    expect(posted.headers.get("location")).toBe("/employee/georgia/Schedule.aspx");
+    expect([...portal.rhinoConfirmed]).toEqual(["4102"]);
+
+    const after = await (await fetch(schedule, { headers: { cookie } })).text();
+    expect(after).not.toContain('value="4102"');
+    expect(after).toContain('value="4103"');
+    expect(after.match(/Called/g)).toHaveLength(1);
+  });
+
+  it("serves Rhino's Work History a week at a time", async () => {
+    const cookie = "mock_portal_session=1";
+    const history = (query = "") => fetch(`${portal.url}/employee/georgia/History.aspx${query}`, { headers: { cookie }, redirect: "manual" });
+
+    const latest = await (await history()).text();
+    expect(latest).toContain("HAWKS VS MAGIC");
+    expect(latest).toContain("Previous Week");
+    expect(await (await history("?week=1")).text()).not.toContain("Previous Week");
+    expect((await history("?week=2")).status).toBe(404);
+  });
+
+  it("serves offer pages and records accept / decline", async () => {
+    const cookie = "mock_portal_session=1";
+    const page = async (path, method = "GET") => fetch(`${portal.url}${path}`, { method, headers: { cookie }, redirect: "manual" });
+
+    const pending = await (await page("/view_offer/2001")).text();
+    expect(pending).toContain("This offer closes December 1, 2026 at 12:00 PM");
+    expect(pending).toContain("<button type=\"submit\">Accept</button>");
+
+    const accepted = await page("/view_offer/2001/accept", "POST");
+    expect(accepted.status).toBe(302);
+    expect(accepted.headers.get("location")).toBe("/view_offer/2001");
+    expect(portal.offerResponses.get("2001")).toBe("accepted");
+
+    const answered = await (await page("/view_offer/2001")).text();
+    expect(answered).toContain("You accepted this offer.");
+    expect(answered).not.toContain("This offer closes");
+    expect((await page("/view_offer/9999")).status).toBe(404);
+  });
+});
+
+describe("fetchSchedule against the mock portal", () => {
+  /** @type {import("puppeteer").Browser | null} */
+  let browser = null;
+
+  beforeAll(async () => {
+    try {
+      const puppeteer = await getPuppeteer();
+      browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox"] });
+    } catch (err) {
+      console.warn(`Skipping browser tests: ${err instanceof Error ? err.message.split("\n")[0] : err}`);
+    }
+  }, 60000);
+
+  afterAll(async () => {
+    await browser?.close();
+  });
+
+  /** @param {(page: import("puppeteer").Page) => Promise<void>} run */
+  async function withPage(run) {
+    const page = await browser.newPage();
+    try {
+      await configurePortalPage(page);
+      await run(page);
+    } finally {
+      await page.close();
+    }
+  }
+
+  it("logs into Rhino and reads the schedule grid", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      const entries = await rhino.fetchSchedule(page);
+
+      expect(entries).toHaveLength(4);
+      expect(entries[0]).toMatchObject({
+        source: "rhino",
+        date: "11/23/2025",
+        callTime: "08:00",
+        show: "ERYKAH BADU",
+        venue: "COBB ENERGY PERFORMING ARTS CENTRE",
+        location: "ATLANTA GA",
+        type: "IN",
+        position: "SH",
+        status: "Confirmed",
+        isCallCancelled: false,
+        venueLink: "https://maps.example.com/cobb-energy"
+      });
+      expect(entries[1].status).toBe("Called");
+      expect(entries[2].isCallCancelled).toBe(true);
+      expect(entries[3]).toMatchObject({ show: "HOLIDAY GALA", position: "LD", status: "Called" });
+      expect(portal.requests.find((r) => r.method === "POST").form).toMatchObject({
+        emailaddress: "hand@example.com",
+        mypassword: "rhino-secret"
+      });
+    });
+  });
+
+  it("pages back through Rhino's Work History for past shifts", async ({ skip }) => {
+    if (!browser) skip();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await withPage(async (page) => {
+        const shifts = await rhino.fetchHistory(page, { weeks: 4 });
+
+        expect(shifts.map((shift) => [shift.date, shift.show, shift.hours])).toEqual([
+          ["11/16/2025", "ERYKAH BADU", "5"],
+          ["11/15/2025", "HAWKS VS MAGIC", "4.5"],
+          ["11/09/2025", "TRADE SHOW, HALL B", "8"]
+        ]);
+        expect(shifts[1]).toMatchObject({ client: "ASM GLOBAL", position: "SPOT", type: "SHOW" });
+        expect(portal.requests.filter((r) => r.path.endsWith("History.aspx"))).toHaveLength(2);
+
+        portal.requests.length = 0;
+        expect(await rhino.fetchHistory(page, { weeks: 1 })).toHaveLength(2);
+        expect(portal.requests.filter((r) => r.path.endsWith("History.aspx"))).toHaveLength(1);
+      });
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it("confirms a called Rhino shift by row id and re-reads it as confirmed", async ({ skip }) => {
+    if (!browser) skip();
+    const rowId = scheduleRowId({
+      source: "rhino",
+      date: "11/24/2025",
+      callTime: "18:30",
+      show: "HOLIDAY GALA",
+      venue: "FOX THEATRE",
+      position: "SH",
+      type: "SHOW"
+    });
+    await withPage(async (page) => {
+      expect(await rhino.confirmRhinoShift(page, rowId, { dryRun: true })).toMatchObject({ result: "would confirm" });
+      expect(portal.rhinoConfirmed.size).toBe(0);
+
+      const { entry, result } = await rhino.confirmRhinoShift(page, rowId);
+      expect(result).toBe("confirmed");
+      expect(entry).toMatchObject({ show: "HOLIDAY GALA", status: "Confirmed" });
+      expect([...portal.rhinoConfirmed]).toEqual(["4102"]);
+
+      expect(await rhino.confirmRhinoShift(page, rowId)).toMatchObject({ result: "already confirmed" });
+      expect(await rhino.confirmRhinoShift(page, ` ${rowId.toLowerCase().replace("holiday gala", "holiday  gala")} `)).toMatchObject({
+        result: "already confirmed"
+      });
+      await expect(rhino.confirmRhinoShift(page, "1/1/2025 | 08:00 | NOPE | X | SH | IN")).rejects.toThrow(/No Rhino shift/);
+    });
+  });
+
+  it("dismisses a dialog that isn't Rhino's confirm question and fails the confirm", async ({ skip }) => {
+    if (!browser) skip();
+    const rowId = scheduleRowId({
+      source: "rhino",
+      date: "11/24/2025",
+      callTime: "18:30",
+      show: "HOLIDAY GALA",
+      venue: "FOX THEATRE",
+      position: "SH",
+      type: "SHOW"
+    });
+    await withPage(async (page) => {
+      await page.evaluateOnNewDocument(() => {
+        window.confirm = () => {
+          window.alert("Your session is about to expire");
+          return false;
+        };
+      });
+
+      await expect(rhino.confirmRhinoShift(page, rowId)).rejects.toThrow(
+        /unexpected dialog after clicking Confirm .*session is about to expire/
+      );
+      expect(portal.rhinoConfirmed.size).toBe(0);
+      expect(page.listenerCount("dialog")).toBe(0);
+    });
+  });
+
+  it("refuses to click Confirm when more than one Rhino row matches the shift", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      await rhino.loginAndOpenSchedule(page, rhino.getCredentials());
+      const shift = { date: "11/24/2025", callTime: "18:30", show: "HOLIDAY GALA", venue: "FOX THEATRE", position: "SH" };
+      const single = await page.evaluateHandle(rhino.findRhinoConfirmControl, shift);
+      expect(await single.evaluate((el) => el.value)).toBe("4102");
+
+      await page.evaluate(() => {
+        const row = document.querySelector('button[value="4102"]').closest("tr");
+        row.after(row.cloneNode(true));
+      });
+      const twice = await page.evaluateHandle(rhino.findRhinoConfirmControl, shift);
+      expect(twice.asElement()).toBeNull();
+      expect(await twice.jsonValue()).toMatch(/2 matching rows/);
+    });
+  });
+
+  it("reads Crew One's upcoming calls from the dashboard, skipping cancelled ones", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      const { entries } = await crewOne.fetchSchedule(page);
+
+      expect(entries.map((entry) => [entry.show, entry.venue, entry.callTime, entry.position])).toEqual([
+        ["Summer Stadium Tour", "Mercedes-Benz Stadium", "08:00", "Stagehand"],
+        ["Summer Stadium Tour", "Mercedes-Benz Stadium", "06:00", "Rigger"],
+        ["Corporate Gala", "Georgia Aquarium", "16:30", "Audio A2"]
+      ]);
+      expect(entries[0].date).toMatch(/^6\/12\/\d{4}$/);
+      expect(portal.requests.map((r) => r.path)).not.toContain("/view_upcoming/1003");
+    });
+  });
+
+  it("fills Crew One details and the offer deadline from each call's detail page", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      const { entries: [stagehand, , gala] } = await crewOne.fetchSchedule(page);
+
+      expect(stagehand.details).toContain("This is a IATSE Event.");
+      expect(stagehand.details).toContain("Call notes: Load in, wear blacks");
+      expect(stagehand.details).toContain("Check in at the gate 3 security desk.");
+      expect(stagehand).toMatchObject({ offerDeadlineText: "", offerState: "pending" });
+      expect(gala).toMatchObject({
+        offerDeadlineText: "This offer closes June 10, 2026 at 5:00 PM",
+        offerState: "pending"
+      });
+      expect(portal.requests.filter((r) => r.path === "/view_upcoming/1001")).toHaveLength(1);
+    });
+  });
+
+  it("reads Crew One's calendar export and cross-checks it with the dashboard", async ({ skip }) => {
+    if (!browser) skip();
+    // The export fixture is dated June 2026; read it as upcoming (the dashboard's year follows the clock).
+    vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-06-01T12:00:00Z"), shouldAdvanceTime: true });
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    try {
+      await withPage(async (page) => {
+        const { entries } = await crewOne.fetchSchedule(page);
+
+        expect(entries.map((entry) => [entry.date, entry.callTime, entry.endTime, entry.show, entry.position])).toEqual([
+          ["6/12/2026", "08:00", "16:00", "Summer Stadium Tour", "Stagehand"],
+          ["6/12/2026", "06:00", "08:00", "Summer Stadium Tour", "Rigger"],
+          ["6/13/2026", "16:30", "23:00", "Corporate Gala", "Audio A2"],
+          ["6/20/2026", "07:00", "19:00", "Festival Build", ""]
+        ]);
+        expect(entries[0]).toMatchObject({ venue: "Mercedes-Benz Stadium", location: "1 AMB Dr NW, Atlanta, GA 30313" });
+        expect(entries[3]).toMatchObject({ timezone: "America/Chicago", venue: "Soldier Field" });
+        expect(portal.requests.map((r) => r.path)).toContain("/calendar/export.ics");
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("not on the dashboard: 6/20/2026 07:00 Festival Build"));
+      });
+    } finally {
+      vi.restoreAllMocks();
+      vi.useRealTimers();
+    }
+  });
+
+  it("collects Crew One's offers awaiting a response, skipping answered ones", async ({ skip }) => {
+    if (!browser) skip();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await withPage(async (page) => {
+        const { offers } = await crewOne.fetchSchedule(page);
+
+        expect(offers).toEqual([
+          expect.objectContaining({
+            source: "crewOne",
+            id: "2001",
+            event: "Holiday Market Load In",
+            venue: "Centennial Olympic Park",
+            callTime: "07:00",
+            deadlineText: "This offer closes December 1, 2026 at 12:00 PM",
+            deadline: "2026-12-01T12:00:00"
+          })
+        ]);
+        expect(offers[0].offerUrl).toBe(`${portal.url}/view_offer/2001`);
+        expect(portal.requests.map((r) => r.path)).toContain("/view_offer/2002");
+      });
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it("accepts a Crew One offer and confirms the portal recorded it", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      await crewOne.loginAndOpenDashboard(page, crewOne.getCredentials());
+      const [offer] = await crewOne.fetchPendingOffers(page);
+
+      // The page also has an "Accept" nav link and another offer's Accept button
+      expect(await crewOne.respondToCrewOneOffer(page, offer, "accept")).toBe("accepted");
+      expect(portal.offerResponses.get("2001")).toBe("accepted");
+      expect(portal.offerResponses.has("2003")).toBe(false);
+      expect(portal.requests.map((r) => r.path)).not.toContain("/terms/accept");
+      await expect(crewOne.respondToCrewOneOffer(page, offer, "decline")).rejects.toThrow(/No decline button/);
+    });
+  });
+
+  it("dismisses a dialog that isn't the offer's confirmation and fails the response", async ({ skip }) => {
+    if (!browser) skip();
+    await withPage(async (page) => {
+      await crewOne.loginAndOpenDashboard(page, crewOne.getCredentials());
+      const [offer] = await crewOne.fetchPendingOffers(page);
+      await page.evaluateOnNewDocument(() => {
+        window.confirm = () => {
+          window.alert("Your session is about to expire");
+          return false;
+        };
+      });
+
+      await expect(crewOne.respondToCrewOneOffer(page, offer, "accept")).rejects.toThrow(
+        /unexpected dialog after clicking accept .*session is about to expire/
+      );
+      expect(portal.offerResponses.has("2001")).toBe(false);
+    });
+  });
+
+  it("falls back to view_upcoming when the dashboard has no upcoming calls", async ({ skip }) => {
+    if (!browser) skip();
+    portal.setCrewOneLanding("empty");
+    await withPage(async (page) => {
+      expect((await crewOne.fetchSchedule(page)).entries).toEqual([]);
+      expect(portal.requests.map((r) => r.path)).toContain("/view_upcoming");
+    });
+  });
+
+  it("stops with a clear error on the background check interstitial", async ({ skip }) => {
+    if (!browser) skip();
+    portal.setCrewOneLanding("bgcheck");
+    await withPage(async (page) => {
+      await expect(crewOne.fetchSchedule(page)).rejects.toThrow(/Background Check Consent/);
+    });
+  });
+});
@@ -1,9 +1,20 @@
-import { CALL_CANCELLED_LABEL } from "../utils.js";
+import {
+  defaultScheduleRowId,
+  isEventInFuture,
+  normalizeScheduleRowId,
+  parseScheduleDateParts,
+  rhinoRowMatchKey
+} from "../schedule-helpers.js";
+import { legacyRhinoDeterministicIdFor } from "../google-calendar/event-ids.js";
 import { gotoPortalPage } from "../puppeteer.js";
+import { createPortalCapture } from "../portal-capture.js";
+import { missingSourceCredentials, readSourceCredentials } from "./credentials.js";
+import { CALL_CANCELLED_LABEL, DEFAULT_TIMEZONE } from "./types.js";
 
 export const sourceId = "rhino";
+export const timezone = DEFAULT_TIMEZONE;
 
-const LOGIN_URL = "https://thinkrhino.com/employee/georgia/Index.aspx?cookieCheck=true";
+const DEFAULT_LOGIN_URL = "https://thinkrhino.com/employee/georgia/Index.aspx?cookieCheck=true";
 
 /**
  * Resolve the schedule table from the portal markup.
@@ -29,160 +40,293 @@ export function findRhinoScheduleTable(documentLike) {
   return null;
 }
 
+/** @type {Record<string, import("./types.js").CredentialField>} */
+export const credentials = {
+  email: { env: "RHINO_EMAIL" },
+  password: { env: "RHINO_PASSWORD" },
+  loginUrl: { env: "RHINO_LOGIN_URL", optional: true, default: DEFAULT_LOGIN_URL }
+};
+
 /** @returns {string[]} */
 export function missingCredentialEnvVars() {
-  const missing = [];
-  if (!process.env.RHINO_EMAIL) missing.push("RHINO_EMAIL");
-  if (!process.env.RHINO_PASSWORD) missing.push("RHINO_PASSWORD");
-  return missing;
+  return missingSourceCredentials({ sourceId, credentials });
 }
 
+/** @returns {{ email: string; password: string; loginUrl: string } | null} */
 export function getCredentials() {
-  if (missingCredentialEnvVars().length > 0) return null;
-  return { email: process.env.RHINO_EMAIL, password: process.env.RHINO_PASSWORD };
+  const creds = readSourceCredentials({ sourceId, credentials });
+  return creds && { email: creds.email, password: creds.password, loginUrl: creds.loginUrl };
 }
 
 /**
- * @param {import("puppeteer").Page} page
- * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ * Rhino's grid only lists upcoming calls and drops a call as soon as it's moved, so a
+ * call that just started and is gone was rescheduled; absent upcoming calls are kept.
  */
-export async function fetchSchedule(page) {
-  const { email, password } = getCredentials();
-  if (!email || !password) {
-    throw new Error("Missing RHINO_EMAIL or RHINO_PASSWORD in environment.");
-  }
+export const removeRecentlyStarted = true;
 
-  try {
-    await gotoPortalPage(page, LOGIN_URL);
-    await page.waitForSelector("#emailaddress", { visible: true, timeout: 30000 });
+/** A "called" shift (a tentative event) is only an offer until it's confirmed */
+export const tentativeIsUnconfirmed = true;
+
+/**
+ * Identity without the call time, which Rhino sometimes drifts by a minute when a
+ * call is cancelled or edited; only used to match cancelled rows.
+ * @param {string} rowId
+ */
+export function cancelledRowMatchKey(rowId) {
+  return rhinoRowMatchKey(rowId);
+}
 
-    await page.type("#emailaddress", email);
-    await page.type("#mypassword", password);
-    await page.click("#btnNewLogin");
-    await page.waitForSelector("#btnSchedule", { visible: true, timeout: 90000 });
+/**
+ * A moved call is listed under a new row id and the old one is dropped, so the
+ * ledger matches shifts without the call time; show, venue, position and type still
+ * keep the calls of one day apart.
+ * @param {string} rowId
+ */
+export function ledgerMatchKey(rowId) {
+  return rhinoRowMatchKey(rowId);
+}
 
-    await Promise.all([
-      page.waitForNavigation({ waitUntil: "domcontentloaded", timeout: 90000 }).catch(() => {}),
-      page.click("#btnSchedule")
-    ]);
+/** Events synced before sources were tagged store the row id here */
+export const legacyRowIdProperty = "rhinoRowId";
 
-    await page.waitForFunction(() => {
-      const table = document.querySelector("table#dgResults")
-        || document.querySelector('table[id*="dgResults"]')
-        || document.querySelector('table[id*="Grid"]')
-        || document.querySelector("table");
-      return !!table && table.querySelectorAll("tbody tr, thead tr, tr").length > 0;
-    }, { timeout: 90000 });
-
-    const rows = await page.evaluate(({ callCancelledLabel, callFilledLabel }) => {
-      const table = document.querySelector("table#dgResults")
-        || document.querySelector('table[id*="dgResults"]')
-        || document.querySelector('table[id*="Grid"]')
-        || document.querySelector("table");
-      if (!table) return [];
-
-      const normalizeCellText = (text) =>
-        text.replace(/\\t/g, "").replace(/\\n/g, "\n").replace(/\s+/g, " ").trim().toLowerCase();
-
-      const normalizeHeaderText = (text) =>
-        text.replace(/\u00a0/g, " ").replace(/\s+/g, " ").trim().toLowerCase();
-
-      /** @param {Element[]} headerCells @param {string} label */
-      const headerIndex = (headerCells, label) => {
-        for (let i = 0; i < headerCells.length; i++) {
-          const headerText = normalizeHeaderText(headerCells[i].textContent);
-          if (headerText === label || headerText.startsWith(`${label} `)) {
-            return i;
-          }
-        }
-        return -1;
-      };
-
-      const allRows = Array.from(table.querySelectorAll("tbody tr, thead tr, tr"));
-      if (allRows.length === 0) return [];
-
-      const headerRow = allRows.find((row) => Array.from(row.querySelectorAll("td, th")).some((cell) => cell.textContent && cell.textContent.trim())) || allRows[0];
-      const bodyRows = allRows.filter((row) => row !== headerRow).filter((row) => Array.from(row.querySelectorAll("td")).length >= 2);
-
-      const headerCells = headerRow ? Array.from(headerRow.querySelectorAll("td, th")) : [];
-      const hasActionsColumn = headerIndex(headerCells, "actions") >= 0;
-      const offset = hasActionsColumn ? 1 : 0;
-
-      /** @param {string} label @param {number} legacyIndex */
-      const col = (label, legacyIndex) => {
-        const idx = headerIndex(headerCells, label);
-        return idx >= 0 ? idx : legacyIndex + offset;
-      };
-
-      const columns = {
-        date: col("date", 0),
-        callTime: col("time", 1),
-        show: col("show", 3),
-        venue: col("venue", 4),
-        location: col("location", 5),
-        client: col("client", 6),
-        type: col("type", 7),
-        position: col("position", 8),
-        details: col("details", 9),
-        status: col("status", 10),
-        notes: col("notes", 11)
-      };
-
-      let venueLinkColumnIndex = -1;
-      for (let i = 0; i < headerCells.length; i++) {
-        const cell = headerCells[i];
-        const hasLeftcell = cell.classList && cell.classList.contains("leftcell");
-        if (hasLeftcell && cell.textContent.trim() === "+") {
-          venueLinkColumnIndex = i;
-          break;
-        }
+/**
+ * Ids of events synced before sources were tagged (a hash of the row id alone).
+ * @param {string} rowId
+ */
+export function legacyEventIds(rowId) {
+  return [legacyRhinoDeterministicIdFor(rowId)];
+}
+
+/**
+ * A "called" shift isn't confirmed yet: its title says so instead of the time.
+ * @param {import("./types.js").ScheduleEntry} entry
+ * @param {string} time
+ */
+export function eventTitle(entry, time) {
+  return entry.status?.toLowerCase() === "called" ? `UNCONFIRMED => ${entry.show}` : `${time} ${entry.show}`;
+}
+
+/** Labels extractRhinoScheduleRows treats as a cancelled call */
+export const RHINO_CANCELLED_LABELS = {
+  callCancelledLabel: CALL_CANCELLED_LABEL.toLowerCase(),
+  callFilledLabel: "call filled"
+};
+
+/**
+ * Read the schedule grid into entries. Runs in the page (page.evaluate), so it
+ * can't use anything outside its own body; replays run it against saved captures.
+ * @param {typeof RHINO_CANCELLED_LABELS} labels
+ */
+export function extractRhinoScheduleRows({ callCancelledLabel, callFilledLabel }) {
+  const table = document.querySelector("table#dgResults")
+    || document.querySelector('table[id*="dgResults"]')
+    || document.querySelector('table[id*="Grid"]')
+    || document.querySelector("table");
+  if (!table) return [];
+
+  const normalizeCellText = (text) =>
+    text.replace(/\\t/g, "").replace(/\\n/g, "\n").replace(/\s+/g, " ").trim().toLowerCase();
+
+  const normalizeHeaderText = (text) =>
+    text.replace(/\u00a0/g, " ").replace(/\s+/g, " ").trim().toLowerCase();
+
+  /** @param {Element[]} headerCells @param {string} label */
+  const headerIndex = (headerCells, label) => {
+    for (let i = 0; i < headerCells.length; i++) {
+      const headerText = normalizeHeaderText(headerCells[i].textContent);
+      if (headerText === label || headerText.startsWith(`${label} `)) {
+        return i;
       }
+    }
+    return -1;
+  };
+
+  const allRows = Array.from(table.querySelectorAll("tbody tr, thead tr, tr"));
+  if (allRows.length === 0) return [];
+
+  const headerRow = allRows.find((row) => Array.from(row.querySelectorAll("td, th")).some((cell) => cell.textContent && cell.textContent.trim())) || allRows[0];
+  const bodyRows = allRows.filter((row) => row !== headerRow).filter((row) => Array.from(row.querySelectorAll("td")).length >= 2);
 
-      return bodyRows.map((row) => {
-        const cells = Array.from(row.querySelectorAll("td"));
-        if (cells.length < 12) return null;
-
-        const removeEscapes = (cell) =>
-          cell.textContent.replace(/\\t/g, "").replace(/\\n/g, "\n").replace(/\s+/g, " ").trim();
-
-        const cellText = (index) =>
-          index >= 0 && cells[index] ? cells[index].textContent.trim() : "";
-
-        const isCallCancelled = cells.some((cell) => {
-          const normalizedText = normalizeCellText(cell.textContent);
-          return normalizedText === callCancelledLabel || normalizedText === callFilledLabel;
-        });
-
-        let venueLink;
-        if (venueLinkColumnIndex >= 0 && cells[venueLinkColumnIndex]) {
-          const anchor = cells[venueLinkColumnIndex].querySelector("a");
-          const href = anchor ? anchor.href : null;
-          venueLink = href && href.trim() ? href.trim() : undefined;
-        }
-
-        const entry = {
-          date: cellText(columns.date),
-          callTime: cellText(columns.callTime),
-          show: cellText(columns.show),
-          venue: removeEscapes(cells[columns.venue] || { textContent: "" }),
-          location: cellText(columns.location),
-          client: cellText(columns.client),
-          type: cellText(columns.type),
-          position: cellText(columns.position),
-          details: cellText(columns.details),
-          status: cellText(columns.status),
-          notes: cellText(columns.notes),
-          isCallCancelled
-        };
-        if (venueLink) entry.venueLink = venueLink;
-        return entry;
-      }).filter(Boolean);
-    }, {
-      callCancelledLabel: CALL_CANCELLED_LABEL.toLowerCase(),
-      callFilledLabel: "call filled"
+  const headerCells = headerRow ? Array.from(headerRow.querySelectorAll("td, th")) : [];
+  const hasActionsColumn = headerIndex(headerCells, "actions") >= 0;
+  const offset = hasActionsColumn ? 1 : 0;
+
+  /** @param {string} label @param {number} legacyIndex */
+  const col = (label, legacyIndex) => {
+    const idx = headerIndex(headerCells, label);
+    return idx >= 0 ? idx : legacyIndex + offset;
+  };
+
+  const columns = {
+    date: col("date", 0),
+    callTime: col("time", 1),
+    hours: col("hrs", 2),
+    show: col("show", 3),
+    venue: col("venue", 4),
+    location: col("location", 5),
+    client: col("client", 6),
+    type: col("type", 7),
+    position: col("position", 8),
+    details: col("details", 9),
+    status: col("status", 10),
+    notes: col("notes", 11)
+  };
+
+  let venueLinkColumnIndex = -1;
+  for (let i = 0; i < headerCells.length; i++) {
+    const cell = headerCells[i];
+    const hasLeftcell = cell.classList && cell.classList.contains("leftcell");
+    if (hasLeftcell && cell.textContent.trim() === "+") {
+      venueLinkColumnIndex = i;
+      break;
+    }
+  }
+
+  return bodyRows.map((row) => {
+    const cells = Array.from(row.querySelectorAll("td"));
+    if (cells.length < 12) return null;
+
+    const removeEscapes = (cell) =>
+      cell.textContent.replace(/\\t/g, "").replace(/\\n/g, "\n").replace(/\s+/g, " ").trim();
+
+    const cellText = (index) =>
+      index >= 0 && cells[index] ? cells[index].textContent.trim() : "";
+
+    const isCallCancelled = cells.some((cell) => {
+      const normalizedText = normalizeCellText(cell.textContent);
+      return normalizedText === callCancelledLabel || normalizedText === callFilledLabel;
     });
 
-    return rows.map((row) => ({ ...row, source: sourceId }));
+    let venueLink;
+    if (venueLinkColumnIndex >= 0 && cells[venueLinkColumnIndex]) {
+      const anchor = cells[venueLinkColumnIndex].querySelector("a");
+      const href = anchor ? anchor.href : null;
+      venueLink = href && href.trim() ? href.trim() : undefined;
+    }
+
+    const entry = {
+      date: cellText(columns.date),
+      callTime: cellText(columns.callTime),
+      hours: cellText(columns.hours),
+      show: cellText(columns.show),
+      venue: removeEscapes(cells[columns.venue] || { textContent: "" }),
+      location: cellText(columns.location),
+      client: cellText(columns.client),
+      type: cellText(columns.type),
+      position: cellText(columns.position),
+      details: cellText(columns.details),
+      status: cellText(columns.status),
+      notes: cellText(columns.notes),
+      isCallCancelled
+    };
+    if (venueLink) entry.venueLink = venueLink;
+    return entry;
+  }).filter(Boolean);
+}
+
+/**
+ * The Confirm control in the schedule grid row for a shift. The row must match the
+ * shift's date, call time, show, venue and position, since Rhino lists one row per
+ * position and a show can have several on the same call. Runs in the page
+ * (page.evaluateHandle) like extractRhinoScheduleRows; returns why not (a string)
+ * unless exactly one row matches and it has a Confirm control.
+ * @param {{ date: string; callTime: string; show: string; venue: string; position: string }} shift
+ * @returns {Element | string}
+ */
+export function findRhinoConfirmControl({ date, callTime, show, venue, position }) {
+  const text = (el) => (el.textContent || el.value || "").replace(/\s+/g, " ").trim();
+  const grid = document.querySelector("table#dgResults") || document.querySelector('table[id*="dgResults"]');
+  if (!grid) return "No schedule grid on the Rhino page";
+
+  const rows = Array.from(grid.querySelectorAll("tr")).filter((tr) => {
+    const cells = Array.from(tr.querySelectorAll("td")).map(text);
+    return [date, callTime, show, venue, position].every((value) => cells.includes(value));
+  });
+  if (rows.length !== 1) {
+    return rows.length === 0
+      ? "No matching row on the Rhino schedule"
+      : `${rows.length} matching rows on the Rhino schedule, not clicking any`;
+  }
+
+  const control = Array.from(
+    rows[0].querySelectorAll('button, a, input[type="submit"], input[type="button"]')
+  ).find((el) => /^confirm\b/i.test(text(el)));
+  return control || "No Confirm button in its row on the Rhino schedule";
+}
+
+/**
+ * @param {import("puppeteer").Page} page
+ */
+async function waitForScheduleTable(page) {
+  await page.waitForFunction(() => {
+    const table = document.querySelector("table#dgResults")
+      || document.querySelector('table[id*="dgResults"]')
+      || document.querySelector('table[id*="Grid"]')
+      || document.querySelector("table");
+    return !!table && table.querySelectorAll("tbody tr, thead tr, tr").length > 0;
+  }, { timeout: 90000 });
+}
+
+/**
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+async function readScheduleRows(page) {
+  const rows = await page.evaluate(extractRhinoScheduleRows, RHINO_CANCELLED_LABELS);
+  return rows.map((row) => ({ ...row, source: sourceId }));
+}
+
+/**
+ * Log in and wait for the employee home page.
+ * @param {import("puppeteer").Page} page
+ * @param {NonNullable<ReturnType<typeof getCredentials>>} creds
+ * @param {ReturnType<typeof createPortalCapture>} [capture]
+ */
+async function logIn(page, { email, password, loginUrl }, capture) {
+  await gotoPortalPage(page, loginUrl);
+  await page.waitForSelector("#emailaddress", { visible: true, timeout: 30000 });
+  await capture?.step(page, "login");
+
+  await page.type("#emailaddress", email);
+  await page.type("#mypassword", password);
+  await page.click("#btnNewLogin");
+  await page.waitForSelector("#btnSchedule", { visible: true, timeout: 90000 });
+  await capture?.step(page, "post-login");
+}
+
+/**
+ * Log in and open the schedule grid.
+ * @param {import("puppeteer").Page} page
+ * @param {NonNullable<ReturnType<typeof getCredentials>>} creds
+ * @param {ReturnType<typeof createPortalCapture>} [capture]
+ */
+export async function loginAndOpenSchedule(page, creds, capture) {
+  await logIn(page, creds, capture);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "domcontentloaded", timeout: 90000 }).catch(() => {}),
+    page.click("#btnSchedule")
+  ]);
+
+  await waitForScheduleTable(page);
+  await capture?.step(page, "schedule");
+}
+
+/**
+ * @param {import("puppeteer").Page} page
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function fetchSchedule(page) {
+  const { email, password, loginUrl } = getCredentials();
+  if (!email || !password) {
+    throw new Error("Missing RHINO_EMAIL or RHINO_PASSWORD in environment.");
+  }
+
+  const capture = createPortalCapture(sourceId, { secrets: [email, password] });
+  try {
+    await loginAndOpenSchedule(page, { email, password, loginUrl }, capture);
+    const rows = await readScheduleRows(page);
+    await capture.finish();
+    return rows;
   } catch (err) {
     const detail = err instanceof Error ? err.message : String(err);
     let url = "";
@@ -191,6 +335,176 @@ export async function fetchSchedule(page) {
     } catch {
       // ignore
     }
-    throw new Error(url ? `${detail} (at ${url})` : detail);
+    await capture.step(page, "failure");
+    const saved = await capture.finish({ error: err });
+    const where = [url && `at ${url}`, saved && `capture: ${saved}`].filter(Boolean).join("; ");
+    throw new Error(where ? `${detail} (${where})` : detail);
+  }
+}
+
+/** Weeks of history fetchHistory reads unless told otherwise */
+export const DEFAULT_HISTORY_WEEKS = 8;
+
+/**
+ * The home page's Work History button, or the week-before control on a history page.
+ * Runs in the page (page.evaluateHandle).
+ * @param {"history" | "previous"} which
+ * @returns {Element | null}
+ */
+export function findRhinoHistoryControl(which) {
+  const label = which === "history" ? /^(work history|history|past shifts)\b/i : /^(«|<|‹)?\s*prev(ious)?\b/i;
+  const byId = which === "history" ? document.querySelector("#btnHistory") : null;
+  if (byId) return byId;
+  return (
+    Array.from(document.querySelectorAll('button, a, input[type="submit"], input[type="button"]')).find((el) =>
+      label.test((el.textContent || el.value || "").replace(/\s+/g, " ").trim())
+    ) || null
+  );
+}
+
+/**
+ * @param {import("puppeteer").Page} page
+ * @param {"history" | "previous"} which
+ * @returns {Promise<boolean>} false when the page has no such control
+ */
+async function clickHistoryControl(page, which) {
+  const control = (await page.evaluateHandle(findRhinoHistoryControl, which)).asElement();
+  if (!control) return false;
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: "domcontentloaded", timeout: 90000 }).catch(() => {}),
+    control.click()
+  ]);
+  await waitForScheduleTable(page);
+  return true;
+}
+
+/**
+ * Shifts worked, from the Work History grid: the latest week first, then back a week
+ * at a time with its Previous Week control until `weeks` have been read or there is
+ * no earlier week. Cancelled calls and shifts that haven't started are left out, and
+ * a shift listed in two weeks is kept once.
+ * @param {import("puppeteer").Page} page
+ * @param {{ weeks?: number }} [options]
+ * @returns {Promise<import("./types.js").ScheduleEntry[]>}
+ */
+export async function fetchHistory(page, options = {}) {
+  const creds = getCredentials();
+  if (!creds) {
+    throw new Error("Missing RHINO_EMAIL or RHINO_PASSWORD in environment.");
+  }
+  const weeks = Math.max(1, Math.floor(options.weeks ?? DEFAULT_HISTORY_WEEKS));
+
+  const capture = createPortalCapture(sourceId, { secrets: [creds.email, creds.password] });
+  /** @type {Map<string, import("./types.js").ScheduleEntry>} */
+  const shifts = new Map();
+  try {
+    await logIn(page, creds, capture);
+    if (!(await clickHistoryControl(page, "history"))) {
+      throw new Error("No Work History button on the Rhino home page");
+    }
+
+    for (let week = 1; ; week++) {
+      await capture.step(page, "history");
+      for (const entry of await readScheduleRows(page)) {
+        if (entry.isCallCancelled) continue;
+        const { year, month, day, hours, minutes } = parseScheduleDateParts(entry.date, entry.callTime);
+        if (isEventInFuture(year, month, day, hours, minutes, timezone)) continue;
+        const rowId = defaultScheduleRowId(entry);
+        if (!shifts.has(rowId)) shifts.set(rowId, entry);
+      }
+      if (week >= weeks || !(await clickHistoryControl(page, "previous"))) break;
+    }
+    await capture.finish();
+  } catch (err) {
+    await capture.step(page, "failure");
+    const saved = await capture.finish({ error: err });
+    if (!saved) throw err;
+    throw new Error(`${err instanceof Error ? err.message : String(err)} (capture: ${saved})`);
+  }
+
+  console.log(`📚 [${sourceId}] ${shifts.size} past shift(s) in ${weeks} week(s) of history`);
+  return [...shifts.values()];
+}
+
+/**
+ * What confirmRhinoShift did: "confirmed" after clicking Confirm, "already confirmed"
+ * when the row wasn't a called shift, "would confirm" for a dry run.
+ * @typedef {{ entry: import("./types.js").ScheduleEntry; result: "confirmed" | "already confirmed" | "would confirm" }} RhinoConfirmation
+ */
+
+/**
+ * Confirm a called shift on the portal by its scheduleRowId, then read the schedule
+ * again to make sure Rhino recorded it.
+ * @param {import("puppeteer").Page} page
+ * @param {string} rowId - scheduleRowId of the shift
+ * @param {{ dryRun?: boolean }} [options] - dryRun finds the shift without clicking anything
+ * @returns {Promise<RhinoConfirmation>} entry is the shift as the portal lists it afterwards
+ */
+export async function confirmRhinoShift(page, rowId, options = {}) {
+  const creds = getCredentials();
+  if (!creds) {
+    throw new Error("Missing RHINO_EMAIL or RHINO_PASSWORD in environment.");
+  }
+
+  await loginAndOpenSchedule(page, creds);
+  // Row ids typed or pasted by hand may differ in spacing or case from the portal's
+  const rowIdKey = (id) => normalizeScheduleRowId(id.trim()).toLowerCase();
+  const wanted = rowIdKey(rowId);
+  const findShift = (rows) => rows.find((row) => rowIdKey(defaultScheduleRowId(row)) === wanted);
+
+  const entry = findShift(await readScheduleRows(page));
+  if (!entry) throw new Error(`No Rhino shift with row id "${rowId}" on the schedule`);
+  if (entry.isCallCancelled) throw new Error(`Rhino shift "${rowId}" was cancelled; nothing to confirm`);
+  if (entry.status?.toLowerCase() !== "called") return { entry, result: "already confirmed" };
+  if (options.dryRun) return { entry, result: "would confirm" };
+
+  const handle = await page.evaluateHandle(findRhinoConfirmControl, {
+    date: entry.date,
+    callTime: entry.callTime,
+    show: entry.show,
+    venue: entry.venue,
+    position: entry.position
+  });
+  const control = handle.asElement();
+  if (!control) throw new Error(`${await handle.jsonValue()} for "${rowId}"`);
+
+  // ASP.NET postbacks may ask "Confirm this shift?" / "Are you sure?" before submitting.
+  // Only that question is answered yes; any other dialog is dismissed and fails the confirm.
+  /** @type {string | null} */
+  let unexpectedDialog = null;
+  /** @param {import("puppeteer").Dialog} dialog */
+  const onDialog = (dialog) => {
+    const message = dialog.message();
+    if (dialog.type() === "confirm" && /\bconfirm|are you sure/i.test(message)) {
+      dialog.accept().catch(() => {});
+    } else {
+      unexpectedDialog = unexpectedDialog || message;
+      dialog.dismiss().catch(() => {});
+    }
+  };
+  page.on("dialog", onDialog);
+  try {
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: "domcontentloaded", timeout: 90000 }).catch(() => {}),
+      control.click()
+    ]);
+  } finally {
+    page.off("dialog", onDialog);
+  }
+  if (unexpectedDialog !== null) {
+    throw new Error(`Rhino showed an unexpected dialog after clicking Confirm for "${rowId}": "${unexpectedDialog}"`);
+  }
+
+  // Re-open the grid the way a login does rather than reloading the postback URL,
+  // which may show an error page or the home page instead of the schedule.
+  await loginAndOpenSchedule(page, creds);
+  if (!(await page.$('table#dgResults, table[id*="dgResults"]'))) {
+    throw new Error(`Rhino did not show the schedule grid after confirming "${rowId}" (${page.url()})`);
+  }
+  const confirmed = findShift(await readScheduleRows(page));
+  if (!confirmed) throw new Error(`Rhino shift "${rowId}" is no longer on the schedule after confirming`);
+  if (confirmed.status?.toLowerCase() === "called") {
+    throw new Error(`Rhino still lists "${rowId}" as called after clicking Confirm`);
   }
+  return { entry: confirmed, result: "confirmed" };
 }
@@ -4,6 +4,8 @@
  * @property {string} source - Source id (e.g. "rhino", "crewOne")
  * @property {string} date - MM/DD/YYYY
  * @property {string} callTime - HH:mm
+ * @property {string} [endTime] - HH:mm, when the source lists when the shift ends
+ * @property {string} [timezone] - IANA zone of date/callTime when it isn't the source's (out-of-market calls)
  * @property {string} show
  * @property {string} venue
  * @property {string} location
@@ -13,11 +15,91 @@
  * @property {string} [client]
  * @property {string} [details]
  * @property {string} [notes]
+ * @property {string} [hours] - hours as the portal lists them (Rhino's Hrs column)
  * @property {string} [sourceText] - Verbatim dispatch/reminder SMS matched to this shift
  * @property {boolean} [isCallCancelled]
  * @property {string} [venueLink]
+ * @property {string} [uid] - UID of the VEVENT the entry came from (calendar exports and feeds)
  * @property {number[]} [evidenceIndices]
  * @property {string} [confidence]
  */
 
+/**
+ * Environment variable a source reads a credential from.
+ * @typedef {Object} CredentialField
+ * @property {string} env - e.g. "RHINO_EMAIL"
+ * @property {boolean} [optional] - the source runs without it (default: required)
+ * @property {string} [default] - value when the variable is unset
+ */
+
+/**
+ * A fetch that returns more than the schedule. Sources with nothing else return the
+ * entries alone.
+ * @typedef {Object} SourceFetchResult
+ * @property {ScheduleEntry[]} entries
+ * @property {import("./crewOne.js").PendingOffer[]} [offers] - offers awaiting a response,
+ *   added to the run's report (none)
+ */
+
+/**
+ * What a source module exports. The registry (index.js), the orchestrator and the
+ * calendar sync work only from these exports, so a new source is one module listed
+ * in index.js; everything but sourceId is optional and falls back to the default noted.
+ * @typedef {Object} SourcePlugin
+ * @property {string} sourceId
+ * @property {string} [timezone] - IANA zone of call times (DEFAULT_TIMEZONE)
+ * @property {Record<string, CredentialField>} [credentials] - credential name -> env var;
+ *   a source with required credentials unset is skipped (none: always runs)
+ * @property {(page: import("puppeteer").Page) => Promise<ScheduleEntry[] | SourceFetchResult>} [fetchSchedule]
+ *   - scrapes the schedule in a browser page (portal sources)
+ * @property {() => Promise<ScheduleEntry[] | SourceFetchResult>} [fetchEntries] - reads the
+ *   schedule without a browser (feed sources); a source has this or fetchSchedule
+ * @property {boolean} [completeSnapshot] - a fetch lists every upcoming shift, so one
+ *   missing from it was taken off the schedule and its event is removed (false)
+ * @property {boolean} [keepPastEvents] - never remove an event once it has started (false)
+ * @property {boolean} [removeRecentlyStarted] - an event that started in the last day and
+ *   is no longer listed was rescheduled, so it is removed (false)
+ * @property {boolean} [tentativeIsUnconfirmed] - a tentative event is an offer not yet
+ *   confirmed, so its overlaps are reported as possible conflicts (false)
+ * @property {boolean} [clientIsEmployer] - each entry's client is who it was worked for (a
+ *   feed or mailbox several employers share), so earnings are totalled per client (false:
+ *   per source)
+ * @property {(entry: ScheduleEntry) => string} [rowId] - row identity
+ *   (date | call time | show | venue | position | type)
+ * @property {(rowId: string) => string} [rowMatchKey] - looser identity that survives
+ *   detail drift, used to keep listed rows, match cancelled rows and find an existing
+ *   event whose row id changed (none)
+ * @property {(rowId: string) => string} [cancelledRowMatchKey] - looser identity used only
+ *   to match cancelled rows (rowMatchKey)
+ * @property {(rowId: string) => string} [ledgerMatchKey] - identity under which the shift
+ *   ledger takes an upcoming shift listed under a new row id for the same shift (rowMatchKey)
+ * @property {string} [legacyRowIdProperty] - extended property older events stored the
+ *   row id under, besides scheduleRowId (none)
+ * @property {(rowId: string) => string[]} [legacyEventIds] - ids older events may exist under (none)
+ * @property {(entry: ScheduleEntry, time: string) => string} [eventTitle] - event summary;
+ *   time is the event start as "8am" ("<time> <show>")
+ * @property {(entry: ScheduleEntry) => string} [eventDescription] - ("<details> | <notes>")
+ * @property {(entry: ScheduleEntry) => string} [eventLocation] - ("<venue> - <location>")
+ * @property {DerivedEventKind[]} [derivedEvents] - extra events built from each fetch
+ */
+
+/**
+ * Events a source derives from its entries besides the shifts (e.g. CrewOne offer
+ * deadline reminders). They are tagged with the kind, synced in a session of their own
+ * and rebuilt from scratch on every run.
+ * @typedef {Object} DerivedEventKind
+ * @property {string} kind - also the suffix of their row ids ("<rowId>|<kind>")
+ * @property {string} label - for logs, e.g. "deadline reminder"
+ * @property {(entries: ScheduleEntry[]) => DerivedEvent[]} build
+ */
+
+/**
+ * A derived event as toGoogleEvent returns events, plus its kind.
+ * @typedef {Record<string, any>} DerivedEvent
+ */
+
+/** Timezone of a source's call times unless the source module exports its own `timezone` */
 export const DEFAULT_TIMEZONE = "America/New_York";
+
+/** Exact text Rhino puts in the blank-header column (between TK/TL/SAF and "+"). */
+export const CALL_CANCELLED_LABEL = "Call Cancelled";
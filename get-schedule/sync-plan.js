@@ -0,0 +1,80 @@
+/**
+ * Dry-run sync plans: what a sync would create, update and delete per source (and
+ * which existing events it would leave alone), built from syncEvent/purge results
+ * run with { dryRun: true }.
+ */
+
+/**
+ * @typedef {{ eventId: string; rowId: string; summary: string; start: string | null }} PlannedCreate
+ * @typedef {PlannedCreate & { diff: { field: string; before: string; after: string }[] }} PlannedUpdate
+ * @typedef {import("./google-calendar/add-event.js").SourceEventDeletion} PlannedDelete
+ * @typedef {{ source: string; creates: PlannedCreate[]; updates: PlannedUpdate[]; unchanged: PlannedCreate[]; deletes: PlannedDelete[] }} SourcePlan
+ */
+
+/**
+ * @param {string} sourceId
+ * @returns {SourcePlan}
+ */
+export function createSourcePlan(sourceId) {
+  return { source: sourceId, creates: [], updates: [], unchanged: [], deletes: [] };
+}
+
+/**
+ * @param {SourcePlan} plan
+ * @param {import("./google-calendar/add-event.js").SourceEventDeletion[]} deletions
+ */
+export function addDeletionsToPlan(plan, deletions) {
+  plan.deletes.push(...(deletions || []));
+  return plan;
+}
+
+/**
+ * Record one dry-run syncEvent result. Duplicates an update (or an unchanged match)
+ * would collapse are listed as deletes; an event the run rebuilds after purging it
+ * (restoresEventId, e.g. a deadline reminder) is no longer deleted.
+ * @param {SourcePlan} plan
+ * @param {Awaited<ReturnType<typeof import("./google-calendar/add-event.js").syncEvent>> & { restoresEventId?: string }} result
+ */
+export function addSyncResultToPlan(plan, result) {
+  if (!result?.dryRun) return plan;
+  if (result.restoresEventId) {
+    plan.deletes = plan.deletes.filter((deletion) => deletion.eventId !== result.restoresEventId);
+  }
+  const planned = {
+    eventId: result.eventId,
+    rowId: result.rowId,
+    summary: result.summary || "",
+    start: result.start || null
+  };
+
+  if (result.action === "created") {
+    plan.creates.push(planned);
+    return plan;
+  }
+  if (result.action === "updated") {
+    plan.updates.push({ ...planned, diff: result.diff || [] });
+  } else if (result.action === "unchanged") {
+    plan.unchanged.push(planned);
+  } else {
+    return plan;
+  }
+  for (const eventId of result.duplicateIds || []) {
+    plan.deletes.push({ eventId, rowId: result.rowId, summary: planned.summary, start: null, reason: "duplicate" });
+  }
+  return plan;
+}
+
+/**
+ * Event ids the plan already deletes, so later syncEvent calls don't match them.
+ * @param {SourcePlan} plan
+ */
+export function plannedDeletionIds(plan) {
+  return new Set(plan.deletes.map((deletion) => deletion.eventId));
+}
+
+/**
+ * @param {SourcePlan} plan
+ */
+export function formatPlanLogLine(plan) {
+  return `  🧪 [${plan.source}] dry run: ${plan.creates.length} create, ${plan.updates.length} update, ${plan.deletes.length} delete (${plan.unchanged.length} unchanged)`;
+}
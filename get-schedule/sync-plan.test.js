@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import {
+  addDeletionsToPlan,
+  addSyncResultToPlan,
+  createSourcePlan,
+  formatPlanLogLine,
+  plannedDeletionIds
+} from "./sync-plan.js";
+
+describe("sync plan", () => {
+  it("collects dry-run creates, updates, unchanged events, duplicate deletes and purge deletes", () => {
+    const plan = createSourcePlan("rhino");
+    addDeletionsToPlan(plan, [
+      { eventId: "evt-cancelled", rowId: "row-c", summary: "8am Show", start: null, reason: "cancelled" }
+    ]);
+    addSyncResultToPlan(plan, {
+      action: "created",
+      dryRun: true,
+      eventId: "evt-new",
+      rowId: "row-a",
+      summary: "8am New",
+      start: "2026-08-22T07:30:00"
+    });
+    addSyncResultToPlan(plan, {
+      action: "updated",
+      dryRun: true,
+      eventId: "evt-existing",
+      rowId: "row-b",
+      summary: "9am Moved",
+      diff: [{ field: "start", before: "2026-08-22T07:30:00", after: "2026-08-22T08:30:00" }],
+      duplicateIds: ["evt-dup"]
+    });
+
+    addSyncResultToPlan(plan, {
+      action: "unchanged",
+      dryRun: true,
+      eventId: "evt-same",
+      rowId: "row-d",
+      summary: "7pm Same",
+      diff: []
+    });
+
+    expect(plan.creates).toEqual([
+      { eventId: "evt-new", rowId: "row-a", summary: "8am New", start: "2026-08-22T07:30:00" }
+    ]);
+    expect(plan.updates[0].diff).toHaveLength(1);
+    expect(plan.unchanged.map((u) => u.eventId)).toEqual(["evt-same"]);
+    expect(plan.deletes.map((d) => d.reason)).toEqual(["cancelled", "duplicate"]);
+    expect(plannedDeletionIds(plan)).toEqual(new Set(["evt-cancelled", "evt-dup"]));
+    expect(formatPlanLogLine(plan)).toContain("1 create, 1 update, 2 delete (1 unchanged)");
+  });
+
+  it("ignores live (non dry-run) sync results", () => {
+    const plan = createSourcePlan("crewOne");
+    addSyncResultToPlan(plan, { action: "created", event: { id: "evt" } });
+    addSyncResultToPlan(plan, undefined);
+    expect(plan.creates).toEqual([]);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Structured result of a sync run: per source, what was fetched, what happened on
+ * the calendar, what was skipped and how long it took. Returned by getSchedule,
+ * included in the HTTP response and printed as a table by sync.js.
+ */
+
+/**
+ * @typedef {{ eventId: string; rowId: string }} ReportedEvent
+ * @typedef {ReportedEvent & { reason: string }} ReportedDeletion
+ * @typedef {{ eventId?: string; rowId?: string; message: string }} ReportedError
+ * @typedef {{ code: string; message: string }} ReportedWarning
+ * @typedef {Object} SourceReport
+ * @property {string} source
+ * @property {"synced" | "skipped" | "failed"} status - failed: some calendar writes failed
+ * @property {number} fetched - schedule rows the source returned
+ * @property {number} cancelled - rows the source marked cancelled
+ * @property {ReportedEvent[]} created
+ * @property {ReportedEvent[]} updated
+ * @property {ReportedEvent[]} unchanged
+ * @property {ReportedDeletion[]} deleted
+ * @property {ReportedError[]} errors
+ * @property {string[]} skipped - why the source (or part of it) did not run
+ * @property {ReportedWarning[]} warnings
+ * @property {{ fetchMs: number; syncMs: number }} durations
+ * @typedef {Object} SyncReport
+ * @property {boolean} dryRun - created/updated/deleted are planned, not written
+ * @property {string} startedAt
+ * @property {string | null} finishedAt
+ * @property {number} durationMs
+ * @property {Record<string, SourceReport>} sources
+ * @property {import("./shift-conflicts.js").ShiftConflict[]} conflicts - overlapping shifts across sources
+ * @property {import("./sources/crewOne.js").PendingOffer[]} offers - offers awaiting a response, soonest deadline first
+ */
+
+/**
+ * @param {{ dryRun?: boolean; now?: Date }} [options]
+ * @returns {SyncReport}
+ */
+export function createSyncReport(options = {}) {
+  return {
+    dryRun: options.dryRun === true,
+    startedAt: (options.now || new Date()).toISOString(),
+    finishedAt: null,
+    durationMs: 0,
+    sources: {},
+    conflicts: [],
+    offers: []
+  };
+}
+
+/**
+ * @param {string} sourceId
+ * @returns {SourceReport}
+ */
+export function createSourceReport(sourceId) {
+  return {
+    source: sourceId,
+    status: "synced",
+    fetched: 0,
+    cancelled: 0,
+    created: [],
+    updated: [],
+    unchanged: [],
+    deleted: [],
+    errors: [],
+    skipped: [],
+    warnings: [],
+    durations: { fetchMs: 0, syncMs: 0 }
+  };
+}
+
+/**
+ * The source's entry in the run report, created on first use.
+ * @param {SyncReport} report
+ * @param {string} sourceId
+ */
+export function sourceReportFor(report, sourceId) {
+  if (!report.sources[sourceId]) report.sources[sourceId] = createSourceReport(sourceId);
+  return report.sources[sourceId];
+}
+
+/**
+ * @param {SourceReport} sourceReport
+ * @param {string} reason
+ */
+export function markSourceSkipped(sourceReport, reason) {
+  sourceReport.status = "skipped";
+  sourceReport.skipped.push(reason);
+  return sourceReport;
+}
+
+/**
+ * @param {SourceReport} sourceReport
+ * @param {Array<{ code?: string; message?: string } | string>} warnings - e.g. IATSE ValidationWarnings
+ */
+export function addWarningsToReport(sourceReport, warnings) {
+  for (const warning of warnings || []) {
+    sourceReport.warnings.push(
+      typeof warning === "string"
+        ? { code: "WARNING", message: warning }
+        : { code: warning.code || "WARNING", message: warning.message || "" }
+    );
+  }
+  return sourceReport;
+}
+
+/**
+ * Record a source's calendar outcome from one sync session. Live runs pass the
+ * flushed writes (what actually happened); dry runs pass writes: null and the
+ * planned sync results and purge deletions are recorded instead.
+ * @param {SourceReport} sourceReport
+ * @param {{
+ *   deletions?: import("./google-calendar/add-event.js").SourceEventDeletion[];
+ *   syncResults?: Array<{ action: string; eventId?: string; rowId?: string; duplicateIds?: string[] } | undefined>;
+ *   writes?: import("./google-calendar/add-event.js").SourceSyncWrite[] | null;
+ * }} outcome
+ */
+export function recordSourceSync(sourceReport, { deletions = [], syncResults = [], writes = null }) {
+  for (const result of syncResults) {
+    if (!result) continue;
+    const reported = { eventId: result.eventId || "", rowId: result.rowId || "" };
+    if (result.action === "unchanged") {
+      sourceReport.unchanged.push(reported);
+    } else if (writes == null && (result.action === "created" || result.action === "updated")) {
+      sourceReport[result.action].push(reported);
+    }
+    if (writes == null) {
+      for (const eventId of result.duplicateIds || []) {
+        sourceReport.deleted.push({ eventId, rowId: reported.rowId, reason: "duplicate" });
+      }
+    }
+  }
+
+  if (writes == null) {
+    for (const deletion of deletions) {
+      sourceReport.deleted.push({ eventId: deletion.eventId, rowId: deletion.rowId, reason: deletion.reason });
+    }
+    return sourceReport;
+  }
+
+  for (const write of writes) {
+    if (write.action === "error") {
+      sourceReport.errors.push({ eventId: write.eventId, rowId: write.rowId, message: write.error?.message || "write failed" });
+    } else if (write.action === "deleted") {
+      sourceReport.deleted.push({ eventId: write.eventId, rowId: write.rowId, reason: write.reason || "" });
+    } else {
+      sourceReport[write.action].push({ eventId: write.eventId, rowId: write.rowId });
+    }
+  }
+  if (sourceReport.errors.length > 0) sourceReport.status = "failed";
+  return sourceReport;
+}
+
+/**
+ * @param {SyncReport} report
+ * @param {Date} [now]
+ */
+export function finishSyncReport(report, now = new Date()) {
+  report.finishedAt = now.toISOString();
+  report.durationMs = now.getTime() - new Date(report.startedAt).getTime();
+  return report;
+}
+
+/** @param {number} ms */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Plain-text table of the report, one row per source, followed by skip reasons,
+ * warnings, write errors, shift conflicts and offers awaiting a response.
+ * @param {SyncReport} report
+ * @returns {string}
+ */
+export function formatSyncReportTable(report) {
+  const header = ["Source", "Status", "Fetched", "Cancelled", "Created", "Updated", "Unchanged", "Deleted", "Errors", "Fetch", "Sync"];
+  const rows = Object.values(report.sources).map((s) => [
+    s.source,
+    s.status,
+    String(s.fetched),
+    String(s.cancelled),
+    String(s.created.length),
+    String(s.updated.length),
+    String(s.unchanged.length),
+    String(s.deleted.length),
+    String(s.errors.length),
+    formatSeconds(s.durations.fetchMs),
+    formatSeconds(s.durations.syncMs)
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+
+  const lines = [
+    report.dryRun ? "Sync report (dry run — nothing was written)" : "Sync report",
+    line(header),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map(line)
+  ];
+  if (rows.length === 0) lines.push("(no sources ran)");
+
+  for (const s of Object.values(report.sources)) {
+    for (const reason of s.skipped) lines.push(`  [${s.source}] skipped: ${reason}`);
+    for (const warning of s.warnings) lines.push(`  [${s.source}] warning ${warning.code}: ${warning.message}`);
+    for (const error of s.errors) lines.push(`  [${s.source}] error ${error.rowId || error.eventId || ""}: ${error.message}`);
+  }
+  for (const { category, shifts } of report.conflicts || []) {
+    const [a, b] = shifts.map((shift) => `[${shift.source}] ${shift.summary} (${shift.start.slice(0, 16).replace("T", " ")})`);
+    lines.push(`  ${category === "conflict" ? "conflict" : "possible conflict (unconfirmed)"}: ${a} overlaps ${b}`);
+  }
+  for (const offer of report.offers || []) {
+    const when = [offer.date, offer.callTime].filter(Boolean).join(" ");
+    const closes = offer.deadline ? `closes ${offer.deadline.slice(0, 16).replace("T", " ")}` : "no deadline listed";
+    lines.push(`  [${offer.source}] offer ${offer.id} awaiting response: ${offer.event}${when ? ` (${when})` : ""}, ${closes}`);
+  }
+  lines.push(`Total ${formatSeconds(report.durationMs)}`);
+  return lines.join("\n");
+}
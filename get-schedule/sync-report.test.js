@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import {
+  addWarningsToReport,
+  createSyncReport,
+  finishSyncReport,
+  formatSyncReportTable,
+  markSourceSkipped,
+  recordSourceSync,
+  sourceReportFor
+} from "./sync-report.js";
+
+describe("sync report", () => {
+  it("records dry-run results, duplicates and purge deletions as planned", () => {
+    const report = createSyncReport({ dryRun: true });
+    const rhino = sourceReportFor(report, "rhino");
+
+    recordSourceSync(rhino, {
+      deletions: [{ eventId: "evt-old", rowId: "row-old", summary: "Old", start: null, reason: "cancelled" }],
+      syncResults: [
+        { action: "created", eventId: "evt-a", rowId: "row-a" },
+        { action: "updated", eventId: "evt-b", rowId: "row-b", duplicateIds: ["evt-b2"] },
+        { action: "unchanged", eventId: "evt-c", rowId: "row-c" }
+      ],
+      writes: null
+    });
+
+    expect(rhino.created).toEqual([{ eventId: "evt-a", rowId: "row-a" }]);
+    expect(rhino.updated).toEqual([{ eventId: "evt-b", rowId: "row-b" }]);
+    expect(rhino.unchanged).toEqual([{ eventId: "evt-c", rowId: "row-c" }]);
+    expect(rhino.deleted).toEqual([
+      { eventId: "evt-b2", rowId: "row-b", reason: "duplicate" },
+      { eventId: "evt-old", rowId: "row-old", reason: "cancelled" }
+    ]);
+  });
+
+  it("records live writes and fails the source when a write fails", () => {
+    const report = createSyncReport();
+    const crewOne = sourceReportFor(report, "crewOne");
+
+    recordSourceSync(crewOne, {
+      deletions: [{ eventId: "evt-gone", rowId: "row-gone", summary: "", start: null, reason: "notOnDashboard" }],
+      syncResults: [
+        { action: "created", queued: true, eventId: "evt-a", rowId: "row-a" },
+        { action: "unchanged", eventId: "evt-c", rowId: "row-c" }
+      ],
+      writes: [
+        { action: "created", eventId: "evt-a", rowId: "row-a" },
+        { action: "deleted", eventId: "evt-gone", rowId: "row-gone", reason: "notOnDashboard" },
+        { action: "error", eventId: "evt-x", rowId: "row-x", error: new Error("Rate Limit Exceeded") }
+      ]
+    });
+
+    expect(crewOne.status).toBe("failed");
+    expect(crewOne.created).toEqual([{ eventId: "evt-a", rowId: "row-a" }]);
+    expect(crewOne.unchanged).toEqual([{ eventId: "evt-c", rowId: "row-c" }]);
+    expect(crewOne.deleted).toEqual([{ eventId: "evt-gone", rowId: "row-gone", reason: "notOnDashboard" }]);
+    expect(crewOne.errors).toEqual([{ eventId: "evt-x", rowId: "row-x", message: "Rate Limit Exceeded" }]);
+  });
+
+  it("prints one row per source followed by skips, warnings, errors, conflicts and offers", () => {
+    const report = createSyncReport({ now: new Date("2026-08-01T12:00:00Z") });
+    const rhino = sourceReportFor(report, "rhino");
+    rhino.fetched = 4;
+    rhino.cancelled = 1;
+    rhino.durations.fetchMs = 2500;
+    recordSourceSync(rhino, { writes: [{ action: "updated", eventId: "evt-b", rowId: "row-b" }] });
+    markSourceSkipped(sourceReportFor(report, "crewOne"), "credentials not configured");
+    addWarningsToReport(sourceReportFor(report, "iatse927"), [{ code: "MISSING_SHOW", message: "Missing show name" }]);
+    report.conflicts.push({
+      category: "unconfirmed",
+      shifts: [
+        { source: "rhino", rowId: "r1", summary: "UNCONFIRMED => Gala", start: "2026-08-22T07:30:00", end: "2026-08-22T13:00:00", status: "tentative" },
+        { source: "crewOne", rowId: "c1", summary: "11:30 AM Festival", start: "2026-08-22T11:30:00", end: "2026-08-22T17:00:00", status: "confirmed" }
+      ]
+    });
+    report.offers.push({
+      source: "crewOne",
+      id: "2001",
+      event: "Holiday Market Load In",
+      venue: "Centennial Olympic Park",
+      date: "12/5/2026",
+      callTime: "07:00",
+      offerUrl: "https://portal.crew1.com/view_offer/2001",
+      deadlineText: "This offer closes December 1, 2026 at 12:00 PM",
+      deadline: "2026-12-01T12:00:00"
+    });
+    finishSyncReport(report, new Date("2026-08-01T12:00:03Z"));
+
+    const lines = formatSyncReportTable(report).split("\n");
+
+    expect(lines[0]).toBe("Sync report");
+    expect(lines[1]).toMatch(/^Source\s+Status\s+Fetched\s+Cancelled\s+Created\s+Updated\s+Unchanged\s+Deleted\s+Errors\s+Fetch\s+Sync$/);
+    expect(lines[3]).toMatch(/^rhino\s+synced\s+4\s+1\s+0\s+1\s+0\s+0\s+0\s+2\.5s\s+0\.0s$/);
+    expect(lines[4]).toMatch(/^crewOne\s+skipped\s/);
+    expect(lines).toContain("  [crewOne] skipped: credentials not configured");
+    expect(lines).toContain("  [iatse927] warning MISSING_SHOW: Missing show name");
+    expect(lines).toContain(
+      "  possible conflict (unconfirmed): [rhino] UNCONFIRMED => Gala (2026-08-22 07:30) overlaps [crewOne] 11:30 AM Festival (2026-08-22 11:30)"
+    );
+    expect(lines).toContain(
+      "  [crewOne] offer 2001 awaiting response: Holiday Market Load In (12/5/2026 07:00), closes 2026-12-01 12:00"
+    );
+    expect(lines.at(-1)).toBe("Total 3.0s");
+  });
+});
@@ -0,0 +1,260 @@
+import { getFirestore } from "./firestore-client.js";
+import { expiresAtAfterDays, pruneExpiredDocs, timeSortedDocId } from "./firestore-retention.js";
+import { isEventCancelled, scheduleRowId } from "./utils.js";
+
+/**
+ * History of getSchedule runs in Firestore: per source, the raw entries the source
+ * returned, their row ids and the run's report (calendar actions, skips, warnings,
+ * errors), so a shift that disappeared can be traced back to the run that lost it.
+ * Documents carry expiresAt (usable as a Firestore TTL field) and expired runs are
+ * also pruned after each save.
+ */
+
+const COLLECTION = "sync_runs";
+export const DEFAULT_SYNC_RUN_RETENTION_DAYS = 30;
+
+/**
+ * @typedef {import("./sources/types.js").ScheduleEntry} ScheduleEntry
+ * @typedef {{ entries: ScheduleEntry[]; rowIds: string[]; cancelledRowIds: string[] }} SourceSnapshot - rowIds[i] is the row id of entries[i]
+ * @typedef {SourceSnapshot & { report: import("./sync-report.js").SourceReport | null }} SyncRunSource
+ * @typedef {{ status: string; fetched: number; created: number; updated: number; unchanged: number; deleted: number; errors: number }} SyncRunSourceSummary
+ * @typedef {Object} SyncRun
+ * @property {string} id
+ * @property {string} startedAt
+ * @property {string | null} finishedAt
+ * @property {boolean} dryRun
+ * @property {string | null} error - why the run as a whole failed
+ * @property {Record<string, SyncRunSourceSummary>} summary
+ * @property {Record<string, SyncRunSource>} sources
+ */
+
+/**
+ * Snapshot of what a source returned, with each entry's row id.
+ * @param {string} sourceId
+ * @param {ScheduleEntry[]} entries
+ * @returns {SourceSnapshot}
+ */
+export function createSourceSnapshot(sourceId, entries) {
+  const rowIds = entries.map((entry) => scheduleRowId({ ...entry, source: entry.source || sourceId }));
+  return {
+    entries,
+    rowIds,
+    cancelledRowIds: rowIds.filter((_, i) => isEventCancelled(entries[i]))
+  };
+}
+
+/**
+ * SYNC_RUN_RETENTION_DAYS (default 30); 0 turns run history off.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {number}
+ */
+export function getSyncRunRetentionDays(env = process.env) {
+  const raw = env.SYNC_RUN_RETENTION_DAYS?.trim();
+  if (!raw) return DEFAULT_SYNC_RUN_RETENTION_DAYS;
+  const days = Number(raw);
+  return Number.isFinite(days) && days >= 0 ? Math.floor(days) : DEFAULT_SYNC_RUN_RETENTION_DAYS;
+}
+
+/**
+ * Document id that sorts by start time.
+ * @param {Date} startedAt
+ */
+export function syncRunId(startedAt) {
+  return timeSortedDocId(startedAt);
+}
+
+/**
+ * JSON-safe copy: Firestore rejects undefined values.
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function toPlainData(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+/**
+ * @param {import("./sync-report.js").SyncReport} report
+ * @param {Record<string, SourceSnapshot>} snapshots
+ * @param {{ error?: unknown }} [options]
+ * @returns {SyncRun}
+ */
+export function buildSyncRun(report, snapshots, options = {}) {
+  const sourceIds = [...new Set([...Object.keys(report.sources), ...Object.keys(snapshots)])];
+  /** @type {Record<string, SyncRunSource>} */
+  const sources = {};
+  /** @type {Record<string, SyncRunSourceSummary>} */
+  const summary = {};
+  for (const sourceId of sourceIds) {
+    const snapshot = snapshots[sourceId] || { entries: [], rowIds: [], cancelledRowIds: [] };
+    const sourceReport = report.sources[sourceId] || null;
+    sources[sourceId] = { ...snapshot, report: sourceReport };
+    summary[sourceId] = {
+      status: sourceReport?.status || "synced",
+      fetched: sourceReport?.fetched ?? snapshot.entries.length,
+      created: sourceReport?.created.length ?? 0,
+      updated: sourceReport?.updated.length ?? 0,
+      unchanged: sourceReport?.unchanged.length ?? 0,
+      deleted: sourceReport?.deleted.length ?? 0,
+      errors: sourceReport?.errors.length ?? 0
+    };
+  }
+
+  const { error } = options;
+  return {
+    id: syncRunId(new Date(report.startedAt)),
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    dryRun: report.dryRun,
+    error: error == null ? null : error instanceof Error ? error.message : String(error),
+    summary,
+    sources
+  };
+}
+
+/**
+ * Delete runs whose expiresAt has passed.
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date }} [options]
+ * @returns {Promise<number>} runs deleted
+ */
+export async function pruneSyncRuns(options = {}) {
+  return pruneExpiredDocs(options.db || getFirestore(), COLLECTION, options.now || new Date());
+}
+
+/**
+ * @param {SyncRun} run
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; now?: Date; retentionDays?: number }} [options]
+ * @returns {Promise<{ id: string; pruned: number } | null>} null when run history is off
+ */
+export async function saveSyncRun(run, options = {}) {
+  const retentionDays = options.retentionDays ?? getSyncRunRetentionDays();
+  if (retentionDays === 0) return null;
+
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+  const { id, ...data } = run;
+  await db
+    .collection(COLLECTION)
+    .doc(id)
+    .set({
+      ...toPlainData(data),
+      expiresAt: expiresAtAfterDays(now, retentionDays)
+    });
+  const pruned = await pruneSyncRuns({ db, now });
+  return { id, pruned };
+}
+
+/**
+ * Save the run without ever failing the sync: history is best-effort.
+ * @param {import("./sync-report.js").SyncReport} report
+ * @param {Record<string, SourceSnapshot>} snapshots
+ * @param {{ error?: unknown }} [options]
+ * @returns {Promise<string | null>} run id
+ */
+export async function trySaveSyncRun(report, snapshots, options = {}) {
+  try {
+    const saved = await saveSyncRun(buildSyncRun(report, snapshots, options));
+    if (!saved) return null;
+    console.log(`🗂️  Sync run saved: ${saved.id}${saved.pruned ? ` (${saved.pruned} expired run(s) pruned)` : ""}`);
+    return saved.id;
+  } catch (err) {
+    console.warn(`⚠️  Sync run history not saved: ${err instanceof Error ? err.message : err}`);
+    return null;
+  }
+}
+
+/**
+ * @param {import("@google-cloud/firestore").DocumentSnapshot} doc
+ * @returns {SyncRun}
+ */
+function syncRunFromDoc(doc) {
+  const { expiresAt: _expiresAt, ...data } = doc.data() || {};
+  return { id: doc.id, sources: {}, summary: {}, error: null, finishedAt: null, dryRun: false, ...data };
+}
+
+/**
+ * Most recent runs first, without the per-source snapshots.
+ * @param {{ db?: import("@google-cloud/firestore").Firestore; limit?: number }} [options]
+ * @returns {Promise<Omit<SyncRun, "sources">[]>}
+ */
+export async function listSyncRuns(options = {}) {
+  const db = options.db || getFirestore();
+  const snap = await db
+    .collection(COLLECTION)
+    .orderBy("startedAt", "desc")
+    .limit(options.limit || 20)
+    .select("startedAt", "finishedAt", "dryRun", "error", "summary")
+    .get();
+  return snap.docs.map((doc) => {
+    const { sources: _sources, ...run } = syncRunFromDoc(doc);
+    return run;
+  });
+}
+
+/**
+ * @param {string} id
+ * @param {{ db?: import("@google-cloud/firestore").Firestore }} [options]
+ * @returns {Promise<SyncRun | null>}
+ */
+export async function loadSyncRun(id, options = {}) {
+  const db = options.db || getFirestore();
+  const doc = await db.collection(COLLECTION).doc(id).get();
+  return doc.exists ? syncRunFromDoc(doc) : null;
+}
+
+/**
+ * @typedef {{ rowId: string; entry: ScheduleEntry }} SyncRunDiffRow
+ * @typedef {{ rowId: string; fields: { field: string; before: unknown; after: unknown }[] }} SyncRunDiffChange
+ * @typedef {{ added: SyncRunDiffRow[]; removed: SyncRunDiffRow[]; cancelled: string[]; changed: SyncRunDiffChange[] }} SyncRunSourceDiff
+ */
+
+/**
+ * @param {SyncRunSource | undefined} source
+ * @returns {Map<string, ScheduleEntry>}
+ */
+function entriesByRowId(source) {
+  /** @type {Map<string, ScheduleEntry>} */
+  const byRowId = new Map();
+  (source?.rowIds || []).forEach((rowId, i) => {
+    if (source?.entries[i]) byRowId.set(rowId, source.entries[i]);
+  });
+  return byRowId;
+}
+
+/**
+ * What each source returned differently between two runs: rows that appeared or
+ * disappeared, rows newly cancelled, and fields that changed on rows in both.
+ * @param {SyncRun} before
+ * @param {SyncRun} after
+ * @returns {Record<string, SyncRunSourceDiff>}
+ */
+export function diffSyncRuns(before, after) {
+  const sourceIds = [...new Set([...Object.keys(before.sources), ...Object.keys(after.sources)])];
+  /** @type {Record<string, SyncRunSourceDiff>} */
+  const diff = {};
+  for (const sourceId of sourceIds) {
+    const beforeRows = entriesByRowId(before.sources[sourceId]);
+    const afterRows = entriesByRowId(after.sources[sourceId]);
+    const wasCancelled = new Set(before.sources[sourceId]?.cancelledRowIds || []);
+
+    /** @type {SyncRunSourceDiff} */
+    const sourceDiff = {
+      added: [...afterRows].filter(([rowId]) => !beforeRows.has(rowId)).map(([rowId, entry]) => ({ rowId, entry })),
+      removed: [...beforeRows].filter(([rowId]) => !afterRows.has(rowId)).map(([rowId, entry]) => ({ rowId, entry })),
+      cancelled: (after.sources[sourceId]?.cancelledRowIds || []).filter(
+        (rowId) => beforeRows.has(rowId) && !wasCancelled.has(rowId)
+      ),
+      changed: []
+    };
+    for (const [rowId, afterEntry] of afterRows) {
+      const beforeEntry = beforeRows.get(rowId);
+      if (!beforeEntry) continue;
+      const fields = [...new Set([...Object.keys(beforeEntry), ...Object.keys(afterEntry)])]
+        .filter((field) => JSON.stringify(beforeEntry[field]) !== JSON.stringify(afterEntry[field]))
+        .map((field) => ({ field, before: beforeEntry[field], after: afterEntry[field] }));
+      if (fields.length > 0) sourceDiff.changed.push({ rowId, fields });
+    }
+    diff[sourceId] = sourceDiff;
+  }
+  return diff;
+}
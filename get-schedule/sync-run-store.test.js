@@ -0,0 +1,93 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildSyncRun,
+  createSourceSnapshot,
+  diffSyncRuns,
+  getSyncRunRetentionDays,
+  saveSyncRun
+} from "./sync-run-store.js";
+import { createSyncReport, recordSourceSync, sourceReportFor } from "./sync-report.js";
+import { createFakeFirestore } from "../tests/fake-firestore.js";
+
+const rhinoEntry = {
+  source: "rhino",
+  date: "08/22/2026",
+  callTime: "08:00",
+  show: "Concert",
+  venue: "Arena",
+  location: "",
+  position: "Hand",
+  type: "Load In",
+  status: "confirmed"
+};
+
+describe("sync run store", () => {
+  it("snapshots entries with their row ids and the source's report", () => {
+    const report = createSyncReport({ now: new Date("2026-08-01T12:00:00Z") });
+    recordSourceSync(sourceReportFor(report, "rhino"), {
+      writes: [{ action: "created", eventId: "evt-a", rowId: "row-a" }]
+    });
+    const snapshot = createSourceSnapshot("rhino", [
+      rhinoEntry,
+      { ...rhinoEntry, callTime: "18:00", isCallCancelled: true, undefinedField: undefined }
+    ]);
+
+    const run = buildSyncRun(report, { rhino: snapshot }, { error: new Error("calendar unavailable") });
+
+    expect(run.id).toMatch(/^2026-08-01T12-00-00-000Z-[0-9a-f]{6}$/);
+    expect(run.error).toBe("calendar unavailable");
+    expect(run.sources.rhino.rowIds).toHaveLength(2);
+    expect(run.sources.rhino.cancelledRowIds).toEqual([run.sources.rhino.rowIds[1]]);
+    expect(run.sources.rhino.report.created).toEqual([{ eventId: "evt-a", rowId: "row-a" }]);
+    expect(run.summary.rhino).toMatchObject({ status: "synced", created: 1, deleted: 0 });
+  });
+
+  it("saves with an expiry, prunes expired runs and stays off at 0 days", async () => {
+    const db = createFakeFirestore();
+    const report = createSyncReport({ now: new Date("2026-08-01T12:00:00Z") });
+    const first = buildSyncRun(report, { rhino: createSourceSnapshot("rhino", [{ ...rhinoEntry, notes: undefined }]) });
+    const now = new Date("2026-08-01T12:00:00Z");
+
+    await saveSyncRun(first, { db, now, retentionDays: 1 });
+    expect(db.docsOf("sync_runs").get(first.id).sources.rhino.entries[0]).not.toHaveProperty("notes");
+    expect(db.docsOf("sync_runs").get(first.id).expiresAt.toDate()).toEqual(new Date("2026-08-02T12:00:00Z"));
+
+    const second = { ...first, id: "later" };
+    const saved = await saveSyncRun(second, { db, now: new Date("2026-08-03T12:00:00Z"), retentionDays: 1 });
+    expect(saved).toEqual({ id: "later", pruned: 1 });
+    expect([...db.docsOf("sync_runs").keys()]).toEqual(["later"]);
+
+    expect(await saveSyncRun(first, { db, retentionDays: 0 })).toBeNull();
+  });
+
+  it("reads SYNC_RUN_RETENTION_DAYS", () => {
+    expect(getSyncRunRetentionDays({})).toBe(30);
+    expect(getSyncRunRetentionDays({ SYNC_RUN_RETENTION_DAYS: "7" })).toBe(7);
+    expect(getSyncRunRetentionDays({ SYNC_RUN_RETENTION_DAYS: "0" })).toBe(0);
+    expect(getSyncRunRetentionDays({ SYNC_RUN_RETENTION_DAYS: "soon" })).toBe(30);
+  });
+
+  it("diffs what a source returned between two runs", () => {
+    const moved = { ...rhinoEntry, show: "Gala", location: "Hall A" };
+    const dropped = { ...rhinoEntry, show: "Dropped" };
+    const report = createSyncReport();
+    const before = buildSyncRun(report, { rhino: createSourceSnapshot("rhino", [moved, dropped, rhinoEntry]) });
+    const after = buildSyncRun(report, {
+      rhino: createSourceSnapshot("rhino", [
+        { ...moved, location: "Hall B" },
+        { ...rhinoEntry, isCallCancelled: true },
+        { ...rhinoEntry, show: "Added" }
+      ])
+    });
+
+    const { rhino } = diffSyncRuns(before, after);
+
+    expect(rhino.removed.map(({ entry }) => entry.show)).toEqual(["Dropped"]);
+    expect(rhino.added.map(({ entry }) => entry.show)).toEqual(["Added"]);
+    expect(rhino.cancelled).toEqual([before.sources.rhino.rowIds[2]]);
+    expect(rhino.changed).toEqual([
+      { rowId: before.sources.rhino.rowIds[0], fields: [{ field: "location", before: "Hall A", after: "Hall B" }] },
+      { rowId: before.sources.rhino.rowIds[2], fields: [{ field: "isCallCancelled", before: undefined, after: true }] }
+    ]);
+  });
+});
@@ -1,63 +1,21 @@
 // Utility functions for schedule processing - extracted for testability
 
+import { minutesUntilShiftEnd, resolveShiftWindow } from "./shift-window-rules.js";
+import { findSource } from "./sources/index.js";
+import { CALL_CANCELLED_LABEL } from "./sources/types.js";
 import {
-  buildIatse927EventDescription,
-  resolveIatse927EventLocation
-} from "./iatse927-event-description.js";
+  pad,
+  formatTimeForTitle,
+  formatDateTimeForTimezone,
+  normalizeTextForMatch,
+  parseScheduleDateParts,
+  defaultScheduleRowId,
+  isEventInFuture,
+  addMinutesToZonedLocalTime
+} from "./schedule-helpers.js";
 
-/**
- * Pad a number with leading zeros
- */
-export const pad = (num) => (num ?? 0).toString().padStart(2, "0");
-
-/**
- * @param {import("./sources/types.js").ScheduleEntry} entry
- */
-export function scheduleEntrySortKey(entry) {
-  const [month, day, year] = entry.date.split("/").map(Number);
-  const [hours, minutes] = entry.callTime.split(":").map(Number);
-  return year * 1e8 + month * 1e6 + day * 1e4 + hours * 100 + minutes;
-}
-
-/**
- * @param {import("./sources/types.js").ScheduleEntry[]} entries
- */
-export function sortScheduleEntriesChronologically(entries) {
-  return [...entries].sort((a, b) => scheduleEntrySortKey(a) - scheduleEntrySortKey(b));
-}
-
-/**
- * Format time for event title: "08:00" -> "8am", "19:00" -> "7pm", "12:00" -> "12pm"
- */
-export const formatTimeForTitle = (timeStr) => {
-	const [hours, minutes = 0] = (timeStr || "0:00").split(":").map(Number);
-	let hour12 = hours % 12;
-	if (hour12 === 0) hour12 = 12; // 0 and 12 both become 12
-	const ampm = hours < 12 ? "am" : "pm";
-	// Only include minutes if they're not :00
-	if (minutes === 0) {
-		return `${hour12}${ampm}`;
-	} else {
-		return `${hour12}:${pad(minutes)}${ampm}`;
-	}
-};
-
-/** @param {import("./sources/types.js").ScheduleEntry} entry */
-function iatse927EventTitle(entry) {
-  const show = entry.show?.trim();
-  if (show && !/^unknown show$/i.test(show)) return show;
-  return entry.venue?.trim() || "Unknown Show";
-}
-
-/**
- * Format date/time for Google Calendar API
- */
-export const formatDateTimeForTimezone = (year, month, day, hours, minutes, timezone = "America/New_York") => {
-	// Format as YYYY-MM-DDTHH:mm:ss (without timezone, since we specify it separately)
-	// This represents the local time in the specified timezone
-	const dateStr = `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:00`;
-	return dateStr;
-};
+// The helpers source plugins share without importing the registry
+export * from "./schedule-helpers.js";
 
 /**
  * Normalize status to valid Google Calendar values
@@ -76,183 +34,17 @@ export const normalizeStatus = (status) => {
 	return "confirmed";
 };
 
-/**
- * Normalize status (and similar) text for substring checks: Unicode dashes,
- * NBSP, and collapsed whitespace so UI variants still match.
- */
-export const normalizeTextForMatch = (value) => {
-	if (!value) return "";
-	return value
-		.toLowerCase()
-		.replace(/\u00a0/g, " ")
-		.replace(/[\u2013\u2014\u2212]/g, "-")
-		.replace(/\s+/g, " ")
-		.trim();
-};
-
-/** Exact text Rhino puts in the blank-header column (between TK/TL/SAF and "+"). */
-export const CALL_CANCELLED_LABEL = "Call Cancelled";
-
-/**
- * Strip a leading "CANCELLED"/"CANCELED" marker that Rhino prepends to the show
- * name of a cancelled call. The marker is not part of the call's identity, so it
- * must be removed before building/matching row ids (otherwise a cancelled row can
- * never match the originally-synced calendar event).
- * @param {string} show
- */
-export function stripCancelledShowPrefix(show) {
-  if (!show) return show;
-  return show.replace(/^\s*cancell?ed\b[\s:.,\u2013-]*/i, "").trim();
-}
-
-/**
- * Parse MM/DD/YYYY date and HH:mm call time from a schedule entry.
- * @param {string} dateStr
- * @param {string} callTimeStr
- */
-export function parseScheduleDateParts(dateStr, callTimeStr) {
-  const parts = (dateStr || "").split("/").map((part) => part.trim());
-  const [monthPart, dayPart, yearPart] = parts;
-  const month = Number(monthPart);
-  const day = Number(dayPart);
-  let year = Number(yearPart);
-  if (yearPart && yearPart.length === 2) {
-    year = 2000 + year;
-  } else if (!yearPart) {
-    year = new Date().getFullYear();
-  }
-
-  const normalizedCallTime = (callTimeStr || "").trim();
-  const timeMatch = normalizedCallTime.match(/^\s*(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?\s*$/i);
-  let hours = 0;
-  let minutes = 0;
-  if (timeMatch) {
-    hours = Number(timeMatch[1]);
-    minutes = timeMatch[2] ? Number(timeMatch[2]) : 0;
-    const ampm = timeMatch[3]?.toUpperCase();
-    if (ampm === "PM" && hours < 12) hours += 12;
-    if (ampm === "AM" && hours === 12) hours = 0;
-  } else {
-    const tokens = normalizedCallTime.split(/\s+/);
-    const timeToken = tokens[0] || "0:00";
-    const timeParts = timeToken.split(":").map((part) => parseInt(part, 10) || 0);
-    hours = timeParts[0] ?? 0;
-    minutes = timeParts[1] ?? 0;
-    const ampm = tokens[1]?.toUpperCase();
-    if (ampm === "PM" && hours < 12) hours += 12;
-    if (ampm === "AM" && hours === 12) hours = 0;
-  }
-
-  return { year, month, day, hours, minutes };
-}
-
-/** @param {string} dateStr */
-export function normalizeScheduleDate(dateStr) {
-  const { year, month, day } = parseScheduleDateParts(dateStr, "0:00");
-  return `${month}/${day}/${year}`;
-}
-
-/** @param {string} callTimeStr */
-export function normalizeScheduleCallTime(callTimeStr) {
-  const { hours, minutes } = parseScheduleDateParts("1/1/2000", callTimeStr);
-  return `${pad(hours)}:${pad(minutes)}`;
-}
-
-/**
- * Canonical row id for matching portal rows to calendar events.
- * Handles legacy ids that included location (7 parts).
- * @param {string} rowId
- */
-export function normalizeScheduleRowId(rowId) {
-  if (!rowId) return rowId;
-  const parts = rowId.split(" | ");
-  let date;
-  let callTime;
-  let show;
-  let venue;
-  let position;
-  let type;
-  const normShow = (s) => stripCancelledShowPrefix((s ?? "").replace(/\s+/g, " ").trim());
-  if (parts.length >= 7) {
-    [date, callTime, show, venue, , position, type] = parts;
-  } else if (parts.length >= 6) {
-    [date, callTime, show, venue, position, type] = parts;
-  } else if (parts.length >= 4) {
-    [date, callTime, show, venue] = parts;
-    return [
-      normalizeScheduleDate(date),
-      normalizeScheduleCallTime(callTime),
-      normShow(show),
-      (venue ?? "").replace(/\s+/g, " ").trim()
-    ].join(" | ");
-  } else {
-    return rowId;
-  }
-  return [
-    normalizeScheduleDate(date),
-    normalizeScheduleCallTime(callTime),
-    normShow(show),
-    (venue ?? "").replace(/\s+/g, " ").trim(),
-    (position ?? "").trim(),
-    (type ?? "").trim()
-  ].join(" | ");
-}
-
-/**
- * Crew One dashboard-stable match key (date, call time, show, venue).
- * Detail-page position/type can change between syncs and must not affect identity.
- * @param {string} rowId
- */
-export function crewOneRowMatchKey(rowId) {
-  const normalized = normalizeScheduleRowId(rowId);
-  const parts = normalized.split(" | ");
-  if (parts.length < 4) return normalized;
-  return parts.slice(0, 4).join(" | ");
-}
-
-/**
- * Rhino cancellation match key: identity without the call time, which Rhino
- * sometimes drifts by a minute when a call is cancelled/edited. Used only for
- * matching cancelled rows during purge — active events are matched exactly first,
- * so relaxing the cancelled match can never delete a still-active call.
- * @param {string} rowId
- */
-export function rhinoRowMatchKey(rowId) {
-  const normalized = normalizeScheduleRowId(rowId);
-  const parts = normalized.split(" | ");
-  if (parts.length < 6) return normalized;
-  // date | show | venue | position | type (drop call time at index 1)
-  return [parts[0], parts[2], parts[3], parts[4], parts[5]].join(" | ");
-}
-
-/** @param {string} rowId @param {string} [timezone] */
-export function isFutureCallFromRowId(rowId, timezone = "America/New_York") {
-  const parts = rowId.split(" | ");
-  if (parts.length < 2) return false;
-  const { year, month, day, hours, minutes } = parseScheduleDateParts(parts[0], parts[1]);
-  return isEventInFuture(year, month, day, hours, minutes, timezone);
-}
+// Defined with the source types so source modules can use it while utils.js loads
+export { CALL_CANCELLED_LABEL };
 
 /**
- * Stable row id for calendar sync (must match toGoogleEvent).
+ * Stable row id for calendar sync (must match toGoogleEvent): the source's own
+ * rowId when it declares one.
  * @param {import("./sources/types.js").ScheduleEntry} entry
  */
 export function scheduleRowId(entry) {
-  if (entry.source === "crewOne") {
-    return crewOneRowMatchKey(
-      [entry.date, entry.callTime, entry.show, entry.venue].join(" | ")
-    );
-  }
-  return normalizeScheduleRowId(
-    [
-      entry.date,
-      entry.callTime,
-      entry.show,
-      entry.venue,
-      entry.position,
-      entry.type
-    ].join(" | ")
-  );
+  const rowId = findSource(entry.source)?.rowId;
+  return rowId ? rowId(entry) : defaultScheduleRowId(entry);
 }
 
 /**
@@ -288,161 +80,22 @@ export const isEventCancelled = (entry) => {
 };
 
 /**
- * Check if an event date/time is in the future, accounting for timezone
- * This properly handles America/New_York timezone to avoid timezone bugs
- * @param {number} year - Year (e.g., 2025)
- * @param {number} month - Month (1-12)
- * @param {number} day - Day (1-31)
- * @param {number} hours - Hours (0-23)
- * @param {number} minutes - Minutes (0-59)
- * @param {string} timezone - Timezone (default: "America/New_York")
- * @param {Date} [referenceDate] - Optional date to compare against instead of now
- * @returns {boolean} True if the event is in the future
- */
-export const isEventInFuture = (
-  year,
-  month,
-  day,
-  hours,
-  minutes,
-  timezone = "America/New_York",
-  referenceDate = undefined
-) => {
-  const now = referenceDate instanceof Date ? referenceDate : new Date();
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone: timezone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false
-  });
-  
-  const nowParts = formatter.formatToParts(now);
-  const nowObj = {};
-  nowParts.forEach(part => {
-    if (part.type !== "literal") {
-      nowObj[part.type] = part.value;
-    }
-  });
-  
-  // Compare year, month, day, hour, minute
-  const eventTime = {
-    year: year,
-    month: month,
-    day: day,
-    hour: hours,
-    minute: minutes
-  };
-  
-  let nowHour = parseInt(nowObj.hour, 10);
-  if (nowHour === 24) nowHour = 0;
-
-  const nowTime = {
-    year: parseInt(nowObj.year, 10),
-    month: parseInt(nowObj.month, 10),
-    day: parseInt(nowObj.day, 10),
-    hour: nowHour,
-    minute: parseInt(nowObj.minute, 10)
-  };
-  
-  // Compare chronologically
-  if (eventTime.year > nowTime.year) return true;
-  if (eventTime.year < nowTime.year) return false;
-  if (eventTime.month > nowTime.month) return true;
-  if (eventTime.month < nowTime.month) return false;
-  if (eventTime.day > nowTime.day) return true;
-  if (eventTime.day < nowTime.day) return false;
-  if (eventTime.hour > nowTime.hour) return true;
-  if (eventTime.hour < nowTime.hour) return false;
-  if (eventTime.minute > nowTime.minute) return true;
-  return false; // Same or past
-};
-
-/** @param {number} utcMs @param {string} timezone */
-function zonedLocalPartsFromUtcMs(utcMs, timezone) {
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone: timezone,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false
-  });
-
-  const parts = {};
-  formatter.formatToParts(new Date(utcMs)).forEach((part) => {
-    if (part.type !== "literal") parts[part.type] = part.value;
-  });
-
-  let hour = parseInt(parts.hour, 10);
-  if (hour === 24) hour = 0;
-
-  return {
-    year: parseInt(parts.year, 10),
-    month: parseInt(parts.month, 10),
-    day: parseInt(parts.day, 10),
-    hours: hour,
-    minutes: parseInt(parts.minute, 10)
-  };
-}
-
-function compareZonedLocalParts(a, b) {
-  if (a.year !== b.year) return a.year - b.year;
-  if (a.month !== b.month) return a.month - b.month;
-  if (a.day !== b.day) return a.day - b.day;
-  if (a.hours !== b.hours) return a.hours - b.hours;
-  return a.minutes - b.minutes;
-}
-
-/** @param {number} year @param {number} month @param {number} day @param {number} hours @param {number} minutes @param {string} timezone */
-function zonedLocalTimeToUtcMs(year, month, day, hours, minutes, timezone) {
-  const target = { year, month, day, hours, minutes };
-  let lo = Date.UTC(year, month - 1, day, hours - 14, minutes);
-  let hi = Date.UTC(year, month - 1, day, hours + 14, minutes);
-
-  while (lo <= hi) {
-    const mid = Math.floor((lo + hi) / 2);
-    const cmp = compareZonedLocalParts(zonedLocalPartsFromUtcMs(mid, timezone), target);
-    if (cmp === 0) return mid;
-    if (cmp < 0) lo = mid + 1;
-    else hi = mid - 1;
-  }
-
-  return lo;
-}
-
-/**
- * Add minutes to a wall-clock time in a timezone (handles DST and day rollover).
- */
-export function addMinutesToZonedLocalTime(
-  year,
-  month,
-  day,
-  hours,
-  minutes,
-  deltaMinutes,
-  timezone = "America/New_York"
-) {
-  const utcMs = zonedLocalTimeToUtcMs(year, month, day, hours, minutes, timezone);
-  return zonedLocalPartsFromUtcMs(utcMs + deltaMinutes * 60_000, timezone);
-}
-
-/**
- * Transform a schedule entry to a Google Calendar event
+ * Transform a schedule entry to a Google Calendar event. The event window (lead time
+ * before the call, and duration or the entry's endTime) comes from the shift window rules.
+ * Times are wall-clock in the entry's own timezone when it has one (an out-of-market
+ * call), otherwise in the source's; the event carries that zone for the Calendar API.
  * @param {Object} entry
- * @param {{ source?: string; timezone?: string }} [options]
+ * @param {{ source?: string; timezone?: string; windowRules?: import("./shift-window-rules.js").ShiftWindowRule[] }} [options]
+ *   timezone: the source's timezone; windowRules: defaults to SHIFT_WINDOW_RULES
  */
 export const toGoogleEvent = (entry, options = {}) => {
   const source = options.source || entry.source || "rhino";
-  const timezone = options.timezone || "America/New_York";
+  const timezone = entry.timezone || options.timezone || "America/New_York";
   const { year, month, day, hours, minutes } = parseScheduleDateParts(
     entry.date,
     entry.callTime
   );
+  const window = resolveShiftWindow(entry, source, options.windowRules);
 
   const startParts = addMinutesToZonedLocalTime(
     year,
@@ -450,7 +103,7 @@ export const toGoogleEvent = (entry, options = {}) => {
     day,
     hours,
     minutes,
-    -30,
+    -window.leadMinutes,
     timezone
   );
   const endParts = addMinutesToZonedLocalTime(
@@ -459,7 +112,7 @@ export const toGoogleEvent = (entry, options = {}) => {
     day,
     hours,
     minutes,
-    5 * 60,
+    minutesUntilShiftEnd(window, hours, minutes),
     timezone
   );
 
@@ -483,21 +136,11 @@ export const toGoogleEvent = (entry, options = {}) => {
   const startTimeStr = `${pad(startParts.hours)}:${pad(startParts.minutes)}`;
   const formattedTime = formatTimeForTitle(startTimeStr);
 
-  let summary;
-  if (source === "rhino") {
-    const isCalled = entry.status?.toLowerCase() === "called";
-    const showTitle = isCalled ? `UNCONFIRMED => ${entry.show}` : entry.show;
-    summary = isCalled ? showTitle : `${formattedTime} ${showTitle}`;
-  } else {
-    summary = `${formattedTime} ${source === "iatse927" ? iatse927EventTitle(entry) : entry.show}`;
-  }
-
-  let description;
-  if (source === "iatse927") {
-    description = buildIatse927EventDescription(entry);
-  } else {
-    description = [entry.details, entry.notes].filter(Boolean).join(" | ");
-  }
+  const plugin = findSource(source);
+  const summary = plugin?.eventTitle ? plugin.eventTitle(entry, formattedTime) : `${formattedTime} ${entry.show}`;
+  let description = plugin?.eventDescription
+    ? plugin.eventDescription(entry)
+    : [entry.details, entry.notes].filter(Boolean).join(" | ");
   if (entry.venueLink && entry.venueLink.trim()) {
     description = description
       ? `${description}\n\nVenue: ${entry.venueLink}`
@@ -506,16 +149,16 @@ export const toGoogleEvent = (entry, options = {}) => {
 
   return {
     summary,
-    location:
-      source === "iatse927"
-        ? resolveIatse927EventLocation(entry)
-        : [entry.venue, entry.location].filter(Boolean).join(" - "),
+    location: plugin?.eventLocation
+      ? plugin.eventLocation(entry)
+      : [entry.venue, entry.location].filter(Boolean).join(" - "),
     description,
     start: startStr,
     end: endStr,
     status: normalizeStatus(entry.status),
     rowId,
-    source
+    source,
+    timezone
   };
 };
 
@@ -524,6 +167,7 @@ export const toGoogleEvent = (entry, options = {}) => {
  * @param {import("./sources/types.js").ScheduleEntry[]} entries
  * @param {string} sourceId
  * @param {{ futureOnly?: boolean; timezone?: string }} [options]
+ *   timezone: the source's timezone (an entry's own timezone wins)
  * @returns {ReturnType<typeof toGoogleEvent>[]}
  */
 export function logAndMapEvents(entries, sourceId, options = {}) {
@@ -538,7 +182,7 @@ export function logAndMapEvents(entries, sourceId, options = {}) {
         entry.date,
         entry.callTime
       );
-      return isEventInFuture(year, month, day, hours, minutes, timezone, referenceDate);
+      return isEventInFuture(year, month, day, hours, minutes, entry.timezone || timezone, referenceDate);
     });
   }
 
@@ -546,11 +190,7 @@ export function logAndMapEvents(entries, sourceId, options = {}) {
     toGoogleEvent(entry, { source: sourceId, timezone })
   );
   syncEntries.forEach((entry, index) => {
-    const logSummary =
-      sourceId === "iatse927"
-        ? `${formatTimeForTitle(entry.callTime)} ${iatse927EventTitle(entry)}`
-        : googleEvents[index].summary;
-    console.log(`  ✅ [${sourceId}] ${entry.date} ${logSummary}`);
+    console.log(`  ✅ [${sourceId}] ${entry.date} ${googleEvents[index].summary}`);
   });
 
   return googleEvents;
@@ -282,6 +282,29 @@ describe('toGoogleEvent', () => {
     expect(result.rowId).toContain('11/23/2025');
     expect(result.rowId).toContain('08:00');
     expect(result.rowId).toContain('ERYKAH BADU');
+    expect(result.timezone).toBe('America/New_York');
+  });
+
+  it('keeps wall-clock times in the entry timezone over the source timezone', () => {
+    const entry = {
+      date: '11/23/2025',
+      callTime: '08:00',
+      show: 'OUT OF MARKET',
+      venue: 'Arena',
+      location: 'DENVER CO',
+      position: 'SH',
+      type: 'IN',
+      status: 'Confirmed',
+      timezone: 'America/Denver'
+    };
+
+    const result = toGoogleEvent(entry, { source: 'crewOne', timezone: 'America/New_York' });
+
+    expect(result.start).toBe('2025-11-23T07:30:00');
+    expect(result.timezone).toBe('America/Denver');
+    expect(toGoogleEvent({ ...entry, timezone: undefined }, { source: 'crewOne', timezone: 'America/Chicago' }).timezone).toBe(
+      'America/Chicago'
+    );
   });
 
   it('should not use Rhino UNCONFIRMED title rules for non-rhino sources', () => {
@@ -711,6 +734,29 @@ describe('logAndMapEvents future-only filtering', () => {
     expect(mapped[0].summary).toContain('TEST SHOW');
   });
 
+  it('keeps an out-of-market call that is still ahead in its own timezone', () => {
+    const entry = {
+      date: '8/22/2026',
+      callTime: '08:00',
+      show: 'WEST COAST GIG',
+      venue: 'Arena',
+      position: 'SH',
+      type: 'IN',
+      timezone: 'America/Los_Angeles'
+    };
+
+    // 9am in New York, 6am in Los Angeles
+    const referenceDate = new Date('2026-08-22T13:00:00Z');
+    const mapped = logAndMapEvents([entry, { ...entry, timezone: undefined }], 'crewOne', {
+      futureOnly: true,
+      timezone: 'America/New_York',
+      referenceDate
+    });
+
+    expect(mapped).toHaveLength(1);
+    expect(mapped[0]).toMatchObject({ start: '2026-08-22T07:30:00', timezone: 'America/Los_Angeles' });
+  });
+
   it('uses the venue when an IATSE show title is unavailable', () => {
     const entries = [
       {
@@ -2,10 +2,18 @@ import getSchedule from "./get-schedule/get-schedule.js";
 import {
   parseRequestBody,
   isIngestRequest,
-  verifyIngestPhone
+  ingestSourceId,
+  verifyIngestPhone,
+  verifyIngestSignature,
+  getIngestSignatureMaxAgeSeconds,
+  isIcsFeedRequest,
+  verifyIcsFeedToken,
+  isRhinoConfirmRequest,
+  verifyRhinoConfirmToken
 } from "./get-schedule/request-router.js";
 import { isCloudRuntime } from "./get-schedule/runtime-env.js";
-import { exchangeOAuthCode } from "./get-schedule/google-calendar/auth.js";
+import { findSmsSource, smsSources } from "./get-schedule/sms-sources.js";
+import { authorize, exchangeOAuthCode } from "./get-schedule/google-calendar/auth.js";
 
 /**
  * Cloud Function entry point for schedule synchronization
@@ -14,7 +22,10 @@ import { exchangeOAuthCode } from "./get-schedule/google-calendar/auth.js";
 export async function syncSchedule(req, res) {
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
+  res.set(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-Ingest-Key, X-Ingest-Timestamp, X-Ingest-Nonce, X-Ingest-Signature"
+  );
 
   if (req.method === "OPTIONS") {
     res.status(204).send("");
@@ -35,29 +46,125 @@ export async function syncSchedule(req, res) {
     return;
   }
 
+  // Subscribable feed of every synced shift: GET /calendar.ics?token=...
+  if (isIcsFeedRequest(req)) {
+    try {
+      const subscriber = verifyIcsFeedToken(req);
+      if (!subscriber) {
+        res.status(401).send("Unauthorized: invalid feed token");
+        return;
+      }
+
+      const { loadFeedEvents, renderIcsCalendar } = await import("./get-schedule/ics-feed.js");
+      const auth = await authorize();
+      const events = await loadFeedEvents(auth);
+      console.log(`📅 Serving ICS feed to ${subscriber} (${events.length} events)`);
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Cache-Control", "private, max-age=300");
+      res.status(200).send(renderIcsCalendar(events));
+    } catch (err) {
+      // The caller only holds a feed token: the reason stays in the logs
+      console.error("❌ ICS feed failed:", err);
+      res.status(500).send("Feed unavailable");
+    }
+    return;
+  }
+
   const body = parseRequestBody(req);
 
+  // Confirm a called Rhino shift: POST /rhino/confirm { rowId, dryRun? }
+  if (isRhinoConfirmRequest(req)) {
+    try {
+      if (!verifyRhinoConfirmToken(req)) {
+        res.status(401).json({
+          success: false,
+          error: "Unauthorized: invalid confirm token",
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const { confirmRhinoShiftAndSync } = await import("./get-schedule/rhino-confirm.js");
+      const rowId = typeof body?.rowId === "string" ? body.rowId : "";
+      const dryRun = body?.dryRun === true || String(req.query?.dryRun || "").toLowerCase() === "true";
+      console.log(`✋ ${dryRun ? "Previewing" : "Confirming"} Rhino shift ${rowId}...`);
+      const result = await confirmRhinoShiftAndSync(rowId, { dryRun });
+
+      res.status(200).json({
+        success: true,
+        dryRun,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error("❌ Rhino confirm failed:", err);
+      const message = err?.message || String(err);
+      res.status(message.includes("requires") ? 400 : message.startsWith("No Rhino shift") ? 404 : 500).json({
+        success: false,
+        error: message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    return;
+  }
+
+  // Forwarded SMS: POST /ingest/<sourceId>, or { mode: "ingest", source } in the body.
+  // Signed (see verifyIngestSignature); the sender's phone is checked too.
   if (isIngestRequest(req, body)) {
+    const requestedSource = ingestSourceId(req, body);
+    const smsSource = findSmsSource(requestedSource);
+    const label = smsSource?.label || requestedSource;
+
     try {
-      if (!verifyIngestPhone(body)) {
+      // Every failed check gets the same answer; the reason is only logged
+      const rejectIngest = (reason) => {
+        console.warn(`🔒 ${label} ingest rejected: ${reason}`);
         res.status(401).json({
           success: false,
-          error: "Unauthorized: phone not allowed",
+          error: "Unauthorized",
           timestamp: new Date().toISOString()
         });
+      };
+
+      const signed = verifyIngestSignature(req, requestedSource);
+      if (!signed.ok) {
+        rejectIngest(signed.reason);
+        return;
+      }
+      const { claimIngestNonce } = await import("./get-schedule/ingest-nonce-store.js");
+      const fresh = await claimIngestNonce(signed.keyId, signed.nonce, {
+        maxAgeSeconds: getIngestSignatureMaxAgeSeconds()
+      });
+      if (!fresh) {
+        rejectIngest(`nonce already used with key "${signed.keyId}"`);
         return;
       }
 
-      const { storeIatse927Message, syncIatse927AfterIngest } = await import(
-        "./get-schedule/ingest-iatse927.js"
+      if (!smsSource) {
+        res.status(404).json({
+          success: false,
+          error: `Unknown ingest source: ${requestedSource}. Known: ${Object.keys(smsSources).join(", ")}`,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      if (!verifyIngestPhone(body, smsSource.sourceId)) {
+        rejectIngest(`phone not allowed (key "${signed.keyId}")`);
+        return;
+      }
+
+      const { storeSmsMessage, syncSmsSourceAfterIngest } = await import(
+        "./get-schedule/sms-source-sync.js"
       );
       const payload = body && typeof body === "object" ? body : {};
-      console.log("📱 Starting IATSE 927 ingest (store)...");
-      const result = await storeIatse927Message(payload);
+      console.log(`📱 Starting ${smsSource.label} ingest (store)...`);
+      const result = await storeSmsMessage(smsSource.sourceId, payload);
 
       res.status(200).json({
         success: true,
-        message: "IATSE 927 message stored; calendar sync running in background",
+        source: smsSource.sourceId,
+        message: `${smsSource.label} message stored; calendar sync running in background`,
         stored: result.stored,
         id: result.id,
         syncing: true,
@@ -65,19 +172,19 @@ export async function syncSchedule(req, res) {
       });
 
       try {
-        const syncResult = await syncIatse927AfterIngest();
+        const syncResult = await syncSmsSourceAfterIngest(smsSource.sourceId);
         if (!syncResult) {
-          console.warn("⚠️  IATSE 927 background sync skipped (check GEMINI_API_KEY / Firestore)");
+          console.warn(`⚠️  ${smsSource.label} background sync skipped (check GEMINI_API_KEY / Firestore)`);
         } else {
           console.log(
-            `✅ IATSE 927 background sync complete: parsed=${syncResult.parsed}, synced=${syncResult.synced}`
+            `✅ ${smsSource.label} background sync complete: parsed=${syncResult.parsed}, synced=${syncResult.synced}`
           );
         }
       } catch (err) {
-        console.error("❌ IATSE 927 background sync failed:", err);
+        console.error(`❌ ${smsSource.label} background sync failed:`, err);
       }
     } catch (err) {
-      console.error("❌ IATSE ingest failed:", err);
+      console.error(`❌ ${label} ingest failed:`, err);
       res.status(err.message?.includes("requires") ? 400 : 500).json({
         success: false,
         error: err.message,
@@ -114,16 +221,26 @@ export async function syncSchedule(req, res) {
     console.error = (...args) => { pushLog("error", args); originalConsole.error(...args); };
   }
 
+  // ?dryRun=true computes the calendar plan for every source without writing to it
+  const dryRun = String(req.query?.dryRun || "").toLowerCase() === "true";
+
   try {
-    console.log("🔄 Starting schedule sync...");
-    await getSchedule();
-    console.log("✅ Schedule sync completed.");
+    console.log(dryRun ? "🧪 Starting schedule sync dry run..." : "🔄 Starting schedule sync...");
+    const result = await getSchedule({ dryRun });
+    console.log(dryRun ? "✅ Schedule sync dry run completed." : "✅ Schedule sync completed.");
 
     const payload = {
       success: true,
-      message: "Schedule sync completed successfully",
-      timestamp: new Date().toISOString()
+      message: dryRun
+        ? "Schedule sync dry run completed; no calendar changes were made"
+        : "Schedule sync completed successfully",
+      timestamp: new Date().toISOString(),
+      report: result?.report
     };
+    if (dryRun) {
+      payload.dryRun = true;
+      payload.plan = result?.sources || {};
+    }
     if (showLogs) payload.logs = logs;
     res.status(200).json(payload);
   } catch (err) {
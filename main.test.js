@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import crypto from "crypto";
+import { signIngestRequest } from "./get-schedule/request-router.js";
+
+/** Nonces claimed per key, like the Firestore ingest_nonces collection */
+const nonces = vi.hoisted(() => new Set());
+
+vi.mock("./get-schedule/ingest-nonce-store.js", () => ({
+  claimIngestNonce: async (keyId, nonce) => {
+    const id = `${keyId}\n${nonce}`;
+    if (nonces.has(id)) return false;
+    nonces.add(id);
+    return true;
+  }
+}));
+
+const ingest = vi.hoisted(() => ({ stored: /** @type {unknown[]} */ ([]) }));
+
+vi.mock("./get-schedule/sms-source-sync.js", () => ({
+  storeSmsMessage: async (sourceId, payload) => {
+    ingest.stored.push({ sourceId, ...payload });
+    return { stored: true, id: `msg-${ingest.stored.length}` };
+  },
+  syncSmsSourceAfterIngest: async () => null
+}));
+
+vi.mock("./get-schedule/get-schedule.js", () => ({ default: vi.fn() }));
+
+vi.mock("./get-schedule/google-calendar/auth.js", () => ({
+  authorize: vi.fn(async () => {
+    throw new Error("invalid_grant: refresh token for crew@example.com in /secrets/token.json expired");
+  }),
+  exchangeOAuthCode: vi.fn()
+}));
+
+const { syncSchedule } = await import("./main.js");
+
+const ENV = {
+  INGEST_SIGNING_SECRET: "shared-secret",
+  INGEST_DEVICE_KEYS: "pixel:pixel-secret;ipad:ipad-secret",
+  IATSE_ALLOWED_PHONE: "+1 555 123 4567"
+};
+
+/**
+ * A POST /ingest/iatse927 as the Functions Framework hands it to the handler.
+ * @param {string} secret - signs the request
+ * @param {{ key?: string; timestamp?: string; nonce?: string; body?: string }} [options]
+ */
+function ingestRequest(secret, options = {}) {
+  const rawBody = Buffer.from(options.body ?? JSON.stringify({ phone: "+15551234567", text: "Confirmed 11/7 8a Fox Theatre" }));
+  const timestamp = options.timestamp ?? String(Math.floor(Date.now() / 1000));
+  const nonce = options.nonce ?? crypto.randomUUID();
+  /** @type {Record<string, string>} */
+  const headers = {
+    "content-type": "application/json",
+    "x-ingest-timestamp": timestamp,
+    "x-ingest-nonce": nonce,
+    "x-ingest-signature": signIngestRequest(
+      secret,
+      { method: "POST", path: "/ingest/iatse927", sourceId: "iatse927", timestamp, nonce },
+      rawBody
+    ),
+    ...(options.key ? { "x-ingest-key": options.key } : {})
+  };
+  return {
+    method: "POST",
+    path: "/ingest/iatse927",
+    url: "/ingest/iatse927",
+    query: {},
+    headers,
+    get: (/** @type {string} */ name) => headers[name.toLowerCase()],
+    rawBody,
+    body: JSON.parse(rawBody.toString())
+  };
+}
+
+/** Just enough of an Express response to read back what the handler sent */
+function fakeResponse() {
+  return {
+    statusCode: 0,
+    /** @type {any} */
+    body: null,
+    set() {
+      return this;
+    },
+    status(/** @type {number} */ code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(/** @type {unknown} */ body) {
+      this.body = body;
+      return this;
+    },
+    send(/** @type {unknown} */ body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/** @param {ReturnType<typeof ingestRequest>} req */
+async function handle(req) {
+  const res = fakeResponse();
+  await syncSchedule(req, res);
+  return res;
+}
+
+describe("syncSchedule /ingest", () => {
+  /** @type {Record<string, string | undefined>} */
+  const original = {};
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    for (const key of Object.keys(ENV)) original[key] = process.env[key];
+    Object.assign(process.env, ENV);
+    nonces.clear();
+    ingest.stored.length = 0;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("stores a request signed with the shared secret or a device key", async () => {
+    const shared = await handle(ingestRequest("shared-secret"));
+    const device = await handle(ingestRequest("pixel-secret", { key: "pixel" }));
+
+    expect([shared.statusCode, device.statusCode]).toEqual([200, 200]);
+    expect(device.body).toMatchObject({ success: true, source: "iatse927", stored: true, id: "msg-2" });
+    expect(ingest.stored).toHaveLength(2);
+    expect(ingest.stored[0]).toMatchObject({ sourceId: "iatse927", text: "Confirmed 11/7 8a Fox Theatre" });
+  });
+
+  it("answers a bad signature, a tampered body or a stale timestamp with the same 401", async () => {
+    const tampered = ingestRequest("shared-secret");
+    tampered.rawBody = Buffer.from(JSON.stringify({ phone: "+15551234567", text: "Confirmed 11/8 6a Fox Theatre" }));
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+
+    const responses = [
+      await handle(ingestRequest("wrong-secret")),
+      await handle(ingestRequest("pixel-secret")),
+      await handle(tampered),
+      await handle(ingestRequest("shared-secret", { timestamp: stale }))
+    ];
+
+    expect(responses.map((res) => [res.statusCode, res.body.error])).toEqual(Array(4).fill([401, "Unauthorized"]));
+    expect(ingest.stored).toEqual([]);
+  });
+
+  it("refuses a replayed request once its nonce is used", async () => {
+    const req = ingestRequest("pixel-secret", { key: "pixel" });
+
+    expect((await handle(req)).statusCode).toBe(200);
+    expect((await handle(req)).statusCode).toBe(401);
+    // The same nonce under another key is a different request
+    const other = ingestRequest("ipad-secret", { key: "ipad", nonce: req.headers["x-ingest-nonce"] });
+    expect((await handle(other)).statusCode).toBe(200);
+    expect(ingest.stored).toHaveLength(2);
+  });
+
+  it("refuses a signed request replayed to another source", async () => {
+    const replayed = { ...ingestRequest("shared-secret"), path: "/ingest/iatse3", url: "/ingest/iatse3" };
+
+    const res = await handle(replayed);
+
+    expect(res.statusCode).toBe(401);
+    expect(console.warn).toHaveBeenCalledWith('🔒 iatse3 ingest rejected: bad signature for key "shared"');
+    expect(ingest.stored).toEqual([]);
+  });
+
+  it("refuses a device whose key was revoked", async () => {
+    process.env.INGEST_DEVICE_KEYS = "ipad:ipad-secret";
+
+    const res = await handle(ingestRequest("pixel-secret", { key: "pixel" }));
+
+    expect(res.statusCode).toBe(401);
+    expect(console.warn).toHaveBeenCalledWith('🔒 IATSE 927 ingest rejected: unknown or revoked key "pixel"');
+    expect(ingest.stored).toEqual([]);
+  });
+
+  it("checks the sender's phone after the signature", async () => {
+    const body = JSON.stringify({ phone: "+15550000000", text: "Confirmed 11/7 8a Fox Theatre" });
+
+    const res = await handle(ingestRequest("shared-secret", { body }));
+
+    expect(res.statusCode).toBe(401);
+    expect(ingest.stored).toEqual([]);
+  });
+
+  it("fails instead of letting a device key named shared replace the shared secret", async () => {
+    process.env.INGEST_DEVICE_KEYS = "pixel:pixel-secret;shared:device-secret";
+
+    const res = await handle(ingestRequest("device-secret"));
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/reserved for INGEST_SIGNING_SECRET/);
+    expect(ingest.stored).toEqual([]);
+  });
+});
+
+describe("syncSchedule /calendar.ics", () => {
+  /** @type {string | undefined} */
+  let originalTokens;
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    originalTokens = process.env.ICS_FEED_TOKENS;
+    process.env.ICS_FEED_TOKENS = "phone:feed-token-0001";
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    if (originalTokens === undefined) delete process.env.ICS_FEED_TOKENS;
+    else process.env.ICS_FEED_TOKENS = originalTokens;
+  });
+
+  it("logs why the feed failed but doesn't tell the feed's subscriber", async () => {
+    const res = fakeResponse();
+
+    const req = { method: "GET", path: "/calendar.ics", url: "/calendar.ics", query: { token: "feed-token-0001" }, headers: {} };
+    await syncSchedule(req, res);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toBe("Feed unavailable");
+    expect(console.error).toHaveBeenCalledWith(
+      "❌ ICS feed failed:",
+      expect.objectContaining({ message: expect.stringContaining("invalid_grant") })
+    );
+  });
+});
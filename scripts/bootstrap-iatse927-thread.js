@@ -4,7 +4,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
 import { parseRcsThread, mergeAndSortMessages } from "../get-schedule/iatse927-thread-parser.js";
-import { bulkAppendMessages, loadAllMessages } from "../get-schedule/iatse927-message-store.js";
+import { bulkAppendIatse927Messages, loadAllIatse927Messages } from "../get-schedule/iatse927-message-store.js";
 import { syncIatse927FromMessages } from "../get-schedule/ingest-iatse927.js";
 
 dotenv.config();
@@ -90,7 +90,7 @@ async function main() {
     return;
   }
 
-  const { inserted, skipped } = await bulkAppendMessages(allMessages);
+  const { inserted, skipped } = await bulkAppendIatse927Messages(allMessages);
   console.log(`💾 Firestore: inserted=${inserted}, skipped=${skipped}`);
 
   if (opts.noSync) return;
@@ -99,7 +99,7 @@ async function main() {
     throw new Error("GEMINI_API_KEY is required for sync. Use --no-sync to import only.");
   }
 
-  const stored = await loadAllMessages();
+  const stored = await loadAllIatse927Messages();
   await syncIatse927FromMessages(stored);
 }
 
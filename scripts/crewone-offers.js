@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import readline from "readline/promises";
+import {
+  fetchPendingOffers,
+  getCredentials,
+  loginAndOpenDashboard,
+  respondToCrewOneOffer
+} from "../get-schedule/sources/crewOne.js";
+import { configurePortalPage, getPortalBrowserLaunchOptions, getPuppeteer } from "../get-schedule/puppeteer.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run crewone:offers -- [options]
+
+Lists the Crew One offers awaiting a response, soonest deadline first, or accepts /
+declines one of them on the portal. Uses CREWONE_EMAIL / CREWONE_PASSWORD.
+
+Options:
+  --accept ID    Accept the offer with this id (from the list)
+  --decline ID   Decline the offer with this id
+  --dry-run      Show the offer that would be answered; do not click anything
+  --yes, -y      Skip the confirmation prompt (required when not run from a terminal)
+  --help, -h     Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ response: "accept" | "decline" | null; id: string | null; dryRun: boolean; yes: boolean }} */
+  const opts = { response: null, id: null, dryRun: false, yes: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--accept" || arg === "--decline") {
+      if (opts.response) throw new Error("Pass only one of --accept or --decline");
+      opts.response = arg === "--accept" ? "accept" : "decline";
+      opts.id = argv[++i];
+      if (!opts.id) throw new Error(`${arg} requires an offer id`);
+    } else if (arg === "--dry-run") {
+      opts.dryRun = true;
+    } else if (arg === "--yes" || arg === "-y") {
+      opts.yes = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
+/**
+ * @param {import("../get-schedule/sources/crewOne.js").PendingOffer} offer
+ */
+function formatOffer(offer) {
+  const when = [offer.date, offer.callTime].filter(Boolean).join(" ") || "date unknown";
+  const closes = offer.deadlineText || "no deadline listed";
+  return `  ${offer.id.padEnd(8)} ${offer.event} @ ${offer.venue} (${when}) - ${closes}`;
+}
+
+/**
+ * @param {string} question
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const creds = getCredentials();
+  if (!creds) throw new Error("Missing CREWONE_EMAIL or CREWONE_PASSWORD");
+  if (opts.response && !opts.dryRun && !opts.yes && !process.stdin.isTTY) {
+    throw new Error(`Refusing to ${opts.response} without a terminal to confirm; pass --yes or --dry-run`);
+  }
+
+  const puppeteer = await getPuppeteer();
+  const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
+  try {
+    const page = await browser.newPage();
+    await configurePortalPage(page);
+    await loginAndOpenDashboard(page, creds);
+    const offers = await fetchPendingOffers(page);
+
+    if (!opts.response) {
+      if (offers.length === 0) {
+        console.log("✅ No Crew One offers awaiting a response");
+        return;
+      }
+      console.log(`📨 ${offers.length} Crew One offer(s) awaiting a response:`);
+      for (const offer of offers) console.log(formatOffer(offer));
+      return;
+    }
+
+    const offer = offers.find((o) => o.id === opts.id);
+    if (!offer) {
+      const known = offers.map((o) => o.id).join(", ") || "none";
+      throw new Error(`No pending offer ${opts.id} (pending: ${known})`);
+    }
+
+    console.log(`📨 Offer to ${opts.response}:`);
+    console.log(formatOffer(offer));
+    if (opts.dryRun) {
+      console.log(`ℹ️  Dry run; would ${opts.response} ${offer.offerUrl}`);
+      return;
+    }
+    if (!opts.yes && !(await confirm(`${opts.response === "accept" ? "Accept" : "Decline"} this offer?`))) {
+      console.log("ℹ️  Cancelled; nothing was sent");
+      return;
+    }
+
+    const state = await respondToCrewOneOffer(page, offer, opts.response);
+    console.log(`✅ Offer ${offer.id} ${state}: ${offer.event}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Crew One offers failed:", err.message || err);
+  process.exit(1);
+});
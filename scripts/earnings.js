@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import {
+  EARNINGS_PERIODS,
+  formatEarningsCsv,
+  formatPricedShiftsCsv,
+  isEarningsPeriod,
+  periodStart,
+  priceShifts,
+  summarizeEarnings,
+  weekStart
+} from "../get-schedule/earnings.js";
+import { isoDateInTimezone, loadShiftLedger } from "../get-schedule/shift-ledger-store.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run earnings -- [options]
+
+Totals hours and pay per employer from the shift ledger (Firestore shift_ledger,
+with the Rhino Work History merged in). Rates come from PAY_RATE_RULES and
+overtime from PAY_OVERTIME_RULES.
+
+Options:
+  --period P         week, month or ytd (default: week); totals are grouped by it
+  --from YYYY-MM-DD  First date (default: start of the current week, month or year)
+  --to YYYY-MM-DD    Last date (default: today)
+  --shifts           Export one row per shift instead of the totals
+  --csv FILE         Write CSV to FILE ("-" for stdout)
+  --json FILE        Write JSON to FILE ("-" for stdout)
+  --help, -h         Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ period: import("../get-schedule/earnings.js").EarningsPeriod; from: string | null; to: string | null; shifts: boolean; csv: string | null; json: string | null }} */
+  const opts = { period: "week", from: null, to: null, shifts: false, csv: null, json: null };
+  const isoDate = (flag, value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) throw new Error(`${flag} requires a date as YYYY-MM-DD`);
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--period") {
+      const period = argv[++i];
+      if (!isEarningsPeriod(period)) throw new Error(`--period requires one of ${EARNINGS_PERIODS.join(", ")}`);
+      opts.period = period;
+    } else if (arg === "--from") {
+      opts.from = isoDate(arg, argv[++i]);
+    } else if (arg === "--to") {
+      opts.to = isoDate(arg, argv[++i]);
+    } else if (arg === "--shifts") {
+      opts.shifts = true;
+    } else if (arg === "--csv") {
+      opts.csv = argv[++i];
+      if (!opts.csv) throw new Error("--csv requires a file name (or - for stdout)");
+    } else if (arg === "--json") {
+      opts.json = argv[++i];
+      if (!opts.json) throw new Error("--json requires a file name (or - for stdout)");
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (opts.csv === "-" && opts.json === "-") throw new Error("Only one of --csv and --json can go to stdout");
+  return opts;
+}
+
+/**
+ * @param {string} target - file name or "-"
+ * @param {string} content
+ * @param {(...args: unknown[]) => void} log
+ */
+async function writeOutput(target, content, log) {
+  if (target === "-") {
+    process.stdout.write(content);
+    return;
+  }
+  await fs.writeFile(target, content, "utf8");
+  log(`✅ Wrote ${target}`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  // Keep stdout to the export alone when it's going there
+  const log = opts.csv === "-" || opts.json === "-" ? console.error : console.log;
+  const today = isoDateInTimezone(new Date());
+  const to = opts.to || today;
+  const from = opts.from || periodStart(today, opts.period);
+  if (from > to) throw new Error(`--from ${from} is after --to ${to}`);
+
+  // Load from the start of the first week so weekly overtime counts its earlier shifts
+  const ledger = await loadShiftLedger({ from: weekStart(from), to });
+  const shifts = priceShifts(ledger).filter((shift) => shift.isoDate >= from);
+  const totals = summarizeEarnings(shifts, opts.period);
+
+  log(`🧾 ${shifts.length} shift(s) from ${from} to ${to}`);
+  for (const total of totals) {
+    const overtime = total.overtimeHours ? ` (${total.overtimeHours} overtime)` : "";
+    const unpriced = total.unpriced ? `, ${total.unpriced} shift(s) without a rate` : "";
+    log(`  ${total.period} ${total.employer}: ${total.shifts} shift(s), ${total.hours}h${overtime}, $${total.pay.toFixed(2)}${unpriced}`);
+  }
+
+  if (opts.csv) {
+    await writeOutput(opts.csv, opts.shifts ? formatPricedShiftsCsv(shifts) : formatEarningsCsv(totals), log);
+  }
+  if (opts.json) {
+    const data = opts.shifts ? shifts : { period: opts.period, from, to, totals };
+    await writeOutput(opts.json, `${JSON.stringify(data, null, 2)}\n`, log);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Earnings failed:", err.message || err);
+  process.exit(1);
+});
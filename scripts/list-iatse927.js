@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 import dotenv from "dotenv";
-import { loadAllMessages } from "../get-schedule/iatse927-message-store.js";
+import { loadAllIatse927Messages } from "../get-schedule/iatse927-message-store.js";
 
 dotenv.config();
 
@@ -39,7 +39,7 @@ function parseArgs(argv) {
 
 async function main() {
   const opts = parseArgs(process.argv.slice(2));
-  const messages = await loadAllMessages();
+  const messages = await loadAllIatse927Messages();
 
   if (messages.length === 0) {
     console.log("No messages in Firestore (iatse927_messages).");
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import { diffSyncRuns, listSyncRuns, loadSyncRun } from "../get-schedule/sync-run-store.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run list:runs -- [options]
+
+Lists saved sync runs (Firestore sync_runs), most recent first.
+
+Options:
+  --limit N           Show only the last N runs (default 20)
+  --show RUN_ID       Print one run's entries, row ids and report as JSON
+  --diff [OLD NEW]    Compare what each source returned in two runs
+                      (default: the two most recent runs)
+  --source ID         With --show/--diff, only this source
+  --help, -h          Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ limit: number; show: string | null; diff: string[] | null; source: string | null }} */
+  const opts = { limit: 20, show: null, diff: null, source: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--limit") {
+      const n = Number(argv[++i]);
+      if (!Number.isFinite(n) || n < 1) throw new Error("--limit requires a positive number");
+      opts.limit = Math.floor(n);
+    } else if (arg === "--show") {
+      opts.show = argv[++i];
+      if (!opts.show) throw new Error("--show requires a run id");
+    } else if (arg === "--diff") {
+      opts.diff = [];
+      while (opts.diff.length < 2 && argv[i + 1] && !argv[i + 1].startsWith("--")) {
+        opts.diff.push(argv[++i]);
+      }
+      if (opts.diff.length === 1) throw new Error("--diff takes two run ids (or none for the latest two)");
+    } else if (arg === "--source") {
+      opts.source = argv[++i];
+      if (!opts.source) throw new Error("--source requires a source id");
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
+/**
+ * @param {import("../get-schedule/sync-run-store.js").SyncRunSourceSummary} s
+ */
+function formatSummary(s) {
+  return `${s.status} fetched=${s.fetched} +${s.created} ~${s.updated} =${s.unchanged} -${s.deleted}${s.errors ? ` errors=${s.errors}` : ""}`;
+}
+
+/**
+ * @param {import("../get-schedule/sources/types.js").ScheduleEntry} entry
+ */
+function formatEntry(entry) {
+  return [entry.date, entry.callTime, entry.show, entry.venue, entry.status].filter(Boolean).join(" | ");
+}
+
+/**
+ * @param {string} id
+ */
+async function loadRunOrThrow(id) {
+  const run = await loadSyncRun(id);
+  if (!run) throw new Error(`Sync run not found: ${id}`);
+  return run;
+}
+
+/**
+ * @param {string[]} ids - old and new run ids, or none for the latest two
+ * @param {string | null} sourceFilter
+ */
+async function printDiff(ids, sourceFilter) {
+  let [oldId, newId] = ids;
+  if (!oldId) {
+    const [latest, previous] = await listSyncRuns({ limit: 2 });
+    if (!previous) throw new Error("Need at least two saved runs to diff");
+    oldId = previous.id;
+    newId = latest.id;
+  }
+  const before = await loadRunOrThrow(oldId);
+  const after = await loadRunOrThrow(newId);
+  const diff = diffSyncRuns(before, after);
+
+  console.log(`🔍 ${before.id} (${before.startedAt}) → ${after.id} (${after.startedAt})\n`);
+  for (const [sourceId, sourceDiff] of Object.entries(diff)) {
+    if (sourceFilter && sourceId !== sourceFilter) continue;
+    const { added, removed, cancelled, changed } = sourceDiff;
+    if (added.length + removed.length + cancelled.length + changed.length === 0) {
+      console.log(`[${sourceId}] no changes`);
+      continue;
+    }
+    console.log(`[${sourceId}]`);
+    for (const { rowId, entry } of removed) console.log(`  - ${formatEntry(entry)}  (${rowId})`);
+    for (const { rowId, entry } of added) console.log(`  + ${formatEntry(entry)}  (${rowId})`);
+    for (const rowId of cancelled) console.log(`  ✕ cancelled ${rowId}`);
+    for (const { rowId, fields } of changed) {
+      console.log(`  ~ ${rowId}`);
+      for (const { field, before: was, after: now } of fields) {
+        console.log(`      ${field}: ${JSON.stringify(was)} → ${JSON.stringify(now)}`);
+      }
+    }
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (opts.show) {
+    const run = await loadRunOrThrow(opts.show);
+    const output = opts.source ? { ...run, sources: { [opts.source]: run.sources[opts.source] } } : run;
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  if (opts.diff) {
+    await printDiff(opts.diff, opts.source);
+    return;
+  }
+
+  const runs = await listSyncRuns({ limit: opts.limit });
+  if (runs.length === 0) {
+    console.log("No sync runs in Firestore (sync_runs).");
+    return;
+  }
+
+  console.log(`🗂️  sync_runs: last ${runs.length} run(s), most recent first\n`);
+  for (const run of runs) {
+    const flags = [run.dryRun ? "dry run" : "", run.error ? `failed: ${run.error}` : ""].filter(Boolean).join(", ");
+    console.log(`${run.id}${flags ? `  (${flags})` : ""}`);
+    for (const [sourceId, summary] of Object.entries(run.summary || {})) {
+      console.log(`  [${sourceId}] ${formatSummary(summary)}`);
+    }
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ List runs failed:", err.message || err);
+  process.exit(1);
+});
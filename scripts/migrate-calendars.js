@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import { authorize } from "../get-schedule/google-calendar/auth.js";
+import { migrateSourceEvents } from "../get-schedule/google-calendar/add-event.js";
+import { calendarIdFor } from "../get-schedule/google-calendar/calendar-config.js";
+import { withAuthRetry } from "../get-schedule/auth-handler.js";
+import { sources } from "../get-schedule/sources/index.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run migrate:calendars -- [options]
+
+Moves tagged schedule events off a calendar (default: primary) onto each
+source's configured calendar (CALENDAR_ID_RHINO, CALENDAR_ID_CREWONE,
+CALENDAR_ID_IATSE927, CALENDAR_ID_CREWONE_REMINDERS).
+
+Options:
+  --source ID   Migrate only this source (default: all)
+  --from ID     Calendar to move events off (default: primary)
+  --dry-run     Print what would move; do not write to any calendar
+  --help, -h    Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ source: string | null; from: string; dryRun: boolean }} */
+  const opts = { source: null, from: "primary", dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--source") {
+      opts.source = argv[++i];
+      if (!opts.source) throw new Error("--source requires a source id");
+    } else if (arg === "--from") {
+      opts.from = argv[++i];
+      if (!opts.from) throw new Error("--from requires a calendar id");
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const sourceIds = opts.source ? [opts.source] : Object.keys(sources);
+  /** @type {{ source: string; kind?: string }[]} */
+  const targets = sourceIds.map((source) => ({ source }));
+  if (sourceIds.includes("crewOne")) targets.push({ source: "crewOne", kind: "deadlineReminder" });
+
+  let auth = await authorize();
+  for (const { source, kind } of targets) {
+    const label = kind ? `${source} ${kind}` : source;
+    if (calendarIdFor(source, { kind }) === opts.from) {
+      console.log(`ℹ️  [${label}] already syncs to ${opts.from}; nothing to migrate`);
+      continue;
+    }
+
+    let result;
+    auth = await withAuthRetry(auth, async (a) => {
+      result = await migrateSourceEvents(a, a, source, { kind, fromCalendarId: opts.from, dryRun: opts.dryRun });
+      return a;
+    });
+    const verb = opts.dryRun ? "would move" : "moved";
+    console.log(
+      `✅ [${label}] ${verb} ${result.moved.length} event(s) ${result.from} -> ${result.to}; ` +
+        `${result.removedDuplicates.length} already on target`
+    );
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Calendar migration failed:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+import { CREWONE_LANDINGS, startMockPortal } from "../tests/mock-portal/server.js";
+
+function printUsage() {
+  console.log(`Usage: npm run mock:portal -- [options]
+
+Serves recorded Rhino and Crew One portal pages locally so a sync can run offline.
+Point the sources at it with the RHINO_LOGIN_URL and CREWONE_LOGIN_URL it prints
+(any email and password log in).
+
+Options:
+  --port N                 Listen on port N (default 4010)
+  --crewone-landing NAME   Where Crew One lands after login: ${CREWONE_LANDINGS.join(", ")}
+                           (default dashboard)
+  --help, -h               Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ port: number; crewOneLanding: import("../tests/mock-portal/server.js").CrewOneLanding }} */
+  const opts = { port: 4010, crewOneLanding: "dashboard" };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--port") {
+      const n = Number(argv[++i]);
+      if (!Number.isInteger(n) || n < 0) throw new Error("--port requires a port number");
+      opts.port = n;
+    } else if (arg === "--crewone-landing") {
+      const landing = argv[++i];
+      if (!CREWONE_LANDINGS.includes(landing)) {
+        throw new Error(`--crewone-landing must be one of: ${CREWONE_LANDINGS.join(", ")}`);
+      }
+      opts.crewOneLanding = /** @type {typeof opts.crewOneLanding} */ (landing);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const portal = await startMockPortal(opts);
+
+  console.log(`🧪 Mock portal listening on ${portal.url} (Crew One lands on ${opts.crewOneLanding})`);
+  console.log(`   RHINO_LOGIN_URL=${portal.rhinoLoginUrl}`);
+  console.log(`   CREWONE_LOGIN_URL=${portal.crewOneLoginUrl}`);
+  console.log("   Press Ctrl+C to stop.");
+
+  const stop = () => {
+    portal.close().then(() => process.exit(0));
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main().catch((err) => {
+  console.error("❌ Mock portal failed:", err.message || err);
+  process.exit(1);
+});
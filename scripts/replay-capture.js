@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import { loadPortalCapture } from "../get-schedule/portal-capture.js";
+import { preparePortalReplayPage, replayPortalCapture } from "../get-schedule/portal-replay.js";
+import { getPortalBrowserLaunchOptions, getPuppeteer } from "../get-schedule/puppeteer.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run replay:capture -- <capture> [options]
+
+Re-runs the Rhino / Crew One in-page extraction against a saved portal capture
+(PORTAL_CAPTURE) with scripts off and no network, and prints what each step yields.
+
+<capture> is a capture directory (portal-captures/<id>) or firestore:<id>.
+
+Options:
+  --step NAME   Only replay steps with this name (repeatable), e.g. schedule, detail
+  --json        Print the full results as JSON
+  --help, -h    Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ ref: string | null; steps: string[]; json: boolean }} */
+  const opts = { ref: null, steps: [], json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--step") {
+      const name = argv[++i];
+      if (!name) throw new Error("--step requires a step name");
+      opts.steps.push(name);
+    } else if (arg === "--json") {
+      opts.json = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (opts.ref) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    } else {
+      opts.ref = arg;
+    }
+  }
+
+  if (!opts.ref) throw new Error("Missing capture directory or firestore:<id> (see --help)");
+  return opts;
+}
+
+/**
+ * @param {import("../get-schedule/portal-replay.js").PortalReplayResult} r
+ */
+function formatResult(r) {
+  const label = `${String(r.index + 1).padStart(2, "0")} ${r.name}`;
+  if (r.skipped) return `⏭️  ${label}: no extraction for this step`;
+  if (r.error) return `❌ ${label}: ${r.error}`;
+  const count = Array.isArray(r.result) ? `${r.result.length} row(s)` : "1 result";
+  return `✅ ${label}: ${count}\n${JSON.stringify(r.result, null, 2).replace(/^/gm, "   ")}`;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const capture = await loadPortalCapture(opts.ref);
+  if (!capture) throw new Error(`Portal capture not found: ${opts.ref}`);
+
+  console.log(`🔁 Replaying ${capture.id} (${capture.source}, ${capture.startedAt}, ${capture.steps.length} step(s))`);
+  if (capture.error) console.log(`   Failed live with: ${capture.error}`);
+
+  const puppeteer = await getPuppeteer();
+  const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
+  try {
+    const page = await browser.newPage();
+    await preparePortalReplayPage(page);
+    const results = await replayPortalCapture(capture, page, { steps: opts.steps });
+    if (opts.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      for (const r of results) console.log(formatResult(r));
+    }
+    if (results.some((r) => r.error)) process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Replay failed:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import { confirmRhinoShiftAndSync } from "../get-schedule/rhino-confirm.js";
+import { configurePortalPage, getPortalBrowserLaunchOptions, getPuppeteer } from "../get-schedule/puppeteer.js";
+import { fetchSchedule } from "../get-schedule/sources/rhino.js";
+import { scheduleRowId } from "../get-schedule/utils.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run rhino:confirm -- [<rowId>] [options]
+
+Confirms a "called" Rhino shift on thinkrhino.com, re-reads the schedule to check
+it took, then syncs the Rhino source so its calendar event moves from tentative to
+confirmed.
+Without a rowId, lists the called shifts and their row ids.
+
+Options:
+  --dry-run     Find the shift; do not click, sync or write
+  --help, -h    Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ rowId: string | null; dryRun: boolean }} */
+  const opts = { rowId: null, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--dry-run") {
+      opts.dryRun = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (opts.rowId) {
+      throw new Error(`Unexpected argument: ${arg} (quote the row id)`);
+    } else {
+      opts.rowId = arg;
+    }
+  }
+
+  return opts;
+}
+
+async function listCalledShifts() {
+  const puppeteer = await getPuppeteer();
+  const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
+  try {
+    const page = await browser.newPage();
+    await configurePortalPage(page);
+    const called = (await fetchSchedule(page)).filter(
+      (entry) => !entry.isCallCancelled && entry.status?.toLowerCase() === "called"
+    );
+    if (called.length === 0) {
+      console.log("✅ No called Rhino shifts waiting to be confirmed");
+      return;
+    }
+    console.log(`✋ ${called.length} called Rhino shift(s); confirm one with npm run rhino:confirm -- "<rowId>":`);
+    for (const entry of called) console.log(`  ${scheduleRowId(entry)}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.rowId) {
+    await listCalledShifts();
+    return;
+  }
+
+  const result = await confirmRhinoShiftAndSync(opts.rowId, { dryRun: opts.dryRun });
+  if (opts.dryRun) console.log("ℹ️  Dry run; nothing was clicked or written");
+  const calendar = result.calendar && {
+    status: result.calendar.status,
+    created: result.calendar.created.length,
+    updated: result.calendar.updated.length,
+    unchanged: result.calendar.unchanged.length
+  };
+  console.log(JSON.stringify({ portal: result.portal, calendar, syncError: result.syncError }, null, 2));
+}
+
+main().catch((err) => {
+  console.error("❌ Rhino confirm failed:", err.message || err);
+  process.exit(1);
+});
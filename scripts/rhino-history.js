@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import { authorize } from "../get-schedule/google-calendar/auth.js";
+import { withAuthRetry } from "../get-schedule/auth-handler.js";
+import { configurePortalPage, getPortalBrowserLaunchOptions, getPuppeteer } from "../get-schedule/puppeteer.js";
+import { DEFAULT_HISTORY_WEEKS, fetchHistory } from "../get-schedule/sources/rhino.js";
+import {
+  backfillRhinoHistoryEvents,
+  formatRhinoHistoryCsv,
+  loadRhinoHistory,
+  saveRhinoHistory,
+  toWorkedShift
+} from "../get-schedule/rhino-history.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run rhino:history -- [options]
+
+Reads past weeks from Rhino's Work History into the worked-shift ledger (Firestore
+rhino_history), then prints a summary of the ledger.
+
+Options:
+  --weeks N          Weeks of history to read (default: ${DEFAULT_HISTORY_WEEKS})
+  --no-fetch         Skip the portal; only use what the ledger already has
+  --from YYYY-MM-DD  Only shifts on or after this date
+  --to YYYY-MM-DD    Only shifts on or before this date
+  --csv FILE         Write the shifts as CSV to FILE ("-" for stdout)
+  --backfill         Put the shifts that started over a day ago on the Rhino calendar
+  --dry-run          With --backfill, show what would be written; do not write
+  --help, -h         Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ weeks: number; fetch: boolean; from: string | null; to: string | null; csv: string | null; backfill: boolean; dryRun: boolean }} */
+  const opts = { weeks: DEFAULT_HISTORY_WEEKS, fetch: true, from: null, to: null, csv: null, backfill: false, dryRun: false };
+  const isoDate = (flag, value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) throw new Error(`${flag} requires a date as YYYY-MM-DD`);
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--weeks") {
+      opts.weeks = Number(argv[++i]);
+      if (!Number.isInteger(opts.weeks) || opts.weeks < 1) throw new Error("--weeks requires a whole number of weeks");
+    } else if (arg === "--no-fetch") {
+      opts.fetch = false;
+    } else if (arg === "--from") {
+      opts.from = isoDate(arg, argv[++i]);
+    } else if (arg === "--to") {
+      opts.to = isoDate(arg, argv[++i]);
+    } else if (arg === "--csv") {
+      opts.csv = argv[++i];
+      if (!opts.csv) throw new Error("--csv requires a file name (or - for stdout)");
+    } else if (arg === "--backfill") {
+      opts.backfill = true;
+    } else if (arg === "--dry-run") {
+      opts.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (opts.dryRun && !opts.backfill) throw new Error("--dry-run only applies to --backfill");
+  return opts;
+}
+
+/** @param {number} weeks */
+async function fetchIntoLedger(weeks) {
+  const puppeteer = await getPuppeteer();
+  const browser = await puppeteer.launch(getPortalBrowserLaunchOptions({ headless: true }));
+  try {
+    const page = await browser.newPage();
+    await configurePortalPage(page);
+    const shifts = (await fetchHistory(page, { weeks })).map(toWorkedShift);
+    const saved = await saveRhinoHistory(shifts);
+    console.log(`🗂️  Saved ${saved} shift(s) to the Rhino history ledger`);
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  // Keep stdout to the CSV alone when it's going there
+  const log = opts.csv === "-" ? console.error : console.log;
+
+  if (opts.fetch) await fetchIntoLedger(opts.weeks);
+
+  const shifts = await loadRhinoHistory({ from: opts.from || undefined, to: opts.to || undefined });
+  const hours = shifts.reduce((sum, shift) => sum + (shift.hours ?? 0), 0);
+  const range = shifts.length > 0 ? ` from ${shifts[0].isoDate} to ${shifts[shifts.length - 1].isoDate}` : "";
+  log(`📚 ${shifts.length} shift(s)${range}, ${hours} hour(s) listed`);
+
+  if (opts.csv === "-") {
+    process.stdout.write(formatRhinoHistoryCsv(shifts));
+  } else if (opts.csv) {
+    await fs.writeFile(opts.csv, formatRhinoHistoryCsv(shifts), "utf8");
+    log(`✅ Wrote ${opts.csv}`);
+  }
+
+  if (opts.backfill) {
+    let counts = {};
+    let auth = await authorize();
+    auth = await withAuthRetry(auth, async (a) => {
+      counts = await backfillRhinoHistoryEvents(a, shifts, { dryRun: opts.dryRun });
+      return a;
+    });
+    const summary = Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(", ") || "nothing to do";
+    log(`${opts.dryRun ? "🧪 Backfill dry run" : "📅 Backfill"}: ${summary}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Rhino history failed:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { ingestSigningKeys, signIngestRequest } from "../get-schedule/request-router.js";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: npm run ingest:send -- "<sms text>" [options]
+
+Posts one forwarded SMS to <url>/ingest/<source>, signed the way the phone has to
+sign it: X-Ingest-Timestamp, X-Ingest-Nonce and an X-Ingest-Signature that is the
+hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>".
+
+Options:
+  --url <url>        sync-schedule URL (default: FUNCTION_URL)
+  --source <id>      SMS source (default: iatse927)
+  --phone <number>   Sender phone (default: the first IATSE_ALLOWED_PHONE)
+  --key <name>       Device key from INGEST_DEVICE_KEYS (default: INGEST_SIGNING_SECRET)
+  --print            Print the request as curl instead of sending it
+  --help, -h         Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ text: string | null; url: string; source: string; phone: string; key: string | null; print: boolean }} */
+  const opts = {
+    text: null,
+    url: process.env.FUNCTION_URL || "",
+    source: "iatse927",
+    phone: String(process.env.IATSE_ALLOWED_PHONE || "").split(/[,;]/)[0].trim(),
+    key: null,
+    print: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else if (arg === "--print") {
+      opts.print = true;
+    } else if (["--url", "--source", "--phone", "--key"].includes(arg)) {
+      const value = argv[++i];
+      if (!value) throw new Error(`${arg} needs a value`);
+      opts[arg.slice(2)] = value;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (opts.text) {
+      throw new Error(`Unexpected argument: ${arg} (quote the SMS text)`);
+    } else {
+      opts.text = arg;
+    }
+  }
+
+  return opts;
+}
+
+/**
+ * @param {string | null} key
+ */
+function signingSecret(key) {
+  const secret = ingestSigningKeys().get(key || "shared");
+  if (!secret) {
+    throw new Error(key ? `No device key "${key}" in INGEST_DEVICE_KEYS` : "INGEST_SIGNING_SECRET is not set (or pass --key <device>)");
+  }
+  return secret;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.text) {
+    printUsage();
+    process.exit(1);
+  }
+  if (!opts.url) throw new Error("Set FUNCTION_URL or pass --url");
+
+  const body = JSON.stringify({ phone: opts.phone, text: opts.text });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  // Signed as the function sees it: the path after the function URL
+  const path = `/ingest/${encodeURIComponent(opts.source)}`;
+  /** @type {Record<string, string>} */
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Ingest-Timestamp": timestamp,
+    "X-Ingest-Nonce": nonce,
+    "X-Ingest-Signature": signIngestRequest(
+      signingSecret(opts.key),
+      { method: "POST", path, sourceId: opts.source, timestamp, nonce },
+      body
+    )
+  };
+  if (opts.key) headers["X-Ingest-Key"] = opts.key;
+  const url = `${opts.url.replace(/\/+$/, "")}${path}`;
+
+  if (opts.print) {
+    const quote = (/** @type {string} */ value) => `'${value.replace(/'/g, "'\\''")}'`;
+    const headerArgs = Object.entries(headers).map(([name, value]) => `-H ${quote(`${name}: ${value}`)}`);
+    console.log(["curl -X POST", quote(url), ...headerArgs, `--data ${quote(body)}`].join(" \\\n  "));
+    return;
+  }
+
+  const res = await fetch(url, { method: "POST", headers, body });
+  const text = await res.text();
+  console.log(`${res.ok ? "✅" : "❌"} ${res.status} ${text}`);
+  if (!res.ok) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error("❌ Ingest send failed:", err.message || err);
+  process.exit(1);
+});
@@ -4,14 +4,49 @@ import { trySyncIatse927FromStore } from "../get-schedule/ingest-iatse927.js";
 
 dotenv.config();
 
+function printUsage() {
+  console.log(`Usage: npm run sync:iatse927 -- [options]
+
+Options:
+  --dry-run     Print the calendar plan as JSON; do not write to the calendar
+  --help, -h    Show this help
+`);
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  /** @type {{ dryRun: boolean }} */
+  const opts = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === "--dry-run") opts.dryRun = true;
+    else if (arg === "--help" || arg === "-h") {
+      printUsage();
+      process.exit(0);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
 async function main() {
-  const result = await trySyncIatse927FromStore();
+  const opts = parseArgs(process.argv.slice(2));
+  const result = await trySyncIatse927FromStore({ dryRun: opts.dryRun });
   if (!result) {
     throw new Error("IATSE sync skipped (check GEMINI_API_KEY and Firestore messages)");
   }
 
   const { synced, parsed, warnings } = result;
-  console.log(`✅ IATSE sync complete: ${synced} calendar event(s) from ${parsed} parsed shift(s)`);
+  if (opts.dryRun) {
+    console.log(JSON.stringify(result.plan, null, 2));
+    console.log(`✅ IATSE dry run complete: ${synced} calendar event(s) planned from ${parsed} parsed shift(s)`);
+  } else {
+    console.log(`✅ IATSE sync complete: ${synced} calendar event(s) from ${parsed} parsed shift(s)`);
+  }
   if (warnings.length > 0) {
     console.log(`ℹ️  [iatse927] ${warnings.length} validation warning(s)`);
   }
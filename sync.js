@@ -1,8 +1,18 @@
 import getSchedule from './get-schedule/get-schedule.js';
+import { formatSyncReportTable } from './get-schedule/sync-report.js';
+
+// node sync.js --dry-run prints the calendar plan as JSON without writing to the calendar
+const dryRun = process.argv.includes("--dry-run");
 
 try {
-  await getSchedule();
-  console.log("✅ Schedule sync completed locally.");
+  const result = await getSchedule({ dryRun });
+  if (result?.report) console.log(formatSyncReportTable(result.report));
+  if (dryRun) {
+    console.log(JSON.stringify(result?.sources || {}, null, 2));
+    console.log("✅ Schedule sync dry run completed locally (no calendar changes).");
+  } else {
+    console.log("✅ Schedule sync completed locally.");
+  }
 } catch (err) {
   console.error("❌ Local sync failed:", err);
 }
\ No newline at end of file
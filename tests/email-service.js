@@ -1,69 +1,3 @@
-import nodemailer from 'nodemailer';
-
-/**
- * Send email notification via SMTP
- * 
- * Why credentials are needed:
- * - SMTP servers require authentication to prevent spam
- * - Email providers (Gmail, Outlook, etc.) verify you're authorized to send emails
- * - Without credentials, anyone could send emails from your account (security risk)
- * 
- * @param {Object} options - Email options
- * @param {string} options.to - Recipient email address
- * @param {string} options.subject - Email subject
- * @param {string} options.html - Email HTML body
- * @param {string} options.text - Email text body (optional)
- */
-export async function sendEmail({ to, subject, html, text }) {
-  // Get email configuration from environment variables
-  const emailConfig = {
-    // Gmail SMTP configuration (most common)
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.SMTP_PORT || '587'),
-    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER || process.env.GMAIL_USER,
-      pass: process.env.SMTP_PASSWORD || process.env.GMAIL_APP_PASSWORD
-    }
-  };
-
-  // If no SMTP credentials, throw helpful error
-  if (!emailConfig.auth.user || !emailConfig.auth.pass) {
-    throw new Error(
-      'Email credentials not configured. Set SMTP_USER and SMTP_PASSWORD (or GMAIL_USER and GMAIL_APP_PASSWORD) environment variables.\n' +
-      'For Gmail, you need to create an App Password: https://support.google.com/accounts/answer/185833\n' +
-      'Alternatively, you can skip email notifications by not setting these variables.'
-    );
-  }
-
-  // Create transporter
-  const transporter = nodemailer.createTransport(emailConfig);
-
-  // Verify connection
-  try {
-    await transporter.verify();
-  } catch (error) {
-    throw new Error(`SMTP connection failed: ${error.message}`);
-  }
-
-  // Send email
-  const mailOptions = {
-    from: emailConfig.auth.user,
-    to,
-    subject,
-    html,
-    text: text || html.replace(/<[^>]*>/g, '') // Strip HTML tags for text version
-  };
-
-  try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully:', info.messageId);
-    return info;
-  } catch (error) {
-    throw new Error(`Failed to send email: ${error.message}`);
-  }
-}
-
 /**
  * Format test failure email
  */
@@ -0,0 +1,128 @@
+/**
+ * In-memory stand-in for the parts of the Firestore client the stores use, passed
+ * to them as options.db: collection(name).doc(id) with get, set (merge), create and
+ * delete; where / orderBy / limit queries; and batched set and delete. Where clauses
+ * skip documents without the field, like Firestore, and Timestamps compare by time.
+ */
+
+/** @param {unknown} value */
+function comparable(value) {
+  return typeof (/** @type {any} */ (value)?.toMillis) === "function" ? /** @type {any} */ (value).toMillis() : value;
+}
+
+/** @type {Record<string, (a: any, b: any) => boolean>} */
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b
+};
+
+export function createFakeFirestore() {
+  /** @type {Map<string, Map<string, Record<string, any>>>} */
+  const collections = new Map();
+  let commits = 0;
+
+  /**
+   * Documents of a collection by id (created empty on first use).
+   * @param {string} name
+   */
+  const docsOf = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return /** @type {Map<string, Record<string, any>>} */ (collections.get(name));
+  };
+
+  /**
+   * @param {string} name
+   * @param {string} id
+   */
+  const docRef = (name, id) => ({
+    id,
+    path: `${name}/${id}`,
+    get: async () => snapshot(name, id),
+    /** @param {Record<string, any>} data @param {{ merge?: boolean }} [options] */
+    set: async (data, options) => {
+      docsOf(name).set(id, options?.merge ? { ...docsOf(name).get(id), ...data } : data);
+    },
+    /** @param {Record<string, any>} data */
+    create: async (data) => {
+      if (docsOf(name).has(id)) throw Object.assign(new Error("6 ALREADY_EXISTS: Document already exists"), { code: 6 });
+      docsOf(name).set(id, data);
+    },
+    delete: async () => {
+      docsOf(name).delete(id);
+    }
+  });
+
+  /**
+   * @param {string} name
+   * @param {string} id
+   */
+  const snapshot = (name, id) => ({
+    id,
+    ref: docRef(name, id),
+    exists: docsOf(name).has(id),
+    data: () => docsOf(name).get(id)
+  });
+
+  /**
+   * @param {string} name
+   * @param {[string, string, unknown][]} filters
+   * @param {[string, string] | null} order - field and direction
+   * @param {number | null} limit
+   */
+  const query = (name, filters, order, limit) => ({
+    /** @param {string} field @param {string} op @param {unknown} value */
+    where: (field, op, value) => query(name, [...filters, [field, op, value]], order, limit),
+    /** @param {string} field @param {"asc" | "desc"} [direction] */
+    orderBy: (field, direction = "asc") => query(name, filters, [field, direction], limit),
+    /** @param {number} n */
+    limit: (n) => query(name, filters, order, n),
+    get: async () => {
+      let docs = [...docsOf(name)].filter(([, data]) =>
+        filters.every(([field, op, value]) => data[field] !== undefined && OPERATORS[op](comparable(data[field]), comparable(value)))
+      );
+      if (order) {
+        const [field, direction] = order;
+        docs = docs
+          .filter(([, data]) => data[field] !== undefined)
+          .sort(([, a], [, b]) => {
+            const [x, y] = [comparable(a[field]), comparable(b[field])];
+            return (x < y ? -1 : x > y ? 1 : 0) * (direction === "desc" ? -1 : 1);
+          });
+      }
+      if (limit !== null) docs = docs.slice(0, limit);
+      const snapshots = docs.map(([id]) => snapshot(name, id));
+      return { empty: snapshots.length === 0, size: snapshots.length, docs: snapshots };
+    }
+  });
+
+  return {
+    docsOf,
+    /** Batches committed so far */
+    get commits() {
+      return commits;
+    },
+    /** @param {string} name */
+    collection: (name) => ({
+      ...query(name, [], null, null),
+      /** @param {string} id */
+      doc: (id) => docRef(name, id)
+    }),
+    batch: () => {
+      /** @type {(() => Promise<void>)[]} */
+      const writes = [];
+      return {
+        /** @param {ReturnType<typeof docRef>} ref @param {Record<string, any>} data @param {{ merge?: boolean }} [options] */
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        /** @param {ReturnType<typeof docRef>} ref */
+        delete: (ref) => writes.push(() => ref.delete()),
+        commit: async () => {
+          commits += 1;
+          for (const write of writes) await write();
+        }
+      };
+    }
+  };
+}
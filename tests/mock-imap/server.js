@@ -0,0 +1,258 @@
+/**
+ * Local stand-in for an IMAP server (plain TCP, no TLS). Serves one mailbox of .eml
+ * messages so the email source's IMAP code path can run offline with
+ *   EMAIL_IMAP_HOST=127.0.0.1  EMAIL_IMAP_PORT=<port>  EMAIL_IMAP_TLS=false
+ *
+ * Understands the commands imapflow sends for the email source: CAPABILITY, NOOP,
+ * AUTHENTICATE PLAIN, LOGIN, LIST/LSUB, SELECT/EXAMINE, UID SEARCH SINCE <date>,
+ * UID FETCH <uids> (UID BODY.PEEK[]) and LOGOUT. SEARCH SINCE compares against each
+ * message's Date header. Messages can be added while the server runs, as if they
+ * had just arrived.
+ */
+
+import net from "net";
+import fs from "fs/promises";
+
+const CAPABILITIES = "IMAP4rev1 AUTH=PLAIN";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * @typedef {Object} MockImapMessage
+ * @property {number} uid
+ * @property {Buffer} raw
+ */
+
+/**
+ * @param {Buffer} raw
+ * @returns {Date | null}
+ */
+function messageDate(raw) {
+  const header = raw.toString("latin1").split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, " ");
+  const match = /^Date:\s*(.+)$/im.exec(header);
+  const date = match ? new Date(match[1]) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * "3-Nov-2026" as the start of that UTC day.
+ * @param {string} value
+ */
+function parseSearchDate(value) {
+  const [day, month, year] = value.replace(/"/g, "").split("-");
+  return new Date(Date.UTC(Number(year), MONTHS.indexOf(month.toLowerCase()), Number(day)));
+}
+
+/**
+ * Arguments of a command line: atoms and quoted strings.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseArgs(line) {
+  /** @type {string[]} */
+  const args = [];
+  const re = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(line))) {
+    args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, "$1") : match[2]);
+  }
+  return args;
+}
+
+/**
+ * UIDs of a set such as "1,3:5" that exist in the mailbox.
+ * @param {string} set
+ * @param {MockImapMessage[]} messages
+ */
+function uidsInSet(set, messages) {
+  /** @type {Set<number>} */
+  const wanted = new Set();
+  const maxUid = messages.reduce((max, message) => Math.max(max, message.uid), 0);
+  for (const part of set.split(",")) {
+    const [from, to = from] = part.split(":").map((n) => (n === "*" ? maxUid : Number(n)));
+    for (let uid = Math.min(from, to); uid <= Math.max(from, to); uid++) wanted.add(uid);
+  }
+  return messages.filter((message) => wanted.has(message.uid));
+}
+
+/**
+ * @param {{
+ *   port?: number;
+ *   user?: string;
+ *   password?: string;
+ *   mailbox?: string;
+ *   messages?: (string | Buffer)[];
+ * }} [options] - messages are .eml file paths or raw messages; any user and password
+ *   log in unless both are given
+ */
+export async function startMockImap(options = {}) {
+  const mailboxName = options.mailbox || "INBOX";
+  /** @type {MockImapMessage[]} */
+  const messages = [];
+  /** @type {string[]} */
+  const commands = [];
+  let nextUid = 1;
+
+  /** @param {string | Buffer} message */
+  const addMessage = async (message) => {
+    const raw = Buffer.isBuffer(message)
+      ? message
+      : /\r?\n/.test(message)
+        ? Buffer.from(message, "utf8")
+        : await fs.readFile(message);
+    messages.push({ uid: nextUid++, raw });
+  };
+  for (const message of options.messages || []) await addMessage(message);
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let authenticated = false;
+    let selected = false;
+    /** Tag of an AUTHENTICATE waiting for the client's response line */
+    let authenticating = "";
+
+    /** @param {string} line */
+    const send = (line) => socket.write(`${line}\r\n`);
+
+    /**
+     * @param {string} tag
+     * @param {string} command
+     * @param {string | undefined} user
+     * @param {string | undefined} password
+     */
+    const login = (tag, command, user, password) => {
+      if (options.user !== undefined && (user !== options.user || password !== options.password)) {
+        return send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials`);
+      }
+      authenticated = true;
+      return send(`${tag} OK ${command} completed`);
+    };
+
+    /**
+     * AUTHENTICATE PLAIN response: base64 of "authzid NUL user NUL password" (UTF-8).
+     * @param {string} tag
+     * @param {string} response
+     */
+    const plainLogin = (tag, response) => {
+      const [, user, password] = Buffer.from(response, "base64").toString("utf8").split("\0");
+      return login(tag, "AUTHENTICATE", user, password);
+    };
+
+    /**
+     * @param {string} tag
+     * @param {string} command
+     * @param {string[]} args
+     */
+    const handle = (tag, command, args) => {
+      switch (command) {
+        case "CAPABILITY":
+          send(`* CAPABILITY ${CAPABILITIES}`);
+          return send(`${tag} OK CAPABILITY completed`);
+        case "NOOP":
+          return send(`${tag} OK NOOP completed`);
+        case "LOGOUT":
+          send("* BYE Logging out");
+          send(`${tag} OK LOGOUT completed`);
+          return socket.end();
+        case "LOGIN":
+          return login(tag, command, args[0], args[1]);
+        case "AUTHENTICATE":
+          if (args[0]?.toUpperCase() !== "PLAIN") return send(`${tag} NO Unsupported mechanism`);
+          if (args[1]) return plainLogin(tag, args[1]);
+          authenticating = tag;
+          return send("+ ");
+        case "LIST":
+        case "LSUB": {
+          if (!authenticated) return send(`${tag} BAD Not authenticated`);
+          const pattern = args[1] ?? "";
+          if (pattern === "") send(`* ${command} (\\Noselect) "/" ""`);
+          else if (pattern.toUpperCase() === mailboxName.toUpperCase()) send(`* ${command} () "/" "${mailboxName}"`);
+          return send(`${tag} OK ${command} completed`);
+        }
+        case "SELECT":
+        case "EXAMINE":
+          if (!authenticated) return send(`${tag} BAD Not authenticated`);
+          if (args[0]?.toUpperCase() !== mailboxName.toUpperCase()) {
+            return send(`${tag} NO [NONEXISTENT] Unknown mailbox`);
+          }
+          selected = true;
+          send(`* ${messages.length} EXISTS`);
+          send("* OK [UIDVALIDITY 1] UIDs valid");
+          send(`* OK [UIDNEXT ${nextUid}] Predicted next UID`);
+          return send(`${tag} OK [${command === "EXAMINE" ? "READ-ONLY" : "READ-WRITE"}] ${command} completed`);
+        case "UID": {
+          if (!selected) return send(`${tag} BAD No mailbox selected`);
+          const [subcommand, ...rest] = args;
+          if (subcommand?.toUpperCase() === "SEARCH") {
+            const sinceIndex = rest.findIndex((arg) => arg.toUpperCase() === "SINCE");
+            const since = sinceIndex >= 0 ? parseSearchDate(rest[sinceIndex + 1]) : null;
+            const uids = messages
+              .filter((message) => !since || (messageDate(message.raw) ?? since) >= since)
+              .map((message) => message.uid);
+            send(`* SEARCH${uids.map((uid) => ` ${uid}`).join("")}`);
+            return send(`${tag} OK SEARCH completed`);
+          }
+          if (subcommand?.toUpperCase() === "FETCH") {
+            for (const message of uidsInSet(rest[0], messages)) {
+              const seq = messages.indexOf(message) + 1;
+              socket.write(`* ${seq} FETCH (UID ${message.uid} BODY[] {${message.raw.length}}\r\n`);
+              socket.write(message.raw);
+              send(")");
+            }
+            return send(`${tag} OK FETCH completed`);
+          }
+          return send(`${tag} BAD Unsupported UID command`);
+        }
+        default:
+          return send(`${tag} BAD Unknown command`);
+      }
+    };
+
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("latin1");
+      let eol;
+      while ((eol = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        if (authenticating) {
+          const tag = authenticating;
+          authenticating = "";
+          plainLogin(tag, line.trim());
+          continue;
+        }
+        const [tag, ...rest] = parseArgs(line);
+        if (!tag) continue;
+        const [command = "", ...args] = rest;
+        const verb = command.toUpperCase();
+        commands.push(verb === "LOGIN" || verb === "AUTHENTICATE" ? `${tag} ${verb} ***` : line);
+        handle(tag, verb, args);
+      }
+    });
+    send(`* OK [CAPABILITY ${CAPABILITIES}] Mock IMAP ready`);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port ?? 0, "127.0.0.1", resolve);
+  });
+
+  const { port } = /** @type {net.AddressInfo} */ (server.address());
+
+  return {
+    host: "127.0.0.1",
+    port,
+    /** Every command received, oldest first (LOGIN arguments masked) */
+    commands,
+    /** The mailbox's messages by UID */
+    messages,
+    /**
+     * Deliver a message: an .eml path or the raw message.
+     * @param {string | Buffer} message
+     */
+    addMessage,
+    close() {
+      return new Promise((resolve) => server.close(() => resolve(undefined)));
+    }
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Local stand-in for the Rhino and Crew One portals. Serves recorded pages (pages/)
+ * along the same routes and redirects as the live sites, so the real fetchSchedule
+ * code paths can run offline with
+ *   RHINO_LOGIN_URL=<rhinoLoginUrl>  CREWONE_LOGIN_URL=<crewOneLoginUrl>
+ *
+ * Crew One lives at the server root because fetchSchedule resolves /view_upcoming
+ * against the origin. After login Crew One lands on one of:
+ *   dashboard - "Upcoming Calls" with a table of calls and a calendar export link (default)
+ *   empty     - dashboard without the "Upcoming Calls" section (no upcoming calls)
+ *   bgcheck   - the Background Check Consent interstitial
+ *
+ * The dashboard also lists offers needing a response (/view_offer/<id>). Posting to
+ * /view_offer/<id>/accept or /decline records the response for the life of the server,
+ * and the offer page then says so in place of its deadline and buttons.
+ *
+ * Rhino's schedule grid has a Confirm button on called shifts; it posts back to
+ * Schedule.aspx, after which the grid lists the shift as Confirmed. Work History
+ * (History.aspx?week=N) serves rhino-history-N.html; the last recorded week has no
+ * Previous Week link.
+ */
+
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "pages");
+const SESSION_COOKIE = "mock_portal_session";
+
+/** @typedef {"dashboard" | "empty" | "bgcheck"} CrewOneLanding */
+export const CREWONE_LANDINGS = ["dashboard", "empty", "bgcheck"];
+
+/**
+ * @typedef {Object} MockPortalRequest
+ * @property {string} method
+ * @property {string} path
+ * @property {Record<string, string>} [form] - posted login fields
+ */
+
+/** @param {http.IncomingMessage} req */
+async function readForm(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+/** @param {http.IncomingMessage} req */
+function hasSession(req) {
+  return (req.headers.cookie || "").split(/;\s*/).includes(`${SESSION_COOKIE}=1`);
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {string} page - file name under pages/
+ * @param {number} [status]
+ * @param {string} [contentType]
+ */
+async function sendPage(res, page, status = 200, contentType = "text/html; charset=utf-8") {
+  const body = await fs.readFile(path.join(PAGES_DIR, page), "utf8");
+  res.writeHead(status, { "Content-Type": contentType });
+  res.end(body);
+}
+
+/**
+ * Rhino's schedule grid with the shifts confirmed so far marked Confirmed and their
+ * Confirm buttons gone.
+ * @param {http.ServerResponse} res
+ * @param {Set<string>} confirmed - shift ids from the buttons' confirmShift value
+ */
+async function sendRhinoSchedule(res, confirmed) {
+  const body = (await fs.readFile(path.join(PAGES_DIR, "rhino-schedule.html"), "utf8"))
+    .replace(/<!-- confirm (\d+) -->[\s\S]*?<!-- \/confirm \1 -->/g, (block, id) => (confirmed.has(id) ? "" : block))
+    .replace(/<!-- status (\d+) -->([\s\S]*?)<!-- \/status \1 -->/g, (_, id, status) => (confirmed.has(id) ? "Confirmed" : status));
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(body);
+}
+
+/**
+ * An offer page, with its response block replaced once the offer has been answered.
+ * @param {http.ServerResponse} res
+ * @param {string} id
+ * @param {"accepted" | "declined" | undefined} response
+ */
+async function sendOfferPage(res, id, response) {
+  let body = await fs.readFile(path.join(PAGES_DIR, `crewone-offer-${id}.html`), "utf8");
+  if (response) {
+    body = body.replace(/<!-- response -->[\s\S]*<!-- \/response -->/, `<p>You ${response} this offer.</p>`);
+  }
+  res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(body);
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {string} location
+ * @param {boolean} [startSession]
+ */
+function redirect(res, location, startSession = false) {
+  const headers = { Location: location };
+  if (startSession) headers["Set-Cookie"] = `${SESSION_COOKIE}=1; Path=/; HttpOnly`;
+  res.writeHead(302, headers);
+  res.end();
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {{ crewOneLanding: CrewOneLanding; offerResponses: Map<string, "accepted" | "declined">; rhinoConfirmed: Set<string>; requests: MockPortalRequest[] }} state
+ */
+async function handle(req, res, state) {
+  const { pathname, searchParams } = new URL(req.url || "/", "http://localhost");
+  const method = req.method || "GET";
+  /** @type {MockPortalRequest} */
+  const logged = { method, path: pathname };
+  state.requests.push(logged);
+
+  // Rhino: ASP.NET login form posts back to itself, then Home -> Schedule
+  if (pathname === "/employee/georgia/Index.aspx") {
+    if (method !== "POST") return sendPage(res, "rhino-login.html");
+    logged.form = await readForm(req);
+    return redirect(res, "/employee/georgia/Home.aspx", true);
+  }
+  if (pathname === "/employee/georgia/Home.aspx" || pathname === "/employee/georgia/Schedule.aspx") {
+    if (!hasSession(req)) return redirect(res, "/employee/georgia/Index.aspx?cookieCheck=true");
+    if (pathname.endsWith("Home.aspx")) return sendPage(res, "rhino-home.html");
+    if (method === "POST") {
+      logged.form = await readForm(req);
+      if (logged.form.confirmShift) state.rhinoConfirmed.add(logged.form.confirmShift);
+      return redirect(res, "/employee/georgia/Schedule.aspx");
+    }
+    return sendRhinoSchedule(res, state.rhinoConfirmed);
+  }
+
+  if (pathname === "/employee/georgia/History.aspx") {
+    if (!hasSession(req)) return redirect(res, "/employee/georgia/Index.aspx?cookieCheck=true");
+    const week = Number.parseInt(searchParams.get("week") || "0", 10) || 0;
+    try {
+      return await sendPage(res, `rhino-history-${week}.html`);
+    } catch {
+      // no recorded history page for this week
+    }
+  }
+
+  // Crew One
+  if (pathname === "/") return sendPage(res, "crewone-login.html");
+  if (pathname === "/login" && method === "POST") {
+    logged.form = await readForm(req);
+    return redirect(res, state.crewOneLanding === "bgcheck" ? "/bgcheck" : "/dashboard", true);
+  }
+  if (!hasSession(req)) return redirect(res, "/");
+  if (pathname === "/dashboard") {
+    if (state.crewOneLanding === "bgcheck") return redirect(res, "/bgcheck");
+    return sendPage(res, state.crewOneLanding === "empty" ? "crewone-dashboard-empty.html" : "crewone-dashboard.html");
+  }
+  if (pathname === "/bgcheck") return sendPage(res, "crewone-bgcheck.html");
+  if (pathname === "/calendar/export.ics") {
+    return sendPage(res, "crewone-calendar.ics", 200, "text/calendar; charset=utf-8");
+  }
+  if (pathname === "/view_upcoming") {
+    return sendPage(res, state.crewOneLanding === "empty" ? "crewone-upcoming-empty.html" : "crewone-upcoming.html");
+  }
+  const detail = /^\/view_upcoming\/(\d+)$/.exec(pathname);
+  if (detail) {
+    try {
+      return await sendPage(res, `crewone-detail-${detail[1]}.html`);
+    } catch {
+      // no recorded detail page for this id
+    }
+  }
+
+  const offer = /^\/view_offer\/(\d+)(?:\/(accept|decline))?$/.exec(pathname);
+  if (offer) {
+    const [, id, response] = offer;
+    if (response && method === "POST") {
+      state.offerResponses.set(id, response === "accept" ? "accepted" : "declined");
+      return redirect(res, `/view_offer/${id}`);
+    }
+    if (!response) {
+      try {
+        return await sendOfferPage(res, id, state.offerResponses.get(id));
+      } catch {
+        // no recorded offer page for this id
+      }
+    }
+  }
+
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Not found");
+}
+
+/**
+ * Start the mock portal on 127.0.0.1.
+ * @param {{ port?: number; crewOneLanding?: CrewOneLanding }} [options] - port 0 (default) picks a free one
+ */
+export async function startMockPortal(options = {}) {
+  const state = {
+    crewOneLanding: options.crewOneLanding || "dashboard",
+    /** @type {Map<string, "accepted" | "declined">} */
+    offerResponses: new Map(),
+    /** @type {Set<string>} */
+    rhinoConfirmed: new Set(),
+    /** @type {MockPortalRequest[]} */
+    requests: []
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res, state).catch((err) => {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(err instanceof Error ? err.message : String(err));
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port ?? 0, "127.0.0.1", resolve);
+  });
+
+  const { port } = /** @type {import("net").AddressInfo} */ (server.address());
+  const url = `http://127.0.0.1:${port}`;
+
+  return {
+    url,
+    rhinoLoginUrl: `${url}/employee/georgia/Index.aspx?cookieCheck=true`,
+    crewOneLoginUrl: `${url}/`,
+    /** Every request served, oldest first */
+    requests: state.requests,
+    /** Responses posted to /view_offer/<id>/accept and /decline, by offer id */
+    offerResponses: state.offerResponses,
+    /** Rhino shift ids confirmed with the schedule grid's Confirm button */
+    rhinoConfirmed: state.rhinoConfirmed,
+    /** @param {CrewOneLanding} landing */
+    setCrewOneLanding(landing) {
+      if (!CREWONE_LANDINGS.includes(landing)) {
+        throw new Error(`Unknown Crew One landing: ${landing}. Known: ${CREWONE_LANDINGS.join(", ")}`);
+      }
+      state.crewOneLanding = landing;
+    },
+    /** @returns {Promise<void>} */
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
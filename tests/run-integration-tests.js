@@ -6,7 +6,8 @@
 
 import { exec } from 'child_process';
 import { promisify } from 'util';
-import { sendEmail, formatTestFailureEmail } from './email-service.js';
+import { sendEmail } from '../get-schedule/mailer.js';
+import { formatTestFailureEmail } from './email-service.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
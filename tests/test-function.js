@@ -1,4 +1,5 @@
-import { sendEmail, formatTestFailureEmail } from './email-service.js';
+import { sendEmail } from '../get-schedule/mailer.js';
+import { formatTestFailureEmail } from './email-service.js';
 import fetch from 'node-fetch';
 
 const FUNCTION_URL = process.env.FUNCTION_URL || 'https://sync-schedule-v2ndhgjy3q-uc.a.run.app';
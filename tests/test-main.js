@@ -1,5 +1,6 @@
 // Entry point for test function
-import { sendEmail, formatTestFailureEmail } from './email-service.js';
+import { sendEmail } from '../get-schedule/mailer.js';
+import { formatTestFailureEmail } from './email-service.js';
 import fetch from 'node-fetch';
 import { exec } from 'child_process';
 import { promisify } from 'util';